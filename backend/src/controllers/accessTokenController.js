@@ -0,0 +1,83 @@
+import AccessToken, { ACCESS_TOKEN_SCOPES } from '../models/AccessToken.js';
+
+const MAX_TOKENS_PER_USER = 50;
+const MAX_EXPIRY_DAYS = 365;
+
+// @desc    List the user's personal access tokens (without the tokens)
+// @route   GET /api/tokens
+// @access  Private
+export const getAccessTokens = async (req, res) => {
+  try {
+    const tokens = await AccessToken.find({ userId: req.user._id }).sort({ createdAt: -1 });
+    res.json({ tokens, scopes: ACCESS_TOKEN_SCOPES });
+  } catch (error) {
+    console.error('Get access tokens error:', error);
+    res.status(500).json({ message: 'Error fetching access tokens', error: error.message });
+  }
+};
+
+// @desc    Create a personal access token. The response is the only time
+//          the token itself is shown.
+// @route   POST /api/tokens
+// @access  Private
+export const createAccessToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'A name is required' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ message: 'Pick at least one scope' });
+    }
+    const unknown = scopes.filter(scope => !ACCESS_TOKEN_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown scope: ${unknown.join(', ')}` });
+    }
+
+    // null or missing means no expiry
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({ message: `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days` });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const count = await AccessToken.countDocuments({ userId: req.user._id });
+    if (count >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({ message: `You can have at most ${MAX_TOKENS_PER_USER} access tokens` });
+    }
+
+    const { accessToken, token } = await AccessToken.issue({
+      userId: req.user._id,
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    console.log('Access token created:', { userId: req.user._id, tokenId: accessToken._id, scopes: accessToken.scopes });
+    res.status(201).json({ ...accessToken.toJSON(), token });
+  } catch (error) {
+    console.error('Create access token error:', error);
+    res.status(500).json({ message: 'Error creating access token', error: error.message });
+  }
+};
+
+// @desc    Revoke a personal access token
+// @route   DELETE /api/tokens/:id
+// @access  Private
+export const deleteAccessToken = async (req, res) => {
+  try {
+    const accessToken = await AccessToken.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+    if (!accessToken) {
+      return res.status(404).json({ message: 'Access token not found' });
+    }
+
+    res.json({ message: 'Access token revoked' });
+  } catch (error) {
+    console.error('Delete access token error:', error);
+    res.status(500).json({ message: 'Error revoking access token', error: error.message });
+  }
+};
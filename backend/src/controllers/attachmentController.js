@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import path from 'path';
+import Note from '../models/Note.js';
+import Attachment, { ATTACHMENT_TYPES, attachmentUrl } from '../models/Attachment.js';
+import { resolveNotePermission, hasPermission } from '../utils/noteAccess.js';
+import { saveBlob, openBlob, removeBlob } from '../storage/index.js';
+import { receiveFiles } from '../utils/upload.js';
+
+// Types a browser may display instead of downloading
+const INLINE_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf']);
+
+// Read lazily so it picks up .env, which is loaded after imports are evaluated
+const maxUploadBytes = () => (parseInt(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+
+const serializeAttachment = (attachment) => ({
+  ...attachment.toJSON(),
+  url: attachmentUrl(attachment)
+});
+
+// Look up the note and check the user's permission on it, sending the error
+// response if they fall short
+const findNote = async (req, res, required) => {
+  const note = await Note.findById(req.params.id);
+  if (!note || note.deletedAt) {
+    res.status(404).json({ message: 'Note not found' });
+    return null;
+  }
+
+  if (!hasPermission(await resolveNotePermission(note, req.user._id), required)) {
+    res.status(403).json({ message: required === 'read' ? 'Access denied' : 'You cannot edit this note' });
+    return null;
+  }
+
+  return note;
+};
+
+const findAttachment = async (req, res, note) => {
+  const attachment = await Attachment.findOne({ _id: req.params.attachmentId, noteId: note._id });
+  if (!attachment) {
+    res.status(404).json({ message: 'Attachment not found' });
+    return null;
+  }
+  return attachment;
+};
+
+// @desc    List the files attached to a note, oldest first
+// @route   GET /api/notes/:id/attachments
+// @access  Private
+export const getAttachments = async (req, res) => {
+  try {
+    const note = await findNote(req, res, 'read');
+    if (!note) return;
+
+    const attachments = await Attachment.find({ noteId: note._id })
+      .sort({ createdAt: 1 })
+      .populate('uploadedBy', 'name email');
+
+    res.json(attachments.map(serializeAttachment));
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({ message: 'Error fetching attachments', error: error.message });
+  }
+};
+
+// @desc    Upload a file to a note, sent as multipart/form-data in `file`
+// @route   POST /api/notes/:id/attachments
+// @access  Private
+export const uploadAttachment = async (req, res) => {
+  try {
+    const note = await findNote(req, res, 'write');
+    if (!note) return;
+
+    const received = await receiveFiles(req, res, {
+      field: 'file',
+      maxBytes: maxUploadBytes(),
+      accept: (file) => ATTACHMENT_TYPES.has(file.mimetype)
+    });
+    if (!received) return;
+
+    const { originalname, mimetype, size, buffer } = req.files[0];
+    const storageKey = `${note._id}/${crypto.randomBytes(16).toString('hex')}`;
+    await saveBlob(storageKey, buffer);
+
+    let attachment;
+    try {
+      attachment = await Attachment.create({
+        noteId: note._id,
+        uploadedBy: req.user._id,
+        filename: path.basename(originalname) || 'file',
+        mimeType: mimetype,
+        size,
+        storageKey
+      });
+    } catch (error) {
+      await removeBlob(storageKey).catch(() => {});
+      throw error;
+    }
+
+    await attachment.populate('uploadedBy', 'name email');
+
+    console.log(`Attachment ${attachment._id} (${size} bytes) uploaded to note ${note._id}`);
+    res.status(201).json(serializeAttachment(attachment));
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ message: 'Error uploading attachment', error: error.message });
+  }
+};
+
+// @desc    Download an attachment. Images and PDFs are served inline so they
+//          can be shown in the note.
+// @route   GET /api/notes/:id/attachments/:attachmentId
+// @access  Private
+export const downloadAttachment = async (req, res) => {
+  try {
+    const note = await findNote(req, res, 'read');
+    if (!note) return;
+
+    const attachment = await findAttachment(req, res, note);
+    if (!attachment) return;
+
+    let stream;
+    try {
+      stream = await openBlob(attachment.storageKey);
+    } catch (error) {
+      console.error(`Blob ${attachment.storageKey} is missing:`, error);
+      return res.status(404).json({ message: 'Attachment file not found' });
+    }
+
+    const disposition = INLINE_TYPES.has(attachment.mimeType) ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=3600'
+    });
+
+    stream.on('error', (error) => {
+      console.error('Attachment stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ message: 'Error downloading attachment', error: error.message });
+  }
+};
+
+// @desc    Delete an attachment and its file
+// @route   DELETE /api/notes/:id/attachments/:attachmentId
+// @access  Private
+export const deleteAttachment = async (req, res) => {
+  try {
+    const note = await findNote(req, res, 'write');
+    if (!note) return;
+
+    const attachment = await findAttachment(req, res, note);
+    if (!attachment) return;
+
+    await attachment.deleteOne();
+    await removeBlob(attachment.storageKey);
+
+    res.json({ message: 'Attachment deleted' });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ message: 'Error deleting attachment', error: error.message });
+  }
+};
@@ -1,5 +1,35 @@
 import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+import Session from '../models/Session.js';
+import { notifyUser, endSessions } from '../socket/handler.js';
 import { generateToken } from '../middleware/auth.js';
+import { sendMail } from '../mail/index.js';
+import { passwordResetEmail } from '../mail/templates.js';
+import { createUserToken, verifyUserToken, sendVerificationEmail } from '../utils/userTokens.js';
+import { checkSecondFactor } from '../utils/twoFactor.js';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Start a session for a user who just signed in: a short-lived access token
+// plus the refresh token that gets new ones
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user._id, req);
+  return { token: generateToken(user._id, session._id), refreshToken };
+};
+
+// Turn invitations sent to a user's (now verified) address into real access
+const acceptInvitations = async (user) => {
+  const invitations = await Invitation.acceptForUser(user);
+  invitations.forEach((invitation) => {
+    notifyUser(
+      invitation.invitedBy,
+      invitation.noteId,
+      `${user.name} joined and can now access a note you shared with ${user.email}`,
+      'share'
+    );
+  });
+  return invitations;
+};
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
@@ -23,16 +53,20 @@ export const register = async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Invitations to this address are only honoured once it is verified.
+    // A mail failure shouldn't fail the signup, the user can ask again.
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+    }
+
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(201).json({
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email
-      },
-      token
+      user: user.toProfile(),
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -40,7 +74,8 @@ export const register = async (req, res) => {
   }
 };
 
-// @desc    Login user
+// @desc    Login user. With 2FA on, answers with a short-lived
+//          twoFactorToken instead, for POST /api/auth/login/2fa.
 // @route   POST /api/auth/login
 // @access  Public
 export const login = async (req, res) => {
@@ -59,19 +94,226 @@ export const login = async (req, res) => {
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        twoFactorToken: createUserToken(user, 'two-factor-login')
+      });
+    }
+
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.json({
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email
-      },
-      token
+      user: user.toProfile(),
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: 'Error logging in', error: error.message });
   }
-}; 
\ No newline at end of file
+};
+
+// @desc    Second step of a login with 2FA: the token from the first step
+//          plus a code from the authenticator app or a recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+export const loginTwoFactor = async (req, res) => {
+  try {
+    const { twoFactorToken, code } = req.body;
+
+    const user = await verifyUserToken(twoFactorToken, 'two-factor-login');
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Your login has expired, please start again', loginExpired: true });
+    }
+
+    const method = checkSecondFactor(user, code);
+    if (!method) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+    await user.save();
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.json({
+      user: user.toProfile(),
+      token,
+      refreshToken,
+      // Lets the client warn when recovery codes are running out
+      ...(method === 'recovery' && { recoveryCodesLeft: user.twoFactor.recoveryCodes.length })
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Error logging in', error: error.message });
+  }
+};
+
+// @desc    Swap a refresh token for a new access token and refresh token.
+//          Each refresh token works once.
+// @route   POST /api/auth/refresh
+// @access  Public
+export const refresh = async (req, res) => {
+  try {
+    const result = await Session.rotate(req.body.refreshToken);
+
+    if (result?.reused) {
+      console.warn('Refresh token reused, revoking session:', result.reused._id);
+      endSessions([result.reused._id]);
+    }
+    if (!result?.session) {
+      return res.status(401).json({ message: 'Session has ended, please log in again' });
+    }
+
+    const { session, refreshToken } = result;
+    res.json({ token: generateToken(session.userId, session._id), refreshToken });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Error refreshing session', error: error.message });
+  }
+};
+
+// @desc    End the session a refresh token belongs to. Takes the refresh
+//          token rather than the access token, which may have expired.
+// @route   POST /api/auth/logout
+// @access  Public
+export const logout = async (req, res) => {
+  try {
+    const session = await Session.findByRefreshToken(req.body.refreshToken);
+
+    if (session && !session.revokedAt) {
+      session.revokedAt = new Date();
+      await session.save();
+      endSessions([session._id]);
+    }
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Error logging out', error: error.message });
+  }
+};
+
+// @desc    End every session of the user, on all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+export const logoutAll = async (req, res) => {
+  try {
+    const sessionIds = await Session.revokeForUser(req.user._id);
+    endSessions(sessionIds);
+
+    res.json({ message: `Logged out of ${sessionIds.length} sessions` });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Error logging out', error: error.message });
+  }
+};
+
+// @desc    Confirm an email address with the token from the verification
+//          email, and give access to notes shared with it by invitation
+// @route   GET /api/auth/verify-email?token=
+// @access  Public
+export const verifyEmail = async (req, res) => {
+  try {
+    const user = await verifyUserToken(req.query.token, 'verify-email');
+    if (!user) {
+      return res.status(400).json({ message: 'This verification link is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+    const invitations = await acceptInvitations(user);
+
+    res.json({
+      message: 'Email address verified',
+      user: user.toProfile(),
+      invitationsAccepted: invitations.length
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Error verifying email', error: error.message });
+  }
+};
+
+// @desc    Send the verification email again
+// @route   POST /api/auth/resend-verification
+// @access  Private
+export const resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email address already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+    res.json({ message: `Verification email sent to ${req.user.email}` });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Error sending verification email', error: error.message });
+  }
+};
+
+// @desc    Email a password reset link. Answers the same whether or not the
+//          address has an account, so it can't be used to find accounts.
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email });
+    if (user) {
+      await sendMail({
+        to: user.email,
+        ...passwordResetEmail({ name: user.name, token: createUserToken(user, 'reset-password') })
+      });
+    } else {
+      console.log('Password reset requested for unknown email:', email);
+    }
+
+    res.json({ message: 'If an account uses that address, a reset link is on its way' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Error requesting password reset', error: error.message });
+  }
+};
+
+// @desc    Set a new password with the token from the reset email. Ends
+//          every session, so whoever knew the old password is signed out.
+// @route   POST /api/auth/reset-password
+// @access  Public
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const user = await verifyUserToken(token, 'reset-password');
+    if (!user) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+
+    // Following the emailed link proves the address too
+    const newlyVerified = !user.emailVerified;
+    user.password = password;
+    if (newlyVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    if (newlyVerified) {
+      await acceptInvitations(user);
+    }
+
+    const sessionIds = await Session.revokeForUser(user._id);
+    endSessions(sessionIds);
+
+    res.json({ message: 'Password changed, you can now log in' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Error resetting password', error: error.message });
+  }
+};
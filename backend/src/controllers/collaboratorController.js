@@ -0,0 +1,321 @@
+import Note from '../models/Note.js';
+import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+import {
+  closeNoteRoom,
+  notifyAccessChanged,
+  notifyUser,
+  refreshNoteAccess
+} from '../socket/handler.js';
+import {
+  findCollaborator,
+  resolveNotePermission,
+  canReadNote,
+  noteMemberIds
+} from '../utils/noteAccess.js';
+
+const populateNote = (note) => note.populate([
+  { path: 'createdBy', select: 'name email' },
+  { path: 'collaborators.userId', select: 'name email' },
+  { path: 'pendingTransfer.to', select: 'name email' }
+]);
+
+// @desc    Get everyone with access to a note, e.g. for @mention suggestions
+// @route   GET /api/notes/:id/members
+// @access  Private
+export const getMembers = async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note || note.deletedAt) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    if (!(await canReadNote(note, req.user._id))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const members = await User.find({ _id: { $in: await noteMemberIds(note) } })
+      .select('name email')
+      .sort({ name: 1 });
+
+    res.json(members);
+  } catch (error) {
+    console.error('Get members error:', error);
+    res.status(500).json({ message: 'Error fetching members', error: error.message });
+  }
+};
+
+// @desc    Remove a collaborator from a note (or leave a note shared with you)
+// @route   DELETE /api/notes/:id/collaborators/:userId
+// @access  Private
+export const removeCollaborator = async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note || note.deletedAt) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    const isCreator = note.createdBy.equals(req.user._id);
+    const isSelf = String(req.user._id) === req.params.userId;
+    if (!isCreator && !isSelf) {
+      return res.status(403).json({ message: 'Only the creator can remove collaborators' });
+    }
+
+    if (!findCollaborator(note, req.params.userId)) {
+      return res.status(404).json({ message: 'Collaborator not found' });
+    }
+
+    note.collaborators = note.collaborators.filter(
+      c => String(c.userId) !== req.params.userId
+    );
+    await note.save();
+
+    // They may still reach the note through a shared notebook
+    const permission = await resolveNotePermission(note, req.params.userId);
+    if (permission) {
+      notifyAccessChanged(note._id, req.params.userId, permission);
+    } else {
+      await closeNoteRoom(note._id, 'access-removed', req.params.userId);
+    }
+
+    await populateNote(note);
+    res.json(note);
+  } catch (error) {
+    console.error('Remove collaborator error:', error);
+    res.status(500).json({ message: 'Error removing collaborator', error: error.message });
+  }
+};
+
+// @desc    Change a collaborator's permission
+// @route   PATCH /api/notes/:id/collaborators/:userId
+// @access  Private
+export const updateCollaborator = async (req, res) => {
+  try {
+    const { permission } = req.body;
+    if (!['read', 'comment', 'write'].includes(permission)) {
+      return res.status(400).json({ message: 'Invalid permission type' });
+    }
+
+    const note = await Note.findById(req.params.id);
+    if (!note || note.deletedAt) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    if (!note.createdBy.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the creator can change permissions' });
+    }
+
+    const collaborator = findCollaborator(note, req.params.userId);
+    if (!collaborator) {
+      return res.status(404).json({ message: 'Collaborator not found' });
+    }
+
+    collaborator.permission = permission;
+    await note.save();
+
+    notifyAccessChanged(note._id, req.params.userId, await resolveNotePermission(note, req.params.userId));
+
+    await populateNote(note);
+    res.json(note);
+  } catch (error) {
+    console.error('Update collaborator error:', error);
+    res.status(500).json({ message: 'Error updating collaborator', error: error.message });
+  }
+};
+
+// @desc    Get pending email invitations for a note
+// @route   GET /api/notes/:id/invitations
+// @access  Private
+export const getInvitations = async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note || note.deletedAt) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    if (!note.createdBy.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the creator can see invitations' });
+    }
+
+    const invitations = await Invitation.find({ noteId: note._id }).sort({ createdAt: -1 });
+    res.json(invitations);
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ message: 'Error fetching invitations', error: error.message });
+  }
+};
+
+// @desc    Withdraw an email invitation
+// @route   DELETE /api/notes/:id/invitations/:invitationId
+// @access  Private
+export const revokeInvitation = async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note || note.deletedAt) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    if (!note.createdBy.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the creator can revoke invitations' });
+    }
+
+    const result = await Invitation.deleteOne({ _id: req.params.invitationId, noteId: note._id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ message: 'Error revoking invitation', error: error.message });
+  }
+};
+
+// @desc    Get ownership transfers waiting for the user to accept
+// @route   GET /api/notes/transfers
+// @access  Private
+export const getIncomingTransfers = async (req, res) => {
+  try {
+    const notes = await Note.find({ 'pendingTransfer.to': req.user._id, deletedAt: null })
+      .select('title createdBy pendingTransfer')
+      .populate('createdBy', 'name email');
+
+    res.json(notes);
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    res.status(500).json({ message: 'Error fetching transfers', error: error.message });
+  }
+};
+
+// @desc    Offer ownership of a note to another user
+// @route   POST /api/notes/:id/transfer
+// @access  Private
+export const requestTransfer = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const note = await Note.findById(req.params.id);
+    if (!note || note.deletedAt) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    if (!note.createdBy.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the creator can transfer the note' });
+    }
+
+    const newOwner = await User.findOne({ email });
+    if (!newOwner) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (newOwner._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You already own this note' });
+    }
+
+    note.pendingTransfer = { to: newOwner._id, requestedAt: new Date() };
+    await note.save();
+
+    notifyUser(
+      newOwner._id,
+      note._id,
+      `${req.user.name} wants to transfer ownership of "${note.title}" to you`,
+      'transfer'
+    );
+
+    await populateNote(note);
+    res.json(note);
+  } catch (error) {
+    console.error('Request transfer error:', error);
+    res.status(500).json({ message: 'Error transferring note', error: error.message });
+  }
+};
+
+// @desc    Withdraw a pending ownership transfer
+// @route   DELETE /api/notes/:id/transfer
+// @access  Private
+export const cancelTransfer = async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note || note.deletedAt) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    if (!note.createdBy.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the creator can cancel the transfer' });
+    }
+
+    note.pendingTransfer = undefined;
+    await note.save();
+
+    await populateNote(note);
+    res.json(note);
+  } catch (error) {
+    console.error('Cancel transfer error:', error);
+    res.status(500).json({ message: 'Error cancelling transfer', error: error.message });
+  }
+};
+
+// @desc    Accept ownership of a note. The previous owner stays on as an editor.
+// @route   POST /api/notes/:id/transfer/accept
+// @access  Private
+export const acceptTransfer = async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note || note.deletedAt || !note.pendingTransfer?.to?.equals(req.user._id)) {
+      return res.status(404).json({ message: 'Transfer not found' });
+    }
+
+    const previousOwner = note.createdBy;
+    // Leaving the notebook can cut off people who could only reach it there
+    const previousMembers = await noteMemberIds(note);
+
+    note.createdBy = req.user._id;
+    note.collaborators = note.collaborators.filter(c => !c.userId.equals(req.user._id));
+    note.collaborators.push({ userId: previousOwner, permission: 'write' });
+    note.pendingTransfer = undefined;
+    // The notebook belongs to the previous owner, the new owner files it themselves
+    note.notebook = null;
+    await note.save();
+
+    notifyUser(
+      previousOwner,
+      note._id,
+      `${req.user.name} accepted ownership of "${note.title}"`,
+      'transfer'
+    );
+    await refreshNoteAccess({ _id: note._id }, [...new Set([...previousMembers, String(req.user._id)])]);
+
+    await populateNote(note);
+    res.json(note);
+  } catch (error) {
+    console.error('Accept transfer error:', error);
+    res.status(500).json({ message: 'Error accepting transfer', error: error.message });
+  }
+};
+
+// @desc    Decline an ownership transfer
+// @route   POST /api/notes/:id/transfer/decline
+// @access  Private
+export const declineTransfer = async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note || note.deletedAt || !note.pendingTransfer?.to?.equals(req.user._id)) {
+      return res.status(404).json({ message: 'Transfer not found' });
+    }
+
+    note.pendingTransfer = undefined;
+    await note.save();
+
+    notifyUser(
+      note.createdBy,
+      note._id,
+      `${req.user.name} declined ownership of "${note.title}"`,
+      'transfer'
+    );
+
+    res.json({ message: 'Transfer declined' });
+  } catch (error) {
+    console.error('Decline transfer error:', error);
+    res.status(500).json({ message: 'Error declining transfer', error: error.message });
+  }
+};
@@ -0,0 +1,274 @@
+import Note from '../models/Note.js';
+import Comment from '../models/Comment.js';
+import { resolveNotePermission, hasPermission, isNoteCreator } from '../utils/noteAccess.js';
+import { broadcastToNote, notifyMentions } from '../socket/handler.js';
+import { commentsChanged } from '../socket/documents.js';
+
+const AUTHOR_FIELDS = 'name email';
+
+const populateComment = (comment) => comment.populate([
+  { path: 'author', select: AUTHOR_FIELDS },
+  { path: 'resolvedBy', select: AUTHOR_FIELDS }
+]);
+
+// Look up the note and check the user's permission on it, sending the error
+// response if they fall short
+const findNote = async (req, res, required) => {
+  const note = await Note.findById(req.params.id);
+  if (!note || note.deletedAt) {
+    res.status(404).json({ message: 'Note not found' });
+    return null;
+  }
+
+  if (!hasPermission(await resolveNotePermission(note, req.user._id), required)) {
+    res.status(403).json({ message: required === 'read' ? 'Access denied' : 'You cannot comment on this note' });
+    return null;
+  }
+
+  return note;
+};
+
+const findComment = async (req, res, note) => {
+  const comment = await Comment.findOne({ _id: req.params.commentId, noteId: note._id });
+  if (!comment) {
+    res.status(404).json({ message: 'Comment not found' });
+    return null;
+  }
+  return comment;
+};
+
+// Work out where a new thread goes. The client sends the range it selected
+// and the text in it; if the note changed underneath, use the occurrence of
+// that text closest to where it was.
+const locateAnchor = (content, { start, end, quote } = {}) => {
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start) {
+    return null;
+  }
+
+  const text = quote || content.slice(start, end);
+  if (!text || content.slice(start, end) === text) {
+    return end <= content.length ? { start, end, quote: text } : null;
+  }
+
+  let best = -1;
+  for (let i = content.indexOf(text); i !== -1; i = content.indexOf(text, i + 1)) {
+    if (best === -1 || Math.abs(i - start) < Math.abs(best - start)) {
+      best = i;
+    }
+  }
+
+  return best === -1 ? null : { start: best, end: best + text.length, quote: text };
+};
+
+// @desc    Get the comment threads on a note, oldest first, with their replies
+// @route   GET /api/notes/:id/comments
+// @access  Private
+export const getComments = async (req, res) => {
+  try {
+    const note = await findNote(req, res, 'read');
+    if (!note) return;
+
+    const comments = await Comment.find({ noteId: note._id })
+      .sort({ createdAt: 1 })
+      .populate('author', AUTHOR_FIELDS)
+      .populate('resolvedBy', AUTHOR_FIELDS)
+      .lean();
+
+    const threads = comments
+      .filter(c => !c.parent)
+      .map(thread => ({
+        ...thread,
+        replies: comments.filter(c => c.parent && c.parent.equals(thread._id))
+      }));
+
+    res.json(threads);
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ message: 'Error fetching comments', error: error.message });
+  }
+};
+
+// @desc    Start a comment thread on a range of the note
+// @route   POST /api/notes/:id/comments
+// @access  Private
+export const createComment = async (req, res) => {
+  try {
+    const { body, anchor } = req.body;
+    if (!body?.trim()) {
+      return res.status(400).json({ message: 'Comment cannot be empty' });
+    }
+
+    const note = await findNote(req, res, 'comment');
+    if (!note) return;
+
+    const range = locateAnchor(note.content, anchor);
+    if (!range) {
+      return res.status(409).json({ message: 'The selected text is no longer in the note' });
+    }
+
+    const comment = new Comment({
+      noteId: note._id,
+      author: req.user._id,
+      body,
+      anchor: range
+    });
+    await comment.save();
+    commentsChanged(note._id);
+    await populateComment(comment);
+
+    const thread = { ...comment.toJSON(), replies: [] };
+    broadcastToNote(note._id, 'comment-added', { comment: thread });
+    notifyMentions(note._id, body, req.user._id, { commentId: comment._id });
+
+    res.status(201).json(thread);
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({ message: 'Error creating comment', error: error.message });
+  }
+};
+
+// @desc    Reply to a comment thread
+// @route   POST /api/notes/:id/comments/:commentId/replies
+// @access  Private
+export const replyToComment = async (req, res) => {
+  try {
+    const { body } = req.body;
+    if (!body?.trim()) {
+      return res.status(400).json({ message: 'Comment cannot be empty' });
+    }
+
+    const note = await findNote(req, res, 'comment');
+    if (!note) return;
+
+    const target = await findComment(req, res, note);
+    if (!target) return;
+
+    // Threads are flat, a reply to a reply goes on the same thread
+    const reply = new Comment({
+      noteId: note._id,
+      author: req.user._id,
+      parent: target.parent || target._id,
+      body
+    });
+    await reply.save();
+    await populateComment(reply);
+
+    broadcastToNote(note._id, 'comment-added', { comment: reply });
+    notifyMentions(note._id, body, req.user._id, { commentId: reply.parent });
+
+    res.status(201).json(reply);
+  } catch (error) {
+    console.error('Reply to comment error:', error);
+    res.status(500).json({ message: 'Error replying to comment', error: error.message });
+  }
+};
+
+// @desc    Edit a comment. Only its author can.
+// @route   PATCH /api/notes/:id/comments/:commentId
+// @access  Private
+export const updateComment = async (req, res) => {
+  try {
+    const { body } = req.body;
+    if (!body?.trim()) {
+      return res.status(400).json({ message: 'Comment cannot be empty' });
+    }
+
+    const note = await findNote(req, res, 'comment');
+    if (!note) return;
+
+    const comment = await findComment(req, res, note);
+    if (!comment) return;
+
+    if (!comment.author?.equals(req.user._id)) {
+      return res.status(403).json({ message: 'You can only edit your own comments' });
+    }
+
+    const previousBody = comment.body;
+    comment.body = body;
+    await comment.save();
+    await populateComment(comment);
+
+    broadcastToNote(note._id, 'comment-updated', { comment });
+    notifyMentions(note._id, body, req.user._id, {
+      commentId: comment.parent || comment._id,
+      previousText: previousBody
+    });
+
+    res.json(comment);
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({ message: 'Error updating comment', error: error.message });
+  }
+};
+
+// Resolve or reopen a thread
+const setResolved = (resolved) => async (req, res) => {
+  try {
+    const note = await findNote(req, res, 'comment');
+    if (!note) return;
+
+    const comment = await findComment(req, res, note);
+    if (!comment) return;
+
+    if (comment.parent) {
+      return res.status(400).json({ message: 'Only a thread can be resolved' });
+    }
+
+    comment.resolved = resolved;
+    comment.resolvedBy = resolved ? req.user._id : undefined;
+    comment.resolvedAt = resolved ? new Date() : undefined;
+    await comment.save();
+    await populateComment(comment);
+
+    broadcastToNote(note._id, 'comment-updated', { comment });
+
+    res.json(comment);
+  } catch (error) {
+    console.error(`${resolved ? 'Resolve' : 'Reopen'} comment error:`, error);
+    res.status(500).json({
+      message: `Error ${resolved ? 'resolving' : 'reopening'} comment`,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark a thread as resolved
+// @route   POST /api/notes/:id/comments/:commentId/resolve
+// @access  Private
+export const resolveComment = setResolved(true);
+
+// @desc    Reopen a resolved thread
+// @route   POST /api/notes/:id/comments/:commentId/reopen
+// @access  Private
+export const reopenComment = setResolved(false);
+
+// @desc    Delete a comment (and its replies if it starts a thread). The
+//          author and the note's creator can.
+// @route   DELETE /api/notes/:id/comments/:commentId
+// @access  Private
+export const deleteComment = async (req, res) => {
+  try {
+    const note = await findNote(req, res, 'read');
+    if (!note) return;
+
+    const comment = await findComment(req, res, note);
+    if (!comment) return;
+
+    if (!comment.author?.equals(req.user._id) && !isNoteCreator(note, req.user._id)) {
+      return res.status(403).json({ message: 'You can only delete your own comments' });
+    }
+
+    await Comment.deleteMany({ $or: [{ _id: comment._id }, { parent: comment._id }] });
+    commentsChanged(note._id);
+
+    broadcastToNote(note._id, 'comment-deleted', {
+      commentId: String(comment._id),
+      parent: comment.parent ? String(comment.parent) : null
+    });
+
+    res.json({ message: 'Comment deleted' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ message: 'Error deleting comment', error: error.message });
+  }
+};
@@ -0,0 +1,398 @@
+import crypto from 'crypto';
+import path from 'path';
+import zlib from 'zlib';
+import { finished } from 'stream/promises';
+import mongoose from 'mongoose';
+import archiver from 'archiver';
+import AdmZip from 'adm-zip';
+import Note from '../models/Note.js';
+import NoteRevision from '../models/NoteRevision.js';
+import NoteLink from '../models/NoteLink.js';
+import Notebook from '../models/Notebook.js';
+import Attachment, { ATTACHMENT_TYPES, attachmentUrl } from '../models/Attachment.js';
+import { canReadNote, hasPermission, resolveNotebookPermission } from '../utils/noteAccess.js';
+import { normalizeTags } from '../utils/tags.js';
+import { escapeRegExp } from '../utils/search.js';
+import { receiveFiles } from '../utils/upload.js';
+import { saveBlob, openBlob } from '../storage/index.js';
+import {
+  EXPORT_FORMATS,
+  formatNote,
+  noteFileName,
+  noteToMarkdown,
+  parseMarkdownFile
+} from '../utils/noteFormats.js';
+
+// Marks the manifest of a bundle made by exportAllNotes
+const BUNDLE_FORMAT = 'collab-notes-export';
+const MANIFEST_FILE = 'notes.json';
+const MAX_IMPORT_FILES = 20;
+const MAX_ZIP_ENTRIES = 5000;
+const TEXT_EXTENSIONS = new Set(['.md', '.markdown', '.txt']);
+
+// Read lazily so it picks up .env, which is loaded after imports are evaluated
+const maxImportBytes = () => (parseInt(process.env.IMPORT_MAX_MB) || 50) * 1024 * 1024;
+
+// Both forms, so names with accents or emoji survive in browsers that
+// understand filename* and degrade to underscores elsewhere
+const contentDisposition = (fileName) => {
+  const ascii = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+const validDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// File names within the bundle, with a counter added to repeats
+const uniqueName = (used, base, extension) => {
+  let name = `${base}${extension}`;
+  for (let i = 2; used.has(name); i++) {
+    name = `${base}-${i}${extension}`;
+  }
+  used.add(name);
+  return name;
+};
+
+// @desc    Download a note as Markdown (with front matter), HTML or JSON
+// @route   GET /api/notes/:id/export?format=md|html|json
+// @access  Private
+export const exportNote = async (req, res) => {
+  try {
+    const format = req.query.format || 'md';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ message: `Unknown export format: ${format}` });
+    }
+
+    const note = await Note.findById(req.params.id);
+    if (!note || note.deletedAt) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    if (!await canReadNote(note, req.user._id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { extension, contentType } = EXPORT_FORMATS[format];
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': contentDisposition(`${noteFileName(note.title)}.${extension}`)
+    });
+    res.send(formatNote(note, format));
+  } catch (error) {
+    console.error('Export note error:', error);
+    res.status(500).json({ message: 'Error exporting note', error: error.message });
+  }
+};
+
+// @desc    Download every note the user owns as a zip: a Markdown file per
+//          note, their attachments, and notes.json with the metadata to
+//          import them again. Streamed as it is built.
+// @route   GET /api/notes/export
+// @access  Private
+export const exportAllNotes = async (req, res) => {
+  try {
+    const notes = await Note.find({ createdBy: req.user._id, deletedAt: null })
+      .sort({ createdAt: 1 })
+      .populate('notebook', 'name');
+    const attachments = await Attachment.find({ noteId: { $in: notes.map(n => n._id) } })
+      .sort({ createdAt: 1 });
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('warning', (error) => console.warn('Export archive warning:', error));
+    archive.on('error', (error) => {
+      console.error('Export archive error:', error);
+      res.destroy(error);
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': contentDisposition(`notes-${date}.zip`)
+    });
+    archive.pipe(res);
+
+    const usedNames = new Set();
+    const manifest = {
+      format: BUNDLE_FORMAT,
+      version: 1,
+      exportedAt: new Date(),
+      notes: []
+    };
+
+    for (const note of notes) {
+      const file = `notes/${uniqueName(usedNames, noteFileName(note.title), '.md')}`;
+      archive.append(noteToMarkdown(note), { name: file, date: note.lastUpdated });
+
+      const entry = {
+        id: note._id,
+        file,
+        title: note.title,
+        tags: note.tags,
+        createdAt: note.createdAt,
+        updatedAt: note.lastUpdated,
+        isArchived: note.isArchived,
+        notebook: note.notebook?.name || null,
+        attachments: []
+      };
+
+      for (const attachment of attachments.filter(a => a.noteId.equals(note._id))) {
+        const attachmentFile = `attachments/${note._id}/${attachment._id}${path.extname(attachment.filename)}`;
+        try {
+          // One blob open at a time, each is read to the end before the next
+          const stream = await openBlob(attachment.storageKey);
+          archive.append(stream, { name: attachmentFile, date: attachment.createdAt });
+          await finished(stream);
+        } catch (error) {
+          console.error(`Skipping attachment ${attachment._id} in export:`, error);
+          continue;
+        }
+
+        entry.attachments.push({
+          id: attachment._id,
+          file: attachmentFile,
+          filename: attachment.filename,
+          mimeType: attachment.mimeType,
+          size: attachment.size
+        });
+      }
+
+      manifest.notes.push(entry);
+    }
+
+    archive.append(JSON.stringify(manifest, null, 2), { name: MANIFEST_FILE });
+    await archive.finalize();
+    console.log(`Exported ${notes.length} notes for user ${req.user._id}`);
+  } catch (error) {
+    console.error('Export all notes error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ message: 'Error exporting notes', error: error.message });
+    }
+  }
+};
+
+// Create a note with the given timestamps rather than now. insertMany skips
+// the save hook that would reset lastUpdated.
+const createImportedNote = async ({ _id, title, content, tags, createdAt, updatedAt, isArchived }, userId, notebook) => {
+  const created = validDate(createdAt) || new Date();
+  const updated = validDate(updatedAt) || created;
+
+  const [note] = await Note.insertMany([{
+    _id,
+    title: title?.trim() || 'Untitled',
+    content,
+    tags: normalizeTags(tags),
+    notebook,
+    createdBy: userId,
+    isArchived: !!isArchived,
+    archivedAt: isArchived ? updated : undefined,
+    createdAt: created,
+    updatedAt: updated,
+    lastUpdated: updated
+  }], { timestamps: false });
+
+  await NoteRevision.record({
+    noteId: note._id,
+    userId,
+    title: note.title,
+    content: note.content,
+    revision: note.revision
+  });
+  return note;
+};
+
+const tooLarge = () => Object.assign(new Error('The archive is too large to import'), { code: 'ARCHIVE_TOO_LARGE' });
+
+// Reads entries out of a zip without trusting the sizes it claims for them:
+// each one is inflated with a hard cap, and what actually comes out counts
+// against `limit` for the whole archive
+const entryReader = (limit) => {
+  let remaining = limit;
+
+  return (entry) => {
+    if (entry.header.encrypted) throw new Error('it is encrypted');
+
+    const raw = entry.getCompressedData();
+    let data;
+    if (raw.length === 0) {
+      data = raw;
+    } else if (entry.header.method === 0) { // stored
+      data = raw;
+    } else if (entry.header.method === 8) { // deflated
+      try {
+        data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(1, Math.min(remaining, maxImportBytes())) });
+      } catch (error) {
+        throw error.code === 'ERR_BUFFER_TOO_LARGE' ? tooLarge() : error;
+      }
+    } else {
+      throw new Error('it uses an unsupported compression method');
+    }
+
+    if (data.length > remaining) throw tooLarge();
+    remaining -= data.length;
+    return data;
+  };
+};
+
+// Recreate the notes described by a bundle's manifest, attachments included.
+// Content refers to attachments by URL, so those are rewritten to the copies.
+const importBundle = async (zip, read, manifest, userId, notebook, results) => {
+  for (const entry of manifest.notes || []) {
+    const label = entry.title || entry.file;
+    const noteId = new mongoose.Types.ObjectId();
+
+    try {
+      const file = zip.getEntry(entry.file || '');
+      if (!file) throw new Error('its file is missing from the bundle');
+
+      const parsed = parseMarkdownFile(read(file).toString('utf8'), path.basename(entry.file));
+      let content = parsed.content;
+
+      for (const item of entry.attachments || []) {
+        const blob = zip.getEntry(item.file || '');
+        if (!blob || !ATTACHMENT_TYPES.has(item.mimeType)) continue;
+
+        const buffer = read(blob);
+        const storageKey = `${noteId}/${crypto.randomBytes(16).toString('hex')}`;
+        await saveBlob(storageKey, buffer);
+        const attachment = await Attachment.create({
+          noteId,
+          uploadedBy: userId,
+          filename: path.basename(item.filename || 'file'),
+          mimeType: item.mimeType,
+          size: buffer.length,
+          storageKey
+        });
+
+        const oldUrl = `/api/notes/${entry.id}/attachments/${item.id}`;
+        content = content.replace(new RegExp(escapeRegExp(oldUrl), 'g'), attachmentUrl(attachment));
+      }
+
+      if (!content.trim()) throw new Error('it is empty');
+
+      results.imported.push(await createImportedNote({
+        ...parsed,
+        _id: noteId,
+        title: entry.title ?? parsed.title,
+        tags: entry.tags ?? parsed.tags,
+        createdAt: entry.createdAt ?? parsed.createdAt,
+        updatedAt: entry.updatedAt ?? parsed.updatedAt,
+        isArchived: entry.isArchived,
+        content
+      }, userId, notebook));
+    } catch (error) {
+      await Attachment.removeForNotes([noteId]);
+      // The rest of the archive can't be read either
+      if (error.code === 'ARCHIVE_TOO_LARGE') throw error;
+      results.failed.push({ file: label, message: error.message });
+    }
+  }
+};
+
+const importTextFile = async (name, buffer, userId, notebook, results) => {
+  try {
+    const parsed = parseMarkdownFile(buffer.toString('utf8'), path.basename(name));
+    if (!parsed.content.trim()) throw new Error('it is empty');
+    results.imported.push(await createImportedNote(parsed, userId, notebook));
+  } catch (error) {
+    results.failed.push({ file: name, message: error.message });
+  }
+};
+
+const importZip = async (buffer, userId, notebook, results) => {
+  const zip = new AdmZip(buffer);
+  const entries = zip.getEntries();
+
+  // Refuse archives that would unpack to far more than was uploaded. The
+  // sizes they claim are checked up front, what they really inflate to as
+  // they are read.
+  const maxUnpackedBytes = maxImportBytes() * 5;
+  const claimedSize = entries.reduce((total, entry) => total + entry.header.size, 0);
+  if (entries.length > MAX_ZIP_ENTRIES || claimedSize > maxUnpackedBytes) {
+    throw tooLarge();
+  }
+  const read = entryReader(maxUnpackedBytes);
+
+  const manifestEntry = zip.getEntry(MANIFEST_FILE);
+  if (manifestEntry) {
+    const manifest = JSON.parse(read(manifestEntry).toString('utf8'));
+    if (manifest.format === BUNDLE_FORMAT) {
+      return importBundle(zip, read, manifest, userId, notebook, results);
+    }
+  }
+
+  // Any other zip: every text file in it is a note
+  for (const entry of entries) {
+    if (entry.isDirectory || entry.entryName.startsWith('__MACOSX/')) continue;
+    if (!TEXT_EXTENSIONS.has(path.extname(entry.entryName).toLowerCase())) continue;
+    await importTextFile(entry.entryName, read(entry), userId, notebook, results);
+  }
+};
+
+// @desc    Import notes from Markdown files and zips, sent as multipart in
+//          `files`. Zips made by the bulk export are restored with their
+//          metadata and attachments. An optional `notebook` field files the
+//          notes in a notebook.
+// @route   POST /api/notes/import
+// @access  Private
+export const importNotes = async (req, res) => {
+  try {
+    const received = await receiveFiles(req, res, {
+      field: 'files',
+      maxCount: MAX_IMPORT_FILES,
+      maxBytes: maxImportBytes(),
+      accept: (file) => {
+        const extension = path.extname(file.originalname).toLowerCase();
+        return TEXT_EXTENSIONS.has(extension) || extension === '.zip';
+      }
+    });
+    if (!received) return;
+
+    const notebook = req.body.notebook || null;
+    if (notebook) {
+      if (!mongoose.isValidObjectId(notebook)) {
+        return res.status(400).json({ message: 'Invalid notebook id' });
+      }
+
+      const exists = await Notebook.exists({ _id: notebook });
+      const permission = exists && await resolveNotebookPermission(notebook, req.user._id);
+      if (!hasPermission(permission, 'write')) {
+        return res.status(403).json({ message: 'Write access to the notebook denied' });
+      }
+    }
+
+    const results = { imported: [], failed: [] };
+    for (const file of req.files) {
+      if (path.extname(file.originalname).toLowerCase() === '.zip') {
+        try {
+          await importZip(file.buffer, req.user._id, notebook, results);
+        } catch (error) {
+          results.failed.push({ file: file.originalname, message: error.message });
+        }
+      } else {
+        await importTextFile(file.originalname, file.buffer, req.user._id, notebook, results);
+      }
+    }
+
+    // Index links once every note is in, so links between them resolve
+    for (const note of results.imported) {
+      await NoteLink.reindex(note._id, note.content, req.user._id);
+      await NoteLink.claimDangling(note._id, note.title);
+    }
+
+    console.log(`Imported ${results.imported.length} notes for user ${req.user._id}, ${results.failed.length} failed`);
+    res.status(results.imported.length > 0 ? 201 : 400).json({
+      message: results.imported.length > 0
+        ? `Imported ${results.imported.length} notes`
+        : 'No notes could be imported',
+      imported: results.imported.map(note => ({ _id: note._id, title: note.title })),
+      failed: results.failed
+    });
+  } catch (error) {
+    console.error('Import notes error:', error);
+    res.status(500).json({ message: 'Error importing notes', error: error.message });
+  }
+};
@@ -1,6 +1,62 @@
+import mongoose from 'mongoose';
 import Note from '../models/Note.js';
 import User from '../models/User.js';
-import { notifyCollaborators } from '../socket/handler.js';
+import Notebook from '../models/Notebook.js';
+import NoteRevision from '../models/NoteRevision.js';
+import Invitation from '../models/Invitation.js';
+import NoteLink from '../models/NoteLink.js';
+import Template from '../models/Template.js';
+import {
+  notifyCollaborators,
+  replaceNoteContent,
+  closeNoteRoom,
+  refreshNoteAccess
+} from '../socket/handler.js';
+import { forgetDocument } from '../socket/documents.js';
+import {
+  accessibleNotesFilter,
+  isNoteCreator,
+  findCollaborator,
+  hasPermission,
+  resolveNotePermission,
+  resolveNotebookPermission,
+  noteMemberIds
+} from '../utils/noteAccess.js';
+import { normalizeTags } from '../utils/tags.js';
+import { placeholderValues, fillPlaceholders } from '../utils/templates.js';
+import { trashRetentionDays } from '../cron/trashPurger.js';
+import { purgeNotes } from '../utils/purgeNotes.js';
+import { sendMail } from '../mail/index.js';
+import { invitationEmail } from '../mail/templates.js';
+import {
+  parseSearchQuery,
+  isEmptyQuery,
+  buildTextSearch,
+  prefixRegExp,
+  scoreMatches,
+  findMatches,
+  buildSnippet
+} from '../utils/search.js';
+
+// Upper bound on notes ranked per search request
+const MAX_SEARCH_CANDIDATES = 200;
+
+// Notes carry a revision number that is bumped on every write; it doubles as
+// the ETag for optimistic concurrency on PATCH
+const noteETag = (revision) => `"${revision}"`;
+
+// Read the revision a client based its edit on, from If-Match or baseRevision.
+// Returns undefined when the client didn't ask for a check, NaN when malformed.
+const getBaseRevision = (req) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch && ifMatch.trim() !== '*') {
+    return Number(ifMatch.trim().replace(/^W\//, '').replace(/"/g, ''));
+  }
+  if (req.body.baseRevision !== undefined) {
+    return Number(req.body.baseRevision);
+  }
+  return undefined;
+};
 
 // @desc    Get all notes for a user
 // @route   GET /api/notes
@@ -11,17 +67,34 @@ export const getNotes = async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const showArchived = req.query.showArchived === 'true';
+    // tags=a,b with tagMode=and (every tag, default) or tagMode=or (any tag)
+    const tags = normalizeTags(req.query.tags);
+    const tagMode = req.query.tagMode === 'or' ? 'or' : 'and';
+    // notebook=<id> lists the notes directly in a notebook, notebook=none the
+    // notes outside any notebook. Without it every accessible note is listed.
+    const { notebook } = req.query;
+    if (notebook && notebook !== 'none' && !mongoose.isValidObjectId(notebook)) {
+      return res.status(400).json({ message: 'Invalid notebook id' });
+    }
 
     console.log(`Notes request from user: ${userId}, page: ${page}, limit: ${limit}`);
 
     const query = {
-      $or: [
-        { createdBy: userId },
-        { 'collaborators.userId': userId }
-      ],
-      isArchived: showArchived
+      ...(await accessibleNotesFilter(userId)),
+      isArchived: showArchived,
+      deletedAt: null
     };
 
+    if (notebook === 'none') {
+      query.notebook = null;
+    } else if (notebook) {
+      query.notebook = notebook;
+    }
+
+    if (tags.length > 0) {
+      query.tags = tagMode === 'or' ? { $in: tags } : { $all: tags };
+    }
+
     // Check if user has any notes first (optimization for new users)
     const hasNotes = await Note.exists(query);
     console.log(`User ${userId} has notes: ${!!hasNotes}`);
@@ -69,6 +142,100 @@ export const getNotes = async (req, res) => {
   }
 };
 
+// @desc    Search notes by title and content
+// @route   GET /api/notes/search?q=
+// @access  Private
+export const searchNotes = async (req, res) => {
+  try {
+    // ?q=a&q=b arrives as an array
+    if (typeof req.query.q !== 'string') {
+      return res.status(400).json({ message: 'Search query is required' });
+    }
+
+    const parsed = parseSearchQuery(req.query.q);
+    if (isEmptyQuery(parsed)) {
+      return res.status(400).json({ message: 'Search query is required' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const showArchived = req.query.showArchived === 'true';
+
+    const conditions = [
+      await accessibleNotesFilter(req.user._id),
+      { isArchived: showArchived, deletedAt: null },
+      // The text index can't match prefixes, so those are regular expressions
+      ...parsed.prefixes.map(prefix => ({
+        $or: [
+          { title: prefixRegExp(prefix) },
+          { content: prefixRegExp(prefix) }
+        ]
+      }))
+    ];
+
+    const textSearch = buildTextSearch(parsed);
+    const query = { $and: conditions };
+    if (textSearch) {
+      query.$text = { $search: textSearch };
+    }
+
+    let candidates = Note.find(query)
+      .limit(MAX_SEARCH_CANDIDATES)
+      .populate('createdBy', 'name email')
+      .populate('collaborators.userId', 'name email')
+      .lean();
+
+    if (textSearch) {
+      candidates = candidates
+        .select({ score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } });
+    }
+
+    const [notes, totalResults] = await Promise.all([candidates, Note.countDocuments(query)]);
+
+    // Text index score when there is one, plus our own count of matches so
+    // prefix terms affect the ranking too
+    const ranked = notes
+      .map(note => ({
+        note,
+        score: (note.score || 0) + scoreMatches(note, parsed)
+      }))
+      .sort((a, b) => b.score - a.score || b.note.lastUpdated - a.note.lastUpdated);
+
+    // Only the best candidates are ranked, so pages stop there even when
+    // more notes match
+    const truncated = totalResults > ranked.length;
+    const totalPages = Math.ceil(ranked.length / limit);
+
+    const results = ranked
+      .slice((page - 1) * limit, page * limit)
+      .map(({ note, score }) => {
+        const { content, score: textScore, ...result } = note;
+        return {
+          ...result,
+          score,
+          titleHighlights: findMatches(note.title, parsed),
+          snippet: buildSnippet(content, parsed)
+        };
+      });
+
+    res.json({
+      results,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalResults,
+        truncated,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Search notes error:', error);
+    res.status(500).json({ message: 'Error searching notes', error: error.message });
+  }
+};
+
 // @desc    Get single note
 // @route   GET /api/notes/:id
 // @access  Private
@@ -76,18 +243,19 @@ export const getNote = async (req, res) => {
   try {
     const note = await Note.findById(req.params.id)
       .populate('createdBy', 'name email')
-      .populate('collaborators.userId', 'name email');
+      .populate('collaborators.userId', 'name email')
+      .populate('pendingTransfer.to', 'name email');
 
-    if (!note) {
+    if (!note || note.deletedAt) {
       return res.status(404).json({ message: 'Note not found' });
     }
 
-    // Check access permission
-    const isCreator = note.createdBy._id.equals(req.user._id);
-    const collaborator = note.collaborators.find(c => c.userId._id.equals(req.user._id));
-    const hasAccess = isCreator || collaborator;
+    // Check access permission, including access inherited from notebooks
+    const isCreator = isNoteCreator(note, req.user._id);
+    const collaborator = findCollaborator(note, req.user._id);
+    const permission = await resolveNotePermission(note, req.user._id);
 
-    if (!hasAccess) {
+    if (!permission) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -96,7 +264,7 @@ export const getNote = async (req, res) => {
     responseNote.isOwnedByCurrentUser = isCreator;
     
     // Determine user's permission level
-    responseNote.userPermission = isCreator ? 'write' : (collaborator ? collaborator.permission : 'read');
+    responseNote.userPermission = permission;
     
     // Add debug info for troubleshooting
     responseNote.permissionInfo = {
@@ -116,6 +284,7 @@ export const getNote = async (req, res) => {
       userId: req.user._id.toString()
     });
 
+    res.set('ETag', noteETag(note.revision));
     res.json(responseNote);
   } catch (error) {
     console.error('Get note error:', error);
@@ -123,22 +292,61 @@ export const getNote = async (req, res) => {
   }
 };
 
-// @desc    Create new note
+// @desc    Create new note, optionally from a template (templateId, with the
+//          creator's timeZone for date placeholders)
 // @route   POST /api/notes
 // @access  Private
 export const createNote = async (req, res) => {
   try {
-    const { title, content } = req.body;
+    const { templateId, timeZone, notebook } = req.body;
+    let { title, content, tags } = req.body;
+
+    // Start from a template, filling in its placeholders. Anything sent
+    // alongside overrides it; tags are added to the template's.
+    if (templateId) {
+      const template = await Template.findUsable(templateId, req.user._id);
+      if (!template) {
+        return res.status(404).json({ message: 'Template not found' });
+      }
+
+      const values = placeholderValues({ user: req.user, timeZone });
+      title = title?.trim() ? title : fillPlaceholders(template.title || template.name, values);
+      content = content || fillPlaceholders(template.content, values);
+      tags = [...template.tags, ...normalizeTags(tags)];
+    }
+
+    if (notebook) {
+      if (!mongoose.isValidObjectId(notebook)) {
+        return res.status(400).json({ message: 'Invalid notebook id' });
+      }
+
+      const permission = await resolveNotebookPermission(notebook, req.user._id);
+      if (!hasPermission(permission, 'write')) {
+        return res.status(403).json({ message: 'Write access to the notebook denied' });
+      }
+    }
 
     const note = new Note({
       title,
       content,
+      tags: normalizeTags(tags),
+      notebook: notebook || null,
       createdBy: req.user._id
     });
 
     await note.save();
     await note.populate('createdBy', 'name email');
 
+    await NoteRevision.record({
+      noteId: note._id,
+      userId: req.user._id,
+      title: note.title,
+      content: note.content,
+      revision: note.revision
+    });
+    await NoteLink.reindex(note._id, note.content, req.user._id);
+    await NoteLink.claimDangling(note._id, note.title);
+
     res.status(201).json(note);
   } catch (error) {
     console.error('Create note error:', error);
@@ -155,17 +363,17 @@ export const updateNote = async (req, res) => {
       .populate('createdBy', 'name email')
       .populate('collaborators.userId', 'name email');
 
-    if (!note) {
+    if (!note || note.deletedAt) {
       return res.status(404).json({ message: 'Note not found' });
     }
 
     // More explicit permission checks
     const isCreator = note.createdBy._id.equals(req.user._id);
-    const collaborator = note.collaborators.find(c => c.userId._id.equals(req.user._id));
+    const collaborator = findCollaborator(note, req.user._id);
+    const permission = await resolveNotePermission(note, req.user._id);
     
-    // Check write permission
-    const canWrite = isCreator || 
-      (collaborator && collaborator.permission === 'write');
+    // Check write permission, including access inherited from notebooks
+    const canWrite = hasPermission(permission, 'write');
 
     // Detailed permission debugging
     console.log('Update permission check:', {
@@ -178,6 +386,7 @@ export const updateNote = async (req, res) => {
         permission: collaborator.permission,
         hasWriteAccess: collaborator.permission === 'write'
       } : null,
+      inheritedFromNotebook: !!note.notebook,
       canWrite
     });
 
@@ -197,30 +406,60 @@ export const updateNote = async (req, res) => {
     }
 
     const { title, content } = req.body;
+    if (content !== undefined && typeof content !== 'string') {
+      return res.status(400).json({ message: 'Content must be text' });
+    }
+    if (title !== undefined && typeof title !== 'string') {
+      return res.status(400).json({ message: 'Title must be text' });
+    }
+
+    const baseRevision = getBaseRevision(req);
+    if (Number.isNaN(baseRevision)) {
+      return res.status(400).json({ message: 'Invalid base revision' });
+    }
     
     // Only update fields that are provided
     const updateFields = {};
     if (title !== undefined) updateFields.title = title;
-    if (content !== undefined) updateFields.content = content;
-    updateFields.lastUpdated = new Date();
 
-    const updatedNote = await Note.findByIdAndUpdate(
-      req.params.id,
-      { $set: updateFields },
-      { new: true }
-    )
-    .populate('createdBy', 'name email')
-    .populate('collaborators.userId', 'name email');
+    // Content goes through the same operation pipeline as socket edits so
+    // people editing the note live receive the change instead of losing it.
+    // Without content only the other fields are set.
+    const result = await replaceNoteContent(note._id, content, {
+      userId: req.user._id,
+      fields: updateFields,
+      expectedRevision: baseRevision
+    });
+
+    if (result.notFound) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    if (result.conflict || result.resync) {
+      const currentNote = await Note.findById(req.params.id)
+        .populate('createdBy', 'name email')
+        .populate('collaborators.userId', 'name email');
+
+      res.set('ETag', noteETag(currentNote.revision));
+      return res.status(409).json({
+        message: 'Note was changed by someone else',
+        note: currentNote
+      });
+    }
+
+    const updatedNote = await Note.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('collaborators.userId', 'name email');
 
     // Add explicit permission info to the response
     const responseNote = updatedNote.toObject();
     responseNote.isOwnedByCurrentUser = updatedNote.createdBy._id.equals(req.user._id);
-    responseNote.userPermission = responseNote.isOwnedByCurrentUser ? 'write' : 
-      (collaborator ? collaborator.permission : 'read');
+    responseNote.userPermission = permission;
 
     // Notify collaborators
     notifyCollaborators(updatedNote._id, `Note "${updatedNote.title}" was updated by ${req.user.name}`, req.user._id);
 
+    res.set('ETag', noteETag(updatedNote.revision));
     res.json(responseNote);
   } catch (error) {
     console.error('Update note error:', error);
@@ -232,13 +471,34 @@ export const updateNote = async (req, res) => {
   }
 };
 
-// @desc    Delete note
+// @desc    Get notes in the user's trash
+// @route   GET /api/notes/trash
+// @access  Private
+export const getTrash = async (req, res) => {
+  try {
+    const notes = await Note.find({ createdBy: req.user._id, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 })
+      .populate('collaborators.userId', 'name email');
+
+    // When each note will be purged for good
+    const retentionMs = trashRetentionDays() * 24 * 60 * 60 * 1000;
+    res.json(notes.map(note => ({
+      ...note.toObject(),
+      purgeAt: new Date(note.deletedAt.getTime() + retentionMs)
+    })));
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ message: 'Error fetching trash', error: error.message });
+  }
+};
+
+// @desc    Move note to the trash
 // @route   DELETE /api/notes/:id
 // @access  Private
 export const deleteNote = async (req, res) => {
   try {
     const note = await Note.findById(req.params.id);
-    if (!note) {
+    if (!note || note.deletedAt) {
       return res.status(404).json({ message: 'Note not found' });
     }
 
@@ -247,21 +507,133 @@ export const deleteNote = async (req, res) => {
       return res.status(403).json({ message: 'Only the creator can delete the note' });
     }
 
-    await note.deleteOne();
-    res.json({ message: 'Note deleted successfully' });
+    // updateOne rather than save() so lastUpdated is left alone
+    await Note.updateOne(
+      { _id: note._id },
+      { $set: { deletedAt: new Date(), deletedBy: req.user._id } }
+    );
+    forgetDocument(note._id);
+    closeNoteRoom(note._id, 'trashed');
+
+    if (note.collaborators.length > 0) {
+      notifyCollaborators(note._id, `Note "${note.title}" was moved to the trash by ${req.user.name}`, req.user._id, 'trash');
+    }
+
+    res.json({ message: 'Note moved to trash' });
   } catch (error) {
     console.error('Delete note error:', error);
     res.status(500).json({ message: 'Error deleting note', error: error.message });
   }
 };
 
+// @desc    Restore note from the trash
+// @route   POST /api/notes/:id/restore
+// @access  Private
+export const restoreNote = async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note || !note.deletedAt) {
+      return res.status(404).json({ message: 'Note not found in trash' });
+    }
+
+    if (!note.createdBy.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the creator can restore the note' });
+    }
+
+    await Note.updateOne({ _id: note._id }, { $set: { deletedAt: null }, $unset: { deletedBy: 1 } });
+
+    const restoredNote = await Note.findById(note._id)
+      .populate('createdBy', 'name email')
+      .populate('collaborators.userId', 'name email');
+
+    res.json(restoredNote);
+  } catch (error) {
+    console.error('Restore note error:', error);
+    res.status(500).json({ message: 'Error restoring note', error: error.message });
+  }
+};
+
+// @desc    Delete note permanently, along with its history and attachments
+// @route   DELETE /api/notes/:id/permanent
+// @access  Private
+export const deleteNotePermanently = async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    if (!note.createdBy.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the creator can delete the note' });
+    }
+
+    await purgeNotes([note._id]);
+    res.json({ message: 'Note deleted permanently' });
+  } catch (error) {
+    console.error('Permanent delete error:', error);
+    res.status(500).json({ message: 'Error deleting note', error: error.message });
+  }
+};
+
+// @desc    Move note into a notebook, or out of all notebooks with notebook: null
+// @route   POST /api/notes/:id/move
+// @access  Private
+export const moveNote = async (req, res) => {
+  try {
+    const { notebook } = req.body;
+    if (notebook === undefined) {
+      return res.status(400).json({ message: 'Target notebook is required' });
+    }
+
+    const note = await Note.findById(req.params.id);
+    if (!note || note.deletedAt) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    // Moving changes who inherits access, so it is limited to the creator
+    if (!note.createdBy.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the creator can move the note' });
+    }
+
+    if (notebook) {
+      if (!mongoose.isValidObjectId(notebook)) {
+        return res.status(400).json({ message: 'Invalid notebook id' });
+      }
+
+      const target = await Notebook.findById(notebook);
+      if (!target) {
+        return res.status(404).json({ message: 'Notebook not found' });
+      }
+
+      const permission = await resolveNotebookPermission(target, req.user._id);
+      if (!hasPermission(permission, 'write')) {
+        return res.status(403).json({ message: 'Write access to the notebook denied' });
+      }
+    }
+
+    // Leaving a notebook can cut off people who could only reach it there
+    const previousMembers = await noteMemberIds(note);
+
+    note.notebook = notebook || null;
+    await note.save();
+    await refreshNoteAccess({ _id: note._id }, previousMembers);
+    await note.populate('createdBy', 'name email');
+    await note.populate('collaborators.userId', 'name email');
+
+    res.json(note);
+  } catch (error) {
+    console.error('Move note error:', error);
+    res.status(500).json({ message: 'Error moving note', error: error.message });
+  }
+};
+
 // @desc    Share note with other users
 // @route   POST /api/notes/:id/share
 // @access  Private
 export const shareNote = async (req, res) => {
   try {
     const { email, permission } = req.body;
-    if (!['read', 'write'].includes(permission)) {
+    if (!['read', 'comment', 'write'].includes(permission)) {
       return res.status(400).json({ message: 'Invalid permission type' });
     }
 
@@ -269,7 +641,7 @@ export const shareNote = async (req, res) => {
       .populate('createdBy', 'name email')
       .populate('collaborators.userId', 'name email');
 
-    if (!note) {
+    if (!note || note.deletedAt) {
       return res.status(404).json({ message: 'Note not found' });
     }
 
@@ -280,8 +652,35 @@ export const shareNote = async (req, res) => {
 
     // Find user to share with
     const collaborator = await User.findOne({ email });
+
+    // No account yet, invite them instead. The invitation becomes a
+    // collaborator entry when they register with this email.
     if (!collaborator) {
-      return res.status(404).json({ message: 'User not found' });
+      const inviteEmail = String(email || '').trim().toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(inviteEmail)) {
+        return res.status(400).json({ message: 'Invalid email address' });
+      }
+
+      const invitation = await Invitation.findOneAndUpdate(
+        { noteId: note._id, email: inviteEmail },
+        { $set: { permission, invitedBy: req.user._id } },
+        { upsert: true, new: true }
+      );
+
+      await sendMail({
+        to: inviteEmail,
+        ...invitationEmail({
+          inviterName: req.user.name,
+          noteTitle: note.title,
+          permission,
+          email: inviteEmail
+        })
+      });
+
+      return res.status(201).json({
+        message: `Invitation sent to ${inviteEmail}`,
+        invitation
+      });
     }
 
     // Debug logging for share operation
@@ -315,6 +714,7 @@ export const shareNote = async (req, res) => {
     // Re-populate after save
     await note.populate('createdBy', 'name email');
     await note.populate('collaborators.userId', 'name email');
+    await note.populate('pendingTransfer.to', 'name email');
 
     // Notify the new collaborator
     notifyCollaborators(
@@ -0,0 +1,144 @@
+import Note from '../models/Note.js';
+import NoteLink from '../models/NoteLink.js';
+import { accessibleNotesFilter, canReadNote } from '../utils/noteAccess.js';
+import { escapeRegExp } from '../utils/search.js';
+import { findWikiLinks, normalizeLinkTitle } from '../utils/wikiLinks.js';
+
+const MAX_SUGGESTIONS = 10;
+// Characters of context shown on each side of a backlink
+const CONTEXT_LEAD = 60;
+
+// Look up a readable note, sending the error response if it isn't one
+const findNote = async (req, res) => {
+  const note = await Note.findById(req.params.id);
+  if (!note || note.deletedAt) {
+    res.status(404).json({ message: 'Note not found' });
+    return null;
+  }
+
+  if (!await canReadNote(note, req.user._id)) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+
+  return note;
+};
+
+// Of the given ids, the notes the user can read that aren't in the trash
+const readableNotes = async (ids, userId, fields) => {
+  return Note.find({
+    $and: [
+      { _id: { $in: ids } },
+      { deletedAt: null },
+      await accessibleNotesFilter(userId)
+    ]
+  }).select(fields);
+};
+
+// The text around the first link to `text` in content, on one line, with
+// the link highlighted: { text, highlights: [[start, end]] }
+const linkContext = (content, text) => {
+  const link = findWikiLinks(content).find(l => normalizeLinkTitle(l.title) === text);
+  if (!link) return null;
+
+  const lineStart = content.lastIndexOf('\n', link.start - 1) + 1;
+  const lineEnd = content.indexOf('\n', link.end) === -1 ? content.length : content.indexOf('\n', link.end);
+  const start = Math.max(lineStart, link.start - CONTEXT_LEAD);
+  const end = Math.min(lineEnd, link.end + CONTEXT_LEAD);
+  const prefix = start > lineStart ? '…' : '';
+  const suffix = end < lineEnd ? '…' : '';
+
+  return {
+    text: `${prefix}${content.slice(start, end)}${suffix}`,
+    highlights: [[link.start - start + prefix.length, link.end - start + prefix.length]]
+  };
+};
+
+// @desc    Titles of notes the user can access, for [[link]] autocomplete.
+//          Matches anywhere in the title, most recently updated first.
+// @route   GET /api/notes/titles?q=
+// @access  Private
+export const getNoteTitles = async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+
+    const notes = await Note.find({
+      $and: [
+        await accessibleNotesFilter(req.user._id),
+        { deletedAt: null },
+        q ? { title: new RegExp(escapeRegExp(q), 'i') } : {}
+      ]
+    })
+      .sort({ lastUpdated: -1 })
+      .limit(MAX_SUGGESTIONS)
+      .select('title lastUpdated');
+
+    res.json(notes);
+  } catch (error) {
+    console.error('Get note titles error:', error);
+    res.status(500).json({ message: 'Error fetching note titles', error: error.message });
+  }
+};
+
+// @desc    Where the note's [[links]] lead, as [{ text, note }] with `text`
+//          the normalized title and `note` null when it doesn't lead to a
+//          note the user can read
+// @route   GET /api/notes/:id/wiki-links
+// @access  Private
+export const getWikiLinks = async (req, res) => {
+  try {
+    const note = await findNote(req, res);
+    if (!note) return;
+
+    const links = await NoteLink.find({ source: note._id });
+    const targets = await readableNotes(
+      links.filter(link => link.target).map(link => link.target),
+      req.user._id,
+      'title'
+    );
+
+    // Titles nobody had when the link was written may exist by now
+    const dangling = links.filter(link => !targets.some(t => t._id.equals(link.target)));
+    const resolved = await NoteLink.resolveTitles(dangling.map(link => link.text), req.user._id);
+
+    res.json(links.map(link => ({
+      text: link.text,
+      note: targets.find(t => t._id.equals(link.target)) || resolved.get(link.text) || null
+    })));
+  } catch (error) {
+    console.error('Get wiki links error:', error);
+    res.status(500).json({ message: 'Error fetching links', error: error.message });
+  }
+};
+
+// @desc    Notes that link to this one, most recently updated first, with
+//          the text around the link
+// @route   GET /api/notes/:id/backlinks
+// @access  Private
+export const getBacklinks = async (req, res) => {
+  try {
+    const note = await findNote(req, res);
+    if (!note) return;
+
+    const links = await NoteLink.find({ target: note._id, source: { $ne: note._id } });
+    const sources = await readableNotes(
+      links.map(link => link.source),
+      req.user._id,
+      'title content lastUpdated'
+    );
+
+    const backlinks = sources
+      .sort((a, b) => b.lastUpdated - a.lastUpdated)
+      .map(source => ({
+        _id: source._id,
+        title: source.title,
+        lastUpdated: source.lastUpdated,
+        context: linkContext(source.content, links.find(link => link.source.equals(source._id)).text)
+      }));
+
+    res.json(backlinks);
+  } catch (error) {
+    console.error('Get backlinks error:', error);
+    res.status(500).json({ message: 'Error fetching backlinks', error: error.message });
+  }
+};
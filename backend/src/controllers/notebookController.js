@@ -0,0 +1,321 @@
+import mongoose from 'mongoose';
+import Notebook from '../models/Notebook.js';
+import Note from '../models/Note.js';
+import User from '../models/User.js';
+import {
+  isNoteCreator,
+  findCollaborator,
+  hasPermission,
+  maxPermission,
+  directPermission,
+  accessibleNotebookIds,
+  resolveNotebookPermission,
+  memberIdsOf
+} from '../utils/noteAccess.js';
+import { refreshNoteAccess } from '../socket/handler.js';
+
+// Query filter for the notes in a notebook and every notebook inside it
+const notesWithin = async (notebook) => {
+  const descendants = await Notebook.find({ ancestors: notebook._id }).select('_id');
+  return { notebook: { $in: [notebook._id, ...descendants.map(nb => nb._id)] } };
+};
+
+// Permission on each notebook in a list, worked out in memory. Every ancestor
+// that grants the user anything is itself accessible, so it's in the list.
+const withPermissions = (notebooks, userId) => {
+  const byId = new Map(notebooks.map(nb => [String(nb._id), nb]));
+
+  return notebooks.map((nb) => {
+    const permission = [nb, ...nb.ancestors.map(id => byId.get(String(id))).filter(Boolean)]
+      .reduce((best, chained) => maxPermission(best, directPermission(chained, userId)), null);
+
+    return {
+      ...nb.toObject(),
+      isOwnedByCurrentUser: isNoteCreator(nb, userId),
+      userPermission: permission
+    };
+  });
+};
+
+// @desc    Get all notebooks the user can see, as a flat list with parents
+// @route   GET /api/notebooks
+// @access  Private
+export const getNotebooks = async (req, res) => {
+  try {
+    const ids = await accessibleNotebookIds(req.user._id);
+
+    const notebooks = await Notebook.find({ _id: { $in: ids } })
+      .sort({ name: 1 })
+      .populate('createdBy', 'name email')
+      .populate('collaborators.userId', 'name email');
+
+    res.json(withPermissions(notebooks, req.user._id));
+  } catch (error) {
+    console.error('Get notebooks error:', error);
+    res.status(500).json({ message: 'Error fetching notebooks', error: error.message });
+  }
+};
+
+// @desc    Create notebook, optionally inside another one
+// @route   POST /api/notebooks
+// @access  Private
+export const createNotebook = async (req, res) => {
+  try {
+    const { name, parent } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Notebook name is required' });
+    }
+
+    let ancestors = [];
+    if (parent) {
+      if (!mongoose.isValidObjectId(parent)) {
+        return res.status(400).json({ message: 'Invalid notebook id' });
+      }
+
+      const parentNotebook = await Notebook.findById(parent);
+      if (!parentNotebook) {
+        return res.status(404).json({ message: 'Parent notebook not found' });
+      }
+
+      const permission = await resolveNotebookPermission(parentNotebook, req.user._id);
+      if (!hasPermission(permission, 'write')) {
+        return res.status(403).json({ message: 'Write access to the parent notebook denied' });
+      }
+
+      ancestors = [...parentNotebook.ancestors, parentNotebook._id];
+    }
+
+    const notebook = new Notebook({
+      name,
+      parent: parent || null,
+      ancestors,
+      createdBy: req.user._id
+    });
+
+    await notebook.save();
+    await notebook.populate('createdBy', 'name email');
+
+    res.status(201).json(notebook);
+  } catch (error) {
+    console.error('Create notebook error:', error);
+    res.status(500).json({ message: 'Error creating notebook', error: error.message });
+  }
+};
+
+// @desc    Rename notebook
+// @route   PATCH /api/notebooks/:id
+// @access  Private
+export const updateNotebook = async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Notebook name is required' });
+    }
+
+    const notebook = await Notebook.findById(req.params.id);
+    if (!notebook) {
+      return res.status(404).json({ message: 'Notebook not found' });
+    }
+
+    const permission = await resolveNotebookPermission(notebook, req.user._id);
+    if (!hasPermission(permission, 'write')) {
+      return res.status(403).json({ message: 'Write access denied' });
+    }
+
+    notebook.name = name;
+    await notebook.save();
+    await notebook.populate('createdBy', 'name email');
+    await notebook.populate('collaborators.userId', 'name email');
+
+    res.json(notebook);
+  } catch (error) {
+    console.error('Update notebook error:', error);
+    res.status(500).json({ message: 'Error updating notebook', error: error.message });
+  }
+};
+
+// @desc    Delete notebook. Its notes, templates and sub-notebooks move up to
+//          its parent.
+// @route   DELETE /api/notebooks/:id
+// @access  Private
+export const deleteNotebook = async (req, res) => {
+  try {
+    const notebook = await Notebook.findById(req.params.id);
+    if (!notebook) {
+      return res.status(404).json({ message: 'Notebook not found' });
+    }
+
+    // Only creator can delete
+    if (!notebook.createdBy.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the creator can delete the notebook' });
+    }
+
+    // Its notes move up, out of reach of anyone who only had this notebook
+    const notes = await Note.find(await notesWithin(notebook)).select('_id');
+    const members = memberIdsOf([notebook]);
+
+    await Notebook.dissolve(notebook);
+    await refreshNoteAccess({ _id: { $in: notes.map(note => note._id) } }, members);
+
+    res.json({ message: 'Notebook deleted successfully' });
+  } catch (error) {
+    console.error('Delete notebook error:', error);
+    res.status(500).json({ message: 'Error deleting notebook', error: error.message });
+  }
+};
+
+// @desc    Move notebook into another one, or to the top level with parent: null
+// @route   POST /api/notebooks/:id/move
+// @access  Private
+export const moveNotebook = async (req, res) => {
+  try {
+    const { parent } = req.body;
+    if (parent === undefined) {
+      return res.status(400).json({ message: 'Target notebook is required' });
+    }
+
+    const notebook = await Notebook.findById(req.params.id);
+    if (!notebook) {
+      return res.status(404).json({ message: 'Notebook not found' });
+    }
+
+    // Moving changes who inherits access, so it is limited to the creator
+    if (!notebook.createdBy.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the creator can move the notebook' });
+    }
+
+    let ancestors = [];
+    if (parent) {
+      if (!mongoose.isValidObjectId(parent)) {
+        return res.status(400).json({ message: 'Invalid notebook id' });
+      }
+
+      const target = await Notebook.findById(parent);
+      if (!target) {
+        return res.status(404).json({ message: 'Target notebook not found' });
+      }
+
+      if (target._id.equals(notebook._id) || target.ancestors.some(id => id.equals(notebook._id))) {
+        return res.status(400).json({ message: 'A notebook cannot be moved into itself' });
+      }
+
+      const permission = await resolveNotebookPermission(target, req.user._id);
+      if (!hasPermission(permission, 'write')) {
+        return res.status(403).json({ message: 'Write access to the target notebook denied' });
+      }
+
+      ancestors = [...target.ancestors, target._id];
+    }
+
+    // Whoever reached the notes through the old parents may lose them
+    const previousMembers = memberIdsOf(await Notebook.find({ _id: { $in: notebook.ancestors } }));
+
+    // Re-root the ancestor paths of everything underneath
+    const descendants = await Notebook.find({ ancestors: notebook._id });
+    if (descendants.length > 0) {
+      await Notebook.bulkWrite(descendants.map((descendant) => {
+        const below = descendant.ancestors.slice(
+          descendant.ancestors.findIndex(id => id.equals(notebook._id))
+        );
+        return {
+          updateOne: {
+            filter: { _id: descendant._id },
+            update: { $set: { ancestors: [...ancestors, ...below] } }
+          }
+        };
+      }));
+    }
+
+    notebook.parent = parent || null;
+    notebook.ancestors = ancestors;
+    await notebook.save();
+    await refreshNoteAccess(await notesWithin(notebook), previousMembers);
+    await notebook.populate('createdBy', 'name email');
+    await notebook.populate('collaborators.userId', 'name email');
+
+    res.json(notebook);
+  } catch (error) {
+    console.error('Move notebook error:', error);
+    res.status(500).json({ message: 'Error moving notebook', error: error.message });
+  }
+};
+
+// @desc    Share notebook, and every note inside it, with another user
+// @route   POST /api/notebooks/:id/share
+// @access  Private
+export const shareNotebook = async (req, res) => {
+  try {
+    const { email, permission } = req.body;
+    if (!['read', 'comment', 'write'].includes(permission)) {
+      return res.status(400).json({ message: 'Invalid permission type' });
+    }
+
+    const notebook = await Notebook.findById(req.params.id);
+    if (!notebook) {
+      return res.status(404).json({ message: 'Notebook not found' });
+    }
+
+    // Only creator can share
+    if (!notebook.createdBy.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the creator can share the notebook' });
+    }
+
+    const collaborator = await User.findOne({ email });
+    if (!collaborator) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const existingCollaborator = findCollaborator(notebook, collaborator._id);
+    if (existingCollaborator) {
+      existingCollaborator.permission = permission;
+    } else {
+      notebook.collaborators.push({
+        userId: collaborator._id,
+        permission
+      });
+    }
+
+    await notebook.save();
+    if (existingCollaborator) {
+      await refreshNoteAccess(await notesWithin(notebook), [String(collaborator._id)]);
+    }
+    await notebook.populate('createdBy', 'name email');
+    await notebook.populate('collaborators.userId', 'name email');
+
+    res.json(notebook);
+  } catch (error) {
+    console.error('Share notebook error:', error);
+    res.status(500).json({ message: 'Error sharing notebook', error: error.message });
+  }
+};
+
+// @desc    Stop sharing notebook with a user
+// @route   DELETE /api/notebooks/:id/collaborators/:userId
+// @access  Private
+export const removeNotebookCollaborator = async (req, res) => {
+  try {
+    const notebook = await Notebook.findById(req.params.id);
+    if (!notebook) {
+      return res.status(404).json({ message: 'Notebook not found' });
+    }
+
+    if (!notebook.createdBy.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the creator can change sharing' });
+    }
+
+    notebook.collaborators = notebook.collaborators.filter(
+      c => String(c.userId) !== req.params.userId
+    );
+
+    await notebook.save();
+    // They may still reach some of the notes another way
+    await refreshNoteAccess(await notesWithin(notebook), [req.params.userId]);
+    await notebook.populate('createdBy', 'name email');
+    await notebook.populate('collaborators.userId', 'name email');
+
+    res.json(notebook);
+  } catch (error) {
+    console.error('Remove notebook collaborator error:', error);
+    res.status(500).json({ message: 'Error updating notebook sharing', error: error.message });
+  }
+};
@@ -0,0 +1,124 @@
+import Note from '../models/Note.js';
+import NoteRevision from '../models/NoteRevision.js';
+import { canReadNote, canWriteNote } from '../utils/noteAccess.js';
+import { replaceNoteContent } from '../socket/handler.js';
+import { flushRevisions } from '../socket/documents.js';
+
+// @desc    List revisions of a note (newest first, without content)
+// @route   GET /api/notes/:id/revisions
+// @access  Private
+export const getRevisions = async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note || note.deletedAt) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    if (!(await canReadNote(note, req.user._id))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Include the latest edits, whose snapshot may still be waiting
+    await flushRevisions(note._id);
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const query = { noteId: note._id };
+
+    const totalRevisions = await NoteRevision.countDocuments(query);
+    const totalPages = Math.ceil(totalRevisions / limit);
+
+    const revisions = await NoteRevision.find(query)
+      .select('-content')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('editedBy', 'name email');
+
+    res.json({
+      revisions,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalRevisions,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({ message: 'Error fetching revisions', error: error.message });
+  }
+};
+
+// @desc    Get a single revision with its content
+// @route   GET /api/notes/:id/revisions/:revId
+// @access  Private
+export const getRevision = async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note || note.deletedAt) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    if (!(await canReadNote(note, req.user._id))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const revision = await NoteRevision.findOne({ _id: req.params.revId, noteId: note._id })
+      .populate('editedBy', 'name email');
+
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json(revision);
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({ message: 'Error fetching revision', error: error.message });
+  }
+};
+
+// @desc    Restore a note to an earlier revision
+// @route   POST /api/notes/:id/revisions/:revId/restore
+// @access  Private
+export const restoreRevision = async (req, res) => {
+  try {
+    const note = await Note.findById(req.params.id);
+    if (!note || note.deletedAt) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    if (!(await canWriteNote(note, req.user._id))) {
+      return res.status(403).json({ message: 'Write access denied' });
+    }
+
+    const revision = await NoteRevision.findOne({ _id: req.params.revId, noteId: note._id });
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    // Goes through the live editing pipeline so open editors pick it up
+    const result = await replaceNoteContent(note._id, revision.content, {
+      userId: req.user._id,
+      fields: { title: revision.title },
+      restoredFrom: revision._id
+    });
+
+    if (result.notFound) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+    if (result.conflict || result.resync) {
+      return res.status(409).json({ message: 'Note was changed by someone else, try again' });
+    }
+
+    const restoredNote = await Note.findById(note._id)
+      .populate('createdBy', 'name email')
+      .populate('collaborators.userId', 'name email');
+
+    res.json(restoredNote);
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({ message: 'Error restoring revision', error: error.message });
+  }
+};
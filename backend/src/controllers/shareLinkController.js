@@ -0,0 +1,243 @@
+import Note from '../models/Note.js';
+import ShareLink from '../models/ShareLink.js';
+import Comment from '../models/Comment.js';
+import { broadcastToNote } from '../socket/handler.js';
+import { commentsChanged } from '../socket/documents.js';
+
+const MAX_PUBLIC_COMMENT_LENGTH = 5000;
+const MAX_GUEST_NAME_LENGTH = 100;
+
+// Look up a note the current user owns, sending the error response if they don't
+const findOwnedNote = async (req, res) => {
+  const note = await Note.findById(req.params.id);
+  if (!note || note.deletedAt) {
+    res.status(404).json({ message: 'Note not found' });
+    return null;
+  }
+
+  if (!note.createdBy.equals(req.user._id)) {
+    res.status(403).json({ message: 'Only the creator can manage share links' });
+    return null;
+  }
+
+  return note;
+};
+
+// @desc    Get a note's share links
+// @route   GET /api/notes/:id/links
+// @access  Private
+export const getShareLinks = async (req, res) => {
+  try {
+    const note = await findOwnedNote(req, res);
+    if (!note) return;
+
+    const links = await ShareLink.find({ noteId: note._id }).sort({ createdAt: -1 });
+    res.json(links);
+  } catch (error) {
+    console.error('Get share links error:', error);
+    res.status(500).json({ message: 'Error fetching share links', error: error.message });
+  }
+};
+
+// @desc    Create a public share link for a note
+// @route   POST /api/notes/:id/links
+// @access  Private
+export const createShareLink = async (req, res) => {
+  try {
+    const { permission = 'view', expiresAt, password } = req.body;
+
+    if (!['view', 'comment'].includes(permission)) {
+      return res.status(400).json({ message: 'Invalid permission type' });
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({ message: 'Expiry date must be in the future' });
+      }
+    }
+
+    const note = await findOwnedNote(req, res);
+    if (!note) return;
+
+    const link = new ShareLink({
+      noteId: note._id,
+      createdBy: req.user._id,
+      permission,
+      expiresAt: expiry,
+      password: password || null
+    });
+    await link.save();
+
+    res.status(201).json(link);
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({ message: 'Error creating share link', error: error.message });
+  }
+};
+
+// @desc    Revoke a share link
+// @route   DELETE /api/notes/:id/links/:linkId
+// @access  Private
+export const revokeShareLink = async (req, res) => {
+  try {
+    const note = await findOwnedNote(req, res);
+    if (!note) return;
+
+    const result = await ShareLink.deleteOne({ _id: req.params.linkId, noteId: note._id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Share link not found' });
+    }
+
+    res.json({ message: 'Share link revoked' });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({ message: 'Error revoking share link', error: error.message });
+  }
+};
+
+// Look up the link in the URL and check it is still open and unlocked,
+// sending the error response if not
+const findOpenLink = async (req, res) => {
+  const link = await ShareLink.findOne({ token: req.params.token });
+  if (!link) {
+    res.status(404).json({ message: 'Share link not found' });
+    return null;
+  }
+
+  if (link.isExpired()) {
+    res.status(410).json({ message: 'This share link has expired' });
+    return null;
+  }
+
+  if (!(await link.comparePassword(req.get('X-Share-Password')))) {
+    res.status(403).json({
+      message: req.get('X-Share-Password') ? 'Incorrect password' : 'Password required',
+      passwordRequired: true
+    });
+    return null;
+  }
+
+  return link;
+};
+
+// A comment as a share link visitor sees it, without user ids or emails
+const publicComment = (comment) => ({
+  _id: comment._id,
+  author: comment.author?.name || comment.guestName,
+  guest: !comment.author,
+  body: comment.body,
+  createdAt: comment.createdAt
+});
+
+// @desc    Read a note through a share link. Password goes in X-Share-Password.
+//          Comment links also get the open comment threads.
+// @route   GET /api/public/notes/:token
+// @access  Public
+export const getPublicNote = async (req, res) => {
+  try {
+    const link = await findOpenLink(req, res);
+    if (!link) return;
+
+    const note = await Note.findById(link.noteId)
+      .populate('createdBy', 'name');
+
+    if (!note || note.deletedAt) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    link.lastAccessedAt = new Date();
+    await link.save();
+
+    let comments;
+    if (link.permission === 'comment') {
+      const all = await Comment.find({ noteId: note._id })
+        .sort({ createdAt: 1 })
+        .populate('author', 'name')
+        .lean();
+      comments = all
+        .filter(c => !c.parent && !c.resolved)
+        .map(thread => ({
+          ...publicComment(thread),
+          quote: thread.anchor?.quote || '',
+          replies: all.filter(c => c.parent && c.parent.equals(thread._id)).map(publicComment)
+        }));
+    }
+
+    // Only what a reader needs, never collaborators or ids of other users
+    res.json({
+      title: note.title,
+      content: note.content,
+      tags: note.tags,
+      lastUpdated: note.lastUpdated,
+      author: note.createdBy?.name,
+      permission: link.permission,
+      comments
+    });
+  } catch (error) {
+    console.error('Get public note error:', error);
+    res.status(500).json({ message: 'Error fetching note', error: error.message });
+  }
+};
+
+// @desc    Start a comment thread through a comment link. `quote` is optional
+//          text from the note to attach it to; without it the comment is on
+//          the whole note.
+// @route   POST /api/public/notes/:token/comments
+// @access  Public
+export const createPublicComment = async (req, res) => {
+  try {
+    const { name, body, quote } = req.body;
+    if (typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({ message: 'Comment cannot be empty' });
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'Please enter your name' });
+    }
+    if (body.length > MAX_PUBLIC_COMMENT_LENGTH || name.length > MAX_GUEST_NAME_LENGTH) {
+      return res.status(400).json({ message: 'Comment is too long' });
+    }
+
+    const link = await findOpenLink(req, res);
+    if (!link) return;
+
+    if (link.permission !== 'comment') {
+      return res.status(403).json({ message: 'This link does not allow comments' });
+    }
+
+    const note = await Note.findById(link.noteId);
+    if (!note || note.deletedAt) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    let anchor = { start: 0, end: 0, quote: '' };
+    const text = typeof quote === 'string' ? quote.trim() : '';
+    if (text) {
+      const start = note.content.indexOf(text);
+      if (start === -1) {
+        // Formatting can keep text selected in the rendered note from matching
+        return res.status(409).json({ message: 'Could not find the selected text in the note. Try selecting less of it.' });
+      }
+      anchor = { start, end: start + text.length, quote: text };
+    }
+
+    const comment = new Comment({
+      noteId: note._id,
+      guestName: name.trim(),
+      shareLinkId: link._id,
+      body,
+      anchor
+    });
+    await comment.save();
+    commentsChanged(note._id);
+
+    // Editors with the note open see it straight away
+    broadcastToNote(note._id, 'comment-added', { comment: { ...comment.toJSON(), replies: [] } });
+
+    res.status(201).json({ ...publicComment(comment), quote: anchor.quote, replies: [] });
+  } catch (error) {
+    console.error('Create public comment error:', error);
+    res.status(500).json({ message: 'Error creating comment', error: error.message });
+  }
+};
@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+import Note from '../models/Note.js';
+import { canWriteNote, accessibleNotesFilter } from '../utils/noteAccess.js';
+import { normalizeTag, normalizeTags } from '../utils/tags.js';
+
+// @desc    Get all tags on the user's notes with a note count each
+// @route   GET /api/tags
+// @access  Private
+export const getTags = async (req, res) => {
+  try {
+    const showArchived = req.query.showArchived === 'true';
+    // Aggregations don't cast, so use a real ObjectId in the filter
+    const userId = new mongoose.Types.ObjectId(String(req.user._id));
+
+    const tags = await Note.aggregate([
+      { $match: { ...(await accessibleNotesFilter(userId)), isArchived: showArchived, deletedAt: null } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, name: '$_id', count: 1 } }
+    ]);
+
+    res.json(tags);
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ message: 'Error fetching tags', error: error.message });
+  }
+};
+
+// @desc    Add tags to a note
+// @route   POST /api/notes/:id/tags
+// @access  Private
+export const addNoteTags = async (req, res) => {
+  try {
+    const tags = normalizeTags(req.body.tags);
+    if (tags.length === 0) {
+      return res.status(400).json({ message: 'At least one valid tag is required' });
+    }
+
+    const note = await Note.findById(req.params.id);
+    if (!note || note.deletedAt) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    if (!(await canWriteNote(note, req.user._id))) {
+      return res.status(403).json({ message: 'Write access denied' });
+    }
+
+    const updatedNote = await Note.findByIdAndUpdate(
+      note._id,
+      { $addToSet: { tags: { $each: tags } } },
+      { new: true }
+    )
+      .populate('createdBy', 'name email')
+      .populate('collaborators.userId', 'name email');
+
+    res.json(updatedNote);
+  } catch (error) {
+    console.error('Add tags error:', error);
+    res.status(500).json({ message: 'Error adding tags', error: error.message });
+  }
+};
+
+// @desc    Remove a tag from a note
+// @route   DELETE /api/notes/:id/tags/:tag
+// @access  Private
+export const removeNoteTag = async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    if (!tag) {
+      return res.status(400).json({ message: 'Invalid tag' });
+    }
+
+    const note = await Note.findById(req.params.id);
+    if (!note || note.deletedAt) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+
+    if (!(await canWriteNote(note, req.user._id))) {
+      return res.status(403).json({ message: 'Write access denied' });
+    }
+
+    const updatedNote = await Note.findByIdAndUpdate(
+      note._id,
+      { $pull: { tags: tag } },
+      { new: true }
+    )
+      .populate('createdBy', 'name email')
+      .populate('collaborators.userId', 'name email');
+
+    res.json(updatedNote);
+  } catch (error) {
+    console.error('Remove tag error:', error);
+    res.status(500).json({ message: 'Error removing tag', error: error.message });
+  }
+};
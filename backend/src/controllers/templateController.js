@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+import Note from '../models/Note.js';
+import Template from '../models/Template.js';
+import {
+  canReadNote,
+  hasPermission,
+  resolveNotebookPermission
+} from '../utils/noteAccess.js';
+import { normalizeTags } from '../utils/tags.js';
+
+// Whether the user may add templates to, or remove them from, a notebook
+const canWriteNotebook = async (notebookId, userId) => {
+  return hasPermission(await resolveNotebookPermission(notebookId, userId), 'write');
+};
+
+// Personal templates can be deleted by their creator, shared ones by anyone
+// who can write to the notebook
+const canDeleteTemplate = async (template, userId) => {
+  if (!template.notebook) return template.createdBy.equals(userId);
+  return template.createdBy.equals(userId) || canWriteNotebook(template.notebook, userId);
+};
+
+// @desc    Get the templates the user can create notes from: their personal
+//          ones and those in notebooks they can open
+// @route   GET /api/templates
+// @access  Private
+export const getTemplates = async (req, res) => {
+  try {
+    const templates = await Template.find(await Template.usableFilter(req.user._id))
+      .sort({ name: 1 })
+      .populate('createdBy', 'name email')
+      .populate('notebook', 'name');
+
+    const response = await Promise.all(templates.map(async template => ({
+      ...template.toObject(),
+      canDelete: await canDeleteTemplate(template, req.user._id)
+    })));
+
+    res.json(response);
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({ message: 'Error fetching templates', error: error.message });
+  }
+};
+
+// @desc    Create a template, from the fields given or from an existing note
+//          (noteId). With a notebook it is shared with the notebook's members.
+// @route   POST /api/templates
+// @access  Private
+export const createTemplate = async (req, res) => {
+  try {
+    const { noteId, notebook } = req.body;
+    let { name, description, title, content, tags } = req.body;
+
+    const fields = { name, description, title, content };
+    const invalid = Object.keys(fields).find(
+      field => fields[field] !== undefined && fields[field] !== null && typeof fields[field] !== 'string'
+    );
+    if (invalid) {
+      return res.status(400).json({ message: `Template ${invalid} must be text` });
+    }
+    if ((noteId && !mongoose.isValidObjectId(noteId)) || (notebook && !mongoose.isValidObjectId(notebook))) {
+      return res.status(400).json({ message: 'Invalid note or notebook id' });
+    }
+
+    if (noteId) {
+      const note = await Note.findById(noteId);
+      if (!note || note.deletedAt) {
+        return res.status(404).json({ message: 'Note not found' });
+      }
+      if (!await canReadNote(note, req.user._id)) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      name = name ?? note.title;
+      title = title ?? note.title;
+      content = content ?? note.content;
+      tags = tags ?? note.tags;
+    }
+
+    if (!name?.trim()) {
+      return res.status(400).json({ message: 'Template name is required' });
+    }
+    if (!content) {
+      return res.status(400).json({ message: 'Template content is required' });
+    }
+
+    if (notebook && !await canWriteNotebook(notebook, req.user._id)) {
+      return res.status(403).json({ message: 'Write access to the notebook denied' });
+    }
+
+    const template = new Template({
+      name,
+      description,
+      title,
+      content,
+      tags: normalizeTags(tags),
+      createdBy: req.user._id,
+      notebook: notebook || null
+    });
+    await template.save();
+    await template.populate([
+      { path: 'createdBy', select: 'name email' },
+      { path: 'notebook', select: 'name' }
+    ]);
+
+    res.status(201).json({ ...template.toObject(), canDelete: true });
+  } catch (error) {
+    console.error('Create template error:', error);
+    res.status(500).json({ message: 'Error creating template', error: error.message });
+  }
+};
+
+// @desc    Delete a template. Notes created from it are not affected.
+// @route   DELETE /api/templates/:id
+// @access  Private
+export const deleteTemplate = async (req, res) => {
+  try {
+    const template = await Template.findUsable(req.params.id, req.user._id);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    if (!await canDeleteTemplate(template, req.user._id)) {
+      return res.status(403).json({ message: 'You cannot delete this template' });
+    }
+
+    await template.deleteOne();
+    res.json({ message: 'Template deleted' });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({ message: 'Error deleting template', error: error.message });
+  }
+};
@@ -0,0 +1,131 @@
+import {
+  generateSecret,
+  enrollmentDetails,
+  verifyTotp,
+  generateRecoveryCodes,
+  checkSecondFactor
+} from '../utils/twoFactor.js';
+
+// @desc    Start turning on 2FA: a new secret, as an otpauth URI and QR code
+//          for the authenticator app. Nothing changes until it is confirmed.
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = req.user;
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already on' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json(await enrollmentDetails(user.email, secret));
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Error setting up two-factor authentication', error: error.message });
+  }
+};
+
+// @desc    Turn on 2FA with a code from the app just set up. Answers with
+//          the recovery codes, which are only ever shown this once.
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const user = req.user;
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already on' });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Set up two-factor authentication first' });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: null,
+      recoveryCodes: hashes,
+      lastUsedStep: step,
+      enabledAt: new Date()
+    };
+    await user.save();
+
+    console.log('Two-factor authentication enabled for user:', user._id);
+    res.json({ message: 'Two-factor authentication is on', recoveryCodes: codes });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Error enabling two-factor authentication', error: error.message });
+  }
+};
+
+// @desc    Turn off 2FA. Takes the password and a current code (or a
+//          recovery code), so a stolen session alone can't do it.
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const user = req.user;
+    const { password, code } = req.body;
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not on' });
+    }
+
+    if (!password || !await user.comparePassword(password)) {
+      return res.status(400).json({ message: 'Incorrect password' });
+    }
+    if (!checkSecondFactor(user, code)) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactor = {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      lastUsedStep: 0
+    };
+    await user.save();
+
+    console.log('Two-factor authentication disabled for user:', user._id);
+    res.json({ message: 'Two-factor authentication is off' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Error disabling two-factor authentication', error: error.message });
+  }
+};
+
+// @desc    Replace the recovery codes, e.g. after using some. Takes a code
+//          from the app. The old codes stop working.
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not on' });
+    }
+
+    const step = verifyTotp(user.twoFactor.secret, req.body.code, user.twoFactor.lastUsedStep);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ message: 'Error creating recovery codes', error: error.message });
+  }
+};
@@ -0,0 +1,217 @@
+import User from '../models/User.js';
+import Note from '../models/Note.js';
+import Notebook from '../models/Notebook.js';
+import Template from '../models/Template.js';
+import Notification from '../models/Notification.js';
+import Invitation from '../models/Invitation.js';
+import Session from '../models/Session.js';
+import AccessToken from '../models/AccessToken.js';
+import { notifyUser, endSessions } from '../socket/handler.js';
+import { sendVerificationEmail } from '../utils/userTokens.js';
+import { checkSecondFactor } from '../utils/twoFactor.js';
+import { purgeNotes } from '../utils/purgeNotes.js';
+
+const MIN_PASSWORD_LENGTH = 6;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// @desc    Get the signed-in user's profile
+// @route   GET /api/users/me
+// @access  Private
+export const getMe = async (req, res) => {
+  res.json(req.user.toProfile());
+};
+
+// @desc    Change name and/or email. A new email takes the current password,
+//          and has to be verified again.
+// @route   PATCH /api/users/me
+// @access  Private
+export const updateMe = async (req, res) => {
+  try {
+    const user = req.user;
+    const { name, email, currentPassword } = req.body;
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ message: 'Name cannot be empty' });
+      }
+      user.name = name.trim();
+    }
+
+    const newEmail = typeof email === 'string' ? email.trim().toLowerCase() : undefined;
+    const emailChanged = newEmail !== undefined && newEmail !== user.email;
+    if (emailChanged) {
+      if (!EMAIL_PATTERN.test(newEmail)) {
+        return res.status(400).json({ message: 'Invalid email address' });
+      }
+      if (!currentPassword || !await user.comparePassword(currentPassword)) {
+        return res.status(400).json({ message: 'Incorrect password' });
+      }
+      if (await User.exists({ email: newEmail, _id: { $ne: user._id } })) {
+        return res.status(400).json({ message: 'Email already registered' });
+      }
+
+      user.email = newEmail;
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
+    }
+
+    await user.save();
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error('Error sending verification email:', error);
+      }
+    }
+
+    res.json(user.toProfile());
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({ message: 'Error updating profile', error: error.message });
+  }
+};
+
+// @desc    Change password, given the current one. Other sessions are
+//          logged out; this one stays.
+// @route   POST /api/users/me/password
+// @access  Private
+export const changePassword = async (req, res) => {
+  try {
+    const user = req.user;
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !await user.comparePassword(currentPassword)) {
+      return res.status(400).json({ message: 'Incorrect password' });
+    }
+    if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    const sessionIds = await Session.revokeForUser(user._id, req.session._id);
+    endSessions(sessionIds);
+
+    res.json({ message: 'Password changed', sessionsEnded: sessionIds.length });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Error changing password', error: error.message });
+  }
+};
+
+// Give everything the user owns to another user: notes (trashed ones are
+// deleted instead), notebooks and templates
+const transferOwnership = async (user, recipient) => {
+  const notes = await Note.find({ createdBy: user._id }).select('_id deletedAt');
+  const kept = notes.filter(note => !note.deletedAt).map(note => note._id);
+  await purgeNotes(notes.filter(note => note.deletedAt).map(note => note._id));
+
+  // The recipient's own collaborator entries would be redundant as owner
+  await Note.updateMany(
+    { _id: { $in: kept } },
+    {
+      $set: { createdBy: recipient._id },
+      $unset: { pendingTransfer: 1 },
+      $pull: { collaborators: { userId: recipient._id } }
+    }
+  );
+  await Notebook.updateMany(
+    { createdBy: user._id },
+    { $set: { createdBy: recipient._id }, $pull: { collaborators: { userId: recipient._id } } }
+  );
+  await Template.updateMany({ createdBy: user._id }, { $set: { createdBy: recipient._id } });
+
+  if (kept.length > 0) {
+    notifyUser(
+      recipient._id,
+      kept[0],
+      `${user.name} deleted their account and gave you their ${kept.length} note${kept.length > 1 ? 's' : ''}`,
+      'transfer'
+    );
+  }
+  return kept.length;
+};
+
+// Delete everything the user owns. Other people's notes and notebooks filed
+// in the user's notebooks move up to the top level.
+const deleteOwned = async (user) => {
+  const notes = await Note.find({ createdBy: user._id }).select('_id');
+  await purgeNotes(notes.map(note => note._id));
+
+  // Innermost first, so contents move up past every deleted level
+  const notebooks = await Notebook.find({ createdBy: user._id });
+  notebooks.sort((a, b) => b.ancestors.length - a.ancestors.length);
+  for (const notebook of notebooks) {
+    await Notebook.dissolve(await Notebook.findById(notebook._id));
+  }
+
+  await Template.deleteMany({ createdBy: user._id });
+  return notes.length;
+};
+
+// @desc    Delete the account. Takes the password (and a 2FA code when it is
+//          on). Owned notes are deleted, or given to the account with the
+//          email in `transferTo`. The user is removed from everything shared
+//          with them.
+// @route   DELETE /api/users/me
+// @access  Private
+export const deleteMe = async (req, res) => {
+  try {
+    const user = req.user;
+    const { password, code, transferTo } = req.body;
+
+    if (!password || !await user.comparePassword(password)) {
+      return res.status(400).json({ message: 'Incorrect password' });
+    }
+
+    // Everything that can fail comes before the second factor is spent
+    let recipient = null;
+    if (transferTo) {
+      recipient = await User.findOne({ email: String(transferTo).trim().toLowerCase() });
+      if (!recipient || recipient._id.equals(user._id)) {
+        return res.status(400).json({ message: 'No other account uses that email address' });
+      }
+    }
+
+    if (user.twoFactor.enabled) {
+      if (!checkSecondFactor(user, code)) {
+        return res.status(400).json({ message: 'Invalid authentication code' });
+      }
+      // Used up even if the deletion goes wrong part way
+      await user.save();
+    }
+
+    const notesHandled = recipient
+      ? await transferOwnership(user, recipient)
+      : await deleteOwned(user);
+
+    // Drop the user from everything shared with them
+    await Note.updateMany({ 'collaborators.userId': user._id }, { $pull: { collaborators: { userId: user._id } } });
+    await Notebook.updateMany({ 'collaborators.userId': user._id }, { $pull: { collaborators: { userId: user._id } } });
+    await Note.updateMany({ 'pendingTransfer.to': user._id }, { $unset: { pendingTransfer: 1 } });
+    await Invitation.deleteMany({ invitedBy: user._id });
+    await Notification.deleteMany({ userId: user._id });
+
+    const sessionIds = await Session.revokeForUser(user._id);
+    endSessions(sessionIds);
+    await Session.deleteMany({ userId: user._id });
+    await AccessToken.deleteMany({ userId: user._id });
+    await user.deleteOne();
+
+    console.log('Account deleted:', {
+      userId: user._id,
+      notes: notesHandled,
+      transferredTo: recipient?._id
+    });
+    res.json({
+      message: recipient
+        ? `Account deleted. ${notesHandled} notes were given to ${recipient.email}`
+        : 'Account deleted'
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ message: 'Error deleting account', error: error.message });
+  }
+};
@@ -0,0 +1,30 @@
+import cron from 'node-cron';
+import Note from '../models/Note.js';
+import { purgeNotes } from '../utils/purgeNotes.js';
+
+// How long notes stay in the trash before they are deleted for good. Read
+// lazily so it picks up .env, which is loaded after imports are evaluated.
+export const trashRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Permanently delete notes that have been in the trash longer than the retention period
+const purgeTrashedNotes = async () => {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - trashRetentionDays());
+
+    try {
+        const expired = await Note.find({ deletedAt: { $ne: null, $lt: cutoff } }).select('_id');
+        const ids = expired.map(note => note._id);
+
+        await purgeNotes(ids);
+
+        console.log(`Purged ${ids.length} notes from the trash`);
+    } catch (error) {
+        console.error('Error purging trash:', error);
+    }
+};
+
+// Run at 1am every day, after the archiver
+export const initializeTrashPurger = () => {
+    cron.schedule('0 1 * * *', purgeTrashedNotes);
+    console.log(`Trash purge CRON job initialized (retention: ${trashRetentionDays()} days)`);
+};
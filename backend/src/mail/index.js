@@ -0,0 +1,43 @@
+import outboxTransport from './transports/outbox.js';
+import consoleTransport from './transports/console.js';
+
+// Outgoing mail goes through a transport: an object with a `name` and an async
+// `send(message)` taking { from, to, subject, text, html }. MAIL_TRANSPORT
+// picks one by name; the default writes messages to a local outbox folder so
+// dev and test setups never send real email. Deployments register their own
+// transport (SMTP, an API client...) with registerTransport.
+const transports = {
+  outbox: outboxTransport,
+  console: consoleTransport
+};
+
+// Set by tests to capture mail without touching the configured transport
+let overrideTransport = null;
+
+export const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+export const setTransport = (transport) => {
+  overrideTransport = transport;
+};
+
+const activeTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'outbox';
+  const transport = overrideTransport || transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+export const sendMail = async (message) => {
+  const transport = activeTransport();
+  const mail = {
+    from: process.env.MAIL_FROM || 'Collaborative Notes <no-reply@localhost>',
+    ...message
+  };
+
+  await transport.send(mail);
+  console.log(`Mail "${mail.subject}" sent to ${mail.to} via ${transport.name}`);
+};
@@ -0,0 +1,76 @@
+// Email bodies. Each template returns { subject, text, html }.
+
+const appUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const escapeHtml = (str) => String(str)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const PERMISSION_LABELS = {
+  read: 'view',
+  comment: 'comment on',
+  write: 'edit'
+};
+
+export const invitationEmail = ({ inviterName, noteTitle, permission, email }) => {
+  const url = `${appUrl()}/register?email=${encodeURIComponent(email)}`;
+  const action = PERMISSION_LABELS[permission] || permission;
+
+  return {
+    subject: `${inviterName} invited you to ${action} "${noteTitle}"`,
+    text: [
+      `${inviterName} shared the note "${noteTitle}" with you on Collaborative Notes.`,
+      '',
+      `Create an account with this email address to ${action} it:`,
+      url
+    ].join('\n'),
+    html: [
+      `<p>${escapeHtml(inviterName)} shared the note <strong>${escapeHtml(noteTitle)}</strong> with you on Collaborative Notes.</p>`,
+      `<p><a href="${escapeHtml(url)}">Create an account</a> with this email address to ${action} it.</p>`
+    ].join('\n')
+  };
+};
+
+export const verificationEmail = ({ name, token }) => {
+  const url = `${appUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${name},`,
+      '',
+      'Confirm that this is your email address on Collaborative Notes by opening this link:',
+      url,
+      '',
+      'Notes shared with this address are waiting for it.'
+    ].join('\n'),
+    html: [
+      `<p>Hi ${escapeHtml(name)},</p>`,
+      `<p><a href="${escapeHtml(url)}">Confirm</a> that this is your email address on Collaborative Notes.</p>`,
+      '<p>Notes shared with this address are waiting for it.</p>'
+    ].join('\n')
+  };
+};
+
+export const passwordResetEmail = ({ name, token }) => {
+  const url = `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Reset your password',
+    text: [
+      `Hi ${name},`,
+      '',
+      'Someone asked to reset the password of your Collaborative Notes account. To choose a new one, open this link:',
+      url,
+      '',
+      'The link works once and expires soon. If you did not ask for it, you can ignore this email.'
+    ].join('\n'),
+    html: [
+      `<p>Hi ${escapeHtml(name)},</p>`,
+      `<p>Someone asked to reset the password of your Collaborative Notes account. <a href="${escapeHtml(url)}">Choose a new password</a>.</p>`,
+      '<p>The link works once and expires soon. If you did not ask for it, you can ignore this email.</p>'
+    ].join('\n')
+  };
+};
@@ -0,0 +1,7 @@
+// Prints messages to the server log, handy when running without a filesystem outbox
+export default {
+  name: 'console',
+  send: async (message) => {
+    console.log(`--- mail to ${message.to} ---\nSubject: ${message.subject}\n\n${message.text}\n---`);
+  }
+};
@@ -0,0 +1,21 @@
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Writes every message to MAIL_OUTBOX_DIR (default ./outbox) as a JSON file,
+// named so that a directory listing is in sending order
+const outboxDir = () => path.resolve(process.env.MAIL_OUTBOX_DIR || 'outbox');
+
+export default {
+  name: 'outbox',
+  send: async (message) => {
+    const dir = outboxDir();
+    await mkdir(dir, { recursive: true });
+
+    const file = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await writeFile(
+      path.join(dir, file),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+  }
+};
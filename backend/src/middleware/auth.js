@@ -1,7 +1,33 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import AccessToken, { ACCESS_TOKEN_PREFIX } from '../models/AccessToken.js';
 
-export const auth = async (req, res, next) => {
+const jwtSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+// Access tokens are short-lived; clients get new ones from their refresh token
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Resolve an access token to its user and session. Throws when the token is
+// invalid or expired, or the session was revoked.
+export const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, jwtSecret());
+  const [user, session] = await Promise.all([
+    User.findById(decoded.userId),
+    Session.findById(decoded.sessionId)
+  ]);
+
+  if (!user) throw new Error('User not found');
+  if (!session || !session.isActive() || !session.userId.equals(user._id)) {
+    throw new Error('Session has ended');
+  }
+  return { user, session };
+};
+
+// Requests carry either a session's access token (a JWT) or a personal
+// access token. Personal access tokens only work on routes that name the
+// scope they need, and only when the token has it.
+const authenticate = (scope) => async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -9,24 +35,46 @@ export const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'Authentication required' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.userId);
+    if (token.startsWith(ACCESS_TOKEN_PREFIX)) {
+      if (!scope) {
+        return res.status(403).json({ message: 'Personal access tokens cannot be used here' });
+      }
+
+      const accessToken = await AccessToken.findUsable(token);
+      const user = accessToken && await User.findById(accessToken.userId);
+      if (!user) {
+        return res.status(401).json({ message: 'Invalid or expired access token' });
+      }
+      if (!accessToken.scopes.includes(scope)) {
+        return res.status(403).json({ message: `This access token lacks the ${scope} scope` });
+      }
 
-    if (!user) {
-      return res.status(401).json({ message: 'User not found' });
+      accessToken.touch(req.ip)
+        .catch(error => console.error('Error recording access token use:', error));
+      req.user = user;
+      req.accessToken = accessToken;
+      return next();
     }
 
+    const { user, session } = await verifyAccessToken(token);
     req.user = user;
+    req.session = session;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Invalid authentication token' });
   }
 };
 
-export const generateToken = (userId) => {
+// Logged-in sessions only
+export const auth = authenticate(null);
+
+// Logged-in sessions, or personal access tokens with the given scope
+export const authScope = (scope) => authenticate(scope);
+
+export const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: '7d' }
+    { userId, sessionId },
+    jwtSecret(),
+    { expiresIn: accessTokenTtl() }
   );
-}; 
\ No newline at end of file
+};
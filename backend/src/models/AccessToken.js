@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// What a personal access token can be used for. Routes name the scope they
+// need; anything without one (account settings, token management...) only
+// accepts a logged-in session.
+export const ACCESS_TOKEN_SCOPES = ['notes:read', 'notes:write', 'notes:share'];
+
+// Marks a bearer credential as a personal access token rather than a JWT
+export const ACCESS_TOKEN_PREFIX = 'cnp_';
+
+// lastUsedAt is only written when it is older than this, so a busy script
+// doesn't cost a write per request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const accessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Stored hashed like refresh tokens; the token itself is shown once
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The start of the token, to tell tokens apart in the list
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: ACCESS_TOKEN_SCOPES }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  // null means the token never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+accessTokenSchema.methods.isExpired = function() {
+  return !!this.expiresAt && this.expiresAt <= new Date();
+};
+
+// Record a use of the token, at most once a minute
+accessTokenSchema.methods.touch = async function(ip) {
+  const now = new Date();
+  if (this.lastUsedAt && now - this.lastUsedAt < TOUCH_INTERVAL_MS) return;
+
+  this.lastUsedAt = now;
+  this.lastUsedIp = ip || null;
+  await this.constructor.updateOne({ _id: this._id }, { lastUsedAt: now, lastUsedIp: this.lastUsedIp });
+};
+
+// Create a token for a user. Resolves to the saved record and the token
+// itself, which is only ever available here.
+accessTokenSchema.statics.issue = async function({ userId, name, scopes, expiresAt }) {
+  const token = `${ACCESS_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const accessToken = await this.create({
+    userId,
+    name,
+    scopes,
+    expiresAt,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, ACCESS_TOKEN_PREFIX.length + 4)
+  });
+  return { accessToken, token };
+};
+
+// The unexpired token matching a presented one, or null
+accessTokenSchema.statics.findUsable = async function(token) {
+  const accessToken = await this.findOne({ tokenHash: hashToken(token) });
+  return accessToken && !accessToken.isExpired() ? accessToken : null;
+};
+
+accessTokenSchema.index({ userId: 1, createdAt: -1 });
+
+const AccessToken = mongoose.model('AccessToken', accessTokenSchema);
+
+export default AccessToken;
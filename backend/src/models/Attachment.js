@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import { removeBlob } from '../storage/index.js';
+
+// What may be uploaded. SVG is left out on purpose: it can carry scripts and
+// images are served inline.
+export const ATTACHMENT_TYPES = new Set([
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/markdown',
+  'text/csv',
+  'application/json',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+]);
+
+// Where the API serves an attachment, which is also how notes refer to it
+export const attachmentUrl = (attachment) => `/api/notes/${attachment.noteId}/attachments/${attachment._id}`;
+
+// A file uploaded to a note. The bytes live in blob storage under `storageKey`;
+// this document holds what we need to serve them back.
+const attachmentSchema = new mongoose.Schema({
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Delete the attachments of the given notes along with their blobs. A blob
+// that fails to delete is logged and left behind rather than failing the
+// note's deletion.
+attachmentSchema.statics.removeForNotes = async function(noteIds) {
+  const attachments = await this.find({ noteId: { $in: noteIds } }).select('storageKey');
+
+  for (const attachment of attachments) {
+    try {
+      await removeBlob(attachment.storageKey);
+    } catch (error) {
+      console.error(`Error removing blob ${attachment.storageKey}:`, error);
+    }
+  }
+
+  await this.deleteMany({ noteId: { $in: noteIds } });
+};
+
+// Index for efficient querying
+attachmentSchema.index({ noteId: 1, createdAt: 1 });
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+export default Attachment;
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import { transformRange } from '../utils/textOperation.js';
+
+// A thread is a root comment (parent: null) anchored to a range of the note's
+// content, plus replies pointing at it through `parent`
+const commentSchema = new mongoose.Schema({
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+  // Unset for comments left through a share link, which carry guestName
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return !this.guestName; }
+  },
+  guestName: {
+    type: String,
+    trim: true
+  },
+  shareLinkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShareLink'
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Root comments only. [start, end) in the current content, kept up to date
+  // as the note is edited; `quote` is the text as it was when commenting.
+  // An empty quote means the comment is on the note as a whole.
+  anchor: {
+    start: Number,
+    end: Number,
+    quote: String
+  },
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Move every anchor on a note through an edit
+commentSchema.statics.shiftAnchors = async function(noteId, operation) {
+  const threads = await this.find({ noteId, parent: null }).select('anchor');
+
+  const updates = threads
+    .map(thread => ({ thread, range: transformRange(thread.anchor, operation) }))
+    .filter(({ thread, range }) => range.start !== thread.anchor.start || range.end !== thread.anchor.end)
+    .map(({ thread, range }) => ({
+      updateOne: {
+        filter: { _id: thread._id },
+        update: { $set: { 'anchor.start': range.start, 'anchor.end': range.end } }
+      }
+    }));
+
+  if (updates.length > 0) {
+    await this.bulkWrite(updates);
+  }
+};
+
+// Index for efficient querying
+commentSchema.index({ noteId: 1, parent: 1, createdAt: 1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+export default Comment;
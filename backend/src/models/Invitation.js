@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// Access to a note offered to an email address that has no account yet. It
+// turns into a collaborator entry when someone registers with that email.
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+  permission: {
+    type: String,
+    enum: ['read', 'comment', 'write'],
+    default: 'read'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Give a newly registered user access to every note they were invited to.
+// Returns the invitations that were used.
+invitationSchema.statics.acceptForUser = async function(user) {
+  const invitations = await this.find({ email: user.email });
+  const Note = mongoose.model('Note');
+
+  for (const invitation of invitations) {
+    await Note.updateOne(
+      { _id: invitation.noteId, 'collaborators.userId': { $ne: user._id } },
+      { $push: { collaborators: { userId: user._id, permission: invitation.permission } } }
+    );
+  }
+
+  await this.deleteMany({ _id: { $in: invitations.map(i => i._id) } });
+  return invitations;
+};
+
+// One invitation per note and address
+invitationSchema.index({ noteId: 1, email: 1 }, { unique: true });
+invitationSchema.index({ email: 1 });
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+export default Invitation;
@@ -22,10 +22,27 @@ const noteSchema = new mongoose.Schema({
     },
     permission: {
       type: String,
-      enum: ['read', 'write'],
+      enum: ['read', 'comment', 'write'],
       default: 'read'
     }
   }],
+  // Notebook the note is filed in, null for none. Notebook collaborators
+  // inherit access to the note.
+  notebook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notebook',
+    default: null
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Incremented on every content change, used to order collaborative edits
+  revision: {
+    type: Number,
+    default: 0
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
@@ -36,6 +53,23 @@ const noteSchema = new mongoose.Schema({
   },
   archivedAt: {
     type: Date
+  },
+  // Ownership transfer offered by the creator, waiting for `to` to accept
+  pendingTransfer: {
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date
+  },
+  // Set while the note is in its owner's trash
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true,
@@ -53,6 +87,15 @@ noteSchema.pre('save', function(next) {
 noteSchema.index({ createdBy: 1, lastUpdated: -1 });
 noteSchema.index({ 'collaborators.userId': 1, lastUpdated: -1 });
 noteSchema.index({ isArchived: 1, lastUpdated: -1 });
+noteSchema.index({ tags: 1 });
+noteSchema.index({ notebook: 1 });
+noteSchema.index({ createdBy: 1, deletedAt: -1 });
+noteSchema.index({ 'pendingTransfer.to': 1 });
+// Full-text search, title matches count five times as much as content
+noteSchema.index(
+  { title: 'text', content: 'text' },
+  { name: 'note_text', weights: { title: 5, content: 1 } }
+);
 
 const Note = mongoose.model('Note', noteSchema);
 
@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+import Note from './Note.js';
+import { accessibleNotesFilter, canReadNote } from '../utils/noteAccess.js';
+import { escapeRegExp } from '../utils/search.js';
+import { linkedTitles, normalizeLinkTitle } from '../utils/wikiLinks.js';
+
+// The [[link]] index: one entry per distinct title a note links to. `target`
+// is the note the title resolved to, or null while no note has that title.
+// Once resolved an entry sticks to its target by id, so renaming the target
+// doesn't break links written with its old title.
+const noteLinkSchema = new mongoose.Schema({
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+  // Normalized as in utils/wikiLinks.js
+  text: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Matches titles that normalize to `text`
+const titleRegExp = (text) => new RegExp(`^\\s*${escapeRegExp(text).replace(/ /g, '\\s+')}\\s*$`, 'i');
+
+// Find the notes the user can access for each normalized title, preferring
+// the most recently updated one when several share a title. Returns a Map
+// from title to note.
+noteLinkSchema.statics.resolveTitles = async function(titles, userId) {
+  const resolved = new Map();
+  if (titles.length === 0) return resolved;
+
+  const notes = await Note.find({
+    $and: [
+      await accessibleNotesFilter(userId),
+      { deletedAt: null },
+      { $or: titles.map(text => ({ title: titleRegExp(text) })) }
+    ]
+  })
+    .sort({ lastUpdated: -1 })
+    .select('title lastUpdated');
+
+  notes.forEach(note => {
+    const text = normalizeLinkTitle(note.title);
+    if (!resolved.has(text)) resolved.set(text, note);
+  });
+  return resolved;
+};
+
+// Bring a note's entries in line with the links in its content. Titles that
+// were resolved before keep their target; new ones are resolved with the
+// access of `userId`, the person whose edit added them.
+noteLinkSchema.statics.reindex = async function(noteId, content, userId) {
+  const titles = linkedTitles(content);
+  const existing = await this.find({ source: noteId });
+
+  const stale = existing.filter(link => !titles.includes(link.text));
+  if (stale.length > 0) {
+    await this.deleteMany({ _id: { $in: stale.map(link => link._id) } });
+  }
+
+  const unresolved = titles.filter(text => !existing.find(link => link.text === text)?.target);
+  const resolved = await this.resolveTitles(unresolved, userId);
+
+  const updates = unresolved.map(text => ({
+    updateOne: {
+      filter: { source: noteId, text },
+      update: { $set: { target: resolved.get(text)?._id || null } },
+      upsert: true
+    }
+  }));
+  if (updates.length > 0) {
+    await this.bulkWrite(updates);
+  }
+};
+
+// Point dangling links at a note that now has their title, after it was
+// created or renamed. Like reindex, only links whose note's creator can read
+// the note are claimed, so nobody's links get pinned to a stranger's note.
+noteLinkSchema.statics.claimDangling = async function(noteId, title) {
+  const text = normalizeLinkTitle(title);
+  if (!text) return;
+
+  const dangling = await this.find({ text, target: null }).select('source');
+  if (dangling.length === 0) return;
+
+  const [note, sources] = await Promise.all([
+    Note.findById(noteId).select('createdBy collaborators notebook'),
+    Note.find({ _id: { $in: dangling.map(link => link.source) } }).select('createdBy')
+  ]);
+  if (!note) return;
+
+  const readers = new Map();
+  for (const source of sources) {
+    const creator = String(source.createdBy);
+    if (!readers.has(creator)) {
+      readers.set(creator, await canReadNote(note, creator));
+    }
+  }
+
+  const claimable = sources
+    .filter(source => readers.get(String(source.createdBy)))
+    .map(source => source._id);
+  if (claimable.length > 0) {
+    await this.updateMany(
+      { text, target: null, source: { $in: claimable } },
+      { $set: { target: noteId } }
+    );
+  }
+};
+
+// Forget the links from deleted notes and leave links to them dangling
+noteLinkSchema.statics.removeForNotes = async function(noteIds) {
+  await this.deleteMany({ source: { $in: noteIds } });
+  await this.updateMany({ target: { $in: noteIds } }, { $set: { target: null } });
+};
+
+noteLinkSchema.index({ source: 1, text: 1 }, { unique: true });
+noteLinkSchema.index({ target: 1 });
+noteLinkSchema.index({ text: 1, target: 1 });
+
+const NoteLink = mongoose.model('NoteLink', noteLinkSchema);
+
+export default NoteLink;
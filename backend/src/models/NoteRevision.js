@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+// Saves by the same user close together are folded into one revision so
+// keystroke autosaves don't produce thousands of entries
+const COALESCE_IDLE_MS = 2 * 60 * 1000; // 2 minutes since the last edit
+const COALESCE_MAX_MS = 15 * 60 * 1000; // 15 minutes since the revision started
+
+const noteRevisionSchema = new mongoose.Schema({
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    default: ''
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  // Note revision number this snapshot corresponds to
+  revision: {
+    type: Number,
+    default: 0
+  },
+  // Number of saves folded into this entry
+  editCount: {
+    type: Number,
+    default: 1
+  },
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NoteRevision'
+  }
+}, {
+  timestamps: true
+});
+
+// Record a snapshot of the note, merging it into the latest revision when
+// that one was made by the same user moments ago
+noteRevisionSchema.statics.record = async function({ noteId, userId, title, content, revision, restoredFrom }) {
+  const latest = await this.findOne({ noteId }).sort({ createdAt: -1 });
+  const now = Date.now();
+
+  const canCoalesce = latest &&
+    !restoredFrom &&
+    !latest.restoredFrom &&
+    latest.editedBy.equals(userId) &&
+    now - latest.updatedAt.getTime() < COALESCE_IDLE_MS &&
+    now - latest.createdAt.getTime() < COALESCE_MAX_MS;
+
+  if (canCoalesce) {
+    latest.title = title;
+    latest.content = content;
+    latest.revision = revision;
+    latest.editCount += 1;
+    return latest.save();
+  }
+
+  return this.create({
+    noteId,
+    editedBy: userId,
+    title,
+    content,
+    revision,
+    restoredFrom
+  });
+};
+
+// Index for efficient querying
+noteRevisionSchema.index({ noteId: 1, createdAt: -1 });
+
+const NoteRevision = mongoose.model('NoteRevision', noteRevisionSchema);
+
+export default NoteRevision;
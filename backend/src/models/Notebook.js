@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+const notebookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notebook',
+    default: null
+  },
+  // Every notebook above this one, root first. Lets us find whole subtrees
+  // and inherited permissions without walking the tree.
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notebook'
+  }],
+  // Apply to every note and notebook inside this one
+  collaborators: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    permission: {
+      type: String,
+      enum: ['read', 'comment', 'write'],
+      default: 'read'
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Delete a notebook, moving what was inside it (notes, templates and
+// notebooks) up to its parent
+notebookSchema.statics.dissolve = async function(notebook) {
+  await mongoose.model('Note').updateMany({ notebook: notebook._id }, { $set: { notebook: notebook.parent } });
+  await mongoose.model('Template').updateMany({ notebook: notebook._id }, { $set: { notebook: notebook.parent } });
+  await this.updateMany({ parent: notebook._id }, { $set: { parent: notebook.parent } });
+  await this.updateMany({ ancestors: notebook._id }, { $pull: { ancestors: notebook._id } });
+  await notebook.deleteOne();
+};
+
+// Index for efficient querying
+notebookSchema.index({ createdBy: 1 });
+notebookSchema.index({ 'collaborators.userId': 1 });
+notebookSchema.index({ ancestors: 1 });
+
+const Notebook = mongoose.model('Notebook', notebookSchema);
+
+export default Notebook;
@@ -17,9 +17,18 @@ const notificationSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['update', 'share', 'archive'],
+        enum: ['update', 'share', 'archive', 'trash', 'transfer', 'mention'],
         required: true
     },
+    // Mentions only: where in the note (or which comment thread) it was made
+    range: {
+        start: Number,
+        end: Number
+    },
+    commentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment'
+    },
     read: {
         type: Boolean,
         default: false
@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// How long a refresh token stays usable without being used. Read lazily so
+// it picks up .env, which is loaded after imports are evaluated.
+export const refreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// A presented token that was rotated out less than this long ago is turned
+// away without ending the session: another tab probably refreshed first
+const ROTATION_GRACE_MS = 60 * 1000;
+
+// Refresh tokens are only kept as hashes, like passwords. They are random
+// enough that a fast hash will do.
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newToken = () => crypto.randomBytes(32).toString('base64url');
+
+const expiryFromNow = () => new Date(Date.now() + refreshTokenDays() * 24 * 60 * 60 * 1000);
+
+// One signed-in device. Access tokens name their session, so revoking it
+// locks out the access token along with the refresh token.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The token the current one replaced, to recognise it being used again
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  rotatedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Start a session for a user signing in from a request. Resolves to the
+// session and its refresh token, which is only ever available here.
+sessionSchema.statics.start = async function(userId, req) {
+  const refreshToken = newToken();
+  const session = await this.create({
+    userId,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: expiryFromNow(),
+    userAgent: (req.get('User-Agent') || '').slice(0, 256),
+    ip: req.ip || ''
+  });
+  return { session, refreshToken };
+};
+
+// Swap a refresh token for a new one. Resolves to { session, refreshToken },
+// or null when the token is unknown, expired or revoked. A token that was
+// already rotated out being used again means it leaked, so the session it
+// belonged to is revoked and { reused: session } returned instead.
+sessionSchema.statics.rotate = async function(refreshToken) {
+  if (typeof refreshToken !== 'string' || !refreshToken) return null;
+  const presented = hashToken(refreshToken);
+  const nextToken = newToken();
+  const now = new Date();
+
+  // Atomic, so two requests with the same token can't both rotate it
+  const session = await this.findOneAndUpdate(
+    { tokenHash: presented, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      tokenHash: hashToken(nextToken),
+      previousTokenHash: presented,
+      rotatedAt: now,
+      lastUsedAt: now,
+      expiresAt: expiryFromNow()
+    },
+    { new: true }
+  );
+  if (session) return { session, refreshToken: nextToken };
+
+  const previous = await this.findOne({ previousTokenHash: presented, revokedAt: null });
+  if (previous && now - previous.rotatedAt > ROTATION_GRACE_MS) {
+    previous.revokedAt = now;
+    await previous.save();
+    return { reused: previous };
+  }
+  return null;
+};
+
+sessionSchema.statics.findByRefreshToken = function(refreshToken) {
+  if (typeof refreshToken !== 'string' || !refreshToken) return Promise.resolve(null);
+  return this.findOne({ tokenHash: hashToken(refreshToken) });
+};
+
+// Revoke every active session of a user, optionally keeping one. Resolves to
+// the ids of the sessions revoked.
+sessionSchema.statics.revokeForUser = async function(userId, exceptSessionId = null) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const sessions = await this.find(filter).select('_id');
+  const ids = sessions.map(session => session._id);
+  if (ids.length > 0) {
+    await this.updateMany({ _id: { $in: ids } }, { revokedAt: new Date() });
+  }
+  return ids;
+};
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+// Let MongoDB clear out sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+const shareLinkSchema = new mongoose.Schema({
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('base64url')
+  },
+  permission: {
+    type: String,
+    enum: ['view', 'comment'],
+    default: 'view'
+  },
+  // null means the link never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Optional, hashed like account passwords
+  password: {
+    type: String,
+    default: null
+  },
+  lastAccessedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.hasPassword = !!ret.password;
+      delete ret.password;
+      return ret;
+    }
+  }
+});
+
+// Hash password before saving
+shareLinkSchema.pre('save', async function(next) {
+  if (!this.isModified('password') || !this.password) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+shareLinkSchema.methods.isExpired = function() {
+  return !!this.expiresAt && this.expiresAt <= new Date();
+};
+
+// Links without a password accept anything
+shareLinkSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return true;
+  if (!candidatePassword) return false;
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+shareLinkSchema.index({ noteId: 1, createdAt: -1 });
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+export default ShareLink;
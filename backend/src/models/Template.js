@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import { accessibleNotebookIds, hasPermission, resolveNotebookPermission } from '../utils/noteAccess.js';
+
+// A starting point for new notes. Personal templates (notebook: null) are
+// only seen by their creator; a template in a notebook is shared with
+// everyone who can open the notebook. `title` and `content` may contain
+// placeholders, see utils/templates.js.
+const templateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  title: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notebook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notebook',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Query filter matching every template the user can use
+templateSchema.statics.usableFilter = async function(userId) {
+  return {
+    $or: [
+      { createdBy: userId, notebook: null },
+      { notebook: { $in: await accessibleNotebookIds(userId) } }
+    ]
+  };
+};
+
+// The template if the user can use it, otherwise null
+templateSchema.statics.findUsable = async function(templateId, userId) {
+  if (!mongoose.isValidObjectId(templateId)) return null;
+
+  const template = await this.findById(templateId);
+  if (!template) return null;
+
+  const usable = template.notebook
+    ? hasPermission(await resolveNotebookPermission(template.notebook, userId), 'read')
+    : template.createdBy.equals(userId);
+  return usable ? template : null;
+};
+
+// Index for efficient querying
+templateSchema.index({ createdBy: 1, notebook: 1 });
+templateSchema.index({ notebook: 1 });
+
+const Template = mongoose.model('Template', templateSchema);
+
+export default Template;
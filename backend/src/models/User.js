@@ -19,6 +19,43 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // Set once the user follows the link in the verification email. Notes
+  // shared with their address by invitation wait for it.
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // TOTP two-factor authentication. The secret waits in pendingSecret until
+  // the user proves their app has it. Recovery codes are stored hashed.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null
+    },
+    pendingSecret: {
+      type: String,
+      default: null
+    },
+    recoveryCodes: {
+      type: [String],
+      default: []
+    },
+    // Time step of the last code accepted, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      default: 0
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -38,6 +75,18 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// What the user sees of their own account
+userSchema.methods.toProfile = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    email: this.email,
+    emailVerified: this.emailVerified,
+    twoFactorEnabled: this.twoFactor.enabled,
+    createdAt: this.createdAt
+  };
+};
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
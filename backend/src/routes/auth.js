@@ -1,5 +1,23 @@
 import express from 'express';
-import { login, register } from '../controllers/authController.js';
+import {
+  login,
+  loginTwoFactor,
+  register,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword
+} from '../controllers/authController.js';
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../controllers/twoFactorController.js';
+import { auth } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -8,5 +26,27 @@ router.post('/register', register);
 
 // User login
 router.post('/login', login);
+router.post('/login/2fa', loginTwoFactor);
 
-export default router; 
\ No newline at end of file
+// New access token from a refresh token
+router.post('/refresh', refresh);
+
+// End the current session, or all of them
+router.post('/logout', logout);
+router.post('/logout-all', auth, logoutAll);
+
+// Email verification
+router.get('/verify-email', verifyEmail);
+router.post('/resend-verification', auth, resendVerification);
+
+// Password reset
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+
+// Two-factor authentication
+router.post('/2fa/setup', auth, setupTwoFactor);
+router.post('/2fa/enable', auth, enableTwoFactor);
+router.post('/2fa/disable', auth, disableTwoFactor);
+router.post('/2fa/recovery-codes', auth, regenerateRecoveryCodes);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import { auth, authScope } from '../middleware/auth.js';
+import {
+  getNotebooks,
+  createNotebook,
+  updateNotebook,
+  deleteNotebook,
+  moveNotebook,
+  shareNotebook,
+  removeNotebookCollaborator
+} from '../controllers/notebookController.js';
+
+const router = express.Router();
+
+// Scripts can list notebooks to file notes in them
+router.get('/', authScope('notes:read'), getNotebooks);
+router.post('/', auth, createNotebook);
+router.patch('/:id', auth, updateNotebook);
+router.delete('/:id', auth, deleteNotebook);
+router.post('/:id/move', auth, moveNotebook);
+router.post('/:id/share', auth, shareNotebook);
+router.delete('/:id/collaborators/:userId', auth, removeNotebookCollaborator);
+
+export default router;
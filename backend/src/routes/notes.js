@@ -1,21 +1,119 @@
 import express from 'express';
-import { auth } from '../middleware/auth.js';
+import { authScope } from '../middleware/auth.js';
 import {
   getNotes,
+  searchNotes,
   getNote,
   createNote,
   updateNote,
+  getTrash,
   deleteNote,
+  restoreNote,
+  deleteNotePermanently,
+  moveNote,
   shareNote
 } from '../controllers/noteController.js';
+import {
+  getRevisions,
+  getRevision,
+  restoreRevision
+} from '../controllers/revisionController.js';
+import { addNoteTags, removeNoteTag } from '../controllers/tagController.js';
+import {
+  getMembers,
+  removeCollaborator,
+  updateCollaborator,
+  getInvitations,
+  revokeInvitation,
+  getIncomingTransfers,
+  requestTransfer,
+  cancelTransfer,
+  acceptTransfer,
+  declineTransfer
+} from '../controllers/collaboratorController.js';
+import {
+  getShareLinks,
+  createShareLink,
+  revokeShareLink
+} from '../controllers/shareLinkController.js';
+import {
+  getComments,
+  createComment,
+  replyToComment,
+  updateComment,
+  resolveComment,
+  reopenComment,
+  deleteComment
+} from '../controllers/commentController.js';
+import {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+} from '../controllers/attachmentController.js';
+import {
+  getNoteTitles,
+  getWikiLinks,
+  getBacklinks
+} from '../controllers/noteLinkController.js';
+import {
+  exportNote,
+  exportAllNotes,
+  importNotes
+} from '../controllers/importExportController.js';
 
 const router = express.Router();
 
-router.get('/', auth, getNotes);
-router.post('/', auth, createNote);
-router.get('/:id', auth, getNote);
-router.patch('/:id', auth, updateNote);
-router.delete('/:id', auth, deleteNote);
-router.post('/:id/share', auth, shareNote);
+// Which personal access token scope each route needs
+const read = authScope('notes:read');
+const write = authScope('notes:write');
+const share = authScope('notes:share');
+
+router.get('/', read, getNotes);
+router.post('/', write, createNote);
+router.get('/search', read, searchNotes);
+router.get('/titles', read, getNoteTitles);
+router.get('/trash', read, getTrash);
+router.get('/transfers', share, getIncomingTransfers);
+router.get('/export', read, exportAllNotes);
+router.post('/import', write, importNotes);
+router.get('/:id', read, getNote);
+router.patch('/:id', write, updateNote);
+router.delete('/:id', write, deleteNote);
+router.post('/:id/restore', write, restoreNote);
+router.delete('/:id/permanent', write, deleteNotePermanently);
+router.post('/:id/move', write, moveNote);
+router.post('/:id/share', share, shareNote);
+router.get('/:id/members', read, getMembers);
+router.patch('/:id/collaborators/:userId', share, updateCollaborator);
+router.delete('/:id/collaborators/:userId', share, removeCollaborator);
+router.get('/:id/invitations', share, getInvitations);
+router.delete('/:id/invitations/:invitationId', share, revokeInvitation);
+router.post('/:id/transfer', share, requestTransfer);
+router.delete('/:id/transfer', share, cancelTransfer);
+router.post('/:id/transfer/accept', share, acceptTransfer);
+router.post('/:id/transfer/decline', share, declineTransfer);
+router.get('/:id/links', share, getShareLinks);
+router.post('/:id/links', share, createShareLink);
+router.delete('/:id/links/:linkId', share, revokeShareLink);
+router.get('/:id/comments', read, getComments);
+router.post('/:id/comments', write, createComment);
+router.patch('/:id/comments/:commentId', write, updateComment);
+router.delete('/:id/comments/:commentId', write, deleteComment);
+router.post('/:id/comments/:commentId/replies', write, replyToComment);
+router.post('/:id/comments/:commentId/resolve', write, resolveComment);
+router.post('/:id/comments/:commentId/reopen', write, reopenComment);
+router.get('/:id/attachments', read, getAttachments);
+router.post('/:id/attachments', write, uploadAttachment);
+router.get('/:id/attachments/:attachmentId', read, downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', write, deleteAttachment);
+router.get('/:id/export', read, exportNote);
+router.get('/:id/wiki-links', read, getWikiLinks);
+router.get('/:id/backlinks', read, getBacklinks);
+router.get('/:id/revisions', read, getRevisions);
+router.get('/:id/revisions/:revId', read, getRevision);
+router.post('/:id/revisions/:revId/restore', write, restoreRevision);
+router.post('/:id/tags', write, addNoteTags);
+router.delete('/:id/tags/:tag', write, removeNoteTag);
 
 export default router; 
\ No newline at end of file
@@ -1,5 +1,5 @@
 import express from 'express';
-import { protect } from '../middleware/authMiddleware.js';
+import { auth } from '../middleware/auth.js';
 import { apiLimiter } from '../middleware/rateLimiter.js';
 import {
     getNotifications,
@@ -13,7 +13,7 @@ const router = express.Router();
 router.use(apiLimiter);
 
 // Protected routes
-router.use(protect);
+router.use(auth);
 
 router.route('/')
     .get(getNotifications)
@@ -0,0 +1,10 @@
+import express from 'express';
+import { getPublicNote, createPublicComment } from '../controllers/shareLinkController.js';
+
+// Routes reachable without an account, access is granted by the link token
+const router = express.Router();
+
+router.get('/notes/:token', getPublicNote);
+router.post('/notes/:token/comments', createPublicComment);
+
+export default router;
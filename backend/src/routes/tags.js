@@ -0,0 +1,9 @@
+import express from 'express';
+import { authScope } from '../middleware/auth.js';
+import { getTags } from '../controllers/tagController.js';
+
+const router = express.Router();
+
+router.get('/', authScope('notes:read'), getTags);
+
+export default router;
@@ -0,0 +1,11 @@
+import express from 'express';
+import { auth } from '../middleware/auth.js';
+import { getTemplates, createTemplate, deleteTemplate } from '../controllers/templateController.js';
+
+const router = express.Router();
+
+router.get('/', auth, getTemplates);
+router.post('/', auth, createTemplate);
+router.delete('/:id', auth, deleteTemplate);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import { auth } from '../middleware/auth.js';
+import {
+  getAccessTokens,
+  createAccessToken,
+  deleteAccessToken
+} from '../controllers/accessTokenController.js';
+
+const router = express.Router();
+
+// Managed from a logged-in session only, tokens can't make more tokens
+router.get('/', auth, getAccessTokens);
+router.post('/', auth, createAccessToken);
+router.delete('/:id', auth, deleteAccessToken);
+
+export default router;
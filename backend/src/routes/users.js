@@ -0,0 +1,17 @@
+import express from 'express';
+import { auth } from '../middleware/auth.js';
+import {
+  getMe,
+  updateMe,
+  changePassword,
+  deleteMe
+} from '../controllers/userController.js';
+
+const router = express.Router();
+
+router.get('/me', auth, getMe);
+router.patch('/me', auth, updateMe);
+router.post('/me/password', auth, changePassword);
+router.delete('/me', auth, deleteMe);
+
+export default router;
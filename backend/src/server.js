@@ -9,7 +9,16 @@ import rateLimit from 'express-rate-limit';
 import connectDB from './config/db.js';
 import authRoutes from './routes/auth.js';
 import noteRoutes from './routes/notes.js';
-import { socketHandler, initializeSocket } from './socket/handler.js';
+import tagRoutes from './routes/tags.js';
+import notebookRoutes from './routes/notebooks.js';
+import publicRoutes from './routes/public.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import templateRoutes from './routes/templates.js';
+import tokenRoutes from './routes/tokens.js';
+import userRoutes from './routes/users.js';
+import { socketHandler, initializeSocket, authenticateSocket } from './socket/handler.js';
+import { initializeArchiver } from './cron/noteArchiver.js';
+import { initializeTrashPurger } from './cron/trashPurger.js';
 
 // Load env vars
 dotenv.config();
@@ -38,7 +47,8 @@ const limiter = rateLimit({
 });
 
 // Middleware
-app.use(cors());
+// Content-Disposition carries the file name of exports
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
 app.use(express.json());
 app.use(morgan('dev'));
 app.use(limiter);
@@ -46,8 +56,16 @@ app.use(limiter);
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/notes', noteRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/notebooks', notebookRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/tokens', tokenRoutes);
+app.use('/api/users', userRoutes);
 
 // Socket.io connection handler
+io.use(authenticateSocket);
 io.on('connection', socketHandler);
 
 // Error handling middleware
@@ -63,4 +81,8 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5000;
 httpServer.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
-}); 
\ No newline at end of file
+});
+
+// Scheduled jobs
+initializeArchiver();
+initializeTrashPurger();
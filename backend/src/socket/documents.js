@@ -0,0 +1,329 @@
+import Note from '../models/Note.js';
+import NoteRevision from '../models/NoteRevision.js';
+import Comment from '../models/Comment.js';
+import NoteLink from '../models/NoteLink.js';
+import { apply, transform, fromDiff } from '../utils/textOperation.js';
+import { findChecklistItem, setChecklistItem } from '../utils/checklist.js';
+import { linksChanged, normalizeLinkTitle } from '../utils/wikiLinks.js';
+
+// Keep this many recent operations per note so edits made against a slightly
+// older revision can still be transformed. Older clients have to resync.
+const MAX_HISTORY = 500;
+// Work that doesn't have to happen on every keystroke runs behind the edits:
+// the [[link]] index once typing in links pauses, history snapshots at most
+// this often per note
+const LINK_INDEX_DELAY_MS = 2000;
+const REVISION_INTERVAL_MS = 10 * 1000;
+// Forget a note this long after its last edit. Editors still on an older
+// revision are fine, the history restarts from the saved revision.
+const IDLE_EVICT_MS = 10 * 60 * 1000;
+
+// noteId -> { key, revision, history, queue, running, idleTimer, hasComments,
+//             linkTimer, titleTimer, pendingRevision, revisionTimer,
+//             revisionWrites }
+const documents = new Map();
+
+const getDocument = (noteId) => {
+  const key = String(noteId);
+  if (!documents.has(key)) {
+    documents.set(key, {
+      key,
+      revision: null,
+      history: [],
+      queue: Promise.resolve(),
+      running: 0,
+      idleTimer: null,
+      // null until looked up, reset whenever a thread is added or removed
+      hasComments: null,
+      linkTimer: null,
+      titleTimer: null,
+      pendingRevision: null,
+      revisionTimer: null,
+      revisionWrites: Promise.resolve()
+    });
+  }
+  return documents.get(key);
+};
+
+// Edits to the same note are applied one at a time so revisions stay linear
+const enqueue = (doc, task) => {
+  doc.running += 1;
+  clearTimeout(doc.idleTimer);
+
+  const run = doc.queue.then(task, task);
+  doc.queue = run.catch(() => {}).then(() => {
+    doc.running -= 1;
+    if (doc.running === 0) scheduleEviction(doc);
+  });
+  return run;
+};
+
+const scheduleEviction = (doc) => {
+  clearTimeout(doc.idleTimer);
+  doc.idleTimer = setTimeout(() => {
+    if (documents.get(doc.key) === doc && doc.running === 0) {
+      forgetDocument(doc.key);
+    }
+  }, IDLE_EVICT_MS);
+  doc.idleTimer.unref?.();
+};
+
+// Run `task` once `timer` has not been restarted for a moment, so index
+// updates follow what the note settles on rather than every keystroke
+const afterPause = (doc, timer, task) => {
+  clearTimeout(doc[timer]);
+  doc[timer] = setTimeout(async () => {
+    doc[timer] = null;
+    try {
+      await task();
+    } catch (error) {
+      console.error('Error indexing note links:', error);
+    }
+  }, LINK_INDEX_DELAY_MS);
+  doc[timer].unref?.();
+};
+
+// Re-index the note's [[links]] from its saved content once the links stop
+// changing. `userId` is whoever changed them last.
+const scheduleLinkIndex = (noteId, doc, userId) => {
+  afterPause(doc, 'linkTimer', async () => {
+    const note = await Note.findById(noteId).select('content deletedAt');
+    if (note && !note.deletedAt) {
+      await NoteLink.reindex(note._id, note.content, userId);
+    }
+  });
+};
+
+// Claim dangling links to the title once it stops changing. Links stay with
+// the note they resolve to, so a title typed on the way to another one
+// mustn't claim them.
+const scheduleTitleClaim = (noteId, doc) => {
+  afterPause(doc, 'titleTimer', async () => {
+    const note = await Note.findById(noteId).select('title deletedAt');
+    if (note && !note.deletedAt) {
+      await NoteLink.claimDangling(note._id, note.title);
+    }
+  });
+};
+
+// Write the waiting history snapshot, if any. Writes for a note go out in order.
+const flushRevision = (doc) => {
+  clearTimeout(doc.revisionTimer);
+  doc.revisionTimer = null;
+
+  const snapshot = doc.pendingRevision;
+  doc.pendingRevision = null;
+  if (snapshot) {
+    doc.revisionWrites = doc.revisionWrites
+      .then(() => NoteRevision.record(snapshot))
+      .catch(error => console.error('Error recording revision:', error));
+  }
+  return doc.revisionWrites;
+};
+
+// Hold on to the latest snapshot and write it when the interval is up, or as
+// soon as someone else edits so each revision keeps its author
+const queueRevision = (doc, snapshot) => {
+  if (doc.pendingRevision && String(doc.pendingRevision.userId) !== String(snapshot.userId)) {
+    flushRevision(doc);
+  }
+
+  doc.pendingRevision = snapshot;
+  if (!doc.revisionTimer) {
+    doc.revisionTimer = setTimeout(() => flushRevision(doc), REVISION_INTERVAL_MS);
+    doc.revisionTimer.unref?.();
+  }
+};
+
+const commit = (noteId, buildOperation, { userId, fields = {}, restoredFrom, expectedRevision } = {}) => {
+  const doc = getDocument(noteId);
+
+  return enqueue(doc, async () => {
+    const note = await Note.findById(noteId);
+    if (!note || note.deletedAt) {
+      return { notFound: true };
+    }
+
+    // Optimistic concurrency check for writers that don't send operations
+    if (expectedRevision !== undefined && expectedRevision !== note.revision) {
+      return { conflict: true, revision: note.revision };
+    }
+
+    // The history is only usable if nothing else touched the note meanwhile
+    if (doc.revision !== note.revision) {
+      doc.revision = note.revision;
+      doc.history = [];
+    }
+
+    const operation = buildOperation(note, doc);
+    // false: nothing to change, null: the client has to resync
+    if (operation === false) {
+      return { unchanged: true };
+    }
+    if (!operation) {
+      return { resync: true };
+    }
+
+    const content = apply(note.content, operation);
+    const lastUpdated = new Date();
+
+    // updateOne rather than save() so an emptied note passes validation.
+    // Notes from before revisions were counted have no field at all, which
+    // Mongoose reads as 0 but the filter has to match explicitly.
+    const result = await Note.updateOne(
+      {
+        _id: note._id,
+        revision: note.revision === 0 ? { $in: [0, null] } : note.revision
+      },
+      {
+        $set: { content, lastUpdated, ...fields },
+        $inc: { revision: 1 }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      doc.revision = null;
+      return { resync: true };
+    }
+
+    doc.history.push(operation);
+    if (doc.history.length > MAX_HISTORY) {
+      doc.history.shift();
+    }
+    doc.revision = note.revision + 1;
+
+    // Keep comment ranges on the text they were made on
+    if (doc.hasComments === null) {
+      doc.hasComments = !!(await Comment.exists({ noteId: note._id, parent: null }));
+    }
+    if (doc.hasComments) {
+      await Comment.shiftAnchors(note._id, operation);
+    }
+
+    const title = fields.title ?? note.title;
+
+    // Keep the [[link]] index in step with the text and the title. Most
+    // notes have no links at all, skip parsing those.
+    const mayHaveLinks = note.content.includes('[[') || content.includes('[[');
+    if (mayHaveLinks && linksChanged(note.content, content)) {
+      scheduleLinkIndex(note._id, doc, userId || note.createdBy);
+    }
+    if (normalizeLinkTitle(title) !== normalizeLinkTitle(note.title)) {
+      scheduleTitleClaim(note._id, doc);
+    }
+
+    if (userId) {
+      const snapshot = { noteId: note._id, userId, title, content, revision: doc.revision };
+      if (restoredFrom) {
+        // A restore is its own entry, right away
+        flushRevision(doc);
+        doc.pendingRevision = { ...snapshot, restoredFrom };
+        await flushRevision(doc);
+      } else {
+        queueRevision(doc, snapshot);
+      }
+    }
+
+    return {
+      operation,
+      revision: doc.revision,
+      content,
+      title,
+      lastUpdated
+    };
+  });
+};
+
+// Apply an operation a client made against `revision`, transforming it past
+// anything that was committed since
+// options: { userId, fields } where fields are extra note fields to set
+export const submitOperation = (noteId, revision, operation, options) => {
+  return commit(noteId, (note, doc) => {
+    const oldest = doc.revision - doc.history.length;
+    if (!Number.isInteger(revision) || revision < oldest || revision > doc.revision) {
+      return null;
+    }
+
+    return doc.history
+      .slice(revision - oldest)
+      .reduce((op, concurrent) => transform(op, concurrent)[0], operation);
+  }, options);
+};
+
+// Check or uncheck a task list item ({ index, text } as in
+// utils/checklist.js). The item is looked up when the edit is applied, so the
+// toggle can't overwrite anything typed meanwhile. Returns { unchanged: true }
+// if the item is already in that state and { resync: true } if it is gone.
+export const toggleChecklistItem = (noteId, { index, text, checked }, options) => {
+  return commit(noteId, (note) => {
+    const item = findChecklistItem(note.content, index, text);
+    if (!item) {
+      return null;
+    }
+    if (item.checked === !!checked) {
+      return false;
+    }
+    return fromDiff(note.content, setChecklistItem(note.content, item, !!checked));
+  }, options);
+};
+
+// Replace the whole content (e.g. from a REST save) as a regular operation so
+// that connected editors receive it like any other edit. Pass
+// options.expectedRevision to refuse the write when the note has moved on.
+export const replaceContent = (noteId, content, options) => {
+  return commit(noteId, (note) => fromDiff(note.content, content), options);
+};
+
+// Set fields other than the content (e.g. a title-only REST save). The
+// content and its revision are left alone, but the write still waits its
+// turn behind edits in progress. Returns { title, lastUpdated, revision },
+// { notFound: true } or { conflict: true, revision }.
+export const updateFields = (noteId, fields, { expectedRevision } = {}) => {
+  const doc = getDocument(noteId);
+
+  return enqueue(doc, async () => {
+    const note = await Note.findById(noteId);
+    if (!note || note.deletedAt) {
+      return { notFound: true };
+    }
+
+    if (expectedRevision !== undefined && expectedRevision !== note.revision) {
+      return { conflict: true, revision: note.revision };
+    }
+
+    const lastUpdated = new Date();
+    await Note.updateOne({ _id: note._id }, { $set: { ...fields, lastUpdated } });
+
+    const title = fields.title ?? note.title;
+    if (normalizeLinkTitle(title) !== normalizeLinkTitle(note.title)) {
+      scheduleTitleClaim(note._id, doc);
+    }
+
+    return { title, lastUpdated, revision: note.revision };
+  });
+};
+
+// Write a note's waiting history snapshot now, e.g. before listing its history
+export const flushRevisions = (noteId) => {
+  const doc = documents.get(String(noteId));
+  return doc ? flushRevision(doc) : Promise.resolve();
+};
+
+// Call when a comment thread is added to or removed from a note
+export const commentsChanged = (noteId) => {
+  const doc = documents.get(String(noteId));
+  if (doc) doc.hasComments = null;
+};
+
+// Drop what is kept in memory about a note. Resolves once its last history
+// snapshot is written.
+export const forgetDocument = (noteId) => {
+  const doc = documents.get(String(noteId));
+  if (!doc) return Promise.resolve();
+
+  documents.delete(String(noteId));
+  clearTimeout(doc.linkTimer);
+  clearTimeout(doc.titleTimer);
+  clearTimeout(doc.idleTimer);
+  return flushRevision(doc);
+};
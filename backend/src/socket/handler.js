@@ -1,6 +1,19 @@
-import jwt from 'jsonwebtoken';
 import Note from '../models/Note.js';
 import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { verifyAccessToken } from '../middleware/auth.js';
+import { isValidOperation } from '../utils/textOperation.js';
+import { submitOperation, replaceContent, updateFields, toggleChecklistItem } from './documents.js';
+import { joinPresence, leavePresence, setCursor, notesForSocket } from './presence.js';
+import {
+  resolveNotePermission,
+  resolveNotebookPermission,
+  directPermission,
+  maxPermission,
+  hasPermission,
+  noteMemberIds
+} from '../utils/noteAccess.js';
+import { findMentions, insertedRanges, mentionsWithin, mayContainMention } from '../utils/mentions.js';
 
 let io;
 
@@ -25,21 +38,44 @@ const safeIdEquals = (id1, id2) => {
   }
 };
 
+// Connection middleware: only sockets with a valid access token for an
+// active session get through. Clients see the error message in
+// connect_error and can refresh their token and connect again.
+export const authenticateSocket = async (socket, next) => {
+  const token = socket.handshake.auth?.token;
+  if (!token) {
+    console.log('Socket authentication failed: No token');
+    return next(new Error('Authentication required'));
+  }
+
+  try {
+    const { user, session } = await verifyAccessToken(token);
+    socket.data.userId = user._id.toString();
+    socket.data.sessionId = session._id.toString();
+    next();
+  } catch (error) {
+    console.log('Socket authentication failed:', error.message);
+    next(new Error('Invalid authentication token'));
+  }
+};
+
 export const socketHandler = async (socket) => {
   try {
-    // Authenticate socket connection
-    const token = socket.handshake.auth.token;
-    if (!token) {
-      console.log('Socket authentication failed: No token');
-      socket.disconnect();
-      return;
-    }
+    const { userId, sessionId } = socket.data;
+
+    // Name shown in presence lists. Not awaited here so that listeners are
+    // registered before the client's first events arrive.
+    const userLookup = User.findById(userId).select('name').catch(() => null);
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const userId = decoded.userId;
+    // Broadcast the current roster of a note room to everyone in it
+    const broadcastPresence = (noteId, users) => {
+      io?.to(`note:${noteId}`).emit('presence-updated', { noteId, users });
+    };
 
     console.log('Socket connected:', { userId, socketId: socket.id });
     socket.join(`user:${userId}`);
+    // Lets the socket be cut off when its session is revoked
+    socket.join(`session:${sessionId}`);
 
     // Join note room
     socket.on('join-note', async (noteId) => {
@@ -50,7 +86,7 @@ export const socketHandler = async (socket) => {
           .populate('createdBy', 'name email')
           .populate('collaborators.userId', 'name email');
 
-        if (!note) {
+        if (!note || note.deletedAt) {
           console.log('Note not found:', noteId);
           return;
         }
@@ -58,19 +94,32 @@ export const socketHandler = async (socket) => {
         // More reliable access check using helper function
         const isCreator = safeIdEquals(note.createdBy._id, userId);
         const collaborator = note.collaborators.find(c => safeIdEquals(c.userId._id, userId));
-        const hasAccess = isCreator || collaborator;
+        // Notebook collaborators get access to the notes inside
+        const hasAccess = hasPermission(await resolveNotePermission(note, userId), 'read');
 
         console.log('Socket room join check:', {
           noteId,
           userId,
           isCreator,
           hasCollaboratorAccess: !!collaborator,
+          inheritedFromNotebook: !!note.notebook,
           hasAccess
         });
 
         if (hasAccess) {
           socket.join(`note:${noteId}`);
           console.log('User joined note room:', { userId, noteId });
+
+          // Give the client the revision its operations will be based on
+          socket.emit('note-sync', {
+            noteId,
+            title: note.title,
+            content: note.content,
+            revision: note.revision
+          });
+
+          const user = await userLookup;
+          broadcastPresence(noteId, joinPresence(noteId, socket.id, { userId, name: user?.name || 'Unknown' }));
         } else {
           console.log('Access denied to note:', { userId, noteId });
         }
@@ -83,16 +132,40 @@ export const socketHandler = async (socket) => {
     socket.on('leave-note', (noteId) => {
       socket.leave(`note:${noteId}`);
       console.log('User left note room:', { userId, noteId });
+
+      const users = leavePresence(noteId, socket.id);
+      if (users) {
+        broadcastPresence(noteId, users);
+      }
+    });
+
+    // Share caret position and selection with the rest of the room
+    socket.on('cursor-update', (payload) => {
+      const { noteId, cursor } = payload || {};
+      if (typeof noteId !== 'string' || !socket.rooms.has(`note:${noteId}`)) return;
+
+      const valid = cursor === null || (
+        Number.isInteger(cursor?.start) && Number.isInteger(cursor?.end)
+      );
+      if (!valid) return;
+
+      const entry = setCursor(noteId, socket.id, cursor && { start: cursor.start, end: cursor.end });
+      if (entry) {
+        socket.to(`note:${noteId}`).emit('cursor-updated', { noteId, ...entry });
+      }
     });
 
-    // Handle note updates
-    socket.on('note-update', async ({ noteId, content, title }) => {
+    // Handle note edits. Clients send operations made against a revision,
+    // the server transforms them past concurrent edits, applies them in order
+    // and broadcasts the transformed operation to the rest of the room.
+    socket.on('note-update', async (payload) => {
       try {
+        const { noteId, revision, operation, title } = payload || {};
         const note = await Note.findById(noteId)
           .populate('createdBy', 'name email')
           .populate('collaborators.userId', 'name email');
 
-        if (!note) {
+        if (!note || note.deletedAt) {
           console.log('Note not found for update:', noteId);
           return;
         }
@@ -100,7 +173,7 @@ export const socketHandler = async (socket) => {
         // Check write permission more reliably
         const isCreator = safeIdEquals(note.createdBy._id, userId);
         const collaborator = note.collaborators.find(c => safeIdEquals(c.userId._id, userId));
-        const canWrite = isCreator || (collaborator && collaborator.permission === 'write');
+        const canWrite = hasPermission(await resolveNotePermission(note, userId), 'write');
 
         console.log('Socket write check:', {
           noteId,
@@ -118,28 +191,96 @@ export const socketHandler = async (socket) => {
           return;
         }
 
-        // Update note in database
-        note.content = content;
-        if (title) note.title = title;
-        note.lastUpdated = new Date();
-        await note.save();
+        if (!isValidOperation(operation)) {
+          console.log('Invalid operation for real-time update:', { userId, noteId });
+          socket.emit('note-resync', { noteId });
+          return;
+        }
+
+        const result = await submitOperation(noteId, revision, operation, {
+          userId,
+          fields: title ? { title } : {}
+        });
+
+        if (result.notFound) {
+          return;
+        }
+
+        if (result.resync) {
+          console.log('Client revision out of range, requesting resync:', { userId, noteId, revision });
+          socket.emit('note-resync', { noteId });
+          return;
+        }
+
+        socket.emit('note-update-ack', { noteId, revision: result.revision });
+
+        notifyMentions(noteId, result.content, userId, { ranges: insertedRanges(result.operation) });
 
         // Broadcast to all users in the note room except sender
         socket.to(`note:${noteId}`).emit('note-updated', {
           _id: noteId,
-          content,
-          title,
-          lastUpdated: note.lastUpdated
+          revision: result.revision,
+          operation: result.operation,
+          title: result.title,
+          lastUpdated: result.lastUpdated,
+          updatedBy: userId
         });
 
-        console.log('Note updated in real-time:', { noteId, updatedBy: userId });
+        console.log('Note updated in real-time:', { noteId, revision: result.revision, updatedBy: userId });
       } catch (error) {
         console.error('Error updating note in real-time:', error);
+        // Usually an operation that doesn't fit the document
+        socket.emit('note-resync', { noteId: payload?.noteId });
+      }
+    });
+
+    // Check or uncheck a task list item without sending the whole edit, so
+    // it can't clobber concurrent typing
+    socket.on('checklist-toggle', async (payload) => {
+      try {
+        const { noteId, index, text, checked } = payload || {};
+        const note = await Note.findById(noteId);
+        if (!note || note.deletedAt) return;
+
+        if (!hasPermission(await resolveNotePermission(note, userId), 'write')) {
+          console.log('Write access denied for checklist toggle:', { userId, noteId });
+          return;
+        }
+
+        if (!Number.isInteger(index) || index < 0) return;
+
+        const result = await toggleChecklistItem(noteId, { index, text, checked }, { userId });
+        if (result.notFound || result.unchanged) return;
+
+        if (result.resync) {
+          socket.emit('checklist-toggle-failed', { noteId, index });
+          return;
+        }
+
+        // The sender gets the edit like everyone else, it didn't make it locally
+        io.to(`note:${noteId}`).emit('note-updated', {
+          _id: noteId,
+          revision: result.revision,
+          operation: result.operation,
+          title: result.title,
+          lastUpdated: result.lastUpdated,
+          updatedBy: userId
+        });
+      } catch (error) {
+        console.error('Error toggling checklist item:', error);
       }
     });
 
     socket.on('disconnect', () => {
       socket.leave(`user:${userId}`);
+
+      notesForSocket(socket.id).forEach(noteId => {
+        const users = leavePresence(noteId, socket.id);
+        if (users) {
+          broadcastPresence(noteId, users);
+        }
+      });
+
       console.log('Socket disconnected:', { userId, socketId: socket.id });
     });
 
@@ -149,6 +290,146 @@ export const socketHandler = async (socket) => {
   }
 };
 
+// Disconnect the sockets opened with the given sessions, after telling the
+// clients why so they can sign out
+export const endSessions = (sessionIds) => {
+  if (!io) return;
+  sessionIds.forEach((sessionId) => {
+    const room = `session:${sessionId}`;
+    io.to(room).emit('session-revoked');
+    io.in(room).disconnectSockets();
+  });
+};
+
+// Replace a note's content outside of a socket session (e.g. a REST save or a
+// restore) and push the resulting operation to everyone editing it. With
+// content undefined only options.fields change, without a new revision.
+// options: { userId, fields, restoredFrom, expectedRevision }
+export const replaceNoteContent = async (noteId, content, options = {}) => {
+  if (content === undefined) {
+    const result = await updateFields(noteId, options.fields || {}, options);
+    if (io && !result.notFound && !result.conflict) {
+      // No operation: editors only take the title
+      io.to(`note:${noteId}`).emit('note-updated', {
+        _id: String(noteId),
+        revision: result.revision,
+        title: result.title,
+        lastUpdated: result.lastUpdated,
+        updatedBy: options.userId
+      });
+    }
+    return result;
+  }
+
+  const result = await replaceContent(noteId, content, options);
+
+  if (io && result.operation) {
+    io.to(`note:${noteId}`).emit('note-updated', {
+      _id: String(noteId),
+      revision: result.revision,
+      operation: result.operation,
+      title: result.title,
+      lastUpdated: result.lastUpdated,
+      updatedBy: options.userId
+    });
+  }
+
+  // A restore brings back old text, its mentions were notified at the time
+  if (result.operation && options.userId && !options.restoredFrom) {
+    notifyMentions(noteId, result.content, options.userId, {
+      ranges: insertedRanges(result.operation)
+    });
+  }
+
+  return result;
+};
+
+// Take sockets out of a note room and tell their editors why, e.g. because
+// the note was trashed. With a userId only that user's sockets are removed.
+export const closeNoteRoom = async (noteId, reason, userId = null) => {
+  if (!io) return;
+
+  const room = `note:${noteId}`;
+  const sockets = (await io.in(room).fetchSockets())
+    .filter(s => !userId || s.rooms.has(`user:${userId}`));
+
+  let users = null;
+  sockets.forEach((s) => {
+    s.emit('note-closed', { noteId: String(noteId), reason });
+    s.leave(room);
+    users = leavePresence(String(noteId), s.id) || users;
+  });
+
+  if (users) {
+    io.to(room).emit('presence-updated', { noteId: String(noteId), users });
+  }
+};
+
+// Send an event to everyone who has a note open
+export const broadcastToNote = (noteId, event, payload) => {
+  io?.to(`note:${noteId}`).emit(event, { noteId: String(noteId), ...payload });
+};
+
+// Let a user's open editors know their permission on a note changed
+export const notifyAccessChanged = (noteId, userId, permission) => {
+  io?.to(`user:${userId}`).emit('note-access-changed', { noteId: String(noteId), permission });
+};
+
+// After a change to who can reach some notes (a move, a transfer, a notebook
+// losing a collaborator), bring the open editors of `userIds` up to date:
+// close the notes for whoever lost access, tell the rest their permission.
+// `filter` selects the notes.
+export const refreshNoteAccess = async (filter, userIds) => {
+  if (!io || userIds.length === 0) return;
+
+  const notes = await Note.find({ ...filter, deletedAt: null }).select('createdBy collaborators notebook');
+  // Notes usually share a few notebooks, resolve each once per user
+  const inherited = new Map();
+  const notebookPermission = (notebookId, userId) => {
+    const key = `${notebookId}:${userId}`;
+    if (!inherited.has(key)) {
+      inherited.set(key, resolveNotebookPermission(notebookId, userId));
+    }
+    return inherited.get(key);
+  };
+
+  for (const note of notes) {
+    for (const userId of userIds) {
+      let permission = directPermission(note, userId);
+      if (permission !== 'write' && note.notebook) {
+        permission = maxPermission(permission, await notebookPermission(note.notebook, userId));
+      }
+
+      if (permission) {
+        notifyAccessChanged(note._id, userId, permission);
+      } else {
+        await closeNoteRoom(note._id, 'access-removed', userId);
+      }
+    }
+  }
+};
+
+// Notify a single user, whether or not they are on the note yet
+export const notifyUser = async (userId, noteId, message, type = 'update') => {
+  if (!io) {
+    console.warn('Socket.io not initialized');
+    return;
+  }
+
+  try {
+    const notification = await new Notification({ userId, noteId, message, type }).save();
+    io.to(`user:${userId}`).emit('notification', {
+      _id: notification._id,
+      message,
+      noteId,
+      type,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error sending notification:', error);
+  }
+};
+
 // Function to notify collaborators
 export const notifyCollaborators = async (noteId, message, excludeUserId, type = 'update') => {
   if (!io) {
@@ -223,4 +504,72 @@ export const notifyCollaborators = async (noteId, message, excludeUserId, type =
   } catch (error) {
     console.error('Error sending notifications:', error);
   }
-}; 
\ No newline at end of file
+}; 
+
+// Notify the people mentioned in some text of a note, once each and never the
+// author. options: { ranges } only counts mentions touching those ranges (e.g.
+// just-typed text), { commentId } when the text is a comment, { previousText }
+// for an edit, whose mentions were already notified.
+export const notifyMentions = async (noteId, text, authorId, { ranges, commentId, previousText = '' } = {}) => {
+  if (!io) {
+    console.warn('Socket.io not initialized');
+    return;
+  }
+
+  try {
+    if (!mayContainMention(text, ranges || [{ start: 0, end: text.length }])) return;
+
+    const note = await Note.findById(noteId);
+    if (!note) return;
+
+    const people = await User.find({ _id: { $in: await noteMemberIds(note) } }).select('name email');
+    let mentions = findMentions(text, people);
+    if (ranges) {
+      mentions = mentionsWithin(mentions, ranges);
+    }
+
+    // First mention of each person only
+    const skip = new Set([
+      String(authorId),
+      ...findMentions(previousText, people).map(mention => String(mention.user._id))
+    ]);
+    const mentioned = new Map();
+    mentions.forEach((mention) => {
+      const id = String(mention.user._id);
+      if (!skip.has(id) && !mentioned.has(id)) {
+        mentioned.set(id, mention);
+      }
+    });
+
+    if (mentioned.size === 0) return;
+
+    const author = await User.findById(authorId).select('name');
+    const message = commentId
+      ? `${author?.name || 'Someone'} mentioned you in a comment on "${note.title}"`
+      : `${author?.name || 'Someone'} mentioned you in "${note.title}"`;
+
+    await Promise.all([...mentioned.values()].map(async ({ user, start, end }) => {
+      const range = commentId ? undefined : { start, end };
+      const notification = await new Notification({
+        userId: user._id,
+        noteId: note._id,
+        message,
+        type: 'mention',
+        range,
+        commentId
+      }).save();
+
+      io.to(`user:${user._id}`).emit('notification', {
+        _id: notification._id,
+        message,
+        noteId: note._id,
+        type: 'mention',
+        range,
+        commentId,
+        timestamp: new Date()
+      });
+    }));
+  } catch (error) {
+    console.error('Error sending mention notifications:', error);
+  }
+};
@@ -0,0 +1,68 @@
+// Who is currently in each note room, with their colour and cursor
+
+const COLORS = ['#e11d48', '#2563eb', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#65a30d'];
+
+// noteId -> Map(socketId -> { socketId, userId, name, color, cursor })
+const rooms = new Map();
+
+// Same colour for a user across notes and sessions
+export const colorForUser = (userId) => {
+  let hash = 0;
+  for (const ch of String(userId)) {
+    hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  }
+  return COLORS[hash % COLORS.length];
+};
+
+export const getRoster = (noteId) => {
+  const room = rooms.get(String(noteId));
+  return room ? [...room.values()] : [];
+};
+
+export const joinPresence = (noteId, socketId, { userId, name }) => {
+  const key = String(noteId);
+  if (!rooms.has(key)) {
+    rooms.set(key, new Map());
+  }
+
+  rooms.get(key).set(socketId, {
+    socketId,
+    userId: String(userId),
+    name,
+    color: colorForUser(userId),
+    cursor: null
+  });
+
+  return getRoster(key);
+};
+
+// Returns the remaining roster, or null if the socket wasn't in the room
+export const leavePresence = (noteId, socketId) => {
+  const key = String(noteId);
+  const room = rooms.get(key);
+  if (!room || !room.delete(socketId)) {
+    return null;
+  }
+
+  if (room.size === 0) {
+    rooms.delete(key);
+  }
+  return getRoster(key);
+};
+
+// cursor: { start, end } in character offsets, or null when not focused
+export const setCursor = (noteId, socketId, cursor) => {
+  const entry = rooms.get(String(noteId))?.get(socketId);
+  if (!entry) {
+    return null;
+  }
+
+  entry.cursor = cursor;
+  return entry;
+};
+
+export const notesForSocket = (socketId) => {
+  return [...rooms.entries()]
+    .filter(([, room]) => room.has(socketId))
+    .map(([noteId]) => noteId);
+};
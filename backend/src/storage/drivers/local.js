@@ -0,0 +1,33 @@
+import { createReadStream } from 'fs';
+import { mkdir, writeFile, rm, access } from 'fs/promises';
+import path from 'path';
+
+// Keeps blobs under STORAGE_DIR (default ./uploads), one file per key
+const storageDir = () => path.resolve(process.env.STORAGE_DIR || 'uploads');
+
+// Keys are generated by us, but never let one point outside the folder
+const filePath = (key) => {
+  const dir = storageDir();
+  const file = path.resolve(dir, key);
+  if (!file.startsWith(dir + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return file;
+};
+
+export default {
+  name: 'local',
+  save: async (key, buffer) => {
+    const file = filePath(key);
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, buffer);
+  },
+  open: async (key) => {
+    const file = filePath(key);
+    await access(file);
+    return createReadStream(file);
+  },
+  remove: async (key) => {
+    await rm(filePath(key), { force: true });
+  }
+};
@@ -0,0 +1,29 @@
+import localDriver from './drivers/local.js';
+
+// Attachment blobs go through a storage driver: an object with a `name` and
+// async `save(key, buffer)`, `open(key)` resolving to a readable stream, and
+// `remove(key)`. STORAGE_DRIVER picks one by name; the default keeps files on
+// the local disk. Deployments register their own driver (S3, GCS...) with
+// registerDriver.
+const drivers = {
+  local: localDriver
+};
+
+export const registerDriver = (name, driver) => {
+  drivers[name] = driver;
+};
+
+const activeDriver = () => {
+  const name = process.env.STORAGE_DRIVER || 'local';
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+export const saveBlob = (key, buffer) => activeDriver().save(key, buffer);
+
+export const openBlob = (key) => activeDriver().open(key);
+
+export const removeBlob = (key) => activeDriver().remove(key);
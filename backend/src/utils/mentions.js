@@ -0,0 +1,59 @@
+// `@name` mentions. A mention is an `@` at the start of the text or after a
+// non-word character, followed by the name of someone on the note (or the
+// part of their email before the @), matched case-insensitively and not
+// running on into another word. The longest matching name wins, so "@Ann Lee"
+// mentions Ann Lee rather than Ann.
+
+const WORD_CHAR = /[\p{L}\p{N}_]/u;
+
+// people: [{ _id, name, email }]. Returns [{ user, start, end }] in text order.
+export const findMentions = (text, people) => {
+  const labels = people
+    .flatMap(user => [user.name, user.email?.split('@')[0]]
+      .filter(Boolean)
+      .map(label => ({ user, label: label.toLowerCase() })))
+    .sort((a, b) => b.label.length - a.label.length);
+
+  const lower = text.toLowerCase();
+  const mentions = [];
+  for (let i = lower.indexOf('@'); i !== -1; i = lower.indexOf('@', i + 1)) {
+    if (i > 0 && WORD_CHAR.test(text[i - 1])) continue;
+
+    const match = labels.find(({ label }) => (
+      lower.startsWith(label, i + 1) && !WORD_CHAR.test(text[i + 1 + label.length] || '')
+    ));
+    if (match) {
+      mentions.push({ user: match.user, start: i, end: i + 1 + match.label.length });
+    }
+  }
+  return mentions;
+};
+
+// Ranges of the resulting text that an operation inserted
+export const insertedRanges = (operation) => {
+  const ranges = [];
+  let position = 0;
+  operation.forEach((component) => {
+    if (typeof component === 'string') {
+      ranges.push({ start: position, end: position + component.length });
+      position += component.length;
+    } else if (component > 0) {
+      position += component;
+    }
+  });
+  return ranges;
+};
+
+// Mentions in `text` that touch any of the given ranges
+export const mentionsWithin = (mentions, ranges) => mentions.filter(mention => (
+  ranges.some(range => range.start < mention.end && mention.start < range.end)
+));
+
+// Cheap check before looking anyone up: could any of the ranges be part of a
+// mention, i.e. is there an `@` shortly before one of them ends?
+const MAX_MENTION_LENGTH = 100;
+
+export const mayContainMention = (text, ranges) => ranges.some((range) => {
+  const at = text.lastIndexOf('@', range.end - 1);
+  return at !== -1 && range.end - at <= MAX_MENTION_LENGTH;
+});
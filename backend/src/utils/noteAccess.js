@@ -0,0 +1,110 @@
+import Notebook from '../models/Notebook.js';
+
+// Helpers for working out what a user may do with a note. Access comes from
+// being the creator, a collaborator on the note, or a collaborator on (or
+// owner of) any notebook the note sits in. Works with both populated and
+// unpopulated `createdBy` / `collaborators.userId` fields.
+
+// `comment` lets a collaborator read and discuss a note without editing it
+const PERMISSION_RANK = { read: 1, comment: 2, write: 3 };
+
+const idOf = (value) => String(value?._id ?? value);
+
+export const isNoteCreator = (note, userId) => {
+  return !!note.createdBy && idOf(note.createdBy) === String(userId);
+};
+
+export const findCollaborator = (doc, userId) => {
+  return doc.collaborators.find(c => c.userId && idOf(c.userId) === String(userId));
+};
+
+// True if `permission` is at least `required`
+export const hasPermission = (permission, required) => {
+  return (PERMISSION_RANK[permission] || 0) >= PERMISSION_RANK[required];
+};
+
+export const maxPermission = (a, b) => {
+  return (PERMISSION_RANK[b] || 0) > (PERMISSION_RANK[a] || 0) ? b : a;
+};
+
+// Permission granted directly on a note or notebook, without inheritance
+export const directPermission = (doc, userId) => {
+  if (isNoteCreator(doc, userId)) return 'write';
+  return findCollaborator(doc, userId)?.permission || null;
+};
+
+// Permission on a notebook including what is inherited from its ancestors.
+// Accepts a notebook document or id. Returns 'write', 'comment', 'read' or null.
+export const resolveNotebookPermission = async (notebookOrId, userId) => {
+  const notebook = notebookOrId?.ancestors
+    ? notebookOrId
+    : await Notebook.findById(idOf(notebookOrId));
+  if (!notebook) return null;
+
+  const ancestors = await Notebook.find({ _id: { $in: notebook.ancestors } });
+  return [notebook, ...ancestors].reduce(
+    (permission, nb) => maxPermission(permission, directPermission(nb, userId)),
+    null
+  );
+};
+
+// Effective permission on a note: 'write', 'comment', 'read' or null for no access
+export const resolveNotePermission = async (note, userId) => {
+  const direct = directPermission(note, userId);
+  if (direct === 'write' || !note.notebook) return direct;
+
+  return maxPermission(direct, await resolveNotebookPermission(note.notebook, userId));
+};
+
+export const canReadNote = async (note, userId) => {
+  return hasPermission(await resolveNotePermission(note, userId), 'read');
+};
+
+export const canWriteNote = async (note, userId) => {
+  return hasPermission(await resolveNotePermission(note, userId), 'write');
+};
+
+// Ids of every notebook the user can see, including nested ones
+export const accessibleNotebookIds = async (userId) => {
+  const direct = await Notebook.find({
+    $or: [
+      { createdBy: userId },
+      { 'collaborators.userId': userId }
+    ]
+  }).select('_id');
+
+  const ids = direct.map(nb => nb._id);
+  const nested = await Notebook.find({ ancestors: { $in: ids } }).select('_id');
+  return [...ids, ...nested.map(nb => nb._id)];
+};
+
+// Query filter matching every note the user can at least read
+export const accessibleNotesFilter = async (userId) => ({
+  $or: [
+    { createdBy: userId },
+    { 'collaborators.userId': userId },
+    { notebook: { $in: await accessibleNotebookIds(userId) } }
+  ]
+});
+
+// Ids (as strings) of everyone with access to a note: its creator, its
+// collaborators and the owners and collaborators of its notebooks
+export const noteMemberIds = async (note) => {
+  const docs = [note];
+  if (note.notebook) {
+    const notebook = await Notebook.findById(idOf(note.notebook));
+    if (notebook) {
+      docs.push(notebook, ...await Notebook.find({ _id: { $in: notebook.ancestors } }));
+    }
+  }
+
+  return memberIdsOf(docs);
+};
+
+// Ids (as strings) of the creators and collaborators of notes or notebooks
+export const memberIdsOf = (docs) => {
+  return [...new Set(docs.flatMap(doc => [
+    idOf(doc.createdBy),
+    ...doc.collaborators.filter(c => c.userId).map(c => idOf(c.userId))
+  ]))];
+};
@@ -0,0 +1,135 @@
+import { Marked } from 'marked';
+
+// Single-note export formats and the Markdown file format used by exports
+// and imports. A Markdown file starts with front matter holding what the
+// text alone can't:
+//
+//   ---
+//   title: "Meeting notes"
+//   tags: ["work"]
+//   created: 2024-05-31T12:00:00.000Z
+//   updated: 2024-06-01T08:30:00.000Z
+//   ---
+//
+// Files without it are imported too, titled after their first heading or
+// their file name.
+
+export const EXPORT_FORMATS = {
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const UNSAFE_URL = /^\s*(javascript|vbscript|data):/i;
+
+// Exported HTML is opened straight from disk, so raw HTML in a note is shown
+// as text and script URLs are dropped
+const marked = new Marked({ gfm: true, breaks: true });
+marked.use({
+  renderer: {
+    html: (html) => escapeHtml(html),
+    link: (href, title, text) => (UNSAFE_URL.test(href || '') ? text : false),
+    image: (href, title, text) => (UNSAFE_URL.test(href || '') ? escapeHtml(text) : false)
+  }
+});
+
+// A file name for the note, without extension
+export const noteFileName = (title) => {
+  const slug = (title || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return slug || 'note';
+};
+
+export const noteToMarkdown = (note) => {
+  return [
+    '---',
+    `title: ${JSON.stringify(note.title)}`,
+    `tags: ${JSON.stringify(note.tags || [])}`,
+    `created: ${new Date(note.createdAt).toISOString()}`,
+    `updated: ${new Date(note.lastUpdated || note.updatedAt).toISOString()}`,
+    '---',
+    '',
+    note.content
+  ].join('\n');
+};
+
+export const noteToHtml = (note) => {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(note.title)}</title>
+<meta name="created" content="${new Date(note.createdAt).toISOString()}">
+<meta name="updated" content="${new Date(note.lastUpdated || note.updatedAt).toISOString()}">
+${(note.tags || []).length > 0 ? `<meta name="keywords" content="${escapeHtml(note.tags.join(', '))}">\n` : ''}</head>
+<body>
+<h1>${escapeHtml(note.title)}</h1>
+${marked.parse(note.content || '')}
+</body>
+</html>
+`;
+};
+
+export const noteToJson = (note) => {
+  return JSON.stringify({
+    title: note.title,
+    content: note.content,
+    tags: note.tags || [],
+    createdAt: note.createdAt,
+    updatedAt: note.lastUpdated || note.updatedAt,
+    isArchived: !!note.isArchived
+  }, null, 2);
+};
+
+export const formatNote = (note, format) => {
+  if (format === 'html') return noteToHtml(note);
+  if (format === 'json') return noteToJson(note);
+  return noteToMarkdown(note);
+};
+
+// Front matter values are JSON (which is valid YAML) when we wrote them; be
+// lenient with hand-written ones
+const parseValue = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value.replace(/^(['"])(.*)\1$/, '$2');
+  }
+};
+
+// Read a Markdown file back into { title, content, tags, createdAt, updatedAt }.
+// Missing dates are left undefined.
+export const parseMarkdownFile = (text, fileName) => {
+  let content = text.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+  const meta = {};
+
+  const frontMatter = /^---\n([\s\S]*?)\n---\n?/.exec(content);
+  if (frontMatter) {
+    frontMatter[1].split('\n').forEach((line) => {
+      const match = /^(\w+):\s*(.*)$/.exec(line);
+      if (match) meta[match[1].toLowerCase()] = parseValue(match[2].trim());
+    });
+    content = content.slice(frontMatter[0].length).replace(/^\n/, '');
+  }
+
+  const heading = /^#\s+(.+)$/m.exec(content);
+  const title = String(meta.title || heading?.[1] || fileName.replace(/\.[^.]+$/, '')).trim();
+  const tags = Array.isArray(meta.tags) ? meta.tags : String(meta.tags || '').split(',');
+
+  return {
+    title,
+    content,
+    tags,
+    createdAt: meta.created || meta.date,
+    updatedAt: meta.updated
+  };
+};
@@ -0,0 +1,27 @@
+import Note from '../models/Note.js';
+import NoteRevision from '../models/NoteRevision.js';
+import ShareLink from '../models/ShareLink.js';
+import Invitation from '../models/Invitation.js';
+import Comment from '../models/Comment.js';
+import Attachment from '../models/Attachment.js';
+import NoteLink from '../models/NoteLink.js';
+import { closeNoteRoom } from '../socket/handler.js';
+import { forgetDocument } from '../socket/documents.js';
+
+// Delete notes for good, along with everything kept about them: history,
+// share links, invitations, comments, attachments and links
+export const purgeNotes = async (ids) => {
+  if (ids.length === 0) return;
+
+  // First, so no pending history snapshot lands after the history is gone
+  await Promise.all(ids.map(id => forgetDocument(id)));
+
+  await Note.deleteMany({ _id: { $in: ids } });
+  await NoteRevision.deleteMany({ noteId: { $in: ids } });
+  await ShareLink.deleteMany({ noteId: { $in: ids } });
+  await Invitation.deleteMany({ noteId: { $in: ids } });
+  await Comment.deleteMany({ noteId: { $in: ids } });
+  await Attachment.removeForNotes(ids);
+  await NoteLink.removeForNotes(ids);
+  ids.forEach(id => closeNoteRoom(id, 'deleted'));
+};
@@ -0,0 +1,113 @@
+// Helpers for note search: query parsing, matching and snippet highlighting.
+//
+// Supported syntax:
+//   word      regular term, matched by the MongoDB text index (stemmed)
+//   "a b"     exact phrase
+//   pre*      prefix, matches any word starting with "pre"
+
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 60;
+
+export const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const parseSearchQuery = (q = '') => {
+  const phrases = [];
+  const words = [];
+  const prefixes = [];
+
+  const rest = q.replace(/"([^"]+)"/g, (match, phrase) => {
+    if (phrase.trim()) phrases.push(phrase.trim());
+    return ' ';
+  });
+
+  rest.split(/\s+/).filter(Boolean).forEach((token) => {
+    const term = token.replace(/"/g, '');
+    if (term.endsWith('*')) {
+      const prefix = term.replace(/\*+$/, '');
+      if (prefix) prefixes.push(prefix);
+    } else if (term) {
+      words.push(term);
+    }
+  });
+
+  return { phrases, words, prefixes };
+};
+
+export const isEmptyQuery = ({ phrases, words, prefixes }) => {
+  return phrases.length === 0 && words.length === 0 && prefixes.length === 0;
+};
+
+// $text search string for the words and phrases of a parsed query, or null
+// if the query only has prefixes (the text index can't do those)
+export const buildTextSearch = ({ phrases, words }) => {
+  if (phrases.length === 0 && words.length === 0) return null;
+  return [...phrases.map(p => `"${p}"`), ...words].join(' ');
+};
+
+export const prefixRegExp = (prefix) => new RegExp(`\\b${escapeRegExp(prefix)}`, 'i');
+
+// Regular expressions used to find the matched text for highlighting. Plain
+// words match as word prefixes so stemmed matches ("runs" for "running") light up.
+const matchers = ({ phrases, words, prefixes }) => [
+  ...phrases.map(p => new RegExp(escapeRegExp(p).replace(/\s+/g, '\\s+'), 'gi')),
+  ...words.map(w => new RegExp(`\\b${escapeRegExp(w.slice(0, Math.max(3, w.length - 2)))}\\w*`, 'gi')),
+  ...prefixes.map(p => new RegExp(`\\b${escapeRegExp(p)}\\w*`, 'gi'))
+];
+
+// Sorted, non-overlapping [start, end) ranges of every match in text
+export const findMatches = (text, query) => {
+  const ranges = [];
+  matchers(query).forEach((regexp) => {
+    for (const match of text.matchAll(regexp)) {
+      if (match[0].length > 0) {
+        ranges.push([match.index, match.index + match[0].length]);
+      }
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+};
+
+// Relevance for results that didn't come through the text index
+export const scoreMatches = (note, query) => {
+  return findMatches(note.title, query).length * 5 + findMatches(note.content, query).length;
+};
+
+// A short excerpt of content around the first match, with highlight ranges
+// relative to the excerpt: { text, highlights: [[start, end], ...] }
+export const buildSnippet = (content, query) => {
+  const matches = findMatches(content, query);
+  let start = 0;
+
+  if (matches.length > 0 && matches[0][0] > SNIPPET_LEAD) {
+    start = matches[0][0] - SNIPPET_LEAD;
+    // Don't cut a word in half
+    const space = content.indexOf(' ', start);
+    if (space !== -1 && space < matches[0][0]) start = space + 1;
+  }
+
+  const end = Math.min(content.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < content.length ? '…' : '';
+
+  const highlights = matches
+    .filter(([from, to]) => from < end && to > start)
+    .map(([from, to]) => [
+      Math.max(from, start) - start + prefix.length,
+      Math.min(to, end) - start + prefix.length
+    ]);
+
+  return {
+    text: `${prefix}${content.slice(start, end)}${suffix}`,
+    highlights
+  };
+};
@@ -0,0 +1,14 @@
+const MAX_TAG_LENGTH = 32;
+
+// Tags are stored lowercase with spaces turned into dashes, e.g. "Road Map" -> "road-map"
+export const normalizeTag = (tag) => {
+  if (typeof tag !== 'string') return null;
+  const normalized = tag.trim().toLowerCase().replace(/\s+/g, '-').slice(0, MAX_TAG_LENGTH);
+  return normalized || null;
+};
+
+// Accepts an array or a comma separated string, drops invalid and duplicate tags
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+};
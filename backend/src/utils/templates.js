@@ -0,0 +1,48 @@
+// Placeholders in note templates, filled in when a note is created from one:
+//
+//   {{date}}       2024-05-31
+//   {{time}}       14:05
+//   {{datetime}}   2024-05-31 14:05
+//   {{weekday}}    Friday
+//   {{user.name}}  name of the person creating the note
+//   {{user.email}} their email
+//
+// Dates are in the creator's time zone when the client sends one. Unknown
+// placeholders are left as they are.
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// A time zone Intl accepts, or undefined for the server's own
+const validTimeZone = (timeZone) => {
+  if (!timeZone) return undefined;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch {
+    return undefined;
+  }
+};
+
+export const placeholderValues = ({ user, timeZone, now = new Date() }) => {
+  const zone = validTimeZone(timeZone);
+  // en-CA formats dates as YYYY-MM-DD
+  const date = new Intl.DateTimeFormat('en-CA', {
+    timeZone: zone, year: 'numeric', month: '2-digit', day: '2-digit'
+  }).format(now);
+  const time = new Intl.DateTimeFormat('en-GB', {
+    timeZone: zone, hour: '2-digit', minute: '2-digit'
+  }).format(now);
+
+  return {
+    date,
+    time,
+    datetime: `${date} ${time}`,
+    weekday: new Intl.DateTimeFormat('en-US', { timeZone: zone, weekday: 'long' }).format(now),
+    'user.name': user?.name || '',
+    'user.email': user?.email || ''
+  };
+};
+
+export const fillPlaceholders = (text, values) => {
+  return (text || '').replace(PLACEHOLDER, (match, key) => (Object.hasOwn(values, key) ? values[key] : match));
+};
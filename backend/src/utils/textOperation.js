@@ -0,0 +1,256 @@
+// Plain-text operational transformation.
+//
+// An operation is an array of components walked left to right over the
+// document:
+//   - positive number: retain that many characters
+//   - string:          insert the string
+//   - negative number: delete that many characters
+//
+// The same module lives in frontend/src/utils/textOperation.js, keep them in sync.
+
+const isRetain = (c) => typeof c === 'number' && c > 0;
+const isInsert = (c) => typeof c === 'string';
+const isDelete = (c) => typeof c === 'number' && c < 0;
+
+// Builders that keep operations normalized (no empty or adjacent same-type parts)
+const retain = (ops, n) => {
+  if (n <= 0) return;
+  const last = ops.length - 1;
+  if (isRetain(ops[last])) {
+    ops[last] += n;
+  } else {
+    ops.push(n);
+  }
+};
+
+const insert = (ops, str) => {
+  if (!str) return;
+  const last = ops.length - 1;
+  if (isInsert(ops[last])) {
+    ops[last] += str;
+  } else if (isDelete(ops[last])) {
+    // Inserts always go before deletes at the same position
+    if (isInsert(ops[last - 1])) {
+      ops[last - 1] += str;
+    } else {
+      ops.push(ops[last]);
+      ops[last] = str;
+    }
+  } else {
+    ops.push(str);
+  }
+};
+
+const remove = (ops, n) => {
+  if (n <= 0) return;
+  const last = ops.length - 1;
+  if (isDelete(ops[last])) {
+    ops[last] -= n;
+  } else {
+    ops.push(-n);
+  }
+};
+
+export const isValidOperation = (op) => {
+  return Array.isArray(op) && op.every(c =>
+    isInsert(c) || (Number.isInteger(c) && c !== 0)
+  );
+};
+
+// Length of the document the operation applies to
+export const baseLength = (op) => op.reduce((len, c) => {
+  if (isRetain(c)) return len + c;
+  if (isDelete(c)) return len - c;
+  return len;
+}, 0);
+
+// Length of the document after the operation is applied
+export const targetLength = (op) => op.reduce((len, c) => {
+  if (isRetain(c)) return len + c;
+  if (isInsert(c)) return len + c.length;
+  return len;
+}, 0);
+
+export const isNoop = (op) => op.length === 0 || (op.length === 1 && isRetain(op[0]));
+
+export const apply = (str, op) => {
+  if (baseLength(op) !== str.length) {
+    throw new Error('Operation base length does not match document length');
+  }
+
+  let index = 0;
+  let result = '';
+  for (const c of op) {
+    if (isRetain(c)) {
+      result += str.slice(index, index + c);
+      index += c;
+    } else if (isInsert(c)) {
+      result += c;
+    } else {
+      index -= c;
+    }
+  }
+  return result;
+};
+
+// Combine two consecutive operations into one with the same effect
+export const compose = (a, b) => {
+  if (targetLength(a) !== baseLength(b)) {
+    throw new Error('Cannot compose operations of mismatched lengths');
+  }
+
+  const result = [];
+  let i1 = 0;
+  let i2 = 0;
+  let op1 = a[i1++];
+  let op2 = b[i2++];
+
+  while (op1 !== undefined || op2 !== undefined) {
+    if (isDelete(op1)) {
+      remove(result, -op1);
+      op1 = a[i1++];
+      continue;
+    }
+    if (isInsert(op2)) {
+      insert(result, op2);
+      op2 = b[i2++];
+      continue;
+    }
+    if (op1 === undefined || op2 === undefined) {
+      throw new Error('Cannot compose operations of mismatched lengths');
+    }
+
+    if (isRetain(op1) && isRetain(op2)) {
+      const n = Math.min(op1, op2);
+      retain(result, n);
+      op1 = op1 === n ? a[i1++] : op1 - n;
+      op2 = op2 === n ? b[i2++] : op2 - n;
+    } else if (isInsert(op1) && isDelete(op2)) {
+      const n = Math.min(op1.length, -op2);
+      op1 = op1.length === n ? a[i1++] : op1.slice(n);
+      op2 = -op2 === n ? b[i2++] : op2 + n;
+    } else if (isInsert(op1) && isRetain(op2)) {
+      const n = Math.min(op1.length, op2);
+      insert(result, op1.slice(0, n));
+      op1 = op1.length === n ? a[i1++] : op1.slice(n);
+      op2 = op2 === n ? b[i2++] : op2 - n;
+    } else {
+      // retain in a, delete in b
+      const n = Math.min(op1, -op2);
+      remove(result, n);
+      op1 = op1 === n ? a[i1++] : op1 - n;
+      op2 = -op2 === n ? b[i2++] : op2 + n;
+    }
+  }
+
+  return result;
+};
+
+// Given two concurrent operations a and b on the same document, return
+// [a', b'] such that apply(apply(doc, a), b') === apply(apply(doc, b), a').
+// When both insert at the same position, a's text ends up first.
+export const transform = (a, b) => {
+  if (baseLength(a) !== baseLength(b)) {
+    throw new Error('Cannot transform operations of mismatched lengths');
+  }
+
+  const a1 = [];
+  const b1 = [];
+  let i1 = 0;
+  let i2 = 0;
+  let op1 = a[i1++];
+  let op2 = b[i2++];
+
+  while (op1 !== undefined || op2 !== undefined) {
+    if (isInsert(op1)) {
+      insert(a1, op1);
+      retain(b1, op1.length);
+      op1 = a[i1++];
+      continue;
+    }
+    if (isInsert(op2)) {
+      retain(a1, op2.length);
+      insert(b1, op2);
+      op2 = b[i2++];
+      continue;
+    }
+    if (op1 === undefined || op2 === undefined) {
+      throw new Error('Cannot transform operations of mismatched lengths');
+    }
+
+    const len1 = Math.abs(op1);
+    const len2 = Math.abs(op2);
+    const n = Math.min(len1, len2);
+
+    if (isRetain(op1) && isRetain(op2)) {
+      retain(a1, n);
+      retain(b1, n);
+    } else if (isDelete(op1) && isRetain(op2)) {
+      remove(a1, n);
+    } else if (isRetain(op1) && isDelete(op2)) {
+      remove(b1, n);
+    }
+    // Both deleting the same text: nothing left to do on either side
+
+    op1 = len1 === n ? a[i1++] : Math.sign(op1) * (len1 - n);
+    op2 = len2 === n ? b[i2++] : Math.sign(op2) * (len2 - n);
+  }
+
+  return [a1, b1];
+};
+
+// Build the operation that turns oldStr into newStr by diffing the
+// common prefix and suffix (enough for single edits from a textarea)
+export const fromDiff = (oldStr, newStr) => {
+  let start = 0;
+  while (start < oldStr.length && start < newStr.length && oldStr[start] === newStr[start]) {
+    start++;
+  }
+
+  let end = 0;
+  while (
+    end < oldStr.length - start &&
+    end < newStr.length - start &&
+    oldStr[oldStr.length - 1 - end] === newStr[newStr.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  const ops = [];
+  retain(ops, start);
+  insert(ops, newStr.slice(start, newStr.length - end));
+  remove(ops, oldStr.length - start - end);
+  retain(ops, end);
+  return ops;
+};
+
+// Move a character index (e.g. a caret) through an operation. Text inserted
+// exactly at the index pushes it forward, unless stickBefore is set (used for
+// the end of a range, so typing right after it stays outside).
+export const transformIndex = (index, op, stickBefore = false) => {
+  let cursor = 0;
+  let result = index;
+
+  for (const c of op) {
+    if (cursor > index) break;
+    if (isRetain(c)) {
+      cursor += c;
+    } else if (isInsert(c)) {
+      if (stickBefore && cursor === index) break;
+      result += c.length;
+    } else {
+      result -= Math.min(-c, index - cursor);
+      cursor -= c;
+    }
+  }
+
+  return result;
+};
+
+// Move a [start, end) range through an operation. Text inserted at either
+// edge stays outside; a range whose text was deleted collapses to its position.
+export const transformRange = ({ start, end }, op) => {
+  const newStart = transformIndex(start, op);
+  const newEnd = transformIndex(end, op, true);
+  return { start: newStart, end: Math.max(newStart, newEnd) };
+};
@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import { authenticator } from 'otplib';
+import QRCode from 'qrcode';
+
+const ISSUER = 'Collaborative Notes';
+const RECOVERY_CODE_COUNT = 10;
+const STEP_SECONDS = 30;
+
+// Accept the code from the previous or next 30 second step too, for clocks
+// that are a little off
+authenticator.options = { window: 1, step: STEP_SECONDS };
+
+export const generateSecret = () => authenticator.generateSecret();
+
+// What an authenticator app needs to add the account: the otpauth:// URI and
+// the same as a QR code image (a data: URL)
+export const enrollmentDetails = async (email, secret) => {
+  const otpauthUrl = authenticator.keyuri(email, ISSUER, secret);
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+// Resolves to the time step a code belongs to, or null when it doesn't match.
+// Codes from lastUsedStep or before are refused so each works only once.
+export const verifyTotp = (secret, code, lastUsedStep = 0) => {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(token)) return null;
+
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) return null;
+
+  const step = Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+  return step > lastUsedStep ? step : null;
+};
+
+// Recovery codes are random, so like refresh tokens a fast hash will do.
+// Dashes, spaces and case don't matter when typing one in.
+export const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+// Resolves to { codes, hashes }: the codes to show the user once and the
+// hashes to store
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Check the second factor of a user with 2FA on: a code from their app or
+// one of their recovery codes. Records the use on the user (used codes can't
+// be used again) and returns how they passed, or null. The caller saves.
+export const checkSecondFactor = (user, code) => {
+  const { twoFactor } = user;
+  if (!twoFactor?.enabled || !code) return null;
+
+  const step = verifyTotp(twoFactor.secret, code, twoFactor.lastUsedStep);
+  if (step !== null) {
+    twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const index = twoFactor.recoveryCodes.indexOf(hashRecoveryCode(code));
+  if (index !== -1) {
+    twoFactor.recoveryCodes.splice(index, 1);
+    return 'recovery';
+  }
+  return null;
+};
@@ -0,0 +1,45 @@
+import multer from 'multer';
+
+// Parse up to `maxCount` files from the multipart body's `field` into
+// req.files, kept in memory. Called from a handler rather than mounted as
+// middleware so it can run after the access checks, and nobody without
+// access gets to make us buffer a file. Sends the error response and resolves
+// false on a bad upload.
+// options: { field, maxCount, maxBytes, accept(file) => boolean }
+export const receiveFiles = (req, res, { field, maxCount = 1, maxBytes, accept }) => {
+  return new Promise((resolve, reject) => {
+    let rejected = null;
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: maxBytes, files: maxCount },
+      fileFilter: (req, file, cb) => {
+        if (!accept(file)) rejected = rejected || file;
+        cb(null, accept(file));
+      }
+    }).array(field, maxCount);
+
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          res.status(413).json({ message: `File is too large (max ${maxBytes / (1024 * 1024)} MB)` });
+        } else {
+          res.status(400).json({ message: error.message });
+        }
+        return resolve(false);
+      }
+      if (error) return reject(error);
+
+      if (rejected) {
+        res.status(415).json({
+          message: `${rejected.originalname} is not an allowed type of file (${rejected.mimetype || 'unknown'})`
+        });
+        return resolve(false);
+      }
+      if (!req.files?.length) {
+        res.status(400).json({ message: 'A file is required' });
+        return resolve(false);
+      }
+      resolve(true);
+    });
+  });
+};
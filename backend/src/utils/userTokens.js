@@ -0,0 +1,62 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { sendMail } from '../mail/index.js';
+import { verificationEmail } from '../mail/templates.js';
+
+// Tokens mailed to users to reset their password or verify their address,
+// and the one that carries a login over to its second step. They are JWTs
+// signed with a key that includes the state they change (the password hash,
+// the address and whether it is verified, the codes used), so each one stops
+// working as soon as it has been used.
+const PURPOSES = {
+  'reset-password': {
+    ttl: () => process.env.RESET_TOKEN_TTL || '1h',
+    state: (user) => user.password
+  },
+  'verify-email': {
+    ttl: () => process.env.VERIFY_TOKEN_TTL || '2d',
+    state: (user) => `${user.email}:${user.emailVerified ? 1 : 0}`
+  },
+  // Issued by login between the password and the second factor
+  'two-factor-login': {
+    ttl: () => process.env.TWO_FACTOR_TOKEN_TTL || '5m',
+    state: ({ password, twoFactor }) =>
+      `${password}:${twoFactor?.secret}:${twoFactor?.lastUsedStep}:${twoFactor?.recoveryCodes.length}`
+  }
+};
+
+const signingKey = (user, purpose) =>
+  `${process.env.JWT_SECRET || 'your-secret-key'}:${purpose}:${PURPOSES[purpose].state(user)}`;
+
+export const createUserToken = (user, purpose) => {
+  return jwt.sign(
+    { userId: user._id, purpose },
+    signingKey(user, purpose),
+    { expiresIn: PURPOSES[purpose].ttl() }
+  );
+};
+
+// Resolves to the user a token was made for, or null when it is invalid,
+// expired, for something else or already used
+export const verifyUserToken = async (token, purpose) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const decoded = jwt.decode(token);
+  if (!decoded || decoded.purpose !== purpose) return null;
+
+  const user = await User.findById(decoded.userId).catch(() => null);
+  if (!user) return null;
+
+  try {
+    jwt.verify(token, signingKey(user, purpose));
+    return user;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Mail a user a link to verify their current address
+export const sendVerificationEmail = (user) => sendMail({
+  to: user.email,
+  ...verificationEmail({ name: user.name, token: createUserToken(user, 'verify-email') })
+});
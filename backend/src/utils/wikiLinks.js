@@ -0,0 +1,53 @@
+// Wiki-style [[Note Title]] links between notes.
+//
+// The same module lives in backend/src/utils/wikiLinks.js and
+// frontend/src/utils/wikiLinks.js, keep them in sync.
+
+const LINK = /\[\[([^[\]\n]+)\]\]/g;
+const FENCE = /^\s*(```|~~~)/;
+const CODE_SPAN = /`[^`\n]*`/g;
+
+// Titles match case-insensitively and ignoring extra whitespace
+export const normalizeLinkTitle = (title) => {
+  return (title || '').trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+// Every link in order: { start, end, title } with `title` as written. Links
+// in code don't count, just like when the Markdown is rendered.
+export const findWikiLinks = (content) => {
+  const links = [];
+  let offset = 0;
+  let fence = null;
+
+  (content || '').split('\n').forEach((line) => {
+    const fenceMatch = line.match(FENCE);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1] === fence) fence = null;
+    } else if (!fence) {
+      // Blank out code spans so positions stay the same
+      const text = line.replace(CODE_SPAN, span => ' '.repeat(span.length));
+      for (const match of text.matchAll(LINK)) {
+        if (!match[1].trim()) continue;
+        links.push({
+          start: offset + match.index,
+          end: offset + match.index + match[0].length,
+          title: match[1].trim()
+        });
+      }
+    }
+    offset += line.length + 1;
+  });
+
+  return links;
+};
+
+// The distinct normalized titles a note links to, in order of appearance
+export const linkedTitles = (content) => {
+  return [...new Set(findWikiLinks(content).map(link => normalizeLinkTitle(link.title)))];
+};
+
+// Whether two versions of a note link to different titles
+export const linksChanged = (before, after) => {
+  return linkedTitles(before).join('\n') !== linkedTitles(after).join('\n');
+};
@@ -7,6 +7,12 @@ import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import NoteEditor from './pages/NoteEditor';
+import Trash from './pages/Trash';
+import PublicNote from './pages/PublicNote';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import Settings from './pages/Settings';
 import PrivateRoute from './components/PrivateRoute';
 
 function App() {
@@ -17,6 +23,10 @@ function App() {
           <Routes>
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
+            <Route path="/p/:token" element={<PublicNote />} />
             <Route path="/" element={
               <PrivateRoute>
                 <Dashboard />
@@ -27,6 +37,16 @@ function App() {
                 <NoteEditor />
               </PrivateRoute>
             } />
+            <Route path="/trash" element={
+              <PrivateRoute>
+                <Trash />
+              </PrivateRoute>
+            } />
+            <Route path="/settings" element={
+              <PrivateRoute>
+                <Settings />
+              </PrivateRoute>
+            } />
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
           <Toaster position="top-right" />
@@ -0,0 +1,203 @@
+import React, { useEffect, useState } from 'react';
+import { tokensAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const SCOPE_LABELS = {
+    'notes:read': 'Read notes, notebooks and tags',
+    'notes:write': 'Create, edit and delete notes',
+    'notes:share': 'Share notes and manage collaborators'
+};
+
+const EXPIRY_OPTIONS = [
+    { days: 7, label: '7 days' },
+    { days: 30, label: '30 days' },
+    { days: 90, label: '90 days' },
+    { days: 365, label: '1 year' },
+    { days: null, label: 'Never' }
+];
+
+const formatDate = (date) => date ? new Date(date).toLocaleDateString() : null;
+
+// Personal access tokens for scripts: create one with some scopes, see it
+// once, and revoke tokens no longer needed
+const AccessTokenSettings = () => {
+    const [tokens, setTokens] = useState([]);
+    const [scopes, setScopes] = useState([]);
+    const [name, setName] = useState('');
+    const [selectedScopes, setSelectedScopes] = useState(['notes:read']);
+    const [expiresInDays, setExpiresInDays] = useState(30);
+    // The token just created, shown until dismissed
+    const [newToken, setNewToken] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    useEffect(() => {
+        tokensAPI.getTokens()
+            .then(data => {
+                setTokens(data.tokens);
+                setScopes(data.scopes);
+            })
+            .catch(error => console.error('Error fetching access tokens:', error));
+    }, []);
+
+    const toggleScope = (scope) => {
+        setSelectedScopes(prev => prev.includes(scope) ? prev.filter(s => s !== scope) : [...prev, scope]);
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        try {
+            const { token, ...created } = await tokensAPI.createToken(name, selectedScopes, expiresInDays);
+            setTokens(prev => [created, ...prev]);
+            setNewToken(token);
+            setName('');
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleDelete = async (token) => {
+        if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) return;
+        try {
+            await tokensAPI.deleteToken(token._id);
+            setTokens(prev => prev.filter(t => t._id !== token._id));
+            toast.success('Access token revoked');
+        } catch (error) {
+            toast.error(error.message);
+        }
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(newToken);
+            toast.success('Copied');
+        } catch (error) {
+            toast.error('Could not copy, select the token and copy it instead');
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <p className="text-sm text-gray-700">
+                Scripts can call the notes API with a token instead of your password. Send it in an{' '}
+                <code>Authorization: Bearer &lt;token&gt;</code> header.
+            </p>
+
+            {newToken && (
+                <div className="p-3 bg-green-50 border border-green-200 rounded-md space-y-2">
+                    <p className="text-sm text-green-800">
+                        Copy your new token now. You won't be able to see it again.
+                    </p>
+                    <code className="block p-2 bg-white border border-green-200 rounded text-sm break-all">{newToken}</code>
+                    <div className="flex space-x-2">
+                        <button
+                            type="button"
+                            onClick={handleCopy}
+                            className="px-3 py-1 text-sm text-green-800 border border-green-300 rounded-md hover:bg-green-100"
+                        >
+                            Copy
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => setNewToken(null)}
+                            className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800"
+                        >
+                            Done
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <form onSubmit={handleCreate} className="space-y-3">
+                <div>
+                    <label htmlFor="token-name" className="block text-sm font-medium text-gray-700">
+                        Name
+                    </label>
+                    <input
+                        id="token-name"
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder="e.g. CI notes sync"
+                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                        required
+                    />
+                </div>
+                <fieldset>
+                    <legend className="block text-sm font-medium text-gray-700">Scopes</legend>
+                    {scopes.map(scope => (
+                        <label key={scope} className="mt-1 flex items-center space-x-2 text-sm text-gray-700">
+                            <input
+                                type="checkbox"
+                                checked={selectedScopes.includes(scope)}
+                                onChange={() => toggleScope(scope)}
+                            />
+                            <code>{scope}</code>
+                            <span className="text-gray-500">{SCOPE_LABELS[scope]}</span>
+                        </label>
+                    ))}
+                </fieldset>
+                <div>
+                    <label htmlFor="token-expiry" className="block text-sm font-medium text-gray-700">
+                        Expires after
+                    </label>
+                    <select
+                        id="token-expiry"
+                        value={expiresInDays ?? ''}
+                        onChange={(e) => setExpiresInDays(e.target.value ? Number(e.target.value) : null)}
+                        className="mt-1 px-3 py-2 border border-gray-300 rounded-md"
+                    >
+                        {EXPIRY_OPTIONS.map(option => (
+                            <option key={option.label} value={option.days ?? ''}>{option.label}</option>
+                        ))}
+                    </select>
+                </div>
+                <button
+                    type="submit"
+                    disabled={isSubmitting || !name.trim() || selectedScopes.length === 0}
+                    className="px-4 py-2 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                >
+                    {isSubmitting ? 'Creating...' : 'Create token'}
+                </button>
+            </form>
+
+            {tokens.length > 0 && (
+                <ul className="divide-y divide-gray-200 border-t border-gray-200">
+                    {tokens.map(token => {
+                        const expired = token.expiresAt && new Date(token.expiresAt) <= new Date();
+                        return (
+                            <li key={token._id} className="py-3 flex justify-between items-start">
+                                <div className="min-w-0">
+                                    <p className="text-sm font-medium text-gray-900 truncate">
+                                        {token.name} <code className="text-xs text-gray-500">{token.prefix}…</code>
+                                    </p>
+                                    <p className="text-xs text-gray-500">{token.scopes.join(', ')}</p>
+                                    <p className={`text-xs ${expired ? 'text-red-600' : 'text-gray-500'}`}>
+                                        Created {formatDate(token.createdAt)}
+                                        {' · '}
+                                        {token.expiresAt
+                                            ? `${expired ? 'Expired' : 'Expires'} ${formatDate(token.expiresAt)}`
+                                            : 'Never expires'}
+                                        {' · '}
+                                        {token.lastUsedAt ? `Last used ${new Date(token.lastUsedAt).toLocaleString()}` : 'Never used'}
+                                    </p>
+                                </div>
+                                <button
+                                    type="button"
+                                    onClick={() => handleDelete(token)}
+                                    className="ml-4 text-sm text-gray-500 hover:text-red-600 flex-shrink-0"
+                                >
+                                    Revoke
+                                </button>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default AccessTokenSettings;
@@ -0,0 +1,103 @@
+import React, { useRef } from 'react';
+import { downloadAttachment } from '../services/attachments';
+import { formatFileSize, isImage } from '../utils/attachments';
+import toast from 'react-hot-toast';
+
+// The files attached to a note. The editor owns the list and the uploads
+// (files can also be pasted or dropped into the text); onUpload(files) adds
+// files, onInsert(attachment) puts a reference at the caret and
+// onDelete(attachment) removes one.
+const AttachmentPanel = ({ attachments, uploading, canEdit, onUpload, onInsert, onDelete, onClose }) => {
+    const fileInputRef = useRef(null);
+
+    const handleDownload = (attachment) => {
+        downloadAttachment(attachment.url, attachment.filename)
+            .catch(error => toast.error(error.message));
+    };
+
+    const handleDelete = (attachment) => {
+        if (!window.confirm(`Delete ${attachment.filename}? Links to it in the note will stop working.`)) return;
+        onDelete(attachment);
+    };
+
+    return (
+        <aside className="w-80 flex-shrink-0 bg-white border border-gray-200 rounded-md p-4 h-[calc(100vh-12rem)] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-medium text-gray-900">Attachments</h2>
+                <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-700">
+                    Close
+                </button>
+            </div>
+
+            {canEdit && (
+                <>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        multiple
+                        className="hidden"
+                        onChange={(e) => {
+                            onUpload([...e.target.files]);
+                            e.target.value = '';
+                        }}
+                    />
+                    <button
+                        type="button"
+                        onClick={() => fileInputRef.current.click()}
+                        disabled={uploading > 0}
+                        className="w-full mb-2 px-3 py-2 text-sm text-indigo-700 border border-indigo-200 rounded-md hover:bg-indigo-50 disabled:opacity-50"
+                    >
+                        {uploading > 0 ? `Uploading ${uploading} file${uploading > 1 ? 's' : ''}...` : 'Upload files'}
+                    </button>
+                    <p className="mb-4 text-xs text-gray-500">You can also paste or drop files into the note.</p>
+                </>
+            )}
+
+            {attachments.length === 0 ? (
+                <p className="text-sm text-gray-500">No attachments yet.</p>
+            ) : (
+                <ul className="space-y-3">
+                    {attachments.map(attachment => (
+                        <li key={attachment._id} className="text-sm">
+                            <button
+                                type="button"
+                                onClick={() => handleDownload(attachment)}
+                                className="block w-full text-left font-medium text-gray-900 truncate hover:text-indigo-700"
+                                title="Download"
+                            >
+                                {isImage(attachment) ? '🖼 ' : '📄 '}{attachment.filename}
+                            </button>
+                            <div className="text-xs text-gray-500">
+                                {formatFileSize(attachment.size)}
+                                {attachment.uploadedBy?.name && ` · ${attachment.uploadedBy.name}`}
+                                {` · ${new Date(attachment.createdAt).toLocaleDateString()}`}
+                            </div>
+                            {canEdit && (
+                                <div className="mt-1 flex space-x-2 text-xs">
+                                    <button
+                                        type="button"
+                                        // Keep the editor's caret where the reference goes
+                                        onMouseDown={(e) => e.preventDefault()}
+                                        onClick={() => onInsert(attachment)}
+                                        className="text-gray-500 hover:text-gray-700"
+                                    >
+                                        Insert in note
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={() => handleDelete(attachment)}
+                                        className="text-gray-500 hover:text-red-600"
+                                    >
+                                        Delete
+                                    </button>
+                                </div>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </aside>
+    );
+};
+
+export default AttachmentPanel;
@@ -0,0 +1,51 @@
+import React from 'react';
+import Highlight from './Highlight';
+
+// Notes that link to this one with [[its title]], each with the text around
+// the link. onOpenNote(noteId) opens one of them.
+const BacklinksPanel = ({ backlinks, loading, onOpenNote, onClose }) => {
+    return (
+        <aside className="w-80 flex-shrink-0 bg-white border border-gray-200 rounded-md p-4 h-[calc(100vh-12rem)] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-medium text-gray-900">Backlinks</h2>
+                <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-700">
+                    Close
+                </button>
+            </div>
+
+            {loading && backlinks.length === 0 ? (
+                <p className="text-sm text-gray-500">Loading...</p>
+            ) : backlinks.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                    No notes link here yet. Link to this note from another one with [[its title]].
+                </p>
+            ) : (
+                <ul className="space-y-3">
+                    {backlinks.map(backlink => (
+                        <li key={backlink._id}>
+                            <button
+                                type="button"
+                                onClick={() => onOpenNote(backlink._id)}
+                                className="block w-full text-left p-2 rounded-md hover:bg-gray-50"
+                            >
+                                <span className="block text-sm font-medium text-indigo-700 truncate">
+                                    {backlink.title}
+                                </span>
+                                {backlink.context && (
+                                    <span className="block mt-1 text-xs text-gray-600 break-words">
+                                        <Highlight text={backlink.context.text} ranges={backlink.context.highlights} />
+                                    </span>
+                                )}
+                                <span className="block mt-1 text-xs text-gray-400">
+                                    Updated {new Date(backlink.lastUpdated).toLocaleString()}
+                                </span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </aside>
+    );
+};
+
+export default BacklinksPanel;
@@ -0,0 +1,317 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { notesAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { addComment, updateComment, removeComment } from '../utils/commentThreads';
+import { MentionInput } from './MentionSuggestions';
+
+const sameId = (a, b) => String(a?._id ?? a) === String(b?._id ?? b);
+
+// Comment threads on a note. Threads are owned by the editor (it shifts their
+// anchors as the text changes); onThreadsChange(updater) applies our changes.
+// getSelection() returns the range selected in the editor as
+// { start, end, quote } or null, onSelectThread(thread) jumps to a thread's text.
+// members are the people who can be @mentioned, focusedThreadId a thread to
+// scroll to (e.g. opened from a mention notification).
+const CommentSidebar = ({
+    noteId,
+    threads,
+    onThreadsChange,
+    canComment,
+    currentUserId,
+    isOwner,
+    getSelection,
+    onSelectThread,
+    members,
+    focusedThreadId,
+    onClose
+}) => {
+    const [draft, setDraft] = useState(null);
+    const [replyDrafts, setReplyDrafts] = useState({});
+    const [editing, setEditing] = useState(null);
+    const [showResolved, setShowResolved] = useState(false);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const focusedRef = useRef(null);
+
+    const focusedThread = threads.find(thread => thread._id === focusedThreadId);
+
+    useEffect(() => {
+        if (focusedThread?.resolved) setShowResolved(true);
+        focusedRef.current?.scrollIntoView({ block: 'nearest' });
+    }, [focusedThreadId, !!focusedThread]);
+
+    const run = async (request, apply) => {
+        setIsSubmitting(true);
+        try {
+            const data = await request();
+            onThreadsChange(prev => apply(prev, data));
+            return true;
+        } catch (error) {
+            toast.error(error.message);
+            return false;
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const startComment = () => {
+        const selection = getSelection();
+        if (!selection) {
+            toast.error('Select some text to comment on');
+            return;
+        }
+        setDraft({ anchor: selection, body: '' });
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        const added = await run(
+            () => notesAPI.addComment(noteId, draft.body, draft.anchor),
+            addComment
+        );
+        if (added) setDraft(null);
+    };
+
+    const handleReply = async (e, thread) => {
+        e.preventDefault();
+        const added = await run(
+            () => notesAPI.replyToComment(noteId, thread._id, replyDrafts[thread._id]),
+            addComment
+        );
+        if (added) setReplyDrafts(prev => ({ ...prev, [thread._id]: '' }));
+    };
+
+    const handleEdit = async (e) => {
+        e.preventDefault();
+        const saved = await run(
+            () => notesAPI.updateComment(noteId, editing.id, editing.body),
+            updateComment
+        );
+        if (saved) setEditing(null);
+    };
+
+    const handleDelete = (comment) => {
+        const message = comment.parent
+            ? 'Delete this reply?'
+            : 'Delete this thread and all of its replies?';
+        if (!window.confirm(message)) return;
+        run(
+            () => notesAPI.deleteComment(noteId, comment._id),
+            (prev) => removeComment(prev, comment._id, comment.parent)
+        );
+    };
+
+    const handleResolve = (thread, resolved) => {
+        run(() => notesAPI.resolveComment(noteId, thread._id, resolved), updateComment);
+    };
+
+    const visibleThreads = threads
+        .filter(thread => showResolved || !thread.resolved)
+        .sort((a, b) => a.anchor.start - b.anchor.start);
+    const resolvedCount = threads.filter(thread => thread.resolved).length;
+
+    const renderComment = (comment) => {
+        const isAuthor = sameId(comment.author, currentUserId);
+        return (
+            <div key={comment._id} className="text-sm">
+                <div className="flex items-baseline justify-between">
+                    <span className="font-medium text-gray-900">
+                        {comment.author?.name || (comment.guestName ? `${comment.guestName} (guest)` : 'Unknown')}
+                    </span>
+                    <span className="text-xs text-gray-400">
+                        {new Date(comment.createdAt).toLocaleString()}
+                    </span>
+                </div>
+                {editing?.id === comment._id ? (
+                    <form onSubmit={handleEdit} className="mt-1 space-y-1">
+                        <MentionInput
+                            value={editing.body}
+                            onChange={(body) => setEditing({ ...editing, body })}
+                            members={members}
+                            className="w-full p-2 text-sm border border-gray-300 rounded-md"
+                            rows={2}
+                            autoFocus
+                        />
+                        <div className="flex justify-end space-x-2 text-xs">
+                            <button type="button" onClick={() => setEditing(null)} className="text-gray-600">
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                disabled={isSubmitting || !editing.body.trim()}
+                                className="text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                            >
+                                Save
+                            </button>
+                        </div>
+                    </form>
+                ) : (
+                    <p className="mt-1 text-gray-700 whitespace-pre-wrap break-words">{comment.body}</p>
+                )}
+                {(isAuthor || isOwner) && editing?.id !== comment._id && (
+                    <div className="mt-1 flex space-x-2 text-xs">
+                        {isAuthor && canComment && (
+                            <button
+                                type="button"
+                                onClick={() => setEditing({ id: comment._id, body: comment.body })}
+                                className="text-gray-500 hover:text-gray-700"
+                            >
+                                Edit
+                            </button>
+                        )}
+                        <button
+                            type="button"
+                            onClick={() => handleDelete(comment)}
+                            className="text-gray-500 hover:text-red-600"
+                        >
+                            Delete
+                        </button>
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    return (
+        <aside className="w-80 flex-shrink-0 bg-white border border-gray-200 rounded-md p-4 h-[calc(100vh-12rem)] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-medium text-gray-900">Comments</h2>
+                <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-700">
+                    Close
+                </button>
+            </div>
+
+            {canComment && !draft && (
+                <button
+                    type="button"
+                    onClick={startComment}
+                    className="w-full mb-4 px-3 py-2 text-sm text-indigo-700 border border-indigo-200 rounded-md hover:bg-indigo-50"
+                >
+                    Comment on selection
+                </button>
+            )}
+
+            {draft && (
+                <form onSubmit={handleCreate} className="mb-4 p-3 bg-indigo-50 rounded-md space-y-2">
+                    <blockquote className="text-xs text-gray-600 border-l-2 border-indigo-300 pl-2 line-clamp-3">
+                        {draft.anchor.quote}
+                    </blockquote>
+                    <MentionInput
+                        value={draft.body}
+                        onChange={(body) => setDraft({ ...draft, body })}
+                        members={members}
+                        className="w-full p-2 text-sm border border-gray-300 rounded-md"
+                        placeholder="Add a comment..."
+                        rows={3}
+                        autoFocus
+                    />
+                    <div className="flex justify-end space-x-2">
+                        <button
+                            type="button"
+                            onClick={() => setDraft(null)}
+                            className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={isSubmitting || !draft.body.trim()}
+                            className="px-3 py-1 text-sm text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+                        >
+                            Comment
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {resolvedCount > 0 && (
+                <label className="flex items-center mb-3 text-xs text-gray-600">
+                    <input
+                        type="checkbox"
+                        checked={showResolved}
+                        onChange={(e) => setShowResolved(e.target.checked)}
+                        className="mr-2"
+                    />
+                    Show resolved ({resolvedCount})
+                </label>
+            )}
+
+            {visibleThreads.length === 0 ? (
+                <p className="text-sm text-gray-500">No comments yet.</p>
+            ) : (
+                <div className="space-y-4">
+                    {visibleThreads.map(thread => (
+                        <div
+                            key={thread._id}
+                            ref={thread._id === focusedThreadId ? focusedRef : undefined}
+                            className={`p-3 rounded-md border ${thread.resolved ? 'bg-gray-50 border-gray-200 opacity-75' : 'border-yellow-200'} ${
+                                thread._id === focusedThreadId ? 'ring-2 ring-indigo-400' : ''
+                            }`}
+                        >
+                            <button
+                                type="button"
+                                onClick={() => onSelectThread(thread)}
+                                className="block w-full text-left text-xs text-gray-600 border-l-2 border-yellow-400 pl-2 mb-2 line-clamp-2 hover:text-gray-900"
+                                title="Show in note"
+                            >
+                                {!thread.anchor.quote
+                                    ? <em>On the whole note</em>
+                                    : thread.anchor.start === thread.anchor.end
+                                        ? <em>The commented text was removed</em>
+                                        : thread.anchor.quote}
+                            </button>
+
+                            {renderComment(thread)}
+
+                            {thread.replies.length > 0 && (
+                                <div className="mt-3 pl-3 border-l border-gray-200 space-y-3">
+                                    {thread.replies.map(renderComment)}
+                                </div>
+                            )}
+
+                            {thread.resolved && (
+                                <p className="mt-2 text-xs text-gray-500">
+                                    Resolved{thread.resolvedBy?.name && ` by ${thread.resolvedBy.name}`}
+                                </p>
+                            )}
+
+                            {canComment && (
+                                <div className="mt-3">
+                                    {!thread.resolved && (
+                                        <form onSubmit={(e) => handleReply(e, thread)} className="flex space-x-2">
+                                            <MentionInput
+                                                as="input"
+                                                type="text"
+                                                value={replyDrafts[thread._id] || ''}
+                                                onChange={(body) => setReplyDrafts(prev => ({ ...prev, [thread._id]: body }))}
+                                                members={members}
+                                                className="w-full p-1 text-sm border border-gray-300 rounded-md"
+                                                placeholder="Reply..."
+                                            />
+                                            <button
+                                                type="submit"
+                                                disabled={isSubmitting || !replyDrafts[thread._id]?.trim()}
+                                                className="text-sm text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                                            >
+                                                Reply
+                                            </button>
+                                        </form>
+                                    )}
+                                    <button
+                                        type="button"
+                                        onClick={() => handleResolve(thread, !thread.resolved)}
+                                        disabled={isSubmitting}
+                                        className="mt-2 text-xs text-gray-600 hover:text-gray-900"
+                                    >
+                                        {thread.resolved ? 'Reopen' : 'Resolve'}
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </aside>
+    );
+};
+
+export default CommentSidebar;
@@ -0,0 +1,54 @@
+import React from 'react';
+
+// Shown when a save was rejected because someone else changed the note first
+const ConflictDialog = ({ local, server, onKeepMine, onUseTheirs }) => {
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-3xl">
+                <h2 className="text-xl font-bold mb-2">This note was changed by someone else</h2>
+                <p className="text-sm text-gray-600 mb-4">
+                    Your changes were not saved. Choose which version to keep.
+                </p>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                        <h3 className="text-sm font-medium text-gray-700 mb-1">Your version</h3>
+                        <p className="font-medium truncate">{local.title}</p>
+                        <pre className="mt-1 p-2 bg-gray-50 border rounded text-sm whitespace-pre-wrap overflow-y-auto max-h-64">
+                            {local.content}
+                        </pre>
+                    </div>
+                    <div>
+                        <h3 className="text-sm font-medium text-gray-700 mb-1">
+                            Current version (revision {server.revision})
+                        </h3>
+                        <p className="font-medium truncate">{server.title}</p>
+                        <pre className="mt-1 p-2 bg-gray-50 border rounded text-sm whitespace-pre-wrap overflow-y-auto max-h-64">
+                            {server.content}
+                        </pre>
+                    </div>
+                </div>
+
+                {/* Buttons */}
+                <div className="mt-6 flex justify-end space-x-3">
+                    <button
+                        type="button"
+                        onClick={onUseTheirs}
+                        className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+                    >
+                        Use current version
+                    </button>
+                    <button
+                        type="button"
+                        onClick={onKeepMine}
+                        className="px-4 py-2 text-sm text-white bg-indigo-600 rounded-md hover:bg-indigo-700"
+                    >
+                        Keep my version
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ConflictDialog;
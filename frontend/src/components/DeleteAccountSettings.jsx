@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { usersAPI, endLocalSession } from '../services/api';
+import toast from 'react-hot-toast';
+
+const inputClass = 'mt-1 w-full px-3 py-2 border border-gray-300 rounded-md';
+
+// Delete the account, after the password (and a 2FA code when it's on).
+// The user's notes are deleted too, or given to another account.
+const DeleteAccountSettings = ({ twoFactorEnabled }) => {
+    const [open, setOpen] = useState(false);
+    const [password, setPassword] = useState('');
+    const [code, setCode] = useState('');
+    const [transfer, setTransfer] = useState(false);
+    const [transferTo, setTransferTo] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const consequence = transfer
+            ? `Your notes, notebooks and templates will be given to ${transferTo.trim()}.`
+            : 'Your notes, notebooks and templates will be deleted.';
+        if (!window.confirm(`Delete your account? ${consequence} This can't be undone.`)) return;
+
+        setIsSubmitting(true);
+        try {
+            const data = await usersAPI.deleteAccount({
+                password,
+                code: twoFactorEnabled ? code : undefined,
+                transferTo: transfer ? transferTo.trim() : null
+            });
+            toast.success(data.message);
+            endLocalSession();
+        } catch (error) {
+            toast.error(error.message);
+            setIsSubmitting(false);
+        }
+    };
+
+    if (!open) {
+        return (
+            <div className="space-y-3">
+                <p className="text-sm text-gray-700">
+                    Deleting your account removes you from every note and notebook shared with you.
+                </p>
+                <button
+                    type="button"
+                    onClick={() => setOpen(true)}
+                    className="px-4 py-2 text-sm font-medium text-red-700 border border-red-200 rounded-md hover:bg-red-50"
+                >
+                    Delete account...
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <fieldset className="space-y-2">
+                <legend className="block text-sm font-medium text-gray-700">Your notes</legend>
+                <label className="flex items-center text-sm text-gray-700">
+                    <input
+                        type="radio"
+                        name="delete-notes"
+                        checked={!transfer}
+                        onChange={() => setTransfer(false)}
+                        className="mr-2"
+                    />
+                    Delete them
+                </label>
+                <label className="flex items-center text-sm text-gray-700">
+                    <input
+                        type="radio"
+                        name="delete-notes"
+                        checked={transfer}
+                        onChange={() => setTransfer(true)}
+                        className="mr-2"
+                    />
+                    Give them to another account
+                </label>
+                {transfer && (
+                    <input
+                        type="email"
+                        value={transferTo}
+                        onChange={(e) => setTransferTo(e.target.value)}
+                        placeholder="Their email address"
+                        className={inputClass}
+                        required
+                    />
+                )}
+                {transfer && (
+                    <p className="text-xs text-gray-500">Notes in your trash are deleted either way.</p>
+                )}
+            </fieldset>
+            <div>
+                <label htmlFor="delete-password" className="block text-sm font-medium text-gray-700">
+                    Password
+                </label>
+                <input
+                    id="delete-password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className={inputClass}
+                    autoComplete="current-password"
+                    required
+                />
+            </div>
+            {twoFactorEnabled && (
+                <div>
+                    <label htmlFor="delete-code" className="block text-sm font-medium text-gray-700">
+                        Authentication or recovery code
+                    </label>
+                    <input
+                        id="delete-code"
+                        type="text"
+                        value={code}
+                        onChange={(e) => setCode(e.target.value)}
+                        className={inputClass}
+                        autoComplete="one-time-code"
+                        required
+                    />
+                </div>
+            )}
+            <div className="flex space-x-2">
+                <button
+                    type="button"
+                    onClick={() => {
+                        setOpen(false);
+                        setPassword('');
+                        setCode('');
+                    }}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+                    disabled={isSubmitting}
+                >
+                    Cancel
+                </button>
+                <button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className="px-4 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                >
+                    {isSubmitting ? 'Deleting...' : 'Delete my account'}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default DeleteAccountSettings;
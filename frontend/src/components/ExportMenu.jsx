@@ -0,0 +1,66 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FaDownload } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+import { notesAPI } from '../services/api';
+import { downloadBlob } from '../utils/download';
+
+const FORMATS = [
+    { format: 'md', label: 'Markdown' },
+    { format: 'html', label: 'HTML' },
+    { format: 'json', label: 'JSON' }
+];
+
+// A download button for one note with a menu of the export formats
+const ExportMenu = ({ noteId, className = '' }) => {
+    const [open, setOpen] = useState(false);
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        if (!open) return;
+        const handleClick = (e) => {
+            if (!menuRef.current?.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [open]);
+
+    const handleExport = async (format) => {
+        setOpen(false);
+        try {
+            const { blob, filename } = await notesAPI.exportNote(noteId, format);
+            downloadBlob(blob, filename);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    };
+
+    return (
+        <div ref={menuRef} className="relative" onClick={(e) => e.stopPropagation()}>
+            <button
+                type="button"
+                onClick={() => setOpen(prev => !prev)}
+                className={className}
+                title="Export Note"
+            >
+                <FaDownload />
+            </button>
+            {open && (
+                <ul className="absolute right-0 bottom-full mb-1 z-20 w-32 bg-white border border-gray-200 rounded-md shadow-lg py-1 text-sm">
+                    {FORMATS.map(({ format, label }) => (
+                        <li key={format}>
+                            <button
+                                type="button"
+                                onClick={() => handleExport(format)}
+                                className="w-full text-left px-3 py-1 text-gray-700 hover:bg-indigo-50 hover:text-indigo-700"
+                            >
+                                {label}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default ExportMenu;
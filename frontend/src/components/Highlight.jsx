@@ -0,0 +1,24 @@
+import React from 'react';
+
+// Render text with [start, end) ranges wrapped in <mark>
+const Highlight = ({ text, ranges = [] }) => {
+    const parts = [];
+    let position = 0;
+
+    ranges.forEach(([start, end], i) => {
+        if (start > position) {
+            parts.push(text.slice(position, start));
+        }
+        parts.push(
+            <mark key={i} className="bg-yellow-200 rounded-sm">
+                {text.slice(start, end)}
+            </mark>
+        );
+        position = end;
+    });
+    parts.push(text.slice(position));
+
+    return <>{parts}</>;
+};
+
+export default Highlight;
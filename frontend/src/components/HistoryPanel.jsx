@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { notesAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const HistoryPanel = ({ noteId, canRestore, onRestored, onClose }) => {
+    const [revisions, setRevisions] = useState([]);
+    const [pagination, setPagination] = useState(null);
+    const [page, setPage] = useState(1);
+    const [loading, setLoading] = useState(false);
+    const [selected, setSelected] = useState(null);
+    const [isRestoring, setIsRestoring] = useState(false);
+
+    // Fetch revisions on mount and when page changes
+    useEffect(() => {
+        const fetchRevisions = async () => {
+            setLoading(true);
+            try {
+                const data = await notesAPI.getRevisions(noteId, page);
+                setRevisions(data.revisions);
+                setPagination(data.pagination);
+            } catch (error) {
+                toast.error(error.message || 'Failed to load history');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchRevisions();
+    }, [noteId, page]);
+
+    // Load the full content of a revision for preview
+    const handleSelect = async (revId) => {
+        try {
+            const data = await notesAPI.getRevision(noteId, revId);
+            setSelected(data);
+        } catch (error) {
+            toast.error(error.message || 'Failed to load revision');
+        }
+    };
+
+    const handleRestore = async () => {
+        if (!selected) return;
+        if (!window.confirm('Restore this version? The current content will be kept in history.')) return;
+
+        setIsRestoring(true);
+        try {
+            const data = await notesAPI.restoreRevision(noteId, selected._id);
+            toast.success('Version restored');
+            onRestored(data);
+        } catch (error) {
+            toast.error(error.message || 'Failed to restore version');
+        } finally {
+            setIsRestoring(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-y-0 right-0 w-full max-w-md bg-white shadow-xl z-40 flex flex-col">
+            <div className="p-4 border-b flex items-center justify-between">
+                <h3 className="text-lg font-semibold">Version History</h3>
+                <button
+                    onClick={onClose}
+                    className="text-sm text-gray-600 hover:text-gray-800"
+                >
+                    Close
+                </button>
+            </div>
+
+            {/* Revisions List */}
+            <div className="flex-1 overflow-y-auto divide-y">
+                {loading ? (
+                    <div className="p-4 text-center text-gray-500">Loading...</div>
+                ) : revisions.length === 0 ? (
+                    <div className="p-4 text-center text-gray-500">No history yet</div>
+                ) : (
+                    revisions.map((revision) => (
+                        <button
+                            key={revision._id}
+                            onClick={() => handleSelect(revision._id)}
+                            className={`w-full text-left p-4 hover:bg-gray-50 ${
+                                selected?._id === revision._id ? 'bg-indigo-50' : ''
+                            }`}
+                        >
+                            <p className="text-sm font-medium">
+                                {new Date(revision.updatedAt).toLocaleString()}
+                            </p>
+                            <p className="text-xs text-gray-500 mt-1">
+                                {revision.editedBy?.name || 'Unknown user'}
+                                {revision.editCount > 1 && ` · ${revision.editCount} edits`}
+                                {revision.restoredFrom && ' · restored'}
+                            </p>
+                        </button>
+                    ))
+                )}
+            </div>
+
+            {/* Pagination */}
+            {pagination && pagination.totalPages > 1 && (
+                <div className="p-3 border-t flex justify-between items-center">
+                    <button
+                        onClick={() => setPage(p => Math.max(1, p - 1))}
+                        disabled={!pagination.hasPrevPage}
+                        className="px-3 py-1 text-sm rounded bg-gray-200 disabled:opacity-50"
+                    >
+                        Newer
+                    </button>
+                    <span className="text-sm text-gray-500">
+                        Page {pagination.currentPage} of {pagination.totalPages}
+                    </span>
+                    <button
+                        onClick={() => setPage(p => p + 1)}
+                        disabled={!pagination.hasNextPage}
+                        className="px-3 py-1 text-sm rounded bg-gray-200 disabled:opacity-50"
+                    >
+                        Older
+                    </button>
+                </div>
+            )}
+
+            {/* Preview */}
+            {selected && (
+                <div className="border-t p-4 flex flex-col">
+                    <h4 className="font-medium truncate">{selected.title}</h4>
+                    <pre className="mt-2 p-2 bg-gray-50 rounded text-sm whitespace-pre-wrap overflow-y-auto max-h-64">
+                        {selected.content}
+                    </pre>
+                    {canRestore && (
+                        <button
+                            onClick={handleRestore}
+                            disabled={isRestoring}
+                            className={`mt-3 px-4 py-2 text-sm text-white bg-indigo-600 rounded-md hover:bg-indigo-700 ${
+                                isRestoring ? 'opacity-50 cursor-not-allowed' : ''
+                            }`}
+                        >
+                            {isRestoring ? 'Restoring...' : 'Restore this version'}
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default HistoryPanel;
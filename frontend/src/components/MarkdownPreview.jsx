@@ -0,0 +1,91 @@
+import React, { useEffect, useLayoutEffect, useMemo, useRef } from 'react';
+import toast from 'react-hot-toast';
+import { renderMarkdown } from '../utils/markdown';
+import { attachmentObjectUrl, downloadAttachment } from '../services/attachments';
+import 'highlight.js/styles/github.css';
+
+// Rendered, sanitized Markdown. With onToggleTask(index, checked) its task
+// list checkboxes can be clicked; index counts the note's task items in order.
+// Attached images are loaded with the user's credentials unless
+// loadAttachments is false (share link pages have none). wikiLinks, as
+// returned by the wiki-links API, makes [[links]] lead to their notes, opened
+// with onOpenNote(noteId).
+const MarkdownPreview = ({
+    content,
+    className = '',
+    onToggleTask,
+    loadAttachments = true,
+    wikiLinks,
+    onOpenNote
+}) => {
+    const containerRef = useRef(null);
+    const html = useMemo(() => renderMarkdown(content), [content]);
+
+    useLayoutEffect(() => {
+        containerRef.current.querySelectorAll('input[data-task]').forEach((input) => {
+            input.disabled = !onToggleTask;
+        });
+    }, [html, !!onToggleTask]);
+
+    useEffect(() => {
+        if (!loadAttachments) return;
+        containerRef.current.querySelectorAll('img[data-attachment]').forEach((img) => {
+            attachmentObjectUrl(img.dataset.attachment)
+                .then((objectUrl) => { img.src = objectUrl; })
+                .catch(() => img.classList.add('attachment-missing'));
+        });
+    }, [html, loadAttachments]);
+
+    useLayoutEffect(() => {
+        if (!wikiLinks) return;
+        containerRef.current.querySelectorAll('a[data-wiki-link]').forEach((anchor) => {
+            const target = wikiLinks.find(link => link.text === anchor.dataset.wikiLink)?.note;
+            anchor.classList.toggle('wiki-link-missing', !target);
+            if (target) {
+                anchor.href = `/notes/${target._id}`;
+                anchor.title = target.title;
+            } else {
+                anchor.removeAttribute('href');
+                anchor.title = 'No note with this title';
+            }
+        });
+    }, [html, wikiLinks]);
+
+    const handleClick = (e) => {
+        const wikiLink = e.target.closest('a[data-wiki-link][href]');
+        if (wikiLink && onOpenNote) {
+            // Plain clicks stay in the app, modified ones open a tab
+            if (e.ctrlKey || e.metaKey || e.shiftKey) return;
+            e.preventDefault();
+            onOpenNote(wikiLink.getAttribute('href').split('/').pop());
+            return;
+        }
+
+        const link = e.target.closest('a[data-attachment]');
+        if (link) {
+            e.preventDefault();
+            if (loadAttachments) {
+                downloadAttachment(link.dataset.attachment, link.textContent)
+                    .catch(error => toast.error(error.message));
+            }
+            return;
+        }
+
+        if (!onToggleTask || !e.target.matches('input[data-task]')) return;
+        // The box follows the content once the change comes back
+        e.preventDefault();
+        const boxes = [...containerRef.current.querySelectorAll('input[data-task]')];
+        onToggleTask(boxes.indexOf(e.target), e.target.checked);
+    };
+
+    return (
+        <div
+            ref={containerRef}
+            onClick={handleClick}
+            className={`markdown-body ${className}`}
+            dangerouslySetInnerHTML={{ __html: html }}
+        />
+    );
+};
+
+export default MarkdownPreview;
@@ -0,0 +1,129 @@
+import React from 'react';
+
+// Each action takes the text and selection and returns the new text and the
+// selection to restore: { text, start, end }
+
+// Surround the selection, or a placeholder selected for typing over
+const wrap = (before, after, placeholder) => (text, start, end) => {
+    const inner = text.slice(start, end) || placeholder;
+    return {
+        text: text.slice(0, start) + before + inner + after + text.slice(end),
+        start: start + before.length,
+        end: start + before.length + inner.length
+    };
+};
+
+// Add a prefix to every line touched by the selection, or remove it when all
+// of them already have it. `prefix` may be a function of the line's index.
+const prefixLines = (prefix, pattern) => (text, start, end) => {
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    const nextBreak = text.indexOf('\n', end > start ? end - 1 : end);
+    const lineEnd = nextBreak === -1 ? text.length : nextBreak;
+
+    const lines = text.slice(lineStart, lineEnd).split('\n');
+    const remove = lines.every(line => pattern.test(line));
+    const block = lines
+        .map((line, i) => (remove
+            ? line.replace(pattern, '')
+            : (typeof prefix === 'function' ? prefix(i) : prefix) + line))
+        .join('\n');
+
+    return {
+        text: text.slice(0, lineStart) + block + text.slice(lineEnd),
+        start: lineStart,
+        end: lineStart + block.length
+    };
+};
+
+// Insert a block on lines of its own
+const insertBlock = (build) => (text, start, end) => {
+    const { block, select = [0, 0] } = build(text.slice(start, end));
+    const before = start > 0 && text[start - 1] !== '\n' ? '\n' : '';
+    const after = end < text.length && text[end] !== '\n' ? '\n' : '';
+    const offset = start + before.length;
+    return {
+        text: text.slice(0, start) + before + block + after + text.slice(end),
+        start: offset + select[0],
+        end: offset + select[1]
+    };
+};
+
+const ACTIONS = [
+    { label: 'B', title: 'Bold', className: 'font-bold', apply: wrap('**', '**', 'bold text') },
+    { label: 'I', title: 'Italic', className: 'italic', apply: wrap('_', '_', 'italic text') },
+    { label: 'H', title: 'Heading', apply: prefixLines('## ', /^#{1,6} /) },
+    { label: '“', title: 'Quote', apply: prefixLines('> ', /^> ?/) },
+    { label: '•', title: 'Bulleted list', apply: prefixLines('- ', /^[-*+] (?!\[[ xX]\] )/) },
+    { label: '1.', title: 'Numbered list', apply: prefixLines(i => `${i + 1}. `, /^\d+\. /) },
+    { label: '☐', title: 'Task list', apply: prefixLines('- [ ] ', /^[-*+] \[[ xX]\] /) },
+    { label: '</>', title: 'Code', className: 'font-mono', apply: wrap('`', '`', 'code') },
+    {
+        label: '{ }',
+        title: 'Code block',
+        className: 'font-mono',
+        apply: insertBlock((selected) => {
+            const code = selected || 'code';
+            return { block: `\`\`\`\n${code}\n\`\`\``, select: [4, 4 + code.length] };
+        })
+    },
+    {
+        label: 'Link',
+        title: 'Link',
+        apply: (text, start, end) => {
+            const label = text.slice(start, end) || 'link text';
+            const markup = `[${label}](https://)`;
+            const urlStart = start + label.length + 3;
+            return {
+                text: text.slice(0, start) + markup + text.slice(end),
+                start: urlStart,
+                end: urlStart + 'https://'.length
+            };
+        }
+    },
+    {
+        label: 'Table',
+        title: 'Table',
+        apply: insertBlock(() => ({
+            block: '| Column | Column |\n| ------ | ------ |\n| Cell   | Cell   |',
+            select: [2, 8]
+        }))
+    }
+];
+
+// Formatting buttons for a Markdown textarea. onEdit(text, [start, end])
+// receives the new content and the selection to restore.
+const MarkdownToolbar = ({ textareaRef, onEdit, disabled }) => {
+    const handleClick = (action) => {
+        const textarea = textareaRef.current;
+        if (!textarea) return;
+
+        const { text, start, end } = action.apply(
+            textarea.value,
+            textarea.selectionStart,
+            textarea.selectionEnd
+        );
+        textarea.focus();
+        onEdit(text, [start, end]);
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-1">
+            {ACTIONS.map(action => (
+                <button
+                    key={action.title}
+                    type="button"
+                    title={action.title}
+                    // Keep the textarea's selection
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => handleClick(action)}
+                    disabled={disabled}
+                    className={`min-w-[2rem] px-2 py-1 text-sm text-gray-700 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed ${action.className || ''}`}
+                >
+                    {action.label}
+                </button>
+            ))}
+        </div>
+    );
+};
+
+export default MarkdownToolbar;
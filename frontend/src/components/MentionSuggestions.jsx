@@ -0,0 +1,151 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { caretCoordinates } from '../utils/caret';
+
+const MAX_SUGGESTIONS = 6;
+
+// The `@query` being typed just before the caret, if any
+const findQuery = (text, caret) => {
+    const at = text.lastIndexOf('@', caret - 1);
+    if (at === -1 || caret - at > 40) return null;
+    if (at > 0 && /[\p{L}\p{N}_]/u.test(text[at - 1])) return null;
+
+    const query = text.slice(at + 1, caret);
+    if (/^\s|\n/.test(query)) return null;
+    return { start: at, text: query.toLowerCase() };
+};
+
+// Suggests people to @mention while typing in a textarea or input. Render it
+// next to the field inside a relatively positioned container.
+// onPick(newValue, caret) receives the text with the mention filled in.
+const MentionSuggestions = ({ inputRef, value, members, onPick }) => {
+    const [query, setQuery] = useState(null);
+    const [active, setActive] = useState(0);
+    // Escape hides the list until the caret moves to another `@`
+    const dismissedRef = useRef(null);
+
+    useEffect(() => {
+        const input = inputRef.current;
+        if (!input) return;
+
+        const update = () => {
+            const next = findQuery(input.value, input.selectionStart);
+            setQuery(next && next.start !== dismissedRef.current ? next : null);
+        };
+
+        update();
+        setActive(0);
+        input.addEventListener('keyup', update);
+        input.addEventListener('click', update);
+        return () => {
+            input.removeEventListener('keyup', update);
+            input.removeEventListener('click', update);
+        };
+    }, [inputRef, value]);
+
+    const matches = query
+        ? members
+            .filter(member => (
+                member.name.toLowerCase().split(/\s+/).some(part => part.startsWith(query.text)) ||
+                member.name.toLowerCase().startsWith(query.text) ||
+                member.email.toLowerCase().startsWith(query.text)
+            ))
+            .slice(0, MAX_SUGGESTIONS)
+        : [];
+    const open = matches.length > 0;
+
+    const pick = (member) => {
+        const input = inputRef.current;
+        const caret = input.selectionStart;
+        const mention = `@${member.name} `;
+        const newValue = input.value.slice(0, query.start) + mention + input.value.slice(caret);
+        setQuery(null);
+        onPick(newValue, query.start + mention.length);
+    };
+
+    useEffect(() => {
+        const input = inputRef.current;
+        if (!input || !open) return;
+
+        const handleKeyDown = (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                setActive(index => (index + step + matches.length) % matches.length);
+            } else if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                pick(matches[Math.min(active, matches.length - 1)]);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                dismissedRef.current = query.start;
+                setQuery(null);
+            }
+        };
+
+        input.addEventListener('keydown', handleKeyDown);
+        return () => input.removeEventListener('keydown', handleKeyDown);
+    });
+
+    if (!open) return null;
+
+    const { top, left } = caretCoordinates(inputRef.current, query.start);
+
+    return (
+        <ul
+            className="absolute z-20 w-48 bg-white border border-gray-200 rounded-md shadow-lg py-1 text-sm"
+            style={{ top: inputRef.current.offsetTop + top, left: inputRef.current.offsetLeft + Math.max(0, left) }}
+        >
+            {matches.map((member, index) => (
+                <li key={member._id}>
+                    <button
+                        type="button"
+                        // Keep focus (and the caret) in the field
+                        onMouseDown={(e) => {
+                            e.preventDefault();
+                            pick(member);
+                        }}
+                        className={`w-full text-left px-3 py-1 ${index === active ? 'bg-indigo-50 text-indigo-700' : 'text-gray-700'}`}
+                    >
+                        <span className="block truncate">{member.name}</span>
+                        <span className="block truncate text-xs text-gray-400">{member.email}</span>
+                    </button>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+// A textarea (or input with as="input") with mention suggestions, for plain
+// controlled fields. onChange receives the new value.
+export const MentionInput = ({ as: Field = 'textarea', value, onChange, members, ...props }) => {
+    const inputRef = useRef(null);
+    const caretRef = useRef(null);
+
+    useEffect(() => {
+        if (caretRef.current !== null && inputRef.current) {
+            inputRef.current.setSelectionRange(caretRef.current, caretRef.current);
+            caretRef.current = null;
+        }
+    }, [value]);
+
+    return (
+        <div className="relative flex-1 min-w-0">
+            <Field
+                ref={inputRef}
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                {...props}
+            />
+            <MentionSuggestions
+                inputRef={inputRef}
+                value={value}
+                members={members}
+                onPick={(newValue, caret) => {
+                    caretRef.current = caret;
+                    onChange(newValue);
+                }}
+            />
+        </div>
+    );
+};
+
+export default MentionSuggestions;
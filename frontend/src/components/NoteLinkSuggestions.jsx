@@ -0,0 +1,138 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { notesAPI } from '../services/api';
+import { caretCoordinates } from '../utils/caret';
+
+const MAX_QUERY_LENGTH = 60;
+// Wait for a pause in typing before asking the server
+const FETCH_DELAY_MS = 150;
+
+// The `[[query` being typed just before the caret, if any
+const findQuery = (text, caret) => {
+    const open = text.lastIndexOf('[[', caret - 2);
+    if (open === -1 || caret - open - 2 > MAX_QUERY_LENGTH) return null;
+
+    const query = text.slice(open + 2, caret);
+    if (/[[\]\n]/.test(query)) return null;
+    return { start: open, text: query.trim() };
+};
+
+// Suggests notes to [[link]] to while typing in a textarea. Render it next to
+// the field inside a relatively positioned container. onPick(newValue, caret)
+// receives the text with the link filled in; excludeId leaves out the note
+// being edited.
+const NoteLinkSuggestions = ({ inputRef, value, excludeId, onPick }) => {
+    const [query, setQuery] = useState(null);
+    const [matches, setMatches] = useState([]);
+    const [active, setActive] = useState(0);
+    // Escape hides the list until the caret moves to another `[[`
+    const dismissedRef = useRef(null);
+
+    useEffect(() => {
+        const input = inputRef.current;
+        if (!input) return;
+
+        const update = () => {
+            const next = findQuery(input.value, input.selectionStart);
+            setQuery(prev => {
+                if (!next || next.start === dismissedRef.current) return null;
+                // Keep the same object while nothing changed, so we don't refetch
+                return prev && prev.start === next.start && prev.text === next.text ? prev : next;
+            });
+        };
+
+        update();
+        setActive(0);
+        input.addEventListener('keyup', update);
+        input.addEventListener('click', update);
+        return () => {
+            input.removeEventListener('keyup', update);
+            input.removeEventListener('click', update);
+        };
+    }, [inputRef, value]);
+
+    useEffect(() => {
+        if (!query) {
+            setMatches([]);
+            return;
+        }
+
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            notesAPI.getNoteTitles(query.text)
+                .then(notes => {
+                    if (!cancelled) setMatches(notes.filter(note => note._id !== excludeId));
+                })
+                .catch(error => console.error('Error fetching note titles:', error));
+        }, FETCH_DELAY_MS);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [query, excludeId]);
+
+    const open = !!query && matches.length > 0;
+
+    const pick = (note) => {
+        const input = inputRef.current;
+        const caret = input.selectionStart;
+        // Take over the closing brackets if they're already there
+        const rest = input.value.slice(caret);
+        const after = rest.startsWith(']]') ? rest.slice(2) : rest;
+        const link = `[[${note.title}]]`;
+        setQuery(null);
+        onPick(input.value.slice(0, query.start) + link + after, query.start + link.length);
+    };
+
+    useEffect(() => {
+        const input = inputRef.current;
+        if (!input || !open) return;
+
+        const handleKeyDown = (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                setActive(index => (index + step + matches.length) % matches.length);
+            } else if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                pick(matches[Math.min(active, matches.length - 1)]);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                dismissedRef.current = query.start;
+                setQuery(null);
+            }
+        };
+
+        input.addEventListener('keydown', handleKeyDown);
+        return () => input.removeEventListener('keydown', handleKeyDown);
+    });
+
+    if (!open) return null;
+
+    const { top, left } = caretCoordinates(inputRef.current, query.start);
+
+    return (
+        <ul
+            className="absolute z-20 w-64 bg-white border border-gray-200 rounded-md shadow-lg py-1 text-sm"
+            style={{ top: inputRef.current.offsetTop + top, left: inputRef.current.offsetLeft + Math.max(0, left) }}
+        >
+            {matches.map((note, index) => (
+                <li key={note._id}>
+                    <button
+                        type="button"
+                        // Keep focus (and the caret) in the field
+                        onMouseDown={(e) => {
+                            e.preventDefault();
+                            pick(note);
+                        }}
+                        className={`w-full text-left px-3 py-1 truncate ${index === active ? 'bg-indigo-50 text-indigo-700' : 'text-gray-700'}`}
+                    >
+                        {note.title}
+                    </button>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default NoteLinkSuggestions;
@@ -0,0 +1,142 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import debounce from 'lodash/debounce';
+import { notesAPI } from '../services/api';
+import Highlight from './Highlight';
+
+// Search box with a results dropdown. Supports "exact phrases" and prefix*
+// terms; arrow keys move through results, Enter opens, Escape closes.
+const NoteSearch = () => {
+    const navigate = useNavigate();
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState([]);
+    // { totalResults, truncated } for the latest results
+    const [pagination, setPagination] = useState(null);
+    const [activeIndex, setActiveIndex] = useState(-1);
+    const [isOpen, setIsOpen] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const latestQuery = useRef('');
+
+    const runSearch = useMemo(() => debounce(async (q) => {
+        try {
+            const data = await notesAPI.searchNotes(q);
+            // Ignore responses for queries the user has already moved past
+            if (latestQuery.current !== q) return;
+            setResults(data.results);
+            setPagination(data.pagination);
+            setActiveIndex(data.results.length > 0 ? 0 : -1);
+        } catch (error) {
+            console.error('Search error:', error);
+            setResults([]);
+            setPagination(null);
+        } finally {
+            setLoading(false);
+        }
+    }, 300), []);
+
+    useEffect(() => () => runSearch.cancel(), [runSearch]);
+
+    const handleChange = (e) => {
+        const q = e.target.value;
+        setQuery(q);
+        latestQuery.current = q.trim();
+
+        if (!q.trim()) {
+            runSearch.cancel();
+            setResults([]);
+            setIsOpen(false);
+            return;
+        }
+
+        setLoading(true);
+        setIsOpen(true);
+        runSearch(q.trim());
+    };
+
+    const openResult = (result) => {
+        setIsOpen(false);
+        navigate(`/notes/${result._id}`);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            setIsOpen(false);
+            return;
+        }
+        if (!isOpen || results.length === 0) return;
+
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActiveIndex(i => (i + 1) % results.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveIndex(i => (i - 1 + results.length) % results.length);
+        } else if (e.key === 'Enter' && activeIndex >= 0) {
+            e.preventDefault();
+            openResult(results[activeIndex]);
+        }
+    };
+
+    return (
+        <div className="relative w-full max-w-md">
+            <input
+                type="search"
+                value={query}
+                onChange={handleChange}
+                onKeyDown={handleKeyDown}
+                onFocus={() => query.trim() && setIsOpen(true)}
+                onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+                placeholder='Search notes ("phrase", prefix*)'
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                role="combobox"
+                aria-expanded={isOpen}
+                aria-controls="note-search-results"
+                aria-activedescendant={activeIndex >= 0 ? `note-search-result-${activeIndex}` : undefined}
+            />
+
+            {isOpen && (
+                <ul
+                    id="note-search-results"
+                    role="listbox"
+                    className="absolute left-0 right-0 mt-1 bg-white rounded-md shadow-lg z-30 max-h-96 overflow-y-auto divide-y"
+                >
+                    {loading && results.length === 0 ? (
+                        <li className="p-3 text-sm text-gray-500">Searching...</li>
+                    ) : results.length === 0 ? (
+                        <li className="p-3 text-sm text-gray-500">No matching notes</li>
+                    ) : (
+                        results.map((result, index) => (
+                            <li
+                                key={result._id}
+                                id={`note-search-result-${index}`}
+                                role="option"
+                                aria-selected={index === activeIndex}
+                                onMouseDown={(e) => {
+                                    e.preventDefault();
+                                    openResult(result);
+                                }}
+                                onMouseEnter={() => setActiveIndex(index)}
+                                className={`p-3 cursor-pointer ${index === activeIndex ? 'bg-indigo-50' : ''}`}
+                            >
+                                <p className="text-sm font-medium text-gray-900 truncate">
+                                    <Highlight text={result.title} ranges={result.titleHighlights} />
+                                </p>
+                                <p className="text-xs text-gray-500 mt-1 line-clamp-2">
+                                    <Highlight text={result.snippet.text} ranges={result.snippet.highlights} />
+                                </p>
+                            </li>
+                        ))
+                    )}
+                    {results.length > 0 && pagination?.totalResults > results.length && (
+                        <li className="p-3 text-xs text-gray-500">
+                            Showing the best {results.length} of {pagination.totalResults} matching notes.
+                            {pagination.truncated && ' Add more terms to narrow it down.'}
+                        </li>
+                    )}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default NoteSearch;
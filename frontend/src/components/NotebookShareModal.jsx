@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { notebooksAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+// Sharing a notebook gives access to every note and notebook inside it
+const NotebookShareModal = ({ notebook, onChange, onClose }) => {
+    const [email, setEmail] = useState('');
+    const [permission, setPermission] = useState('read');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleShare = async (e) => {
+        e.preventDefault();
+        if (!email.trim()) {
+            toast.error('Email is required');
+            return;
+        }
+
+        setIsSubmitting(true);
+        try {
+            const data = await notebooksAPI.shareNotebook(notebook._id, email.trim(), permission);
+            toast.success(`Notebook shared with ${email}`);
+            setEmail('');
+            onChange(data);
+        } catch (error) {
+            toast.error(error.message || 'Failed to share notebook');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleRemove = async (userId) => {
+        try {
+            const data = await notebooksAPI.removeCollaborator(notebook._id, userId);
+            onChange(data);
+        } catch (error) {
+            toast.error(error.message || 'Failed to update sharing');
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-md">
+                <h2 className="text-xl font-bold mb-1">Share "{notebook.name}"</h2>
+                <p className="text-sm text-gray-500 mb-4">
+                    People you add can access every note in this notebook and its sub-notebooks.
+                </p>
+
+                <form onSubmit={handleShare} className="space-y-4">
+                    <div className="flex space-x-2">
+                        <input
+                            type="email"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            className="flex-1 p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                            placeholder="user@example.com"
+                            disabled={isSubmitting}
+                        />
+                        <select
+                            value={permission}
+                            onChange={(e) => setPermission(e.target.value)}
+                            className="p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                            disabled={isSubmitting}
+                        >
+                            <option value="read">Read Only</option>
+                            <option value="comment">Can Comment</option>
+                            <option value="write">Can Edit</option>
+                        </select>
+                    </div>
+
+                    {notebook.collaborators.length > 0 && (
+                        <div className="space-y-2">
+                            {notebook.collaborators.map((collab) => (
+                                <div
+                                    key={collab.userId._id}
+                                    className="flex items-center justify-between p-2 bg-gray-50 rounded-md"
+                                >
+                                    <span className="truncate">{collab.userId.email}</span>
+                                    <div className="flex items-center space-x-3">
+                                        <span className={`text-sm ${
+                                            collab.permission === 'write'
+                                                ? 'text-green-600'
+                                                : 'text-blue-600'
+                                        }`}>
+                                            {collab.permission}
+                                        </span>
+                                        <button
+                                            type="button"
+                                            onClick={() => handleRemove(collab.userId._id)}
+                                            className="text-sm text-red-600 hover:text-red-800"
+                                        >
+                                            Remove
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    <div className="flex justify-end space-x-3">
+                        <button
+                            type="button"
+                            onClick={onClose}
+                            className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800"
+                        >
+                            Close
+                        </button>
+                        <button
+                            type="submit"
+                            className={`px-4 py-2 text-sm text-white bg-blue-500 rounded-md hover:bg-blue-600 ${
+                                isSubmitting ? 'opacity-50 cursor-not-allowed' : ''
+                            }`}
+                            disabled={isSubmitting}
+                        >
+                            {isSubmitting ? 'Sharing...' : 'Share'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default NotebookShareModal;
@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import {
+    FaFolder,
+    FaFolderOpen,
+    FaChevronRight,
+    FaChevronDown,
+    FaPlus,
+    FaPen,
+    FaTrash,
+    FaShare
+} from 'react-icons/fa';
+
+// Drag payload types, notes are dragged from the Dashboard cards
+export const NOTE_DRAG_TYPE = 'application/x-note-id';
+const NOTEBOOK_DRAG_TYPE = 'application/x-notebook-id';
+
+// Turn the flat list from the API into a tree. Notebooks whose parent we
+// can't see (shared sub-notebooks) are shown at the top level.
+const buildTree = (notebooks) => {
+    const byId = new Map(notebooks.map(nb => [nb._id, { ...nb, children: [] }]));
+    const roots = [];
+    byId.forEach((node) => {
+        const parent = node.parent && byId.get(node.parent);
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+    return roots;
+};
+
+const NotebookTree = ({
+    notebooks,
+    selected,
+    onSelect,
+    onCreate,
+    onRename,
+    onDelete,
+    onShare,
+    onMoveNote,
+    onMoveNotebook
+}) => {
+    const [expanded, setExpanded] = useState(() => new Set());
+    const [dropTarget, setDropTarget] = useState(undefined);
+
+    const toggle = (id) => {
+        setExpanded(prev => {
+            const next = new Set(prev);
+            if (next.has(id)) {
+                next.delete(id);
+            } else {
+                next.add(id);
+            }
+            return next;
+        });
+    };
+
+    // notebookId null is the top level
+    const dropProps = (notebookId) => ({
+        onDragOver: (e) => {
+            const types = e.dataTransfer.types;
+            if (types.includes(NOTE_DRAG_TYPE) || types.includes(NOTEBOOK_DRAG_TYPE)) {
+                e.preventDefault();
+                setDropTarget(notebookId);
+            }
+        },
+        onDragLeave: () => setDropTarget(undefined),
+        onDrop: (e) => {
+            e.preventDefault();
+            setDropTarget(undefined);
+            const noteId = e.dataTransfer.getData(NOTE_DRAG_TYPE);
+            const movedNotebookId = e.dataTransfer.getData(NOTEBOOK_DRAG_TYPE);
+            if (noteId) {
+                onMoveNote(noteId, notebookId);
+            } else if (movedNotebookId && movedNotebookId !== notebookId) {
+                onMoveNotebook(movedNotebookId, notebookId);
+            }
+        }
+    });
+
+    const renderNode = (node, depth) => {
+        const isOpen = expanded.has(node._id);
+        const canWrite = node.userPermission === 'write';
+
+        return (
+            <li key={node._id}>
+                <div
+                    {...dropProps(node._id)}
+                    draggable={node.isOwnedByCurrentUser}
+                    onDragStart={(e) => e.dataTransfer.setData(NOTEBOOK_DRAG_TYPE, node._id)}
+                    className={`group flex items-center px-2 py-1 text-sm rounded-md cursor-pointer ${
+                        selected === node._id
+                            ? 'bg-indigo-100 text-indigo-800'
+                            : 'text-gray-700 hover:bg-gray-200'
+                    } ${dropTarget === node._id ? 'ring-2 ring-indigo-400' : ''}`}
+                    style={{ paddingLeft: `${depth * 12 + 8}px` }}
+                    onClick={() => onSelect(node._id)}
+                >
+                    <button
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            toggle(node._id);
+                        }}
+                        className={`mr-1 text-xs text-gray-500 ${node.children.length === 0 ? 'invisible' : ''}`}
+                    >
+                        {isOpen ? <FaChevronDown /> : <FaChevronRight />}
+                    </button>
+                    {isOpen ? <FaFolderOpen className="mr-2 text-yellow-500" /> : <FaFolder className="mr-2 text-yellow-500" />}
+                    <span className="flex-1 truncate" title={node.name}>{node.name}</span>
+                    <span className="hidden group-hover:flex items-center space-x-1 text-xs text-gray-500">
+                        {canWrite && (
+                            <>
+                                <button
+                                    onClick={(e) => {
+                                        e.stopPropagation();
+                                        setExpanded(prev => new Set(prev).add(node._id));
+                                        onCreate(node._id);
+                                    }}
+                                    className="hover:text-gray-800"
+                                    title="New notebook inside"
+                                >
+                                    <FaPlus />
+                                </button>
+                                <button
+                                    onClick={(e) => {
+                                        e.stopPropagation();
+                                        onRename(node);
+                                    }}
+                                    className="hover:text-gray-800"
+                                    title="Rename"
+                                >
+                                    <FaPen />
+                                </button>
+                            </>
+                        )}
+                        {node.isOwnedByCurrentUser && (
+                            <>
+                                <button
+                                    onClick={(e) => {
+                                        e.stopPropagation();
+                                        onShare(node);
+                                    }}
+                                    className="hover:text-blue-700"
+                                    title="Share notebook"
+                                >
+                                    <FaShare />
+                                </button>
+                                <button
+                                    onClick={(e) => {
+                                        e.stopPropagation();
+                                        onDelete(node);
+                                    }}
+                                    className="hover:text-red-700"
+                                    title="Delete notebook"
+                                >
+                                    <FaTrash />
+                                </button>
+                            </>
+                        )}
+                    </span>
+                </div>
+                {isOpen && node.children.length > 0 && (
+                    <ul className="space-y-1 mt-1">
+                        {node.children.map(child => renderNode(child, depth + 1))}
+                    </ul>
+                )}
+            </li>
+        );
+    };
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="text-sm font-semibold text-gray-700">Notebooks</h3>
+                <button
+                    onClick={() => onCreate(null)}
+                    className="text-xs text-indigo-600 hover:text-indigo-800"
+                    title="New notebook"
+                >
+                    <FaPlus />
+                </button>
+            </div>
+            <ul className="space-y-1">
+                <li>
+                    <div
+                        {...dropProps(null)}
+                        onClick={() => onSelect(null)}
+                        className={`px-2 py-1 text-sm rounded-md cursor-pointer ${
+                            selected === null
+                                ? 'bg-indigo-100 text-indigo-800'
+                                : 'text-gray-700 hover:bg-gray-200'
+                        } ${dropTarget === null ? 'ring-2 ring-indigo-400' : ''}`}
+                        title="Drop a note or notebook here to take it out of its notebook"
+                    >
+                        All notes
+                    </div>
+                </li>
+                {buildTree(notebooks).map(node => renderNode(node, 0))}
+            </ul>
+        </div>
+    );
+};
+
+export default NotebookTree;
@@ -1,11 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
 import { FaBell, FaCheck, FaTrash } from 'react-icons/fa';
 import { getNotifications, markNotificationsRead, deleteNotifications } from '../store/slices/notificationsSlice';
 import toast from 'react-hot-toast';
+import { notificationLink } from '../utils/notificationLink';
 
 const NotificationCenter = () => {
     const dispatch = useDispatch();
+    const navigate = useNavigate();
     const [isOpen, setIsOpen] = useState(false);
     const [selectedIds, setSelectedIds] = useState([]);
     const [page, setPage] = useState(1);
@@ -48,6 +51,16 @@ const NotificationCenter = () => {
         }
     };
 
+    // Open what the notification is about, e.g. the text someone mentioned us in
+    const handleOpen = (e, notification) => {
+        e.stopPropagation();
+        if (!notification.read) {
+            dispatch(markNotificationsRead({ notificationIds: [notification._id] }));
+        }
+        setIsOpen(false);
+        navigate(notificationLink(notification));
+    };
+
     // Toggle notification selection
     const toggleSelect = (id) => {
         setSelectedIds(prev => 
@@ -132,10 +145,21 @@ const NotificationCenter = () => {
                                                 type="checkbox"
                                                 checked={selectedIds.includes(notification._id)}
                                                 onChange={() => toggleSelect(notification._id)}
+                                                onClick={(e) => e.stopPropagation()}
                                                 className="mt-1 mr-3"
                                             />
                                             <div>
-                                                <p className="text-sm">{notification.message}</p>
+                                                {notificationLink(notification) ? (
+                                                    <button
+                                                        type="button"
+                                                        onClick={(e) => handleOpen(e, notification)}
+                                                        className="text-sm text-left hover:text-blue-600 hover:underline"
+                                                    >
+                                                        {notification.message}
+                                                    </button>
+                                                ) : (
+                                                    <p className="text-sm">{notification.message}</p>
+                                                )}
                                                 <p className="text-xs text-gray-500 mt-1">
                                                     {new Date(notification.createdAt).toLocaleString()}
                                                 </p>
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { usersAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const inputClass = 'mt-1 w-full px-3 py-2 border border-gray-300 rounded-md';
+const MIN_PASSWORD_LENGTH = 6;
+
+// Change the password. Every other session is logged out.
+const PasswordSettings = () => {
+    const [currentPassword, setCurrentPassword] = useState('');
+    const [newPassword, setNewPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (newPassword !== confirmPassword) {
+            toast.error('Passwords do not match');
+            return;
+        }
+
+        setIsSubmitting(true);
+        try {
+            const data = await usersAPI.changePassword(currentPassword, newPassword);
+            setCurrentPassword('');
+            setNewPassword('');
+            setConfirmPassword('');
+            toast.success(data.sessionsEnded > 0
+                ? `Password changed. Logged out ${data.sessionsEnded} other session${data.sessionsEnded > 1 ? 's' : ''}.`
+                : 'Password changed');
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+                <label htmlFor="current-password" className="block text-sm font-medium text-gray-700">
+                    Current password
+                </label>
+                <input
+                    id="current-password"
+                    type="password"
+                    value={currentPassword}
+                    onChange={(e) => setCurrentPassword(e.target.value)}
+                    className={inputClass}
+                    autoComplete="current-password"
+                    required
+                />
+            </div>
+            <div>
+                <label htmlFor="new-password" className="block text-sm font-medium text-gray-700">
+                    New password
+                </label>
+                <input
+                    id="new-password"
+                    type="password"
+                    value={newPassword}
+                    onChange={(e) => setNewPassword(e.target.value)}
+                    className={inputClass}
+                    autoComplete="new-password"
+                    minLength={MIN_PASSWORD_LENGTH}
+                    required
+                />
+            </div>
+            <div>
+                <label htmlFor="confirm-password" className="block text-sm font-medium text-gray-700">
+                    Confirm new password
+                </label>
+                <input
+                    id="confirm-password"
+                    type="password"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    className={inputClass}
+                    autoComplete="new-password"
+                    required
+                />
+            </div>
+            <p className="text-xs text-gray-500">You'll stay logged in here; other devices are logged out.</p>
+            <button
+                type="submit"
+                disabled={isSubmitting}
+                className="px-4 py-2 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+                {isSubmitting ? 'Changing...' : 'Change password'}
+            </button>
+        </form>
+    );
+};
+
+export default PasswordSettings;
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { usersAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const inputClass = 'mt-1 w-full px-3 py-2 border border-gray-300 rounded-md';
+
+// Name and email. A new email takes the current password and has to be
+// verified again. onChange(profile) receives the saved profile.
+const ProfileSettings = ({ user, onChange }) => {
+    const [name, setName] = useState(user?.name || '');
+    const [email, setEmail] = useState(user?.email || '');
+    const [currentPassword, setCurrentPassword] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const emailChanged = email.trim().toLowerCase() !== (user?.email || '');
+    const unchanged = name.trim() === user?.name && !emailChanged;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        try {
+            const profile = await usersAPI.updateProfile({
+                name: name.trim(),
+                email: emailChanged ? email.trim() : undefined,
+                currentPassword: emailChanged ? currentPassword : undefined
+            });
+            onChange(profile);
+            setEmail(profile.email);
+            setCurrentPassword('');
+            toast.success(emailChanged
+                ? `Profile saved. Check ${profile.email} for a link to verify it.`
+                : 'Profile saved');
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+                <label htmlFor="profile-name" className="block text-sm font-medium text-gray-700">
+                    Name
+                </label>
+                <input
+                    id="profile-name"
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    className={inputClass}
+                    required
+                />
+            </div>
+            <div>
+                <label htmlFor="profile-email" className="block text-sm font-medium text-gray-700">
+                    Email
+                </label>
+                <input
+                    id="profile-email"
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className={inputClass}
+                    required
+                />
+                {!user?.emailVerified && !emailChanged && (
+                    <p className="mt-1 text-xs text-yellow-700">Not verified yet</p>
+                )}
+            </div>
+            {emailChanged && (
+                <div>
+                    <label htmlFor="profile-password" className="block text-sm font-medium text-gray-700">
+                        Current password
+                    </label>
+                    <input
+                        id="profile-password"
+                        type="password"
+                        value={currentPassword}
+                        onChange={(e) => setCurrentPassword(e.target.value)}
+                        className={inputClass}
+                        autoComplete="current-password"
+                        required
+                    />
+                    <p className="mt-1 text-xs text-gray-500">
+                        We'll send a link to the new address to verify it.
+                    </p>
+                </div>
+            )}
+            <button
+                type="submit"
+                disabled={isSubmitting || unchanged || !name.trim()}
+                className="px-4 py-2 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+                {isSubmitting ? 'Saving...' : 'Save profile'}
+            </button>
+        </form>
+    );
+};
+
+export default ProfileSettings;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { publicAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const inputClass = 'w-full px-3 py-2 text-sm border border-gray-300 rounded-md';
+
+const PublicCommentBody = ({ comment }) => (
+    <div className="text-sm">
+        <div className="flex items-baseline justify-between">
+            <span className="font-medium text-gray-900">
+                {comment.author || 'Unknown'}{comment.guest && ' (guest)'}
+            </span>
+            <span className="text-xs text-gray-400">{new Date(comment.createdAt).toLocaleString()}</span>
+        </div>
+        <p className="mt-1 text-gray-700 whitespace-pre-wrap break-words">{comment.body}</p>
+    </div>
+);
+
+// Open comment threads on a note seen through a comment link, and a form to
+// start a new one. quote is the text selected in the note, if any;
+// onClearQuote drops it.
+const PublicComments = ({ token, password, threads, quote, onClearQuote, onAdded }) => {
+    const [name, setName] = useState(() => localStorage.getItem('guestName') || '');
+    const [body, setBody] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        try {
+            const thread = await publicAPI.addComment(token, password, { name: name.trim(), body, quote });
+            localStorage.setItem('guestName', name.trim());
+            setBody('');
+            onClearQuote();
+            onAdded(thread);
+            toast.success('Comment added');
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <section className="mt-6 bg-white shadow rounded-lg p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Comments</h3>
+
+            {threads.length === 0 ? (
+                <p className="text-sm text-gray-500 mb-4">No comments yet.</p>
+            ) : (
+                <ul className="space-y-4 mb-6">
+                    {threads.map(thread => (
+                        <li key={thread._id} className="p-3 border border-gray-200 rounded-md">
+                            {thread.quote && (
+                                <p className="text-xs text-gray-600 border-l-2 border-yellow-400 pl-2 mb-2 line-clamp-2">
+                                    {thread.quote}
+                                </p>
+                            )}
+                            <PublicCommentBody comment={thread} />
+                            {thread.replies.length > 0 && (
+                                <div className="mt-3 pl-3 border-l border-gray-200 space-y-3">
+                                    {thread.replies.map(reply => <PublicCommentBody key={reply._id} comment={reply} />)}
+                                </div>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-2">
+                {quote ? (
+                    <div className="flex items-start justify-between text-xs text-gray-600 border-l-2 border-yellow-400 pl-2">
+                        <span className="line-clamp-2">{quote}</span>
+                        <button type="button" onClick={onClearQuote} className="ml-2 text-gray-500 hover:text-gray-700">
+                            Clear
+                        </button>
+                    </div>
+                ) : (
+                    <p className="text-xs text-gray-500">
+                        Select text in the note to comment on it, or comment on the whole note.
+                    </p>
+                )}
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="Your name"
+                    maxLength={100}
+                    className={inputClass}
+                    required
+                />
+                <textarea
+                    value={body}
+                    onChange={(e) => setBody(e.target.value)}
+                    placeholder="Add a comment"
+                    rows={3}
+                    className={inputClass}
+                    required
+                />
+                <button
+                    type="submit"
+                    disabled={isSubmitting || !body.trim() || !name.trim()}
+                    className="px-4 py-2 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                >
+                    {isSubmitting ? 'Posting...' : 'Comment'}
+                </button>
+            </form>
+        </section>
+    );
+};
+
+export default PublicComments;
@@ -0,0 +1,74 @@
+import React from 'react';
+
+// Draws collaborators' carets and selections on top of the note textarea.
+// The overlay mirrors the textarea's text with the same padding and wrapping,
+// keeping the text itself transparent so only the highlights show.
+const RemoteCursors = ({ content, cursors, scrollTop, className }) => {
+    const clamp = (index) => Math.max(0, Math.min(index, content.length));
+
+    const visible = cursors
+        .filter(c => c.cursor)
+        .map(c => ({
+            ...c,
+            from: clamp(Math.min(c.cursor.start, c.cursor.end)),
+            to: clamp(Math.max(c.cursor.start, c.cursor.end)),
+            head: clamp(c.cursor.end)
+        }));
+
+    const boundaries = [...new Set([
+        0,
+        content.length,
+        ...visible.flatMap(c => [c.from, c.to])
+    ])].sort((a, b) => a - b);
+
+    const parts = [];
+    boundaries.forEach((position, i) => {
+        visible
+            .filter(c => c.head === position)
+            .forEach(c => parts.push(
+                <span
+                    key={`caret-${c.socketId}`}
+                    className="relative inline-block w-0 h-[1.2em] align-text-bottom border-l-2"
+                    style={{ borderColor: c.color }}
+                >
+                    <span
+                        className="absolute bottom-full left-0 px-1 rounded text-xs text-white whitespace-nowrap"
+                        style={{ backgroundColor: c.color }}
+                    >
+                        {c.name}
+                    </span>
+                </span>
+            ));
+
+        const next = boundaries[i + 1];
+        if (next === undefined) return;
+
+        const selection = visible.find(c => c.from <= position && next <= c.to && c.from !== c.to);
+        parts.push(
+            <span
+                key={`text-${position}`}
+                style={selection ? { backgroundColor: `${selection.color}40` } : undefined}
+            >
+                {content.slice(position, next)}
+            </span>
+        );
+    });
+
+    return (
+        <div
+            aria-hidden="true"
+            className={`absolute inset-0 pointer-events-none overflow-hidden ${className}`}
+        >
+            <div
+                className="whitespace-pre-wrap break-words text-transparent"
+                style={{ transform: `translateY(-${scrollTop}px)` }}
+            >
+                {parts}
+                {/* Keeps a trailing newline from collapsing */}
+                {'\u200b'}
+            </div>
+        </div>
+    );
+};
+
+export default RemoteCursors;
@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from 'react';
+import { templatesAPI, notebooksAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const PLACEHOLDERS = ['{{date}}', '{{time}}', '{{datetime}}', '{{weekday}}', '{{user.name}}', '{{user.email}}'];
+
+// Save a copy of a note as a template, for the user alone or shared with
+// everyone in one of the notebooks they can write to
+const SaveTemplateModal = ({ note, onClose }) => {
+    const [name, setName] = useState(note.title);
+    const [description, setDescription] = useState('');
+    const [notebook, setNotebook] = useState('');
+    const [notebooks, setNotebooks] = useState([]);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    useEffect(() => {
+        notebooksAPI.getNotebooks()
+            .then(all => setNotebooks(all.filter(nb => nb.userPermission === 'write')))
+            .catch(error => console.error('Error fetching notebooks:', error));
+    }, []);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        try {
+            await templatesAPI.createTemplate({
+                noteId: note._id,
+                // What the editor shows, which may be ahead of the saved copy
+                title: note.title,
+                content: note.content,
+                name,
+                description,
+                notebook: notebook || null
+            });
+            toast.success('Template saved');
+            onClose();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-md max-h-full overflow-y-auto">
+                <h2 className="text-xl font-bold mb-4">Save as Template</h2>
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label htmlFor="template-name" className="block text-sm font-medium text-gray-700">
+                            Name
+                        </label>
+                        <input
+                            id="template-name"
+                            type="text"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="template-description" className="block text-sm font-medium text-gray-700">
+                            Description
+                        </label>
+                        <input
+                            id="template-description"
+                            type="text"
+                            value={description}
+                            onChange={(e) => setDescription(e.target.value)}
+                            placeholder="Optional"
+                            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="template-notebook" className="block text-sm font-medium text-gray-700">
+                            Available to
+                        </label>
+                        <select
+                            id="template-notebook"
+                            value={notebook}
+                            onChange={(e) => setNotebook(e.target.value)}
+                            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                        >
+                            <option value="">Only me</option>
+                            {notebooks.map(nb => (
+                                <option key={nb._id} value={nb._id}>
+                                    Everyone in {nb.name}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <p className="text-xs text-gray-500">
+                        The note's title, content and tags are copied. These placeholders in them are
+                        filled in when a note is created from the template:{' '}
+                        {PLACEHOLDERS.map(p => <code key={p} className="mr-1">{p}</code>)}
+                    </p>
+
+                    <div className="flex justify-end space-x-2">
+                        <button
+                            type="button"
+                            onClick={onClose}
+                            className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+                            disabled={isSubmitting}
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={isSubmitting || !name.trim()}
+                            className="px-4 py-2 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                        >
+                            {isSubmitting ? 'Saving...' : 'Save Template'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default SaveTemplateModal;
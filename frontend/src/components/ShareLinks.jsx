@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import { notesAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const linkUrl = (token) => `${window.location.origin}/p/${token}`;
+
+// Public links to a note for people without an account
+const ShareLinks = ({ noteId }) => {
+    const [links, setLinks] = useState([]);
+    const [permission, setPermission] = useState('view');
+    const [expiresAt, setExpiresAt] = useState('');
+    const [password, setPassword] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    useEffect(() => {
+        const fetchLinks = async () => {
+            try {
+                setLinks(await notesAPI.getShareLinks(noteId));
+            } catch (error) {
+                toast.error(error.message || 'Failed to load share links');
+            }
+        };
+
+        fetchLinks();
+    }, [noteId]);
+
+    const copyLink = async (token) => {
+        try {
+            await navigator.clipboard.writeText(linkUrl(token));
+            toast.success('Link copied');
+        } catch (error) {
+            // Clipboard access can be blocked, show the link instead
+            window.prompt('Copy this link', linkUrl(token));
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        try {
+            const link = await notesAPI.createShareLink(noteId, {
+                permission,
+                // The date input gives a day, the link works until the end of it
+                expiresAt: expiresAt ? new Date(`${expiresAt}T23:59:59`).toISOString() : null,
+                password: password || null
+            });
+            setLinks(prev => [link, ...prev]);
+            setExpiresAt('');
+            setPassword('');
+            copyLink(link.token);
+        } catch (error) {
+            toast.error(error.message || 'Failed to create share link');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleRevoke = async (linkId) => {
+        if (!window.confirm('Revoke this link? Anyone using it will lose access.')) return;
+        try {
+            await notesAPI.revokeShareLink(noteId, linkId);
+            setLinks(prev => prev.filter(link => link._id !== linkId));
+        } catch (error) {
+            toast.error(error.message || 'Failed to revoke share link');
+        }
+    };
+
+    return (
+        <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Share Links</h3>
+
+            {links.length > 0 && (
+                <div className="space-y-2 mb-3">
+                    {links.map(link => {
+                        const expired = link.expiresAt && new Date(link.expiresAt) <= new Date();
+                        return (
+                            <div key={link._id} className="flex items-center justify-between p-2 bg-gray-50 rounded-md text-sm">
+                                <div className={`min-w-0 ${expired ? 'text-gray-400' : ''}`}>
+                                    <span className="font-medium">
+                                        {link.permission === 'comment' ? 'Can comment' : 'View only'}
+                                    </span>
+                                    <span className="text-gray-500">
+                                        {link.hasPassword && ' · password'}
+                                        {link.expiresAt
+                                            ? ` · ${expired ? 'expired' : 'expires'} ${new Date(link.expiresAt).toLocaleDateString()}`
+                                            : ' · no expiry'}
+                                    </span>
+                                </div>
+                                <div className="flex space-x-2 flex-shrink-0 ml-2">
+                                    {!expired && (
+                                        <button
+                                            type="button"
+                                            onClick={() => copyLink(link.token)}
+                                            className="text-blue-600 hover:text-blue-800"
+                                        >
+                                            Copy
+                                        </button>
+                                    )}
+                                    <button
+                                        type="button"
+                                        onClick={() => handleRevoke(link._id)}
+                                        className="text-red-600 hover:text-red-800"
+                                    >
+                                        Revoke
+                                    </button>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            <form onSubmit={handleCreate} className="grid grid-cols-2 gap-2">
+                <select
+                    value={permission}
+                    onChange={(e) => setPermission(e.target.value)}
+                    className="p-2 text-sm border border-gray-300 rounded-md"
+                    disabled={isSubmitting}
+                >
+                    <option value="view">View only</option>
+                    <option value="comment">Can comment</option>
+                </select>
+                <input
+                    type="date"
+                    value={expiresAt}
+                    min={new Date().toISOString().slice(0, 10)}
+                    onChange={(e) => setExpiresAt(e.target.value)}
+                    className="p-2 text-sm border border-gray-300 rounded-md"
+                    title="Expiry date (optional)"
+                    disabled={isSubmitting}
+                />
+                <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder="Password (optional)"
+                    className="p-2 text-sm border border-gray-300 rounded-md"
+                    disabled={isSubmitting}
+                />
+                <button
+                    type="submit"
+                    className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+                    disabled={isSubmitting}
+                >
+                    {isSubmitting ? 'Creating...' : 'Create link'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default ShareLinks;
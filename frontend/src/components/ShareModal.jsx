@@ -1,14 +1,25 @@
-import React, { useState } from 'react';
-import { useDispatch } from 'react-redux';
-import { shareNote } from '../store/slices/notesSlice';
+import React, { useState, useEffect } from 'react';
+import { notesAPI } from '../services/api';
 import toast from 'react-hot-toast';
+import ShareLinks from './ShareLinks';
 
-const ShareModal = ({ note, onClose }) => {
-    const dispatch = useDispatch();
+// Sharing controls for the note's owner: add collaborators (or invite people
+// without an account), change or revoke access, and hand the note over.
+// onChange(note) receives the updated note after every change.
+const ShareModal = ({ note, onChange, onClose }) => {
     const [email, setEmail] = useState('');
     const [permission, setPermission] = useState('read');
+    const [transferEmail, setTransferEmail] = useState('');
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [errors, setErrors] = useState({});
+    // Emails invited to the note that haven't registered yet
+    const [invitations, setInvitations] = useState([]);
+
+    useEffect(() => {
+        notesAPI.getInvitations(note._id)
+            .then(setInvitations)
+            .catch(error => console.error('Failed to load invitations:', error));
+    }, [note._id]);
 
     // Validate email
     const validateEmail = (email) => {
@@ -18,11 +29,29 @@ const ShareModal = ({ note, onClose }) => {
         return '';
     };
 
+    // Run a sharing request and hand the updated note back
+    const run = async (request, successMessage) => {
+        setIsSubmitting(true);
+        setErrors({});
+        try {
+            const data = await request();
+            onChange(data);
+            if (successMessage) toast.success(successMessage);
+            return true;
+        } catch (error) {
+            console.error('Share error:', error);
+            setErrors({ submit: error.message });
+            toast.error(error.message);
+            return false;
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
     // Handle share
     const handleShare = async (e) => {
         e.preventDefault();
-        
-        // Validate form
+
         const emailError = validateEmail(email);
         if (emailError) {
             setErrors({ email: emailError });
@@ -31,126 +60,265 @@ const ShareModal = ({ note, onClose }) => {
 
         setIsSubmitting(true);
         setErrors({});
-
         try {
-            await dispatch(shareNote({
-                noteId: note._id,
-                email,
-                permission
-            })).unwrap();
-
-            toast.success(`Note shared with ${email}`);
-            onClose();
+            const data = await notesAPI.shareNote(note._id, email, permission);
+            if (data.invitation) {
+                // No account with that email, the server sent an invitation
+                setInvitations(prev => [
+                    data.invitation,
+                    ...prev.filter(i => i._id !== data.invitation._id)
+                ]);
+                toast.success(data.message);
+            } else {
+                onChange(data);
+                toast.success(`Note shared with ${email}`);
+            }
+            setEmail('');
         } catch (error) {
             console.error('Share error:', error);
-            setErrors({
-                submit: error.message || 'Failed to share note'
-            });
+            setErrors({ submit: error.message });
             toast.error(error.message || 'Failed to share note');
         } finally {
             setIsSubmitting(false);
         }
     };
 
+    const handleRevokeInvitation = async (invitation) => {
+        try {
+            await notesAPI.revokeInvitation(note._id, invitation._id);
+            setInvitations(prev => prev.filter(i => i._id !== invitation._id));
+        } catch (error) {
+            toast.error(error.message || 'Failed to revoke invitation');
+        }
+    };
+
+    const handlePermissionChange = (collab, newPermission) => {
+        run(() => notesAPI.updateCollaborator(note._id, collab.userId._id, newPermission));
+    };
+
+    const handleRemove = (collab) => {
+        if (!window.confirm(`Remove ${collab.userId.email} from this note?`)) return;
+        run(
+            () => notesAPI.removeCollaborator(note._id, collab.userId._id),
+            `${collab.userId.email} no longer has access`
+        );
+    };
+
+    const handleTransfer = async (e) => {
+        e.preventDefault();
+
+        const emailError = validateEmail(transferEmail);
+        if (emailError) {
+            setErrors({ transfer: emailError });
+            return;
+        }
+
+        const requested = await run(
+            () => notesAPI.transferNote(note._id, transferEmail),
+            `Transfer offered to ${transferEmail}`
+        );
+        if (requested) setTransferEmail('');
+    };
+
+    const pendingTransfer = note.pendingTransfer?.to;
+
     return (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4">
-            <div className="bg-white rounded-lg p-6 w-full max-w-md">
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-lg p-6 w-full max-w-md max-h-full overflow-y-auto">
                 <h2 className="text-xl font-bold mb-4">Share Note</h2>
-                
+
                 <form onSubmit={handleShare} className="space-y-4">
                     {/* Email Input */}
                     <div>
                         <label className="block text-sm font-medium text-gray-700 mb-1">
                             Email Address
                         </label>
-                        <input
-                            type="email"
-                            value={email}
-                            onChange={(e) => {
-                                setEmail(e.target.value);
-                                setErrors({});
-                            }}
-                            className={`w-full p-2 border rounded-md focus:ring-2 focus:ring-blue-500 ${
-                                errors.email ? 'border-red-500' : 'border-gray-300'
-                            }`}
-                            placeholder="user@example.com"
-                            disabled={isSubmitting}
-                        />
+                        <div className="flex space-x-2">
+                            <input
+                                type="email"
+                                value={email}
+                                onChange={(e) => {
+                                    setEmail(e.target.value);
+                                    setErrors({});
+                                }}
+                                className={`flex-1 p-2 border rounded-md focus:ring-2 focus:ring-blue-500 ${
+                                    errors.email ? 'border-red-500' : 'border-gray-300'
+                                }`}
+                                placeholder="user@example.com"
+                                disabled={isSubmitting}
+                            />
+                            <select
+                                value={permission}
+                                onChange={(e) => setPermission(e.target.value)}
+                                className="p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                                disabled={isSubmitting}
+                            >
+                                <option value="read">Read Only</option>
+                                <option value="comment">Can Comment</option>
+                                <option value="write">Can Edit</option>
+                            </select>
+                            <button
+                                type="submit"
+                                className={`px-4 py-2 text-sm text-white bg-blue-500 rounded-md hover:bg-blue-600 ${
+                                    isSubmitting ? 'opacity-50 cursor-not-allowed' : ''
+                                }`}
+                                disabled={isSubmitting}
+                            >
+                                Share
+                            </button>
+                        </div>
                         {errors.email && (
                             <p className="mt-1 text-sm text-red-500">{errors.email}</p>
                         )}
                     </div>
+                </form>
 
-                    {/* Permission Select */}
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-1">
-                            Permission Level
-                        </label>
-                        <select
-                            value={permission}
-                            onChange={(e) => setPermission(e.target.value)}
-                            className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
-                            disabled={isSubmitting}
-                        >
-                            <option value="read">Read Only</option>
-                            <option value="write">Can Edit</option>
-                        </select>
+                {/* Current Collaborators */}
+                {note.collaborators.length > 0 && (
+                    <div className="mt-6">
+                        <h3 className="text-sm font-medium text-gray-700 mb-2">
+                            Current Collaborators
+                        </h3>
+                        <div className="space-y-2">
+                            {note.collaborators.filter(collab => collab.userId).map((collab) => (
+                                <div
+                                    key={collab.userId._id}
+                                    className="flex items-center justify-between p-2 bg-gray-50 rounded-md"
+                                >
+                                    <span className="truncate" title={collab.userId.name}>
+                                        {collab.userId.email}
+                                    </span>
+                                    <div className="flex items-center space-x-2 flex-shrink-0">
+                                        <select
+                                            value={collab.permission}
+                                            onChange={(e) => handlePermissionChange(collab, e.target.value)}
+                                            className="p-1 text-sm border border-gray-300 rounded-md"
+                                            disabled={isSubmitting}
+                                        >
+                                            <option value="read">Read Only</option>
+                                            <option value="comment">Can Comment</option>
+                                            <option value="write">Can Edit</option>
+                                        </select>
+                                        <button
+                                            type="button"
+                                            onClick={() => handleRemove(collab)}
+                                            className="text-sm text-red-600 hover:text-red-800"
+                                            disabled={isSubmitting}
+                                        >
+                                            Remove
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
                     </div>
+                )}
 
-                    {/* Current Collaborators */}
-                    {note.collaborators.length > 0 && (
-                        <div>
-                            <h3 className="text-sm font-medium text-gray-700 mb-2">
-                                Current Collaborators
-                            </h3>
-                            <div className="space-y-2">
-                                {note.collaborators.map((collab) => (
-                                    <div
-                                        key={collab.userId._id}
-                                        className="flex items-center justify-between p-2 bg-gray-50 rounded-md"
-                                    >
-                                        <span>{collab.userId.email}</span>
-                                        <span className={`text-sm ${
-                                            collab.permission === 'write'
-                                                ? 'text-green-600'
-                                                : 'text-blue-600'
-                                        }`}>
-                                            {collab.permission}
+                {/* Pending Invitations */}
+                {invitations.length > 0 && (
+                    <div className="mt-6">
+                        <h3 className="text-sm font-medium text-gray-700 mb-2">
+                            Invited
+                        </h3>
+                        <div className="space-y-2">
+                            {invitations.map((invitation) => (
+                                <div
+                                    key={invitation._id}
+                                    className="flex items-center justify-between p-2 bg-gray-50 rounded-md"
+                                >
+                                    <span className="truncate text-gray-600">{invitation.email}</span>
+                                    <div className="flex items-center space-x-2 flex-shrink-0 text-sm">
+                                        <span className="text-gray-500">
+                                            {invitation.permission} · pending
                                         </span>
+                                        <button
+                                            type="button"
+                                            onClick={() => handleRevokeInvitation(invitation)}
+                                            className="text-red-600 hover:text-red-800"
+                                        >
+                                            Revoke
+                                        </button>
                                     </div>
-                                ))}
-                            </div>
+                                </div>
+                            ))}
                         </div>
-                    )}
+                    </div>
+                )}
 
-                    {/* Error Message */}
-                    {errors.submit && (
-                        <p className="text-sm text-red-500">{errors.submit}</p>
+                {/* Public Links */}
+                <div className="mt-6 pt-4 border-t">
+                    <ShareLinks noteId={note._id} />
+                </div>
+
+                {/* Ownership Transfer */}
+                <div className="mt-6 pt-4 border-t">
+                    <h3 className="text-sm font-medium text-gray-700 mb-2">Transfer Ownership</h3>
+                    {pendingTransfer ? (
+                        <div className="flex items-center justify-between p-2 bg-yellow-50 rounded-md text-sm">
+                            <span>
+                                Waiting for {pendingTransfer.email || 'the new owner'} to accept
+                            </span>
+                            <button
+                                type="button"
+                                onClick={() => run(() => notesAPI.cancelTransfer(note._id), 'Transfer cancelled')}
+                                className="text-yellow-800 hover:text-yellow-900"
+                                disabled={isSubmitting}
+                            >
+                                Cancel
+                            </button>
+                        </div>
+                    ) : (
+                        <form onSubmit={handleTransfer}>
+                            <p className="text-xs text-gray-500 mb-2">
+                                The new owner has to accept. You will keep edit access.
+                            </p>
+                            <div className="flex space-x-2">
+                                <input
+                                    type="email"
+                                    value={transferEmail}
+                                    onChange={(e) => {
+                                        setTransferEmail(e.target.value);
+                                        setErrors({});
+                                    }}
+                                    className={`flex-1 p-2 border rounded-md focus:ring-2 focus:ring-blue-500 ${
+                                        errors.transfer ? 'border-red-500' : 'border-gray-300'
+                                    }`}
+                                    placeholder="new-owner@example.com"
+                                    disabled={isSubmitting}
+                                />
+                                <button
+                                    type="submit"
+                                    className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+                                    disabled={isSubmitting}
+                                >
+                                    Transfer
+                                </button>
+                            </div>
+                            {errors.transfer && (
+                                <p className="mt-1 text-sm text-red-500">{errors.transfer}</p>
+                            )}
+                        </form>
                     )}
+                </div>
 
-                    {/* Buttons */}
-                    <div className="flex justify-end space-x-3">
-                        <button
-                            type="button"
-                            onClick={onClose}
-                            className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800"
-                            disabled={isSubmitting}
-                        >
-                            Cancel
-                        </button>
-                        <button
-                            type="submit"
-                            className={`px-4 py-2 text-sm text-white bg-blue-500 rounded-md hover:bg-blue-600 
-                                ${isSubmitting ? 'opacity-50 cursor-not-allowed' : ''}`}
-                            disabled={isSubmitting}
-                        >
-                            {isSubmitting ? 'Sharing...' : 'Share'}
-                        </button>
-                    </div>
-                </form>
+                {/* Error Message */}
+                {errors.submit && (
+                    <p className="mt-4 text-sm text-red-500">{errors.submit}</p>
+                )}
+
+                {/* Buttons */}
+                <div className="mt-6 flex justify-end">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800"
+                    >
+                        Done
+                    </button>
+                </div>
             </div>
         </div>
     );
 };
 
-export default ShareModal; 
\ No newline at end of file
+export default ShareModal;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { FaTimes } from 'react-icons/fa';
+import { notesAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+// Tag chips for a note, with an input to add more when editing is allowed
+const TagInput = ({ note, canEdit, onChange }) => {
+    const [value, setValue] = useState('');
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        const tags = value.split(',').map(tag => tag.trim()).filter(Boolean);
+        if (tags.length === 0) return;
+
+        try {
+            const data = await notesAPI.addTags(note._id, tags);
+            setValue('');
+            onChange(data);
+        } catch (error) {
+            toast.error(error.message || 'Failed to add tag');
+        }
+    };
+
+    const handleRemove = async (tag) => {
+        try {
+            const data = await notesAPI.removeTag(note._id, tag);
+            onChange(data);
+        } catch (error) {
+            toast.error(error.message || 'Failed to remove tag');
+        }
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            {(note.tags || []).map(tag => (
+                <span
+                    key={tag}
+                    className="inline-flex items-center px-2 py-0.5 rounded-full text-xs bg-indigo-100 text-indigo-700"
+                >
+                    #{tag}
+                    {canEdit && (
+                        <button
+                            onClick={() => handleRemove(tag)}
+                            className="ml-1 text-indigo-500 hover:text-indigo-800"
+                            title={`Remove ${tag}`}
+                        >
+                            <FaTimes className="w-2.5 h-2.5" />
+                        </button>
+                    )}
+                </span>
+            ))}
+            {canEdit && (
+                <form onSubmit={handleAdd}>
+                    <input
+                        type="text"
+                        value={value}
+                        onChange={(e) => setValue(e.target.value)}
+                        placeholder="Add tag..."
+                        className="px-2 py-0.5 text-xs border border-gray-300 rounded-full focus:outline-none focus:ring-1 focus:ring-indigo-500"
+                    />
+                </form>
+            )}
+        </div>
+    );
+};
+
+export default TagInput;
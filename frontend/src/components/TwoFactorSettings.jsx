@@ -0,0 +1,248 @@
+import React, { useState } from 'react';
+import { authAPI } from '../services/api';
+import { downloadBlob } from '../utils/download';
+import toast from 'react-hot-toast';
+
+const inputClass = 'mt-1 w-full px-3 py-2 border border-gray-300 rounded-md';
+
+// Recovery codes are shown once, right after they are made
+const RecoveryCodes = ({ codes, onDone }) => (
+    <div className="space-y-3">
+        <p className="text-sm text-gray-700">
+            Save these recovery codes somewhere safe. Each one can be used once to log in if you lose
+            your authenticator app. They won't be shown again.
+        </p>
+        <ul className="grid grid-cols-2 gap-2 p-3 bg-gray-50 rounded-md font-mono text-sm">
+            {codes.map(code => <li key={code}>{code}</li>)}
+        </ul>
+        <div className="flex space-x-2">
+            <button
+                type="button"
+                onClick={() => downloadBlob(new Blob([codes.join('\n') + '\n'], { type: 'text/plain' }), 'recovery-codes.txt')}
+                className="px-3 py-2 text-sm text-indigo-700 border border-indigo-200 rounded-md hover:bg-indigo-50"
+            >
+                Download
+            </button>
+            <button
+                type="button"
+                onClick={onDone}
+                className="px-3 py-2 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700"
+            >
+                I've saved them
+            </button>
+        </div>
+    </div>
+);
+
+// Turn TOTP two-factor authentication on and off. onChange(enabled) is
+// called once the server has made the change.
+const TwoFactorSettings = ({ enabled, onChange }) => {
+    // { secret, otpauthUrl, qrCode } while setting up
+    const [enrollment, setEnrollment] = useState(null);
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const [code, setCode] = useState('');
+    const [password, setPassword] = useState('');
+    // Which form is open while 2FA is on: 'disable', 'codes' or null
+    const [action, setAction] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const reset = () => {
+        setCode('');
+        setPassword('');
+        setAction(null);
+    };
+
+    const submit = (request) => async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        try {
+            await request();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleSetup = submit(async () => {
+        setEnrollment(await authAPI.setupTwoFactor());
+    });
+
+    const handleEnable = submit(async () => {
+        const data = await authAPI.enableTwoFactor(code);
+        setEnrollment(null);
+        setRecoveryCodes(data.recoveryCodes);
+        reset();
+        onChange(true);
+        toast.success(data.message);
+    });
+
+    const handleDisable = submit(async () => {
+        const data = await authAPI.disableTwoFactor(password, code);
+        reset();
+        onChange(false);
+        toast.success(data.message);
+    });
+
+    const handleRegenerate = submit(async () => {
+        const data = await authAPI.regenerateRecoveryCodes(code);
+        setRecoveryCodes(data.recoveryCodes);
+        reset();
+    });
+
+    if (recoveryCodes) {
+        return <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+    }
+
+    if (!enabled) {
+        if (!enrollment) {
+            return (
+                <div className="space-y-3">
+                    <p className="text-sm text-gray-700">
+                        Two-factor authentication is <strong>off</strong>. Turn it on to ask for a code from an
+                        authenticator app each time you log in.
+                    </p>
+                    <button
+                        type="button"
+                        onClick={handleSetup}
+                        disabled={isSubmitting}
+                        className="px-4 py-2 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                    >
+                        Turn on
+                    </button>
+                </div>
+            );
+        }
+
+        return (
+            <form onSubmit={handleEnable} className="space-y-3">
+                <p className="text-sm text-gray-700">
+                    Scan this QR code with your authenticator app, then enter the code it shows.
+                </p>
+                <img src={enrollment.qrCode} alt="QR code for your authenticator app" className="w-48 h-48" />
+                <p className="text-xs text-gray-500">
+                    Can't scan it? Enter this key instead: <code className="break-all">{enrollment.secret}</code>
+                </p>
+                <div>
+                    <label htmlFor="enable-code" className="block text-sm font-medium text-gray-700">
+                        Code from the app
+                    </label>
+                    <input
+                        id="enable-code"
+                        type="text"
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                        value={code}
+                        onChange={(e) => setCode(e.target.value)}
+                        className={inputClass}
+                        required
+                    />
+                </div>
+                <div className="flex space-x-2">
+                    <button
+                        type="button"
+                        onClick={() => {
+                            setEnrollment(null);
+                            reset();
+                        }}
+                        className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        type="submit"
+                        disabled={isSubmitting || !code.trim()}
+                        className="px-4 py-2 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                    >
+                        Confirm and turn on
+                    </button>
+                </div>
+            </form>
+        );
+    }
+
+    return (
+        <div className="space-y-3">
+            <p className="text-sm text-gray-700">
+                Two-factor authentication is <strong>on</strong>. Logging in asks for a code from your authenticator app.
+            </p>
+
+            {action === null && (
+                <div className="flex space-x-2">
+                    <button
+                        type="button"
+                        onClick={() => setAction('codes')}
+                        className="px-3 py-2 text-sm text-indigo-700 border border-indigo-200 rounded-md hover:bg-indigo-50"
+                    >
+                        New recovery codes
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => setAction('disable')}
+                        className="px-3 py-2 text-sm text-red-700 border border-red-200 rounded-md hover:bg-red-50"
+                    >
+                        Turn off
+                    </button>
+                </div>
+            )}
+
+            {action !== null && (
+                <form onSubmit={action === 'disable' ? handleDisable : handleRegenerate} className="space-y-3">
+                    {action === 'disable' && (
+                        <div>
+                            <label htmlFor="disable-password" className="block text-sm font-medium text-gray-700">
+                                Password
+                            </label>
+                            <input
+                                id="disable-password"
+                                type="password"
+                                autoComplete="current-password"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                className={inputClass}
+                                required
+                            />
+                        </div>
+                    )}
+                    <div>
+                        <label htmlFor="action-code" className="block text-sm font-medium text-gray-700">
+                            {action === 'disable' ? 'Code from the app, or a recovery code' : 'Code from the app'}
+                        </label>
+                        <input
+                            id="action-code"
+                            type="text"
+                            autoComplete="one-time-code"
+                            value={code}
+                            onChange={(e) => setCode(e.target.value)}
+                            className={inputClass}
+                            required
+                        />
+                    </div>
+                    {action === 'codes' && (
+                        <p className="text-xs text-gray-500">Your current recovery codes will stop working.</p>
+                    )}
+                    <div className="flex space-x-2">
+                        <button
+                            type="button"
+                            onClick={reset}
+                            className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={isSubmitting}
+                            className={`px-4 py-2 text-sm font-medium rounded-md text-white disabled:opacity-50 ${
+                                action === 'disable' ? 'bg-red-600 hover:bg-red-700' : 'bg-indigo-600 hover:bg-indigo-700'
+                            }`}
+                        >
+                            {action === 'disable' ? 'Turn off' : 'Make new codes'}
+                        </button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+};
+
+export default TwoFactorSettings;
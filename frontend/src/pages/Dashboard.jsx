@@ -1,12 +1,40 @@
 import React, { useEffect, useState, useRef } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
-import { notesAPI } from '../services/api';
-import { setNotes, setLoading, setError, addNote, removeNote } from '../store/slices/notesSlice';
+import { authAPI, notesAPI, tagsAPI, notebooksAPI, templatesAPI } from '../services/api';
+import { setNotes, setLoading, setError, addNote, removeNote, clearNotes } from '../store/slices/notesSlice';
 import { logout, setCredentials } from '../store/slices/authSlice';
 import { disconnectSocket, initializeSocket } from '../services/socket';
+import { cacheNotesList, getCachedNotesList } from '../services/offlineStore';
 import toast from 'react-hot-toast';
 import { FaShare, FaTrash } from 'react-icons/fa';
+import NoteSearch from '../components/NoteSearch';
+import NotebookTree, { NOTE_DRAG_TYPE } from '../components/NotebookTree';
+import NotebookShareModal from '../components/NotebookShareModal';
+import NotificationCenter from '../components/NotificationCenter';
+import MarkdownPreview from '../components/MarkdownPreview';
+import ExportMenu from '../components/ExportMenu';
+import { markdownExcerpt } from '../utils/markdown';
+import { checklistProgress } from '../utils/checklist';
+import { downloadBlob } from '../utils/download';
+
+// "3/7 done" for notes used as to-do lists
+const ChecklistProgress = ({ content }) => {
+  const { done, total } = checklistProgress(content);
+  if (total === 0) return null;
+
+  return (
+    <div className="mt-1 flex items-center space-x-2 text-sm text-gray-500">
+      <div className="flex-1 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+        <div
+          className={`h-full rounded-full ${done === total ? 'bg-green-500' : 'bg-indigo-500'}`}
+          style={{ width: `${(done / total) * 100}%` }}
+        />
+      </div>
+      <span>{done}/{total} done</span>
+    </div>
+  );
+};
 
 const Dashboard = () => {
   const dispatch = useDispatch();
@@ -16,12 +44,31 @@ const Dashboard = () => {
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [newNoteTitle, setNewNoteTitle] = useState('');
   const [newNoteContent, setNewNoteContent] = useState('');
+  // Templates offered in the create modal, and the one picked ('' for blank)
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState('');
   const [page, setPage] = useState(1);
   const [pagination, setPagination] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isFetching, setIsFetching] = useState(false);
   const initialFetchDone = useRef(false);
   const [pageLoading, setPageLoading] = useState(true);
+  // Set when the server is unreachable and we show the cached list instead
+  const [offlineSince, setOfflineSince] = useState(null);
+  const [tags, setTags] = useState([]);
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [tagMode, setTagMode] = useState('and');
+  const filtersChanged = useRef(false);
+  const [notebooks, setNotebooks] = useState([]);
+  // null shows every note, otherwise the id of the notebook being browsed
+  const [selectedNotebook, setSelectedNotebook] = useState(null);
+  const [sharingNotebook, setSharingNotebook] = useState(null);
+  // Notes other users have offered to hand over to us
+  const [transfers, setTransfers] = useState([]);
+  const importInputRef = useRef(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [verificationSent, setVerificationSent] = useState(false);
 
   // Combine the two useEffects into one to prevent multiple fetch calls
   useEffect(() => {
@@ -85,6 +132,142 @@ const Dashboard = () => {
     };
   }, [token]);
 
+  const fetchTags = async () => {
+    try {
+      setTags(await tagsAPI.getTags());
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+    }
+  };
+
+  const fetchNotebooks = async () => {
+    try {
+      setNotebooks(await notebooksAPI.getNotebooks());
+    } catch (error) {
+      console.error('Error fetching notebooks:', error);
+    }
+  };
+
+  const fetchTransfers = async () => {
+    try {
+      setTransfers(await notesAPI.getIncomingTransfers());
+    } catch (error) {
+      console.error('Error fetching transfers:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (user) {
+      fetchTags();
+      fetchNotebooks();
+      fetchTransfers();
+    }
+  }, [user]);
+
+  const handleTransferResponse = async (noteId, accept) => {
+    try {
+      if (accept) {
+        const data = await notesAPI.acceptTransfer(noteId);
+        dispatch(addNote(data));
+        toast.success(`You now own "${data.title}"`);
+      } else {
+        await notesAPI.declineTransfer(noteId);
+      }
+      setTransfers(prev => prev.filter(note => note._id !== noteId));
+    } catch (error) {
+      toast.error(error.message || 'Error responding to transfer');
+    }
+  };
+
+  // Start over from the first page whenever the tag or notebook filter changes
+  useEffect(() => {
+    if (!filtersChanged.current) return;
+    filtersChanged.current = false;
+    dispatch(clearNotes());
+    if (page === 1) {
+      fetchNotes();
+    } else {
+      setPage(1);
+    }
+  }, [selectedTags, tagMode, selectedNotebook]);
+
+  const toggleTag = (tag) => {
+    filtersChanged.current = true;
+    setSelectedTags(prev => prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]);
+  };
+
+  const selectNotebook = (notebookId) => {
+    if (notebookId === selectedNotebook) return;
+    filtersChanged.current = true;
+    setSelectedNotebook(notebookId);
+  };
+
+  const handleCreateNotebook = async (parent) => {
+    const name = window.prompt('Notebook name');
+    if (!name || !name.trim()) return;
+    try {
+      await notebooksAPI.createNotebook(name, parent);
+      fetchNotebooks();
+    } catch (error) {
+      toast.error(error.message || 'Error creating notebook');
+    }
+  };
+
+  const handleRenameNotebook = async (notebook) => {
+    const name = window.prompt('Rename notebook', notebook.name);
+    if (!name || !name.trim() || name === notebook.name) return;
+    try {
+      await notebooksAPI.renameNotebook(notebook._id, name);
+      fetchNotebooks();
+    } catch (error) {
+      toast.error(error.message || 'Error renaming notebook');
+    }
+  };
+
+  const handleDeleteNotebook = async (notebook) => {
+    if (!window.confirm(`Delete "${notebook.name}"? Its notes and notebooks will move up a level.`)) return;
+    try {
+      await notebooksAPI.deleteNotebook(notebook._id);
+      if (selectedNotebook === notebook._id) {
+        selectNotebook(null);
+      } else {
+        dispatch(clearNotes());
+        fetchNotes();
+      }
+      fetchNotebooks();
+      toast.success('Notebook deleted');
+    } catch (error) {
+      toast.error(error.message || 'Error deleting notebook');
+    }
+  };
+
+  const handleMoveNote = async (noteId, notebookId) => {
+    try {
+      await notesAPI.moveNote(noteId, notebookId);
+      // The note left the notebook being browsed
+      if (selectedNotebook && selectedNotebook !== notebookId) {
+        dispatch(removeNote(noteId));
+      }
+      toast.success('Note moved');
+    } catch (error) {
+      toast.error(error.message || 'Error moving note');
+    }
+  };
+
+  const handleMoveNotebook = async (notebookId, parentId) => {
+    try {
+      await notebooksAPI.moveNotebook(notebookId, parentId);
+      fetchNotebooks();
+    } catch (error) {
+      toast.error(error.message || 'Error moving notebook');
+    }
+  };
+
+  const handleNotebookShared = (notebook) => {
+    setSharingNotebook(notebook);
+    setNotebooks(prev => prev.map(nb => nb._id === notebook._id ? { ...nb, ...notebook } : nb));
+  };
+
   const fetchNotes = async () => {
     if (loading || isFetching) {
       console.log('Already loading notes, skipping fetch');
@@ -95,14 +278,34 @@ const Dashboard = () => {
     console.log('Starting to fetch notes for page:', page);
     dispatch(setLoading(true));
     try {
-      const response = await notesAPI.getAllNotes(page);
+      const response = await notesAPI.getAllNotes(page, 10, false, {
+        tags: selectedTags,
+        tagMode,
+        notebook: selectedNotebook
+      });
       console.log('Notes fetched successfully:', response);
       dispatch(setNotes(response.notes));
       setPagination(response.pagination);
+      setOfflineSince(null);
+      // Only the unfiltered list is kept for offline use
+      if (selectedTags.length === 0 && !selectedNotebook) {
+        cacheNotesList(user.id || user._id, page, response)
+          .catch(error => console.error('Failed to cache notes list:', error));
+      }
     } catch (error) {
       console.error('Error fetching notes:', error);
-      dispatch(setError(error.response?.data?.message || 'Error fetching notes'));
-      toast.error('Error fetching notes');
+      const cached = !error.status && await getCachedNotesList(user.id || user._id, page)
+        .catch(() => null);
+
+      if (cached) {
+        // Server unreachable, fall back to the last list we saw (read-only)
+        dispatch(setNotes(cached.notes));
+        setPagination(cached.pagination);
+        setOfflineSince(new Date(cached.cachedAt));
+      } else {
+        dispatch(setError(error.response?.data?.message || 'Error fetching notes'));
+        toast.error('Error fetching notes');
+      }
     } finally {
       dispatch(setLoading(false));
       setIsFetching(false);
@@ -110,11 +313,40 @@ const Dashboard = () => {
     }
   };
 
+  useEffect(() => {
+    if (!showCreateModal) return;
+    templatesAPI.getTemplates()
+      .then(setTemplates)
+      .catch(error => console.error('Error fetching templates:', error));
+  }, [showCreateModal]);
+
+  const selectedTemplate = templates.find(template => template._id === templateId);
+
+  const handleDeleteTemplate = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"? Notes created from it are kept.`)) return;
+    try {
+      await templatesAPI.deleteTemplate(template._id);
+      setTemplates(prev => prev.filter(t => t._id !== template._id));
+      setTemplateId('');
+      toast.success('Template deleted');
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const closeCreateModal = () => {
+    setShowCreateModal(false);
+    setNewNoteTitle('');
+    setNewNoteContent('');
+    setTemplateId('');
+  };
+
   const handleCreateNote = async (e) => {
     e.preventDefault();
     if (isSubmitting) return;
     
-    if (!newNoteTitle.trim()) {
+    // A template supplies its own title
+    if (!newNoteTitle.trim() && !selectedTemplate) {
       toast.error('Title is required');
       return;
     }
@@ -122,7 +354,14 @@ const Dashboard = () => {
     setIsSubmitting(true);
     try {
       console.log('Creating new note:', { title: newNoteTitle, content: newNoteContent || 'New note' });
-      const data = await notesAPI.createNote(newNoteTitle, newNoteContent || 'New note');
+      // New notes go into the notebook being browsed, if we can write to it
+      const notebook = notebooks.find(nb => nb._id === selectedNotebook);
+      const data = await notesAPI.createNote(
+        newNoteTitle,
+        newNoteContent,
+        notebook?.userPermission === 'write' ? notebook._id : null,
+        selectedTemplate?._id
+      );
       console.log('Note created successfully:', data);
       dispatch(addNote(data));
       toast.success('Note created successfully');
@@ -135,21 +374,88 @@ const Dashboard = () => {
       setIsSubmitting(false);
       setNewNoteTitle('');
       setNewNoteContent('');
+      setTemplateId('');
     }
   };
 
-  const handleLogout = () => {
-    dispatch(logout());
+  const handleImport = async (files) => {
+    if (files.length === 0) return;
+    setIsImporting(true);
+    try {
+      // Like new notes, imports go into the notebook being browsed if we can write to it
+      const notebook = notebooks.find(nb => nb._id === selectedNotebook);
+      const { imported, failed } = await notesAPI.importNotes(
+        files,
+        notebook?.userPermission === 'write' ? notebook._id : null
+      );
+      if (imported.length > 0) {
+        toast.success(`Imported ${imported.length} note${imported.length > 1 ? 's' : ''}`);
+        dispatch(clearNotes());
+        if (page === 1) {
+          fetchNotes();
+        } else {
+          setPage(1);
+        }
+        fetchTags();
+      }
+      failed.forEach(({ file, message }) => toast.error(`Couldn't import ${file}: ${message}`));
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleExportAll = async () => {
+    setIsExporting(true);
+    try {
+      const { blob, filename } = await notesAPI.exportAllNotes();
+      downloadBlob(blob, filename);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      const data = await authAPI.resendVerification();
+      setVerificationSent(true);
+      toast.success(data.message);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleLogout = async () => {
     disconnectSocket();
+    await authAPI.logout();
+    dispatch(logout());
     navigate('/login');
   };
 
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Log out on every device, including this one?')) return;
+    try {
+      // Before the server cuts this socket off along with the others
+      disconnectSocket();
+      await authAPI.logoutAll();
+      dispatch(logout());
+      navigate('/login');
+    } catch (error) {
+      toast.error(error.message);
+      initializeSocket(token);
+    }
+  };
+
   const handleDeleteNote = async (noteId) => {
-    if (window.confirm('Are you sure you want to delete this note?')) {
+    if (window.confirm('Move this note to the trash? You can restore it from the trash later.')) {
       try {
         await notesAPI.deleteNote(noteId);
         dispatch(removeNote(noteId));
-        toast.success('Note deleted successfully');
+        fetchTags();
+        toast.success('Note moved to trash');
       } catch (error) {
         console.error('Delete note error:', error);
         toast.error(error.message || 'Error deleting note');
@@ -178,13 +484,33 @@ const Dashboard = () => {
               <h1 className="text-xl font-bold text-gray-900">Collaborative Notes</h1>
             </div>
             <div className="flex items-center space-x-4">
+              <NotificationCenter />
               <span className="text-gray-700">Welcome, {user?.name || 'User'}</span>
+              <button
+                onClick={() => navigate('/trash')}
+                className="text-gray-700 hover:text-gray-900"
+              >
+                Trash
+              </button>
+              <button
+                onClick={() => navigate('/settings')}
+                className="text-gray-700 hover:text-gray-900"
+              >
+                Settings
+              </button>
               <button
                 onClick={handleLogout}
                 className="text-gray-700 hover:text-gray-900"
               >
                 Logout
               </button>
+              <button
+                onClick={handleLogoutAll}
+                className="text-sm text-gray-500 hover:text-gray-700"
+                title="End your sessions on all devices"
+              >
+                Log out everywhere
+              </button>
             </div>
           </div>
         </div>
@@ -192,111 +518,334 @@ const Dashboard = () => {
 
       <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
         <div className="px-4 py-6 sm:px-0">
-          <div className="flex justify-between items-center mb-6">
-            <h2 className="text-2xl font-bold text-gray-900">My Notes</h2>
+          <div className="flex justify-between items-center mb-6 space-x-4">
+            <h2 className="text-2xl font-bold text-gray-900 truncate">
+              {notebooks.find(nb => nb._id === selectedNotebook)?.name || 'My Notes'}
+            </h2>
+            {!offlineSince && <NoteSearch />}
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".md,.markdown,.txt,.zip"
+              multiple
+              className="hidden"
+              onChange={(e) => {
+                handleImport([...e.target.files]);
+                e.target.value = '';
+              }}
+            />
+            <button
+              onClick={() => importInputRef.current.click()}
+              disabled={!!offlineSince || isImporting}
+              className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900 disabled:opacity-50 disabled:cursor-not-allowed flex-shrink-0"
+              title="Import Markdown files or a zip exported from here"
+            >
+              {isImporting ? 'Importing...' : 'Import'}
+            </button>
+            <button
+              onClick={handleExportAll}
+              disabled={!!offlineSince || isExporting}
+              className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900 disabled:opacity-50 disabled:cursor-not-allowed flex-shrink-0"
+              title="Download all your notes and their attachments as a zip"
+            >
+              {isExporting ? 'Exporting...' : 'Export all'}
+            </button>
             <button
               onClick={() => setShowCreateModal(true)}
-              className="px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700"
+              disabled={!!offlineSince}
+              className="px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
             >
               Create New Note
             </button>
           </div>
 
-          {loading ? (
-            <div className="text-center">Loading...</div>
-          ) : notes && notes.length > 0 ? (
-            <>
-              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
-                {notes.map((note) => (
-                  <div
-                    key={note._id}
-                    className="bg-white overflow-hidden shadow rounded-lg hover:shadow-md transition-shadow duration-200"
-                  >
-                    <div 
-                      className="px-4 py-5 sm:p-6 cursor-pointer"
-                      onClick={() => navigate(`/notes/${note._id}`)}
+          {offlineSince && (
+            <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md text-yellow-700 flex justify-between items-center">
+              <p>You are offline. Showing notes saved on {offlineSince.toLocaleString()} (read-only).</p>
+              <button
+                onClick={fetchNotes}
+                className="text-sm font-medium text-yellow-800 hover:text-yellow-900"
+              >
+                Retry
+              </button>
+            </div>
+          )}
+
+          {user?.emailVerified === false && !offlineSince && (
+            <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-md text-blue-800 flex justify-between items-center">
+              <p>
+                Please verify {user.email} with the link we emailed you. Notes shared with this address by invitation show up once it is verified.
+              </p>
+              <button
+                onClick={handleResendVerification}
+                disabled={verificationSent}
+                className="text-sm font-medium text-blue-700 hover:text-blue-900 disabled:opacity-50 flex-shrink-0 ml-4"
+              >
+                {verificationSent ? 'Email sent' : 'Resend email'}
+              </button>
+            </div>
+          )}
+
+          {transfers.map(note => (
+            <div
+              key={note._id}
+              className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-md text-blue-800 flex justify-between items-center"
+            >
+              <p>
+                {note.createdBy?.name || 'Someone'} wants to transfer ownership of "{note.title}" to you.
+              </p>
+              <div className="flex space-x-3 flex-shrink-0 ml-4">
+                <button
+                  onClick={() => handleTransferResponse(note._id, true)}
+                  className="text-sm font-medium text-blue-700 hover:text-blue-900"
+                >
+                  Accept
+                </button>
+                <button
+                  onClick={() => handleTransferResponse(note._id, false)}
+                  className="text-sm font-medium text-gray-600 hover:text-gray-800"
+                >
+                  Decline
+                </button>
+              </div>
+            </div>
+          ))}
+
+          <div className="flex gap-6">
+            <aside className="w-56 flex-shrink-0 space-y-6">
+              {!offlineSince && (
+                <NotebookTree
+                  notebooks={notebooks}
+                  selected={selectedNotebook}
+                  onSelect={selectNotebook}
+                  onCreate={handleCreateNotebook}
+                  onRename={handleRenameNotebook}
+                  onDelete={handleDeleteNotebook}
+                  onShare={setSharingNotebook}
+                  onMoveNote={handleMoveNote}
+                  onMoveNotebook={handleMoveNotebook}
+                />
+              )}
+
+              {/* Tag sidebar */}
+              {tags.length > 0 && (
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <h3 className="text-sm font-semibold text-gray-700">Tags</h3>
+                    {selectedTags.length > 1 && (
+                      <button
+                        onClick={() => {
+                          filtersChanged.current = true;
+                          setTagMode(mode => mode === 'and' ? 'or' : 'and');
+                        }}
+                        className="text-xs text-indigo-600 hover:text-indigo-800"
+                        title="Toggle between notes with all or any of the selected tags"
+                      >
+                        Match {tagMode === 'and' ? 'all' : 'any'}
+                      </button>
+                    )}
+                  </div>
+                  <ul className="space-y-1">
+                    {tags.map(tag => (
+                      <li key={tag.name}>
+                        <button
+                          onClick={() => toggleTag(tag.name)}
+                          className={`w-full flex justify-between px-2 py-1 text-sm rounded-md ${
+                            selectedTags.includes(tag.name)
+                              ? 'bg-indigo-100 text-indigo-800'
+                              : 'text-gray-700 hover:bg-gray-200'
+                          }`}
+                        >
+                          <span className="truncate">#{tag.name}</span>
+                          <span className="text-gray-500">{tag.count}</span>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                  {selectedTags.length > 0 && (
+                    <button
+                      onClick={() => {
+                        filtersChanged.current = true;
+                        setSelectedTags([]);
+                      }}
+                      className="mt-2 text-xs text-gray-500 hover:text-gray-700"
                     >
-                      <h3 className="text-lg font-medium text-gray-900 truncate">
-                        {note.title}
-                      </h3>
-                      <div className="mt-2">
-                        <p className="text-sm text-gray-500">
-                          Last updated: {new Date(note.lastUpdated).toLocaleDateString()}
-                        </p>
-                        <p className="text-sm text-gray-500">
-                          Collaborators: {note.collaborators.length}
-                        </p>
+                      Clear filter
+                    </button>
+                  )}
+                </div>
+              )}
+            </aside>
+
+            <div className="flex-1 min-w-0">
+              {loading ? (
+                <div className="text-center">Loading...</div>
+              ) : notes && notes.length > 0 ? (
+                <>
+                  <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+                    {notes.map((note) => (
+                      <div
+                        key={note._id}
+                        draggable={!offlineSince && note.createdBy?._id === (user?.id || user?._id)}
+                        onDragStart={(e) => e.dataTransfer.setData(NOTE_DRAG_TYPE, note._id)}
+                        className="bg-white overflow-hidden shadow rounded-lg hover:shadow-md transition-shadow duration-200"
+                      >
+                        <div 
+                          className="px-4 py-5 sm:p-6 cursor-pointer"
+                          onClick={() => navigate(`/notes/${note._id}`)}
+                        >
+                          <h3 className="text-lg font-medium text-gray-900 truncate">
+                            {note.title}
+                          </h3>
+                          {note.content && (
+                            <MarkdownPreview
+                              content={markdownExcerpt(note.content)}
+                              className="mt-2 text-sm max-h-32 overflow-hidden"
+                            />
+                          )}
+                          <div className="mt-2">
+                            <p className="text-sm text-gray-500">
+                              Last updated: {new Date(note.lastUpdated).toLocaleDateString()}
+                            </p>
+                            <p className="text-sm text-gray-500">
+                              Collaborators: {note.collaborators.length}
+                            </p>
+                            <ChecklistProgress content={note.content} />
+                          </div>
+                          {note.tags?.length > 0 && (
+                            <div className="mt-3 flex flex-wrap gap-1">
+                              {note.tags.map(tag => (
+                                <button
+                                  key={tag}
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    if (!selectedTags.includes(tag)) toggleTag(tag);
+                                  }}
+                                  className="px-2 py-0.5 rounded-full text-xs bg-indigo-100 text-indigo-700 hover:bg-indigo-200"
+                                >
+                                  #{tag}
+                                </button>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                        <div className={`px-4 py-3 bg-gray-50 flex justify-end space-x-2 ${offlineSince ? 'hidden' : ''}`}>
+                          <button 
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              navigate(`/notes/${note._id}?share=true`);
+                            }}
+                            className="text-blue-600 hover:text-blue-800 p-1"
+                            title="Share Note"
+                          >
+                            <FaShare />
+                          </button>
+                          <ExportMenu
+                            noteId={note._id}
+                            className="text-gray-600 hover:text-gray-800 p-1"
+                          />
+                          <button 
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleDeleteNote(note._id);
+                            }}
+                            className="text-red-600 hover:text-red-800 p-1"
+                            title="Move to Trash"
+                          >
+                            <FaTrash />
+                          </button>
+                        </div>
                       </div>
-                    </div>
-                    <div className="px-4 py-3 bg-gray-50 flex justify-end space-x-2">
-                      <button 
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          navigate(`/notes/${note._id}?share=true`);
-                        }}
-                        className="text-blue-600 hover:text-blue-800 p-1"
-                        title="Share Note"
+                    ))}
+                  </div>
+
+                  {/* Pagination */}
+                  {pagination && pagination.totalPages > 1 && (
+                    <div className="mt-6 flex justify-center space-x-4">
+                      <button
+                        onClick={() => setPage(p => Math.max(1, p - 1))}
+                        disabled={!pagination.hasPrevPage}
+                        className={`px-4 py-2 text-sm rounded-md ${
+                          pagination.hasPrevPage
+                            ? 'bg-indigo-600 text-white hover:bg-indigo-700'
+                            : 'bg-gray-200 text-gray-500'
+                        }`}
                       >
-                        <FaShare />
+                        Previous
                       </button>
-                      <button 
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          handleDeleteNote(note._id);
-                        }}
-                        className="text-red-600 hover:text-red-800 p-1"
-                        title="Delete Note"
+                      <span className="text-sm text-gray-600 self-center">
+                        Page {pagination.currentPage} of {pagination.totalPages}
+                      </span>
+                      <button
+                        onClick={() => setPage(p => p + 1)}
+                        disabled={!pagination.hasNextPage}
+                        className={`px-4 py-2 text-sm rounded-md ${
+                          pagination.hasNextPage
+                            ? 'bg-indigo-600 text-white hover:bg-indigo-700'
+                            : 'bg-gray-200 text-gray-500'
+                        }`}
                       >
-                        <FaTrash />
+                        Next
                       </button>
                     </div>
-                  </div>
-                ))}
-              </div>
-
-              {/* Pagination */}
-              {pagination && pagination.totalPages > 1 && (
-                <div className="mt-6 flex justify-center space-x-4">
-                  <button
-                    onClick={() => setPage(p => Math.max(1, p - 1))}
-                    disabled={!pagination.hasPrevPage}
-                    className={`px-4 py-2 text-sm rounded-md ${
-                      pagination.hasPrevPage
-                        ? 'bg-indigo-600 text-white hover:bg-indigo-700'
-                        : 'bg-gray-200 text-gray-500'
-                    }`}
-                  >
-                    Previous
-                  </button>
-                  <span className="text-sm text-gray-600 self-center">
-                    Page {pagination.currentPage} of {pagination.totalPages}
-                  </span>
-                  <button
-                    onClick={() => setPage(p => p + 1)}
-                    disabled={!pagination.hasNextPage}
-                    className={`px-4 py-2 text-sm rounded-md ${
-                      pagination.hasNextPage
-                        ? 'bg-indigo-600 text-white hover:bg-indigo-700'
-                        : 'bg-gray-200 text-gray-500'
-                    }`}
-                  >
-                    Next
-                  </button>
-                </div>
+                  )}
+                </>
+              ) : (
+                <div className="text-center text-gray-500">No notes found</div>
               )}
-            </>
-          ) : (
-            <div className="text-center text-gray-500">No notes found</div>
-          )}
+            </div>
+          </div>
         </div>
       </main>
 
+      {sharingNotebook && (
+        <NotebookShareModal
+          notebook={sharingNotebook}
+          onChange={handleNotebookShared}
+          onClose={() => setSharingNotebook(null)}
+        />
+      )}
+
       {showCreateModal && (
         <div className="fixed inset-0 bg-gray-500 bg-opacity-75 flex items-center justify-center">
           <div className="bg-white rounded-lg p-6 max-w-sm w-full">
             <h3 className="text-lg font-medium text-gray-900 mb-4">Create New Note</h3>
             <form onSubmit={handleCreateNote}>
               <div className="space-y-4">
+                {templates.length > 0 && (
+                  <div>
+                    <label htmlFor="template" className="block text-sm font-medium text-gray-700">
+                      Template
+                    </label>
+                    <select
+                      id="template"
+                      value={templateId}
+                      onChange={(e) => setTemplateId(e.target.value)}
+                      className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                    >
+                      <option value="">Blank note</option>
+                      {templates.map(template => (
+                        <option key={template._id} value={template._id}>
+                          {template.name}{template.notebook ? ` (${template.notebook.name})` : ''}
+                        </option>
+                      ))}
+                    </select>
+                    {selectedTemplate && (
+                      <div className="mt-1 flex items-start justify-between text-xs text-gray-500">
+                        <span>{selectedTemplate.description || `By ${selectedTemplate.createdBy?.name || 'unknown'}`}</span>
+                        {selectedTemplate.canDelete && (
+                          <button
+                            type="button"
+                            onClick={() => handleDeleteTemplate(selectedTemplate)}
+                            className="ml-2 text-gray-500 hover:text-red-600"
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
                 <div>
                   <label htmlFor="title" className="block text-sm font-medium text-gray-700">
                     Title
@@ -306,33 +855,38 @@ const Dashboard = () => {
                     type="text"
                     value={newNoteTitle}
                     onChange={(e) => setNewNoteTitle(e.target.value)}
-                    placeholder="Note title"
+                    placeholder={selectedTemplate ? `Defaults to "${selectedTemplate.title || selectedTemplate.name}"` : 'Note title'}
                     className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-                    required
-                  />
-                </div>
-                <div>
-                  <label htmlFor="content" className="block text-sm font-medium text-gray-700">
-                    Initial Content
-                  </label>
-                  <textarea
-                    id="content"
-                    value={newNoteContent}
-                    onChange={(e) => setNewNoteContent(e.target.value)}
-                    placeholder="Start writing..."
-                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-                    rows={4}
+                    required={!selectedTemplate}
                   />
                 </div>
+                {selectedTemplate ? (
+                  <div>
+                    <span className="block text-sm font-medium text-gray-700">Content</span>
+                    <pre className="mt-1 max-h-32 overflow-y-auto p-2 text-xs text-gray-600 bg-gray-50 border border-gray-200 rounded-md whitespace-pre-wrap">
+                      {selectedTemplate.content}
+                    </pre>
+                  </div>
+                ) : (
+                  <div>
+                    <label htmlFor="content" className="block text-sm font-medium text-gray-700">
+                      Initial Content
+                    </label>
+                    <textarea
+                      id="content"
+                      value={newNoteContent}
+                      onChange={(e) => setNewNoteContent(e.target.value)}
+                      placeholder="Start writing..."
+                      className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                      rows={4}
+                    />
+                  </div>
+                )}
               </div>
               <div className="mt-4 flex justify-end space-x-2">
                 <button
                   type="button"
-                  onClick={() => {
-                    setShowCreateModal(false);
-                    setNewNoteTitle('');
-                    setNewNoteContent('');
-                  }}
+                  onClick={closeCreateModal}
                   className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900"
                   disabled={isSubmitting}
                 >
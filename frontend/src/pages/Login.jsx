@@ -10,25 +10,39 @@ const Login = () => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
+  // Set after the password step when the account has 2FA on
+  const [twoFactorToken, setTwoFactorToken] = useState(null);
+  const [code, setCode] = useState('');
   const dispatch = useDispatch();
   const navigate = useNavigate();
 
+  const completeLogin = (data) => {
+    console.log('Login response:', {
+      userData: data.user,
+      userId: data.user.id,
+      user_id: data.user._id,
+      token: data.token ? 'Present' : 'Missing'
+    });
+    dispatch(setCredentials(data));
+    initializeSocket(data.token);
+    navigate('/');
+    toast.success('Login successful!');
+    if (data.recoveryCodesLeft !== undefined) {
+      toast(`You have ${data.recoveryCodesLeft} recovery codes left. You can make new ones in Settings.`);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
 
     try {
       const data = await authAPI.login(email, password);
-      console.log('Login response:', {
-        userData: data.user,
-        userId: data.user.id,
-        user_id: data.user._id,
-        token: data.token ? 'Present' : 'Missing'
-      });
-      dispatch(setCredentials(data));
-      initializeSocket(data.token);
-      navigate('/');
-      toast.success('Login successful!');
+      if (data.twoFactorRequired) {
+        setTwoFactorToken(data.twoFactorToken);
+        return;
+      }
+      completeLogin(data);
     } catch (error) {
       console.error('Login error:', error);
       toast.error(error.response?.data?.message || 'Login failed');
@@ -37,6 +51,82 @@ const Login = () => {
     }
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      completeLogin(await authAPI.loginTwoFactor(twoFactorToken, code));
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      toast.error(error.message);
+      // The first step's token has expired, so start over
+      if (error.loginExpired) {
+        setTwoFactorToken(null);
+        setCode('');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (twoFactorToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Two-factor authentication
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+            </p>
+          </div>
+          <form className="mt-8 space-y-6" onSubmit={handleCodeSubmit}>
+            <div>
+              <label htmlFor="code" className="sr-only">
+                Authentication code
+              </label>
+              <input
+                id="code"
+                name="code"
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 text-center tracking-widest focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm"
+                placeholder="123456"
+              />
+            </div>
+
+            <div className="flex items-center justify-between">
+              <button
+                type="button"
+                onClick={() => {
+                  setTwoFactorToken(null);
+                  setCode('');
+                }}
+                className="text-sm font-medium text-gray-600 hover:text-gray-800"
+              >
+                Back
+              </button>
+              <button
+                type="submit"
+                disabled={loading}
+                className="py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -87,6 +177,12 @@ const Login = () => {
             </div>
           </div>
 
+          <div className="text-sm text-right">
+            <Link to="/forgot-password" className="font-medium text-indigo-600 hover:text-indigo-500">
+              Forgot your password?
+            </Link>
+          </div>
+
           <div>
             <button
               type="submit"
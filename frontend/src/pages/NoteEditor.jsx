@@ -1,11 +1,55 @@
-import React, { useEffect, useState, useCallback, useMemo, useRef } from 'react';
+import React, { useEffect, useLayoutEffect, useState, useCallback, useMemo, useRef } from 'react';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import { notesAPI } from '../services/api';
 import { setCurrentNote, updateNote } from '../store/slices/notesSlice';
-import { joinNoteRoom, leaveNoteRoom, updateNoteInRealTime } from '../services/socket';
+import {
+  joinNoteRoom,
+  leaveNoteRoom,
+  updateNoteInRealTime,
+  isNoteSessionActive,
+  updateCursor,
+  getSocketId,
+  toggleChecklistItemInRealTime
+} from '../services/socket';
+import { queueEdit, hasPendingEdits, subscribeToQueue, discardQueuedEdit } from '../services/offlineQueue';
+import { apply, fromDiff, transformIndex } from '../utils/textOperation';
+import { findChecklistItems, setChecklistItem } from '../utils/checklist';
+import { attachmentMarkdown } from '../utils/attachments';
+import { linkedTitles } from '../utils/wikiLinks';
+import { forgetAttachment } from '../services/attachments';
+import HistoryPanel from '../components/HistoryPanel';
+import ConflictDialog from '../components/ConflictDialog';
+import RemoteCursors from '../components/RemoteCursors';
+import TagInput from '../components/TagInput';
+import ShareModal from '../components/ShareModal';
+import CommentSidebar from '../components/CommentSidebar';
+import MentionSuggestions from '../components/MentionSuggestions';
+import NotificationCenter from '../components/NotificationCenter';
+import MarkdownPreview from '../components/MarkdownPreview';
+import MarkdownToolbar from '../components/MarkdownToolbar';
+import AttachmentPanel from '../components/AttachmentPanel';
+import BacklinksPanel from '../components/BacklinksPanel';
+import SaveTemplateModal from '../components/SaveTemplateModal';
+import NoteLinkSuggestions from '../components/NoteLinkSuggestions';
+import { addComment, updateComment as updateThreadComment, removeComment, shiftThreads } from '../utils/commentThreads';
 import toast from 'react-hot-toast';
 import debounce from 'lodash/debounce';
+import throttle from 'lodash/throttle';
+
+// Shift remote carets through an edit so they stay attached to their text
+const shiftCursors = (cursors, operation) => Object.fromEntries(
+  Object.entries(cursors).map(([socketId, entry]) => [
+    socketId,
+    entry.cursor ? {
+      ...entry,
+      cursor: {
+        start: transformIndex(entry.cursor.start, operation),
+        end: transformIndex(entry.cursor.end, operation)
+      }
+    } : entry
+  ])
+);
 
 const NoteEditor = () => {
   const { id } = useParams();
@@ -17,15 +61,47 @@ const NoteEditor = () => {
   const [title, setTitle] = useState('');
   const [content, setContent] = useState('');
   const [showShareModal, setShowShareModal] = useState(false);
-  const [shareEmail, setShareEmail] = useState('');
-  const [sharePermission, setSharePermission] = useState('read');
+  const [showSaveTemplate, setShowSaveTemplate] = useState(false);
   const [loading, setLoading] = useState(true);
   const [isSaving, setIsSaving] = useState(false);
   const [lastSaved, setLastSaved] = useState(new Date());
   const [forceEditMode, setForceEditMode] = useState(false);
   const [activeUsers, setActiveUsers] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const [conflict, setConflict] = useState(null);
+  // Other sessions' carets keyed by socket id
+  const [remoteCursors, setRemoteCursors] = useState({});
+  const [editorScrollTop, setEditorScrollTop] = useState(0);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  // Offline edits waiting in IndexedDB, for every note of this user
+  const [queuedEdits, setQueuedEdits] = useState([]);
+  // Comment threads, their anchors shifted locally as the text changes
+  const [threads, setThreads] = useState([]);
+  const [showComments, setShowComments] = useState(false);
+  // 'edit', 'split' (editor and preview side by side) or 'preview'
+  const [viewMode, setViewMode] = useState(() => localStorage.getItem('noteViewMode') || 'edit');
+  const [focusedThreadId, setFocusedThreadId] = useState(null);
+  // People with access to the note, for @mention suggestions
+  const [members, setMembers] = useState([]);
+  const [attachments, setAttachments] = useState([]);
+  const [showAttachments, setShowAttachments] = useState(false);
+  // Files still being uploaded
+  const [uploadingCount, setUploadingCount] = useState(0);
+  // Where this note's [[links]] lead, and the notes linking here
+  const [wikiLinks, setWikiLinks] = useState([]);
+  const [backlinks, setBacklinks] = useState([]);
+  const [backlinksLoading, setBacklinksLoading] = useState(false);
+  const [showBacklinks, setShowBacklinks] = useState(false);
   const isFirstLoad = useRef(true);
   const autoSaveTimerRef = useRef(null);
+  // Latest content, kept outside React state so operations are always built
+  // against (and applied to) exactly what the textarea shows
+  const contentRef = useRef('');
+  const textareaRef = useRef(null);
+  const pendingSelectionRef = useRef(null);
+  // Server revision our content is based on, sent with REST saves so a stale
+  // tab gets a conflict instead of overwriting newer content
+  const baseRevisionRef = useRef(null);
 
   // More reliable user ID comparison function
   const compareIds = useCallback((id1, id2) => {
@@ -48,7 +124,8 @@ const NoteEditor = () => {
     return clean1 === clean2;
   }, []);
 
-  // Improved debounced save function with error handling and retry logic
+  // REST save used when there is no live socket session to send operations
+  // through. Improved debounced save function with error handling and retry logic
   const debouncedSave = useCallback(
     debounce(async (noteId, newContent, newTitle) => {
       try {
@@ -57,27 +134,49 @@ const NoteEditor = () => {
           return;
         }
         
+        const edit = {
+          title: newTitle,
+          content: newContent,
+          baseRevision: baseRevisionRef.current ?? undefined
+        };
+
+        // Offline, or earlier offline edits still waiting: queue behind them
+        // so everything reaches the server in order
+        if (!navigator.onLine || await hasPendingEdits(noteId)) {
+          await queueEdit(noteId, edit);
+          return;
+        }
+
         setIsSaving(true);
         console.log('Auto-saving note:', { noteId, newTitle });
         
-        // Update in real-time via socket first for instant collaboration
-        updateNoteInRealTime(noteId, newContent, newTitle);
-        
-        // Then save to database (this ensures data is persisted)
-        const data = await notesAPI.updateNote(noteId, { 
-          title: newTitle, 
-          content: newContent 
-        });
+        // Save to database (this ensures data is persisted)
+        const data = await notesAPI.updateNote(noteId, edit);
         
         // Update local state
+        baseRevisionRef.current = data.revision;
         dispatch(updateNote(data));
         setLastSaved(new Date());
         console.log('Auto-save completed successfully');
       } catch (error) {
         console.error('Error auto-saving note:', error);
-        // Only show toast if it's not a canceled request
-        if (!error.message.includes('canceled')) {
+        if (error.status === 409) {
+          // Someone else saved first, let the user decide instead of retrying
+          setConflict({
+            local: { title: newTitle, content: newContent },
+            server: error.data.note
+          });
+        } else if (!error.status) {
+          // Server unreachable, keep the edit until we're back online
+          await queueEdit(noteId, {
+            title: newTitle,
+            content: newContent,
+            baseRevision: baseRevisionRef.current ?? undefined
+          });
           toast.error('Changes will be saved when connection is restored');
+        } else if (!error.message.includes('canceled')) {
+          // Only show toast if it's not a canceled request
+          toast.error('Error saving note, retrying...');
           
           // Schedule a retry
           if (autoSaveTimerRef.current) {
@@ -96,6 +195,39 @@ const NoteEditor = () => {
     []
   );
 
+  // Track connectivity and the offline edit queue
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    const unsubscribe = subscribeToQueue(setQueuedEdits);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      unsubscribe();
+    };
+  }, []);
+
+  const pendingCount = queuedEdits.filter(edit => edit.noteId === id && !edit.conflict).length;
+  const queuedConflict = queuedEdits.find(edit => edit.noteId === id && edit.conflict);
+
+  // An offline edit was rejected on replay, ask the user to resolve it
+  useEffect(() => {
+    if (queuedConflict) {
+      setConflict({
+        local: { title: queuedConflict.title, content: queuedConflict.content },
+        server: queuedConflict.server,
+        queuedEditId: queuedConflict.id
+      });
+    }
+  }, [queuedConflict?.id]);
+
+  useEffect(() => {
+    localStorage.setItem('noteViewMode', viewMode);
+  }, [viewMode]);
+
   // Clean up auto-save timer
   useEffect(() => {
     return () => {
@@ -107,8 +239,78 @@ const NoteEditor = () => {
 
   useEffect(() => {
     console.log('NoteEditor mounting, fetching note with ID:', id);
+    isFirstLoad.current = true;
     fetchNote();
-    joinNoteRoom(id);
+    notesAPI.getMembers(id)
+      .then(setMembers)
+      .catch(error => console.error('Error fetching note members:', error));
+    notesAPI.getAttachments(id)
+      .then(setAttachments)
+      .catch(error => console.error('Error fetching attachments:', error));
+    joinNoteRoom(id, {
+      onSync: (snapshot) => {
+        baseRevisionRef.current = snapshot.revision;
+        contentRef.current = snapshot.content;
+        setContent(snapshot.content);
+        setTitle(snapshot.title);
+        // Anchors may have moved with edits we didn't see
+        fetchComments();
+      },
+      onRemoteOperation: (operation, data) => {
+        // Keep the local caret where it was relative to the surrounding text
+        const textarea = textareaRef.current;
+        if (textarea && document.activeElement === textarea) {
+          pendingSelectionRef.current = [
+            transformIndex(textarea.selectionStart, operation),
+            transformIndex(textarea.selectionEnd, operation)
+          ];
+        }
+        baseRevisionRef.current = data.revision;
+        contentRef.current = apply(contentRef.current, operation);
+        setContent(contentRef.current);
+        setRemoteCursors(prev => shiftCursors(prev, operation));
+        setThreads(prev => shiftThreads(prev, operation));
+        if (data.title !== undefined) {
+          setTitle(data.title);
+        }
+      },
+      onRemoteFields: (data) => {
+        if (data.title !== undefined) {
+          setTitle(data.title);
+        }
+      },
+      onAck: (revision) => {
+        baseRevisionRef.current = revision;
+        setLastSaved(new Date());
+      },
+      onPresence: (users) => {
+        setActiveUsers(users);
+        // Drop carets of people who left, pick up ones we haven't seen yet
+        setRemoteCursors(prev => Object.fromEntries(
+          users
+            .filter(u => u.socketId !== getSocketId())
+            .map(u => [u.socketId, prev[u.socketId] || u])
+        ));
+      },
+      onRemoteCursor: (entry) => {
+        setRemoteCursors(prev => ({ ...prev, [entry.socketId]: entry }));
+      },
+      onClosed: (reason) => {
+        const messages = {
+          trashed: 'This note was moved to the trash',
+          'access-removed': 'You no longer have access to this note'
+        };
+        toast.error(messages[reason] || 'This note is no longer available');
+        navigate('/');
+      },
+      onAccessChanged: () => {
+        // Pick up the new permission level
+        fetchNote();
+      },
+      onCommentAdded: (comment) => setThreads(prev => addComment(prev, comment)),
+      onCommentUpdated: (comment) => setThreads(prev => updateThreadComment(prev, comment)),
+      onCommentDeleted: (commentId, parent) => setThreads(prev => removeComment(prev, commentId, parent))
+    });
     
     // Check if share parameter is present in URL
     const searchParams = new URLSearchParams(location.search);
@@ -119,39 +321,75 @@ const NoteEditor = () => {
     return () => {
       console.log('NoteEditor unmounting, leaving note room:', id);
       leaveNoteRoom(id);
+      setActiveUsers([]);
+      setRemoteCursors({});
+      setThreads([]);
       if (autoSaveTimerRef.current) {
         clearTimeout(autoSaveTimerRef.current);
       }
     };
   }, [id, location.search]);
 
-  // Sync note data to local state, but only if it's the first load
-  // or if title/content haven't been edited
+  // Ask the server where the [[links]] lead whenever the set of linked titles
+  // changes, once the edit that changed it has had time to reach the index
+  const linkedTitlesKey = useMemo(() => linkedTitles(content).join('\n'), [content]);
   useEffect(() => {
-    if (currentNote) {
+    if (!linkedTitlesKey) {
+      setWikiLinks([]);
+      return;
+    }
+    const timer = setTimeout(() => {
+      notesAPI.getWikiLinks(id)
+        .then(setWikiLinks)
+        .catch(error => console.error('Error fetching links:', error));
+    }, 800);
+    return () => clearTimeout(timer);
+  }, [id, linkedTitlesKey]);
+
+  const fetchBacklinks = useCallback(async () => {
+    setBacklinksLoading(true);
+    try {
+      setBacklinks(await notesAPI.getBacklinks(id));
+    } catch (error) {
+      console.error('Error fetching backlinks:', error);
+    } finally {
+      setBacklinksLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    setBacklinks([]);
+    fetchBacklinks();
+  }, [fetchBacklinks]);
+
+  const openNote = (noteId) => navigate(`/notes/${noteId}`);
+
+  // Restore the caret after a remote operation re-rendered the textarea
+  useLayoutEffect(() => {
+    if (pendingSelectionRef.current && textareaRef.current) {
+      textareaRef.current.setSelectionRange(...pendingSelectionRef.current);
+      pendingSelectionRef.current = null;
+    }
+  }, [content]);
+
+  // Load note data into local state on first load. Afterwards content only
+  // changes through local edits and remote operations from the socket.
+  useEffect(() => {
+    if (currentNote && currentNote._id === id && isFirstLoad.current) {
       console.log('Current note updated in Redux:', currentNote._id);
-      
-      // Only update our local state if:
-      // 1. This is the first load
-      // 2. We're getting real-time updates from others (not our own edits)
-      if (isFirstLoad.current || 
-          (title !== currentNote.title || content !== currentNote.content)) {
-        
+
+      // The socket snapshot may already have arrived with newer content
+      if (!isNoteSessionActive(id)) {
+        baseRevisionRef.current = currentNote.revision;
+        contentRef.current = currentNote.content;
         setTitle(currentNote.title);
         setContent(currentNote.content);
-        setLoading(false);
-        
-        if (isFirstLoad.current) {
-          isFirstLoad.current = false;
-          console.log('Initial note data loaded');
-        } else {
-          // Show notification of update
-          toast.success('Note was updated by another user');
-          console.log('Note was updated remotely');
-        }
       }
+      setLoading(false);
+      isFirstLoad.current = false;
+      console.log('Initial note data loaded');
     }
-  }, [currentNote]);
+  }, [currentNote, id]);
 
   const fetchNote = async () => {
     try {
@@ -179,6 +417,14 @@ const NoteEditor = () => {
     }
   };
 
+  const fetchComments = async () => {
+    try {
+      setThreads(await notesAPI.getComments(id));
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+    }
+  };
+
   const handleTitleChange = (e) => {
     const newTitle = e.target.value;
     setTitle(newTitle);
@@ -186,48 +432,263 @@ const NoteEditor = () => {
     // Always trigger save for any change if we have edit permissions
     if (effectiveCanEdit) {
       console.log('Triggering save for title change');
-      debouncedSave(id, content, newTitle);
+      const unchanged = fromDiff(contentRef.current, contentRef.current);
+      if (!updateNoteInRealTime(id, unchanged, newTitle)) {
+        debouncedSave(id, contentRef.current, newTitle);
+      }
     }
   };
 
   const handleContentChange = (e) => {
     const newContent = e.target.value;
+    const operation = fromDiff(contentRef.current, newContent);
+    contentRef.current = newContent;
     setContent(newContent);
+    setRemoteCursors(prev => shiftCursors(prev, operation));
+    setThreads(prev => shiftThreads(prev, operation));
     
     // Always trigger save for any change if we have edit permissions
     if (effectiveCanEdit) {
       console.log('Triggering save for content change');
-      debouncedSave(id, newContent, title);
+      if (!updateNoteInRealTime(id, operation)) {
+        debouncedSave(id, newContent, title);
+      }
+    }
+  };
+
+  // Share caret and selection with the room, at most every 100ms
+  const sendCursor = useMemo(
+    () => throttle((noteId, cursor) => updateCursor(noteId, cursor), 100),
+    []
+  );
+
+  const handleSelectionChange = (e) => {
+    sendCursor(id, { start: e.target.selectionStart, end: e.target.selectionEnd });
+  };
+
+  const handleEditorBlur = () => {
+    sendCursor(id, null);
+  };
+
+  // The text selected in the editor, for starting a comment thread
+  const getEditorSelection = () => {
+    const textarea = textareaRef.current;
+    if (!textarea || textarea.selectionStart === textarea.selectionEnd) return null;
+    const start = Math.min(textarea.selectionStart, textarea.selectionEnd);
+    const end = Math.max(textarea.selectionStart, textarea.selectionEnd);
+    return { start, end, quote: contentRef.current.slice(start, end) };
+  };
+
+  // Select a range of the note and scroll it into view
+  const selectRange = (start, end) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    // Hidden in preview mode, bring it back first
+    if (textarea.offsetParent === null) {
+      setViewMode('split');
+      setTimeout(() => selectRange(start, end));
+      return;
+    }
+    textarea.setSelectionRange(start, end);
+    // Refocusing is what makes browsers scroll to the selection
+    textarea.blur();
+    textarea.focus();
+  };
+
+  const handleSelectThread = (thread) => {
+    selectRange(thread.anchor.start, thread.anchor.end);
+  };
+
+  // Replace the content from the toolbar or a picked suggestion, then restore
+  // the given selection
+  const applyEdit = (newContent, selection) => {
+    handleContentChange({ target: { value: newContent } });
+    pendingSelectionRef.current = selection;
+  };
+
+  const handleToggleTask = (index, checked) => {
+    const item = findChecklistItems(contentRef.current)[index];
+    if (!item) return;
+    if (!toggleChecklistItemInRealTime(id, item, checked)) {
+      // No live session, save it like any other edit
+      applyEdit(setChecklistItem(contentRef.current, item, checked), null);
     }
   };
 
+  const handleSuggestionPick = (newContent, caret) => {
+    applyEdit(newContent, [caret, caret]);
+  };
+
+  // Put text in place of the editor's selection, leaving the caret after it
+  const insertAtCaret = (text) => {
+    const textarea = textareaRef.current;
+    const current = contentRef.current;
+    const start = textarea ? textarea.selectionStart : current.length;
+    const end = textarea ? textarea.selectionEnd : current.length;
+    applyEdit(current.slice(0, start) + text + current.slice(end), [start + text.length, start + text.length]);
+  };
+
+  // Upload files one after another, in order. With `insert`, a reference to
+  // each one (an inline image or a link) goes in at the caret once it's up.
+  const uploadFiles = async (files, { insert = false } = {}) => {
+    setUploadingCount(count => count + files.length);
+    for (const file of files) {
+      try {
+        const attachment = await notesAPI.uploadAttachment(id, file);
+        setAttachments(prev => [...prev, attachment]);
+        if (insert) insertAtCaret(attachmentMarkdown(attachment));
+      } catch (error) {
+        toast.error(`${file.name}: ${error.message}`);
+      } finally {
+        setUploadingCount(count => count - 1);
+      }
+    }
+  };
+
+  const handleEditorPaste = (e) => {
+    const files = [...e.clipboardData.files];
+    if (!effectiveCanEdit || files.length === 0) return;
+    e.preventDefault();
+    uploadFiles(files, { insert: true });
+  };
+
+  const handleEditorDrop = (e) => {
+    const files = [...e.dataTransfer.files];
+    if (!effectiveCanEdit || files.length === 0) return;
+    e.preventDefault();
+    textareaRef.current.focus();
+    uploadFiles(files, { insert: true });
+  };
+
+  const handleDeleteAttachment = async (attachment) => {
+    try {
+      await notesAPI.deleteAttachment(id, attachment._id);
+      setAttachments(prev => prev.filter(a => a._id !== attachment._id));
+      forgetAttachment(attachment.url);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  // Opened from a mention notification: ?from=&to= points into the text,
+  // ?comment= at a thread
+  const handledDeepLinkRef = useRef(null);
+  useEffect(() => {
+    if (loading || handledDeepLinkRef.current === location.search) return;
+
+    const params = new URLSearchParams(location.search);
+    const commentId = params.get('comment');
+    const from = parseInt(params.get('from'));
+    const to = parseInt(params.get('to'));
+
+    if (commentId) {
+      setShowComments(true);
+      setFocusedThreadId(commentId);
+      const thread = threads.find(t => t._id === commentId);
+      // Wait for the comments to load
+      if (!thread) return;
+      handleSelectThread(thread);
+    } else if (!Number.isNaN(from)) {
+      selectRange(from, Number.isNaN(to) ? from : to);
+    }
+    handledDeepLinkRef.current = location.search;
+  }, [loading, location.search, threads]);
+
+  // One avatar per collaborator, even with several tabs open
+  const otherUsers = useMemo(() => {
+    const myId = String(user?.id || user?._id);
+    const seen = new Map();
+    activeUsers
+      .filter(u => u.userId !== myId)
+      .forEach(u => seen.set(u.userId, u));
+    return [...seen.values()];
+  }, [activeUsers, user]);
+
   const handleSave = async () => {
     try {
       setIsSaving(true);
-      const data = await notesAPI.updateNote(id, { title, content });
+      // With a live session the content is already saved operation by
+      // operation; sending it again would race with unacknowledged edits
+      const data = await notesAPI.updateNote(
+        id,
+        isNoteSessionActive(id)
+          ? { title }
+          : { title, content, baseRevision: baseRevisionRef.current ?? undefined }
+      );
+      baseRevisionRef.current = data.revision;
       dispatch(updateNote(data));
       setLastSaved(new Date());
       toast.success('Note saved successfully');
     } catch (error) {
-      toast.error('Error saving note');
+      if (error.status === 409) {
+        setConflict({ local: { title, content }, server: error.data.note });
+      } else if (!error.status) {
+        await queueEdit(id, { title, content, baseRevision: baseRevisionRef.current ?? undefined });
+        toast.error('You are offline, the note will be saved when the connection is back');
+      } else {
+        toast.error('Error saving note');
+      }
     } finally {
       setIsSaving(false);
     }
   };
 
-  const handleShare = async (e) => {
-    e.preventDefault();
+  // Overwrite the server copy, now knowingly based on its latest revision
+  const handleKeepMine = async () => {
+    const { local, server, queuedEditId } = conflict;
+    setConflict(null);
+    if (queuedEditId) {
+      await discardQueuedEdit(queuedEditId);
+    }
     try {
-      const data = await notesAPI.shareNote(id, shareEmail, sharePermission);
+      setIsSaving(true);
+      const data = await notesAPI.updateNote(id, { ...local, baseRevision: server.revision });
+      baseRevisionRef.current = data.revision;
       dispatch(updateNote(data));
-      setShowShareModal(false);
-      setShareEmail('');
-      toast.success(`Note shared with ${shareEmail}`);
+      setLastSaved(new Date());
+      toast.success('Your version was saved');
     } catch (error) {
-      toast.error(error.message || 'Error sharing note');
+      if (error.status === 409) {
+        setConflict({ local, server: error.data.note });
+      } else {
+        toast.error('Error saving note');
+      }
+    } finally {
+      setIsSaving(false);
     }
   };
 
+  const handleUseTheirs = () => {
+    const { server, queuedEditId } = conflict;
+    debouncedSave.cancel();
+    if (queuedEditId) {
+      discardQueuedEdit(queuedEditId);
+    }
+    baseRevisionRef.current = server.revision;
+    contentRef.current = server.content;
+    setContent(server.content);
+    setTitle(server.title);
+    dispatch(updateNote(server));
+    setConflict(null);
+  };
+
+  const handleRevisionRestored = (data) => {
+    dispatch(updateNote(data));
+    // Live editors get the restored content as an operation from the socket
+    if (!isNoteSessionActive(id)) {
+      baseRevisionRef.current = data.revision;
+      contentRef.current = data.content;
+      setContent(data.content);
+      setTitle(data.title);
+    }
+    setShowHistory(false);
+  };
+
+  // Keep the permission fields from getNote, sharing responses don't carry them
+  const handleSharingChanged = (data) => {
+    dispatch(setCurrentNote({ ...currentNote, ...data }));
+  };
+
   // IMPROVED permission checking with multiple strategies
   const canEdit = useMemo(() => {
     if (!currentNote || !user) {
@@ -333,6 +794,9 @@ const NoteEditor = () => {
 
   // Determine effective edit permission (either automatic or forced)
   const effectiveCanEdit = canEdit || (isCreatorOfNote && forceEditMode);
+  const canComment = effectiveCanEdit || currentNote?.userPermission === 'comment';
+  const openThreadCount = threads.filter(thread => !thread.resolved).length;
+  const mentionable = members.filter(member => member._id !== (user?.id || user?._id));
 
   // Debug logging with more details
   console.log('Permission check:', {
@@ -385,7 +849,32 @@ const NoteEditor = () => {
               />
             </div>
             <div className="flex items-center space-x-4">
-              {isSaving ? (
+              {otherUsers.length > 0 && (
+                <div className="flex -space-x-2">
+                  {otherUsers.map(u => (
+                    <span
+                      key={u.userId}
+                      title={u.name}
+                      className="inline-flex items-center justify-center h-8 w-8 rounded-full ring-2 ring-white text-xs font-medium text-white"
+                      style={{ backgroundColor: u.color }}
+                    >
+                      {u.name.split(' ').map(part => part[0]).join('').slice(0, 2).toUpperCase()}
+                    </span>
+                  ))}
+                </div>
+              )}
+              <NotificationCenter />
+              {!isOnline ? (
+                <span className="text-sm text-amber-600">
+                  Offline — {pendingCount} pending {pendingCount === 1 ? 'change' : 'changes'}
+                </span>
+              ) : uploadingCount > 0 ? (
+                <span className="text-sm text-gray-500">
+                  Uploading {uploadingCount} {uploadingCount === 1 ? 'file' : 'files'}...
+                </span>
+              ) : pendingCount > 0 ? (
+                <span className="text-sm text-gray-500">Syncing {pendingCount} pending changes...</span>
+              ) : isSaving ? (
                 <span className="text-sm text-gray-500">Auto-saving...</span>
               ) : (
                 <span className="text-sm text-gray-500">Last saved: {lastSaved.toLocaleTimeString()}</span>
@@ -398,6 +887,39 @@ const NoteEditor = () => {
                   Save
                 </button>
               )}
+              <button
+                onClick={() => setShowComments(!showComments)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+              >
+                Comments{openThreadCount > 0 && ` (${openThreadCount})`}
+              </button>
+              <button
+                onClick={() => setShowAttachments(!showAttachments)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+              >
+                Attachments{attachments.length > 0 && ` (${attachments.length})`}
+              </button>
+              <button
+                onClick={() => {
+                  if (!showBacklinks) fetchBacklinks();
+                  setShowBacklinks(!showBacklinks);
+                }}
+                className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+              >
+                Backlinks{backlinks.length > 0 && ` (${backlinks.length})`}
+              </button>
+              <button
+                onClick={() => setShowHistory(true)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+              >
+                History
+              </button>
+              <button
+                onClick={() => setShowSaveTemplate(true)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+              >
+                Save as Template
+              </button>
               {isCreatorOfNote && (
                 <button
                   onClick={() => setShowShareModal(true)}
@@ -443,10 +965,22 @@ const NoteEditor = () => {
           {/* Read-only mode notification */}
           {!effectiveCanEdit && (
             <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md text-yellow-700">
-              <p>You are in read-only mode. {isCreatorOfNote ? 'You are the owner of this note but editing is currently disabled.' : 'You do not have edit permissions for this note.'}</p>
+              <p>You are in read-only mode. {isCreatorOfNote
+                ? 'You are the owner of this note but editing is currently disabled.'
+                : canComment
+                  ? 'You can select text and comment on it, but not edit the note.'
+                  : 'You do not have edit permissions for this note.'}</p>
             </div>
           )}
 
+          <div className="mb-4">
+            <TagInput
+              note={currentNote}
+              canEdit={effectiveCanEdit}
+              onChange={(data) => dispatch(updateNote(data))}
+            />
+          </div>
+
           {/* Auto-save status notification */}
           {effectiveCanEdit && (
             <div className="mb-4 p-2 bg-green-50 border border-green-200 rounded-md text-green-700 text-sm">
@@ -454,73 +988,148 @@ const NoteEditor = () => {
             </div>
           )}
           
-          <textarea
-            value={content}
-            onChange={handleContentChange}
-            disabled={!effectiveCanEdit}
-            className={`w-full h-[calc(100vh-12rem)] p-4 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 ${!effectiveCanEdit ? 'bg-gray-50 cursor-not-allowed' : 'bg-white cursor-text'}`}
-            placeholder={effectiveCanEdit ? "Start writing..." : "You don't have permission to edit this note"}
-            style={{cursor: effectiveCanEdit ? 'text' : 'not-allowed'}}
-          />
-        </div>
-      </main>
-
-      {/* Share Modal - same as before */}
-      {showShareModal && (
-        <div className="fixed inset-0 bg-gray-500 bg-opacity-75 flex items-center justify-center">
-          <div className="bg-white rounded-lg p-6 max-w-sm w-full">
-            <h3 className="text-lg font-medium text-gray-900 mb-4">Share Note</h3>
-            <form onSubmit={handleShare}>
-              <div className="space-y-4">
-                <div>
-                  <label htmlFor="email" className="block text-sm font-medium text-gray-700">
-                    Email address
-                  </label>
-                  <input
-                    type="email"
-                    id="email"
-                    value={shareEmail}
-                    onChange={(e) => setShareEmail(e.target.value)}
-                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-                    required
-                  />
-                </div>
-                <div>
-                  <label htmlFor="permission" className="block text-sm font-medium text-gray-700">
-                    Permission
-                  </label>
-                  <select
-                    id="permission"
-                    value={sharePermission}
-                    onChange={(e) => setSharePermission(e.target.value)}
-                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-                  >
-                    <option value="read">Read only</option>
-                    <option value="write">Can edit</option>
-                  </select>
-                </div>
-              </div>
-              <div className="mt-4 flex justify-end space-x-2">
+          <div className="mb-2 flex items-center justify-between">
+            {effectiveCanEdit && viewMode !== 'preview' ? (
+              <MarkdownToolbar textareaRef={textareaRef} onEdit={applyEdit} />
+            ) : <div />}
+            <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm">
+              {[['edit', 'Edit'], ['split', 'Split'], ['preview', 'Preview']].map(([mode, label]) => (
                 <button
-                  type="button"
-                  onClick={() => setShowShareModal(false)}
-                  className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900"
-                >
-                  Cancel
-                </button>
-                <button
-                  type="submit"
-                  className="px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700"
+                  key={mode}
+                  onClick={() => setViewMode(mode)}
+                  className={`px-3 py-1 ${viewMode === mode ? 'bg-indigo-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
                 >
-                  Share
+                  {label}
                 </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex space-x-4">
+            <div className={`relative flex-1 min-w-0 ${viewMode === 'preview' ? 'hidden' : ''}`}>
+              <textarea
+                ref={textareaRef}
+                value={content}
+                onChange={handleContentChange}
+                onSelect={handleSelectionChange}
+                onBlur={handleEditorBlur}
+                onPaste={handleEditorPaste}
+                onDrop={handleEditorDrop}
+                onScroll={(e) => setEditorScrollTop(e.target.scrollTop)}
+                readOnly={!effectiveCanEdit}
+                className={`w-full h-[calc(100vh-12rem)] p-4 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 ${!effectiveCanEdit ? 'bg-gray-50' : 'bg-white'}`}
+                placeholder={effectiveCanEdit ? "Start writing..." : "You don't have permission to edit this note"}
+                style={{cursor: canComment ? 'text' : 'default'}}
+              />
+              <RemoteCursors
+                content={content}
+                cursors={Object.values(remoteCursors)}
+                scrollTop={editorScrollTop}
+                className="p-4 border border-transparent"
+              />
+              {effectiveCanEdit && (
+                <MentionSuggestions
+                  inputRef={textareaRef}
+                  value={content}
+                  members={mentionable}
+                  onPick={handleSuggestionPick}
+                />
+              )}
+              {effectiveCanEdit && (
+                <NoteLinkSuggestions
+                  inputRef={textareaRef}
+                  value={content}
+                  excludeId={id}
+                  onPick={handleSuggestionPick}
+                />
+              )}
+            </div>
+
+            {viewMode !== 'edit' && (
+              <div className="flex-1 min-w-0 h-[calc(100vh-12rem)] overflow-y-auto p-4 bg-white border border-gray-300 rounded-md shadow-sm">
+                <MarkdownPreview
+                  content={content}
+                  onToggleTask={effectiveCanEdit ? handleToggleTask : undefined}
+                  wikiLinks={wikiLinks}
+                  onOpenNote={openNote}
+                />
               </div>
-            </form>
+            )}
+
+            {showBacklinks && (
+              <BacklinksPanel
+                backlinks={backlinks}
+                loading={backlinksLoading}
+                onOpenNote={openNote}
+                onClose={() => setShowBacklinks(false)}
+              />
+            )}
+
+            {showAttachments && (
+              <AttachmentPanel
+                attachments={attachments}
+                uploading={uploadingCount}
+                canEdit={effectiveCanEdit}
+                onUpload={uploadFiles}
+                onInsert={(attachment) => insertAtCaret(attachmentMarkdown(attachment))}
+                onDelete={handleDeleteAttachment}
+                onClose={() => setShowAttachments(false)}
+              />
+            )}
+
+            {showComments && (
+              <CommentSidebar
+                noteId={id}
+                threads={threads}
+                onThreadsChange={setThreads}
+                canComment={canComment}
+                currentUserId={user?.id || user?._id}
+                isOwner={isCreatorOfNote}
+                getSelection={getEditorSelection}
+                onSelectThread={handleSelectThread}
+                members={mentionable}
+                focusedThreadId={focusedThreadId}
+                onClose={() => setShowComments(false)}
+              />
+            )}
           </div>
         </div>
+      </main>
+
+      {conflict && (
+        <ConflictDialog
+          local={conflict.local}
+          server={conflict.server}
+          onKeepMine={handleKeepMine}
+          onUseTheirs={handleUseTheirs}
+        />
+      )}
+
+      {showHistory && (
+        <HistoryPanel
+          noteId={id}
+          canRestore={effectiveCanEdit}
+          onRestored={handleRevisionRestored}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
+      {showSaveTemplate && currentNote && (
+        <SaveTemplateModal
+          note={{ ...currentNote, title, content }}
+          onClose={() => setShowSaveTemplate(false)}
+        />
+      )}
+
+      {showShareModal && currentNote && (
+        <ShareModal
+          note={currentNote}
+          onChange={handleSharingChanged}
+          onClose={() => setShowShareModal(false)}
+        />
       )}
     </div>
   );
 };
 
-export default NoteEditor; 
\ No newline at end of file
+export default NoteEditor;
\ No newline at end of file
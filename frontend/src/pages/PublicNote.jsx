@@ -0,0 +1,137 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { publicAPI } from '../services/api';
+import MarkdownPreview from '../components/MarkdownPreview';
+import PublicComments from '../components/PublicComments';
+
+// View of a note opened through a share link, no account needed. Comment
+// links can also leave comments.
+const PublicNote = () => {
+  const { token } = useParams();
+  const [note, setNote] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [passwordRequired, setPasswordRequired] = useState(false);
+  const [password, setPassword] = useState('');
+  // Text selected in the note, for a comment link to comment on
+  const [quote, setQuote] = useState('');
+  const articleRef = useRef(null);
+
+  const loadNote = async (withPassword) => {
+    setLoading(true);
+    try {
+      setNote(await publicAPI.getNote(token, withPassword));
+      setPasswordRequired(false);
+      setError(null);
+    } catch (err) {
+      setPasswordRequired(err.passwordRequired);
+      // Only complain about the password once one has been tried
+      setError(err.passwordRequired && !withPassword ? null : err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadNote();
+  }, [token]);
+
+  const handleUnlock = (e) => {
+    e.preventDefault();
+    loadNote(password);
+  };
+
+  const handleSelect = () => {
+    const selection = window.getSelection();
+    const text = selection.toString().trim();
+    if (text && articleRef.current.contains(selection.anchorNode)) {
+      setQuote(text);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <nav className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between h-16">
+            <div className="flex items-center">
+              <h1 className="text-xl font-bold text-gray-900">Collaborative Notes</h1>
+            </div>
+            <div className="flex items-center">
+              <Link to="/login" className="text-gray-700 hover:text-gray-900">
+                Sign in
+              </Link>
+            </div>
+          </div>
+        </div>
+      </nav>
+
+      <main className="max-w-3xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="px-4 py-6 sm:px-0">
+          {loading && !note ? (
+            <div className="text-center">Loading...</div>
+          ) : passwordRequired ? (
+            <form onSubmit={handleUnlock} className="max-w-sm mx-auto bg-white shadow rounded-lg p-6 space-y-4">
+              <h2 className="text-lg font-medium text-gray-900">This note is password protected</h2>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Password"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                autoFocus
+              />
+              {error && <p className="text-sm text-red-600">{error}</p>}
+              <button
+                type="submit"
+                disabled={loading || !password}
+                className="w-full px-4 py-2 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {loading ? 'Checking...' : 'View note'}
+              </button>
+            </form>
+          ) : error ? (
+            <div className="text-center text-gray-600">{error}</div>
+          ) : note && (
+            <>
+              <article
+                ref={articleRef}
+                onMouseUp={note.permission === 'comment' ? handleSelect : undefined}
+                className="bg-white shadow rounded-lg p-6"
+              >
+                <h2 className="text-2xl font-bold text-gray-900">{note.title}</h2>
+                <p className="mt-1 text-sm text-gray-500">
+                  {note.author && `By ${note.author} · `}
+                  Last updated {new Date(note.lastUpdated).toLocaleString()}
+                  {' · '}{note.permission === 'comment' ? 'Can comment' : 'View only'}
+                </p>
+                {note.tags?.length > 0 && (
+                  <div className="mt-3 flex flex-wrap gap-1">
+                    {note.tags.map(tag => (
+                      <span key={tag} className="px-2 py-0.5 rounded-full text-xs bg-indigo-100 text-indigo-700">
+                        #{tag}
+                      </span>
+                    ))}
+                  </div>
+                )}
+                <MarkdownPreview content={note.content} className="mt-6" loadAttachments={false} />
+              </article>
+              {note.permission === 'comment' && (
+                <PublicComments
+                  token={token}
+                  password={password}
+                  threads={note.comments || []}
+                  quote={quote}
+                  onClearQuote={() => setQuote('')}
+                  onAdded={(thread) => setNote(prev => ({ ...prev, comments: [...(prev.comments || []), thread] }))}
+                />
+              )}
+            </>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default PublicNote;
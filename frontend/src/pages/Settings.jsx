@@ -0,0 +1,75 @@
+import React from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { updateUser } from '../store/slices/authSlice';
+import ProfileSettings from '../components/ProfileSettings';
+import PasswordSettings from '../components/PasswordSettings';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import AccessTokenSettings from '../components/AccessTokenSettings';
+import DeleteAccountSettings from '../components/DeleteAccountSettings';
+
+const Section = ({ title, children }) => (
+  <section className="bg-white shadow rounded-lg p-6">
+    <h3 className="text-lg font-medium text-gray-900 mb-4">{title}</h3>
+    {children}
+  </section>
+);
+
+const Settings = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { user } = useSelector((state) => state.auth);
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <nav className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between h-16">
+            <div className="flex items-center">
+              <h1 className="text-xl font-bold text-gray-900">Collaborative Notes</h1>
+            </div>
+            <div className="flex items-center">
+              <button
+                onClick={() => navigate('/')}
+                className="text-gray-700 hover:text-gray-900"
+              >
+                Back to notes
+              </button>
+            </div>
+          </div>
+        </div>
+      </nav>
+
+      <main className="max-w-3xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="px-4 py-6 sm:px-0 space-y-6">
+          <h2 className="text-2xl font-bold text-gray-900">Settings</h2>
+
+          <Section title="Profile">
+            <ProfileSettings user={user} onChange={(profile) => dispatch(updateUser(profile))} />
+          </Section>
+
+          <Section title="Password">
+            <PasswordSettings />
+          </Section>
+
+          <Section title="Two-factor authentication">
+            <TwoFactorSettings
+              enabled={!!user?.twoFactorEnabled}
+              onChange={(enabled) => dispatch(updateUser({ twoFactorEnabled: enabled }))}
+            />
+          </Section>
+
+          <Section title="Personal access tokens">
+            <AccessTokenSettings />
+          </Section>
+
+          <Section title="Delete account">
+            <DeleteAccountSettings twoFactorEnabled={!!user?.twoFactorEnabled} />
+          </Section>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Settings;
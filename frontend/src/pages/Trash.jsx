@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { notesAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FaUndo, FaTrash } from 'react-icons/fa';
+
+const Trash = () => {
+  const navigate = useNavigate();
+  const [notes, setNotes] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchTrash = async () => {
+      try {
+        setNotes(await notesAPI.getTrash());
+      } catch (error) {
+        console.error('Error fetching trash:', error);
+        toast.error(error.message || 'Error fetching trash');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTrash();
+  }, []);
+
+  const handleRestore = async (noteId) => {
+    try {
+      await notesAPI.restoreNote(noteId);
+      setNotes(prev => prev.filter(note => note._id !== noteId));
+      toast.success('Note restored');
+    } catch (error) {
+      console.error('Restore note error:', error);
+      toast.error(error.message || 'Error restoring note');
+    }
+  };
+
+  const handleDeleteForever = async (noteId) => {
+    if (!window.confirm('Delete this note forever? This cannot be undone.')) return;
+
+    try {
+      await notesAPI.deleteNotePermanently(noteId);
+      setNotes(prev => prev.filter(note => note._id !== noteId));
+      toast.success('Note deleted permanently');
+    } catch (error) {
+      console.error('Permanent delete error:', error);
+      toast.error(error.message || 'Error deleting note');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <nav className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between h-16">
+            <div className="flex items-center">
+              <h1 className="text-xl font-bold text-gray-900">Collaborative Notes</h1>
+            </div>
+            <div className="flex items-center">
+              <button
+                onClick={() => navigate('/')}
+                className="text-gray-700 hover:text-gray-900"
+              >
+                Back to Dashboard
+              </button>
+            </div>
+          </div>
+        </div>
+      </nav>
+
+      <main className="max-w-3xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="px-4 py-6 sm:px-0">
+          <h2 className="text-2xl font-bold text-gray-900">Trash</h2>
+          <p className="mt-1 mb-6 text-sm text-gray-500">
+            Notes in the trash are deleted forever after a while. Collaborators can't see them until they are restored.
+          </p>
+
+          {loading ? (
+            <div className="text-center">Loading...</div>
+          ) : notes.length === 0 ? (
+            <div className="text-center text-gray-500">The trash is empty</div>
+          ) : (
+            <ul className="bg-white shadow rounded-lg divide-y">
+              {notes.map(note => (
+                <li key={note._id} className="px-4 py-4 flex items-center justify-between">
+                  <div className="min-w-0">
+                    <h3 className="text-lg font-medium text-gray-900 truncate">{note.title}</h3>
+                    <p className="text-sm text-gray-500">
+                      Trashed {new Date(note.deletedAt).toLocaleString()}
+                      {' · '}deleted forever on {new Date(note.purgeAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                  <div className="flex space-x-2 flex-shrink-0 ml-4">
+                    <button
+                      onClick={() => handleRestore(note._id)}
+                      className="text-indigo-600 hover:text-indigo-800 p-1"
+                      title="Restore Note"
+                    >
+                      <FaUndo />
+                    </button>
+                    <button
+                      onClick={() => handleDeleteForever(note._id)}
+                      className="text-red-600 hover:text-red-800 p-1"
+                      title="Delete Forever"
+                    >
+                      <FaTrash />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Trash;
@@ -0,0 +1,64 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { authAPI } from '../services/api';
+import { updateUser } from '../store/slices/authSlice';
+
+// Reached from the link in the verification email, whether or not the user
+// is signed in in this browser
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, user } = useSelector((state) => state.auth);
+  const dispatch = useDispatch();
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? null : 'This verification link is incomplete.');
+  // The token works once, so don't send it twice (StrictMode runs effects twice)
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    authAPI.verifyEmail(token)
+      .then((data) => {
+        setStatus('verified');
+        setMessage(data.invitationsAccepted > 0
+          ? `You now have access to ${data.invitationsAccepted} note${data.invitationsAccepted > 1 ? 's' : ''} shared with this address.`
+          : null);
+        if (user && String(user.id) === String(data.user.id)) {
+          dispatch(updateUser({ emailVerified: true }));
+        }
+      })
+      .catch((error) => {
+        setStatus('error');
+        setMessage(error.message);
+      });
+  }, [token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6 text-center">
+        <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
+          {status === 'verifying' ? 'Verifying your email...' : status === 'verified' ? 'Email verified' : 'Could not verify your email'}
+        </h2>
+        {message && (
+          <p className={`text-sm ${status === 'error' ? 'text-red-600' : 'text-gray-600'}`}>{message}</p>
+        )}
+        {status === 'error' && isAuthenticated && (
+          <p className="text-sm text-gray-600">You can ask for a new link from your notes page.</p>
+        )}
+        {status !== 'verifying' && (
+          <Link
+            to={isAuthenticated ? '/' : '/login'}
+            className="inline-block font-medium text-indigo-600 hover:text-indigo-500"
+          >
+            {isAuthenticated ? 'Go to your notes' : 'Sign in'}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
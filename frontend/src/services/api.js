@@ -1,6 +1,6 @@
 import axios from 'axios';
 import { store } from '../store';
-import { logout } from '../store/slices/authSlice';
+import { logout, setTokens } from '../store/slices/authSlice';
 import { clearNotes } from '../store/slices/notesSlice';
 import debounce from 'lodash/debounce';
 
@@ -14,6 +14,12 @@ const api = axios.create({
   },
 });
 
+// Share link pages are used without an account, so they get a client without
+// the auth token and the logout-on-401 handling
+const publicApi = axios.create({
+  baseURL: 'http://localhost:5000/api',
+});
+
 // Add auth token to requests
 api.interceptors.request.use(
   (config) => {
@@ -29,14 +35,76 @@ api.interceptors.request.use(
   }
 );
 
-// Handle auth errors
+// Forget the signed-in user, e.g. when their session was revoked
+export const endLocalSession = () => {
+  store.dispatch(logout());
+  store.dispatch(clearNotes());
+};
+
+// A 401 from these means wrong credentials, not an expired access token
+const CREDENTIAL_ENDPOINTS = ['/auth/login', '/auth/login/2fa', '/auth/register'];
+
+// The refresh in flight, shared so concurrent 401s only refresh once
+let refreshRequest = null;
+
+// Swap the refresh token for a new access token. Rejects with
+// `sessionEnded` set when the server turned the refresh token down, as
+// opposed to the server being unreachable.
+export const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    const refreshToken = store.getState().auth.refreshToken;
+
+    refreshRequest = publicApi.post('/auth/refresh', { refreshToken })
+      .then((response) => {
+        store.dispatch(setTokens(response.data));
+        return response.data.token;
+      })
+      .catch((error) => {
+        // Another tab may have used the token first and stored the new one
+        const stored = localStorage.getItem('refreshToken');
+        if (error.response?.status === 401 && stored && stored !== refreshToken) {
+          store.dispatch(setTokens({ token: localStorage.getItem('token'), refreshToken: stored }));
+          return localStorage.getItem('token');
+        }
+        error.sessionEnded = !!error.response;
+        throw error;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
+// Handle auth errors: refresh the access token once and retry, and sign the
+// user out when that fails
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const { config } = error;
+    const canRefresh = config && !config.retried && !CREDENTIAL_ENDPOINTS.includes(config.url) &&
+      !!store.getState().auth.refreshToken;
+
+    if (error.response?.status === 401 && canRefresh) {
+      let refreshed = false;
+      try {
+        await refreshAccessToken();
+        refreshed = true;
+      } catch (refreshError) {
+        // Server unreachable: stay signed in and let the request fail
+        if (!refreshError.sessionEnded) {
+          error.message = error.response?.data?.message || error.message;
+          return Promise.reject(error);
+        }
+      }
+      if (refreshed) {
+        return api({ ...config, retried: true });
+      }
+    }
+
     if (error.response?.status === 401) {
       console.log('401 Unauthorized response, logging out user');
-      store.dispatch(logout());
-      store.dispatch(clearNotes());
+      endLocalSession();
     }
     // Format error message
     const message = error.response?.data?.message || error.message;
@@ -45,6 +113,15 @@ api.interceptors.response.use(
   }
 );
 
+// The file name the server gave a download, from filename* when present
+const downloadFileName = (response, fallback) => {
+  const header = response.headers['content-disposition'] || '';
+  const encoded = header.match(/filename\*=UTF-8''([^;]+)/i);
+  if (encoded) return decodeURIComponent(encoded[1]);
+  const plain = header.match(/filename="([^"]+)"/i);
+  return plain ? plain[1] : fallback;
+};
+
 // Debounce API calls
 const debouncedGet = debounce((url, config) => api.get(url, config), 300);
 
@@ -71,10 +148,103 @@ export const authAPI = {
       throw new Error(error.response?.data?.message || 'Registration failed');
     }
   },
+  // Second step of a login when the first answered with twoFactorRequired
+  loginTwoFactor: async (twoFactorToken, code) => {
+    try {
+      const response = await api.post('/auth/login/2fa', { twoFactorToken, code });
+      return response.data;
+    } catch (error) {
+      const loginError = new Error(error.response?.data?.message || 'Login failed');
+      loginError.loginExpired = !!error.response?.data?.loginExpired;
+      throw loginError;
+    }
+  },
+  // Resolves to { secret, otpauthUrl, qrCode } for the authenticator app
+  setupTwoFactor: async () => {
+    try {
+      const response = await api.post('/auth/2fa/setup');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to set up two-factor authentication');
+    }
+  },
+  enableTwoFactor: async (code) => {
+    try {
+      const response = await api.post('/auth/2fa/enable', { code });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to enable two-factor authentication');
+    }
+  },
+  disableTwoFactor: async (password, code) => {
+    try {
+      const response = await api.post('/auth/2fa/disable', { password, code });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to disable two-factor authentication');
+    }
+  },
+  regenerateRecoveryCodes: async (code) => {
+    try {
+      const response = await api.post('/auth/2fa/recovery-codes', { code });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to create recovery codes');
+    }
+  },
+  verifyEmail: async (token) => {
+    try {
+      const response = await api.get('/auth/verify-email', { params: { token } });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to verify email');
+    }
+  },
+  resendVerification: async () => {
+    try {
+      const response = await api.post('/auth/resend-verification');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to send verification email');
+    }
+  },
+  forgotPassword: async (email) => {
+    try {
+      const response = await api.post('/auth/forgot-password', { email });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to request password reset');
+    }
+  },
+  resetPassword: async (token, password) => {
+    try {
+      const response = await api.post('/auth/reset-password', { token, password });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to reset password');
+    }
+  },
+  // Ends this session on the server. Signing out locally doesn't wait on it.
+  logout: async () => {
+    try {
+      await publicApi.post('/auth/logout', { refreshToken: store.getState().auth.refreshToken });
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    }
+  },
+  logoutAll: async () => {
+    try {
+      const response = await api.post('/auth/logout-all');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to log out other sessions');
+    }
+  },
 };
 
 export const notesAPI = {
-  getAllNotes: async (page = 1, limit = 10, showArchived = false) => {
+  // filters: { tags: ['a', 'b'], tagMode: 'and' | 'or', notebook: id | 'none' }
+  getAllNotes: async (page = 1, limit = 10, showArchived = false, filters = {}) => {
     try {
       // Cancel previous request if it exists
       if (currentNotesRequest) {
@@ -87,11 +257,18 @@ export const notesAPI = {
       const source = CancelToken.source();
       currentNotesRequest = source;
       
-      console.log('Fetching notes with params:', { page, limit, showArchived });
+      const tagParams = filters.tags?.length
+        ? { tags: filters.tags.join(','), tagMode: filters.tagMode }
+        : {};
+      if (filters.notebook) {
+        tagParams.notebook = filters.notebook;
+      }
+
+      console.log('Fetching notes with params:', { page, limit, showArchived, ...tagParams });
       
       // Use regular API call with cancel token
       const response = await api.get('/notes', {
-        params: { page, limit, showArchived },
+        params: { page, limit, showArchived, ...tagParams },
         cancelToken: source.token
       });
       
@@ -108,7 +285,18 @@ export const notesAPI = {
       }
       
       console.error('Failed to fetch notes:', error);
-      throw new Error(error.response?.data?.message || 'Failed to fetch notes');
+      const fetchError = new Error(error.response?.data?.message || 'Failed to fetch notes');
+      // No status means the server couldn't be reached at all
+      fetchError.status = error.response?.status;
+      throw fetchError;
+    }
+  },
+  searchNotes: async (q, page = 1, limit = 10) => {
+    try {
+      const response = await api.get('/notes/search', { params: { q, page, limit } });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to search notes');
     }
   },
   getNote: async (id) => {
@@ -119,11 +307,21 @@ export const notesAPI = {
       throw new Error(error.response?.data?.message || 'Failed to fetch note');
     }
   },
-  createNote: async (title, content = '') => {
+  // With a templateId the server fills in the title and content from the
+  // template unless they are given
+  createNote: async (title, content = '', notebook = null, templateId = null) => {
     try {
-      const response = await api.post('/notes', { 
+      const response = await api.post('/notes', templateId ? {
+        title: title.trim(),
+        content: content.trim() || undefined,
+        notebook,
+        templateId,
+        // For the template's date placeholders
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      } : {
         title: title.trim(),
-        content: content.trim() || 'New note'
+        content: content.trim() || 'New note',
+        notebook
       });
       return response.data;
     } catch (error) {
@@ -135,7 +333,11 @@ export const notesAPI = {
       const response = await api.patch(`/notes/${id}`, data);
       return response.data;
     } catch (error) {
-      throw new Error(error.response?.data?.message || 'Failed to update note');
+      const updateError = new Error(error.response?.data?.message || 'Failed to update note');
+      // A 409 carries the current server copy of the note in data.note
+      updateError.status = error.response?.status;
+      updateError.data = error.response?.data;
+      throw updateError;
     }
   },
   deleteNote: async (id) => {
@@ -146,6 +348,39 @@ export const notesAPI = {
       throw new Error(error.response?.data?.message || 'Failed to delete note');
     }
   },
+  getTrash: async () => {
+    try {
+      const response = await api.get('/notes/trash');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch trash');
+    }
+  },
+  restoreNote: async (id) => {
+    try {
+      const response = await api.post(`/notes/${id}/restore`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to restore note');
+    }
+  },
+  deleteNotePermanently: async (id) => {
+    try {
+      const response = await api.delete(`/notes/${id}/permanent`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to delete note');
+    }
+  },
+  // notebook null moves the note out of all notebooks
+  moveNote: async (id, notebook) => {
+    try {
+      const response = await api.post(`/notes/${id}/move`, { notebook });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to move note');
+    }
+  },
   shareNote: async (id, email, permission) => {
     try {
       const response = await api.post(`/notes/${id}/share`, { email, permission });
@@ -154,6 +389,490 @@ export const notesAPI = {
       throw new Error(error.response?.data?.message || 'Failed to share note');
     }
   },
+  getMembers: async (id) => {
+    try {
+      const response = await api.get(`/notes/${id}/members`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch note members');
+    }
+  },
+  updateCollaborator: async (id, userId, permission) => {
+    try {
+      const response = await api.patch(`/notes/${id}/collaborators/${userId}`, { permission });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to change permission');
+    }
+  },
+  removeCollaborator: async (id, userId) => {
+    try {
+      const response = await api.delete(`/notes/${id}/collaborators/${userId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to remove collaborator');
+    }
+  },
+  getInvitations: async (id) => {
+    try {
+      const response = await api.get(`/notes/${id}/invitations`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch invitations');
+    }
+  },
+  revokeInvitation: async (id, invitationId) => {
+    try {
+      const response = await api.delete(`/notes/${id}/invitations/${invitationId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to revoke invitation');
+    }
+  },
+  getIncomingTransfers: async () => {
+    try {
+      const response = await api.get('/notes/transfers');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch transfers');
+    }
+  },
+  transferNote: async (id, email) => {
+    try {
+      const response = await api.post(`/notes/${id}/transfer`, { email });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to transfer note');
+    }
+  },
+  cancelTransfer: async (id) => {
+    try {
+      const response = await api.delete(`/notes/${id}/transfer`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to cancel transfer');
+    }
+  },
+  acceptTransfer: async (id) => {
+    try {
+      const response = await api.post(`/notes/${id}/transfer/accept`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to accept transfer');
+    }
+  },
+  declineTransfer: async (id) => {
+    try {
+      const response = await api.post(`/notes/${id}/transfer/decline`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to decline transfer');
+    }
+  },
+  getShareLinks: async (id) => {
+    try {
+      const response = await api.get(`/notes/${id}/links`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch share links');
+    }
+  },
+  // link: { permission: 'view' | 'comment', expiresAt, password }
+  createShareLink: async (id, link) => {
+    try {
+      const response = await api.post(`/notes/${id}/links`, link);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to create share link');
+    }
+  },
+  revokeShareLink: async (id, linkId) => {
+    try {
+      const response = await api.delete(`/notes/${id}/links/${linkId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to revoke share link');
+    }
+  },
+  getComments: async (id) => {
+    try {
+      const response = await api.get(`/notes/${id}/comments`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch comments');
+    }
+  },
+  addComment: async (id, body, anchor) => {
+    try {
+      const response = await api.post(`/notes/${id}/comments`, { body, anchor });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to add comment');
+    }
+  },
+  replyToComment: async (id, commentId, body) => {
+    try {
+      const response = await api.post(`/notes/${id}/comments/${commentId}/replies`, { body });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to reply');
+    }
+  },
+  updateComment: async (id, commentId, body) => {
+    try {
+      const response = await api.patch(`/notes/${id}/comments/${commentId}`, { body });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to update comment');
+    }
+  },
+  resolveComment: async (id, commentId, resolved = true) => {
+    try {
+      const response = await api.post(`/notes/${id}/comments/${commentId}/${resolved ? 'resolve' : 'reopen'}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to update comment');
+    }
+  },
+  deleteComment: async (id, commentId) => {
+    try {
+      const response = await api.delete(`/notes/${id}/comments/${commentId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to delete comment');
+    }
+  },
+  // Titles of accessible notes containing q, for [[link]] autocomplete
+  getNoteTitles: async (q) => {
+    try {
+      const response = await api.get('/notes/titles', { params: { q } });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch note titles');
+    }
+  },
+  getWikiLinks: async (id) => {
+    try {
+      const response = await api.get(`/notes/${id}/wiki-links`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch links');
+    }
+  },
+  getBacklinks: async (id) => {
+    try {
+      const response = await api.get(`/notes/${id}/backlinks`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch backlinks');
+    }
+  },
+  getAttachments: async (id) => {
+    try {
+      const response = await api.get(`/notes/${id}/attachments`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch attachments');
+    }
+  },
+  uploadAttachment: async (id, file) => {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      // Overrides the JSON default, which would make axios serialize the form
+      const response = await api.post(`/notes/${id}/attachments`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to upload file');
+    }
+  },
+  // Fetch an attachment by the url the API gave for it (/api/notes/...).
+  // Needs the auth header, so it can't be loaded straight into an <img> or link.
+  getAttachmentBlob: async (url) => {
+    try {
+      const response = await api.get(url.replace(/^\/api/, ''), { responseType: 'blob' });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.status === 404 ? 'Attachment not found' : 'Failed to load attachment');
+    }
+  },
+  deleteAttachment: async (id, attachmentId) => {
+    try {
+      const response = await api.delete(`/notes/${id}/attachments/${attachmentId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to delete attachment');
+    }
+  },
+  // Resolves to { blob, filename }; format is md, html or json
+  exportNote: async (id, format = 'md') => {
+    try {
+      const response = await api.get(`/notes/${id}/export`, { params: { format }, responseType: 'blob' });
+      return { blob: response.data, filename: downloadFileName(response, `note.${format}`) };
+    } catch (error) {
+      throw new Error(error.response?.status === 404 ? 'Note not found' : 'Failed to export note');
+    }
+  },
+  // A zip of every note the user owns, resolves to { blob, filename }
+  exportAllNotes: async () => {
+    try {
+      const response = await api.get('/notes/export', { responseType: 'blob' });
+      return { blob: response.data, filename: downloadFileName(response, 'notes.zip') };
+    } catch (error) {
+      throw new Error('Failed to export notes');
+    }
+  },
+  // Markdown files and zips, resolves to { imported, failed }
+  importNotes: async (files, notebook = null) => {
+    try {
+      const formData = new FormData();
+      files.forEach(file => formData.append('files', file));
+      if (notebook) formData.append('notebook', notebook);
+      const response = await api.post('/notes/import', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      return response.data;
+    } catch (error) {
+      // Nothing imported still reports which files failed and why
+      if (error.response?.data?.failed) return error.response.data;
+      throw new Error(error.response?.data?.message || 'Failed to import notes');
+    }
+  },
+  getRevisions: async (id, page = 1, limit = 20) => {
+    try {
+      const response = await api.get(`/notes/${id}/revisions`, { params: { page, limit } });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch revisions');
+    }
+  },
+  getRevision: async (id, revId) => {
+    try {
+      const response = await api.get(`/notes/${id}/revisions/${revId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch revision');
+    }
+  },
+  restoreRevision: async (id, revId) => {
+    try {
+      const response = await api.post(`/notes/${id}/revisions/${revId}/restore`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to restore revision');
+    }
+  },
+  addTags: async (id, tags) => {
+    try {
+      const response = await api.post(`/notes/${id}/tags`, { tags });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to add tags');
+    }
+  },
+  removeTag: async (id, tag) => {
+    try {
+      const response = await api.delete(`/notes/${id}/tags/${encodeURIComponent(tag)}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to remove tag');
+    }
+  },
+};
+
+export const tagsAPI = {
+  getTags: async () => {
+    try {
+      const response = await api.get('/tags');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch tags');
+    }
+  },
+};
+
+export const templatesAPI = {
+  getTemplates: async () => {
+    try {
+      const response = await api.get('/templates');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch templates');
+    }
+  },
+  // data: { name, description, notebook } plus either noteId to copy a note
+  // or { title, content, tags }
+  createTemplate: async (data) => {
+    try {
+      const response = await api.post('/templates', data);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to save template');
+    }
+  },
+  deleteTemplate: async (id) => {
+    try {
+      const response = await api.delete(`/templates/${id}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to delete template');
+    }
+  },
+};
+
+export const tokensAPI = {
+  // Resolves to { tokens, scopes }
+  getTokens: async () => {
+    try {
+      const response = await api.get('/tokens');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch access tokens');
+    }
+  },
+  // The response includes the token itself, which is never shown again
+  createToken: async (name, scopes, expiresInDays = null) => {
+    try {
+      const response = await api.post('/tokens', { name, scopes, expiresInDays });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to create access token');
+    }
+  },
+  deleteToken: async (id) => {
+    try {
+      const response = await api.delete(`/tokens/${id}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to revoke access token');
+    }
+  },
+};
+
+export const usersAPI = {
+  getProfile: async () => {
+    try {
+      const response = await api.get('/users/me');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch profile');
+    }
+  },
+  // A new email needs currentPassword and is unverified until confirmed
+  updateProfile: async ({ name, email, currentPassword }) => {
+    try {
+      const response = await api.patch('/users/me', { name, email, currentPassword });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to update profile');
+    }
+  },
+  changePassword: async (currentPassword, newPassword) => {
+    try {
+      const response = await api.post('/users/me/password', { currentPassword, newPassword });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to change password');
+    }
+  },
+  // transferTo is the email of the account that gets the notes, or null to delete them
+  deleteAccount: async ({ password, code, transferTo }) => {
+    try {
+      const response = await api.delete('/users/me', { data: { password, code, transferTo } });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to delete account');
+    }
+  },
+};
+
+export const notebooksAPI = {
+  getNotebooks: async () => {
+    try {
+      const response = await api.get('/notebooks');
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to fetch notebooks');
+    }
+  },
+  createNotebook: async (name, parent = null) => {
+    try {
+      const response = await api.post('/notebooks', { name: name.trim(), parent });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to create notebook');
+    }
+  },
+  renameNotebook: async (id, name) => {
+    try {
+      const response = await api.patch(`/notebooks/${id}`, { name: name.trim() });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to rename notebook');
+    }
+  },
+  deleteNotebook: async (id) => {
+    try {
+      const response = await api.delete(`/notebooks/${id}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to delete notebook');
+    }
+  },
+  // parent null moves the notebook to the top level
+  moveNotebook: async (id, parent) => {
+    try {
+      const response = await api.post(`/notebooks/${id}/move`, { parent });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to move notebook');
+    }
+  },
+  shareNotebook: async (id, email, permission) => {
+    try {
+      const response = await api.post(`/notebooks/${id}/share`, { email, permission });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to share notebook');
+    }
+  },
+  removeCollaborator: async (id, userId) => {
+    try {
+      const response = await api.delete(`/notebooks/${id}/collaborators/${userId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to update sharing');
+    }
+  },
+};
+
+export const publicAPI = {
+  getNote: async (token, password) => {
+    try {
+      const response = await publicApi.get(`/public/notes/${token}`, {
+        headers: password ? { 'X-Share-Password': password } : {}
+      });
+      return response.data;
+    } catch (error) {
+      const fetchError = new Error(error.response?.data?.message || 'Failed to load note');
+      fetchError.status = error.response?.status;
+      fetchError.passwordRequired = !!error.response?.data?.passwordRequired;
+      throw fetchError;
+    }
+  },
+  // Comment links only. quote is text from the note the comment is about, if any
+  addComment: async (token, password, { name, body, quote }) => {
+    try {
+      const response = await publicApi.post(`/public/notes/${token}/comments`, { name, body, quote }, {
+        headers: password ? { 'X-Share-Password': password } : {}
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Failed to add comment');
+    }
+  },
 };
 
 export default api; 
\ No newline at end of file
@@ -0,0 +1,28 @@
+import { notesAPI } from './api';
+import { downloadUrl } from '../utils/download';
+
+// Attachments need the auth header, so they are fetched as blobs and shown
+// through object URLs. Their content never changes, so each one is fetched
+// once per session.
+const objectUrls = new Map();
+
+export const attachmentObjectUrl = (url) => {
+  if (!objectUrls.has(url)) {
+    const request = notesAPI.getAttachmentBlob(url).then(blob => URL.createObjectURL(blob));
+    // Let a failed fetch be retried
+    request.catch(() => objectUrls.delete(url));
+    objectUrls.set(url, request);
+  }
+  return objectUrls.get(url);
+};
+
+export const forgetAttachment = (url) => {
+  const request = objectUrls.get(url);
+  objectUrls.delete(url);
+  request?.then(objectUrl => URL.revokeObjectURL(objectUrl)).catch(() => {});
+};
+
+// Save an attachment to the user's computer
+export const downloadAttachment = async (url, filename) => {
+  downloadUrl(await attachmentObjectUrl(url), filename);
+};
@@ -0,0 +1,133 @@
+import toast from 'react-hot-toast';
+import { store } from '../store';
+import { updateNote } from '../store/slices/notesSlice';
+import { notesAPI } from './api';
+import {
+  addPendingEdit,
+  putPendingEdit,
+  deletePendingEdits,
+  getPendingEdits
+} from './offlineStore';
+
+// Edits that couldn't reach the server are stored as full snapshots
+// ({ noteId, title, content, baseRevision }) and replayed in order through
+// PATCH /api/notes/:id once we're back online. A snapshot the server rejects
+// with a conflict stays queued, flagged with `conflict` and the server copy,
+// until the user resolves it in the editor.
+
+const listeners = new Set();
+let replaying = null;
+
+const currentUserId = () => {
+  const user = store.getState().auth.user;
+  return user ? String(user.id || user._id) : null;
+};
+
+const notify = async () => {
+  try {
+    const edits = await getPendingEdits(currentUserId());
+    listeners.forEach(listener => listener(edits));
+  } catch (error) {
+    console.error('Failed to read pending edits:', error);
+  }
+};
+
+// listener(edits) is called with the current user's queue on every change
+export const subscribeToQueue = (listener) => {
+  listeners.add(listener);
+  notify();
+  return () => listeners.delete(listener);
+};
+
+export const queueEdit = async (noteId, { title, content, baseRevision }) => {
+  await addPendingEdit({
+    userId: currentUserId(),
+    noteId,
+    title,
+    content,
+    baseRevision,
+    createdAt: Date.now()
+  });
+  notify();
+};
+
+// True while a note has unsent edits, later saves must queue behind them
+export const hasPendingEdits = async (noteId) => {
+  const edits = await getPendingEdits(currentUserId());
+  return edits.some(edit => edit.noteId === noteId);
+};
+
+export const discardQueuedEdit = async (editId) => {
+  await deletePendingEdits([editId]);
+  notify();
+};
+
+const replay = async () => {
+  const replayed = new Set();
+  const edits = await getPendingEdits(currentUserId());
+  // Revision each note is at after the edits replayed so far
+  const revisions = new Map();
+  const blocked = new Set();
+
+  for (const edit of edits) {
+    if (edit.conflict) {
+      blocked.add(edit.noteId);
+    }
+    if (blocked.has(edit.noteId)) continue;
+
+    try {
+      const data = await notesAPI.updateNote(edit.noteId, {
+        title: edit.title,
+        content: edit.content,
+        baseRevision: revisions.get(edit.noteId) ?? edit.baseRevision
+      });
+
+      revisions.set(edit.noteId, data.revision);
+      replayed.add(edit.noteId);
+      store.dispatch(updateNote(data));
+      await deletePendingEdits([edit.id]);
+    } catch (error) {
+      // Still offline, keep everything for the next attempt
+      if (!error.status) break;
+
+      if (error.status === 409) {
+        // Later snapshots of this note build on this one, so only the newest
+        // one is worth resolving
+        const forNote = edits.filter(e => e.noteId === edit.noteId && e.id >= edit.id);
+        const latest = forNote[forNote.length - 1];
+        await deletePendingEdits(forNote.filter(e => e.id !== latest.id).map(e => e.id));
+        await putPendingEdit({ ...latest, conflict: true, server: error.data.note });
+        blocked.add(edit.noteId);
+        toast.error(`"${latest.title}" was changed while you were offline`);
+        continue;
+      }
+
+      // Deleted note, lost access... nothing we can do with this edit
+      console.error('Dropping offline edit that could not be replayed:', error);
+      toast.error(`An offline change to "${edit.title}" could not be saved: ${error.message}`);
+      await deletePendingEdits([edit.id]);
+    }
+  }
+
+  return replayed;
+};
+
+// Resolves with the set of note ids that had edits replayed
+export const replayPendingEdits = () => {
+  if (!replaying) {
+    replaying = replay()
+      .catch((error) => {
+        console.error('Failed to replay offline edits:', error);
+        return new Set();
+      })
+      .finally(() => {
+        replaying = null;
+        notify();
+      });
+  }
+  return replaying;
+};
+
+window.addEventListener('online', () => {
+  replayPendingEdits();
+});
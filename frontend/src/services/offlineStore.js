@@ -0,0 +1,66 @@
+// Small IndexedDB wrapper for data that has to survive reloads while offline:
+// edits waiting to be sent and the last notes list we fetched.
+
+const DB_NAME = 'collabnotes';
+const DB_VERSION = 1;
+const EDITS = 'pendingEdits';
+const CACHE = 'cache';
+
+let dbPromise = null;
+
+const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        // Auto-incremented keys keep edits in the order they were made
+        db.createObjectStore(EDITS, { keyPath: 'id', autoIncrement: true });
+        db.createObjectStore(CACHE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run fn against an object store and resolve with the last request's result
+// once the transaction has committed
+const withStore = async (name, mode, fn) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(name, mode);
+    const request = fn(transaction.objectStore(name));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+export const addPendingEdit = (edit) => withStore(EDITS, 'readwrite', store => store.add(edit));
+
+export const putPendingEdit = (edit) => withStore(EDITS, 'readwrite', store => store.put(edit));
+
+export const deletePendingEdits = (ids) => withStore(EDITS, 'readwrite', (store) => {
+  ids.forEach(id => store.delete(id));
+});
+
+export const getPendingEdits = async (userId) => {
+  const edits = await withStore(EDITS, 'readonly', store => store.getAll());
+  return edits.filter(edit => edit.userId === userId);
+};
+
+export const cacheNotesList = (userId, page, data) => {
+  return withStore(CACHE, 'readwrite', store => store.put(
+    { ...data, cachedAt: Date.now() },
+    `notes:${userId}:${page}`
+  ));
+};
+
+export const getCachedNotesList = (userId, page) => {
+  return withStore(CACHE, 'readonly', store => store.get(`notes:${userId}:${page}`));
+};
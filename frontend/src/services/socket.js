@@ -1,11 +1,38 @@
 import { io } from 'socket.io-client';
 import { store } from '../store';
 import { updateNote } from '../store/slices/notesSlice';
+import { addNotification } from '../store/slices/notificationsSlice';
 import toast from 'react-hot-toast';
+import { compose, transform, isNoop } from '../utils/textOperation';
+import { replayPendingEdits } from './offlineQueue';
+import { refreshAccessToken, endLocalSession } from './api';
+
+// connect_error messages from the server's auth check
+const AUTH_ERRORS = ['Authentication required', 'Invalid authentication token'];
 
 let socket = null;
 let currentNoteId = null;
 
+// Collaborative editing state for the open note. Local edits are sent one
+// operation at a time: `outstanding` waits for the server ack while further
+// edits are composed into `buffer`. Remote operations are transformed past
+// both before being handed to the editor.
+let session = null;
+
+// Send the outstanding operation along with any title change made since the
+// last send (titles are last-writer-wins)
+const sendOutstanding = () => {
+  session.sentTitle = session.pendingTitle;
+  session.pendingTitle = undefined;
+
+  socket.emit('note-update', {
+    noteId: session.noteId,
+    revision: session.revision,
+    operation: session.outstanding,
+    title: session.sentTitle
+  });
+};
+
 export const initializeSocket = (token) => {
   if (socket) {
     // If already connected, just return
@@ -19,18 +46,28 @@ export const initializeSocket = (token) => {
   }
 
   socket = io('http://localhost:5000', {
-    auth: { token },
+    // Read on every (re)connect so refreshed tokens are picked up
+    auth: (cb) => cb({ token: store.getState().auth.token || token }),
     reconnection: true,
     reconnectionDelay: 1000,
     reconnectionDelayMax: 5000,
     reconnectionAttempts: 5
   });
 
-  socket.on('connect', () => {
+  socket.on('connect', async () => {
     console.log('Socket connected');
-    // Rejoin current note room if any
-    if (currentNoteId) {
-      joinNoteRoom(currentNoteId);
+
+    // Send edits made while offline first so the rejoin snapshot includes them
+    const replayed = await replayPendingEdits();
+
+    // Rejoin current note room if any, keeping unacknowledged edits unless
+    // the replayed snapshots already covered them
+    if (currentNoteId && socket?.connected) {
+      if (replayed.has(currentNoteId) && session?.noteId === currentNoteId) {
+        session.outstanding = null;
+        session.buffer = null;
+      }
+      socket.emit('join-note', currentNoteId);
     }
   });
 
@@ -40,55 +77,257 @@ export const initializeSocket = (token) => {
 
   socket.on('connect_error', (error) => {
     console.error('Socket connection error:', error);
+
+    // The access token expired: get a new one and connect again (the client
+    // doesn't retry by itself after the server turns a connection down)
+    if (AUTH_ERRORS.includes(error.message)) {
+      refreshAccessToken()
+        .then(() => socket?.connect())
+        .catch((refreshError) => {
+          if (refreshError.sessionEnded) {
+            disconnectSocket();
+            endLocalSession();
+          }
+        });
+      return;
+    }
     toast.error('Lost connection to server. Trying to reconnect...');
   });
 
+  // Logged out from another device, or the session was revoked for safety
+  socket.on('session-revoked', () => {
+    console.log('Session revoked by server');
+    disconnectSocket();
+    endLocalSession();
+    toast.error('You have been logged out');
+  });
+
+  socket.on('note-sync', (data) => {
+    if (!session || session.noteId !== data.noteId) return;
+    console.log('Note sync received:', { noteId: data.noteId, revision: data.revision });
+
+    const pending = session.outstanding && session.buffer
+      ? compose(session.outstanding, session.buffer)
+      : session.outstanding || session.buffer;
+    const unchanged = session.revision === data.revision;
+
+    session.revision = data.revision;
+    session.outstanding = null;
+    session.buffer = null;
+
+    // Nothing happened on the server since our last known revision, so any
+    // unacknowledged edits can simply be sent again
+    if (pending && unchanged) {
+      session.outstanding = pending;
+      session.pendingTitle = session.pendingTitle ?? session.sentTitle;
+      sendOutstanding();
+      return;
+    }
+
+    if (pending) {
+      toast.error('Some recent edits could not be synced and were discarded');
+    }
+    session.onSync?.(data);
+  });
+
+  socket.on('note-resync', ({ noteId }) => {
+    if (!session || session.noteId !== noteId) return;
+    console.warn('Server requested resync for note:', noteId);
+    session.revision = null;
+    socket.emit('join-note', noteId);
+  });
+
+  socket.on('note-update-ack', ({ noteId, revision }) => {
+    if (!session || session.noteId !== noteId) return;
+    session.revision = revision;
+    session.outstanding = null;
+    session.sentTitle = undefined;
+
+    if (session.buffer && (!isNoop(session.buffer) || session.pendingTitle !== undefined)) {
+      session.outstanding = session.buffer;
+      sendOutstanding();
+    }
+    session.buffer = null;
+    session.onAck?.(revision);
+  });
+
   socket.on('note-updated', (data) => {
-    console.log('Received note update:', data);
-    store.dispatch(updateNote(data));
-    toast.success(`Note "${data.title}" has been updated`);
+    console.log('Received note update:', { noteId: data._id, revision: data.revision });
+    store.dispatch(updateNote({
+      _id: data._id,
+      title: data.title,
+      lastUpdated: data.lastUpdated
+    }));
+
+    if (!session || session.noteId !== data._id || session.revision === null) return;
+
+    // Only other fields changed, the content and its revision stay put
+    if (!data.operation) {
+      session.onRemoteFields?.(data);
+      return;
+    }
+
+    // Already covered by the snapshot we synced from
+    if (data.revision <= session.revision) return;
+
+    // We missed something, start over from a fresh snapshot
+    if (data.revision !== session.revision + 1) {
+      session.revision = null;
+      socket.emit('join-note', session.noteId);
+      return;
+    }
+
+    let operation = data.operation;
+    if (session.outstanding) {
+      [session.outstanding, operation] = transform(session.outstanding, operation);
+    }
+    if (session.buffer) {
+      [session.buffer, operation] = transform(session.buffer, operation);
+    }
+    session.revision = data.revision;
+    session.onRemoteOperation?.(operation, data);
+  });
+
+  socket.on('presence-updated', ({ noteId, users }) => {
+    if (session?.noteId !== noteId) return;
+    session.onPresence?.(users);
+  });
+
+  socket.on('cursor-updated', (data) => {
+    if (session?.noteId !== data.noteId) return;
+    session.onRemoteCursor?.(data);
+  });
+
+  // The server took us out of the note's room, e.g. because it was trashed
+  socket.on('note-closed', ({ noteId, reason }) => {
+    if (session?.noteId !== noteId) return;
+    const { onClosed } = session;
+    session = null;
+    currentNoteId = null;
+    onClosed?.(reason);
+  });
+
+  socket.on('note-access-changed', ({ noteId, permission }) => {
+    if (session?.noteId !== noteId) return;
+    session.onAccessChanged?.(permission);
+  });
+
+  socket.on('checklist-toggle-failed', ({ noteId }) => {
+    if (session?.noteId !== noteId) return;
+    toast.error('That item was changed by someone else, please try again');
+  });
+
+  socket.on('comment-added', ({ noteId, comment }) => {
+    if (session?.noteId !== noteId) return;
+    session.onCommentAdded?.(comment);
+  });
+
+  socket.on('comment-updated', ({ noteId, comment }) => {
+    if (session?.noteId !== noteId) return;
+    session.onCommentUpdated?.(comment);
+  });
+
+  socket.on('comment-deleted', ({ noteId, commentId, parent }) => {
+    if (session?.noteId !== noteId) return;
+    session.onCommentDeleted?.(commentId, parent);
   });
 
   socket.on('notification', (data) => {
     console.log('Received notification:', data);
+    store.dispatch(addNotification({ ...data, read: false, createdAt: data.timestamp }));
     toast(data.message, {
-      icon: '📝',
+      icon: data.type === 'mention' ? '💬' : '📝',
     });
   });
 };
 
-export const joinNoteRoom = (noteId) => {
+// handlers: { onSync(snapshot), onRemoteOperation(operation, data),
+//             onRemoteFields(data), onAck(revision), onPresence(users),
+//             onRemoteCursor(entry), onClosed(reason),
+//             onAccessChanged(permission), onCommentAdded(comment),
+//             onCommentUpdated(comment), onCommentDeleted(commentId, parent) }
+export const joinNoteRoom = (noteId, handlers = {}) => {
+  session = {
+    noteId,
+    revision: null,
+    outstanding: null,
+    buffer: null,
+    pendingTitle: undefined,
+    sentTitle: undefined,
+    ...handlers
+  };
+  currentNoteId = noteId;
+
   if (!socket?.connected) {
     console.warn('Socket not connected when trying to join room');
     return;
   }
-  currentNoteId = noteId;
   socket.emit('join-note', noteId);
   console.log('Joining note room:', noteId);
 };
 
 export const leaveNoteRoom = (noteId) => {
+  if (session?.noteId === noteId) {
+    session = null;
+  }
+  currentNoteId = null;
+
   if (!socket?.connected) {
     console.warn('Socket not connected when trying to leave room');
     return;
   }
-  currentNoteId = null;
   socket.emit('leave-note', noteId);
   console.log('Leaving note room:', noteId);
 };
 
-export const updateNoteInRealTime = (noteId, content, title) => {
-  if (!socket?.connected) {
+// True once the server has synced the note and edits can go out as operations
+export const isNoteSessionActive = (noteId) => {
+  return !!socket?.connected && session?.noteId === noteId && session.revision !== null;
+};
+
+// Send a local edit. `operation` is built with utils/textOperation against the
+// content the editor currently shows; title changes ride along with it.
+export const updateNoteInRealTime = (noteId, operation, title) => {
+  if (!isNoteSessionActive(noteId)) {
     console.warn('Socket not connected when trying to update note');
-    return;
+    return false;
   }
-  socket.emit('note-update', { noteId, content, title });
-  console.log('Sending note update:', { noteId, content, title });
+
+  if (title !== undefined) {
+    session.pendingTitle = title;
+  }
+
+  if (session.outstanding) {
+    session.buffer = session.buffer ? compose(session.buffer, operation) : operation;
+  } else if (!isNoop(operation) || title !== undefined) {
+    session.outstanding = operation;
+    sendOutstanding();
+  }
+  console.log('Sending note update:', { noteId, operation, title });
+  return true;
+};
+
+// Check or uncheck a task list item ({ index, text } from utils/checklist).
+// The server applies it to the latest content and sends it back to everyone
+// as a regular operation. Returns false without a live session.
+export const toggleChecklistItemInRealTime = (noteId, item, checked) => {
+  if (!isNoteSessionActive(noteId)) return false;
+  socket.emit('checklist-toggle', { noteId, index: item.index, text: item.text, checked });
+  return true;
+};
+
+export const getSocketId = () => socket?.id;
+
+// Share our caret/selection ({ start, end } offsets, or null on blur)
+export const updateCursor = (noteId, cursor) => {
+  if (!socket?.connected || session?.noteId !== noteId) return;
+  socket.emit('cursor-update', { noteId, cursor });
 };
 
 export const disconnectSocket = () => {
   if (socket) {
     currentNoteId = null;
+    session = null;
     socket.disconnect();
     socket = null;
     console.log('Socket disconnected manually');
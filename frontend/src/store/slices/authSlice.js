@@ -14,6 +14,8 @@ const getStoredUser = () => {
 const initialState = {
   user: getStoredUser(),
   token: localStorage.getItem('token'),
+  // Gets new access tokens once `token` expires
+  refreshToken: localStorage.getItem('refreshToken'),
   isAuthenticated: !!localStorage.getItem('token') && !!getStoredUser(),
 };
 
@@ -22,7 +24,7 @@ const authSlice = createSlice({
   initialState,
   reducers: {
     setCredentials: (state, action) => {
-      const { user, token } = action.payload;
+      const { user, token, refreshToken } = action.payload;
       
       // Log the raw user data
       console.log('Raw user data from login:', user);
@@ -42,6 +44,12 @@ const authSlice = createSlice({
       // Store in localStorage
       localStorage.setItem('token', token);
       localStorage.setItem('user', JSON.stringify(normalizedUser));
+
+      // Restoring the user from localStorage leaves the refresh token as is
+      if (refreshToken) {
+        state.refreshToken = refreshToken;
+        localStorage.setItem('refreshToken', refreshToken);
+      }
       
       console.log('Auth state updated:', {
         userId: state.user.id,
@@ -51,15 +59,31 @@ const authSlice = createSlice({
         completeUser: state.user
       });
     },
+    // Merge changes to the signed-in user's details, e.g. a verified email
+    updateUser: (state, action) => {
+      if (!state.user) return;
+      state.user = { ...state.user, ...action.payload };
+      localStorage.setItem('user', JSON.stringify(state.user));
+    },
+    // After a refresh, which replaces both tokens
+    setTokens: (state, action) => {
+      const { token, refreshToken } = action.payload;
+      state.token = token;
+      state.refreshToken = refreshToken;
+      localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
+    },
     logout: (state) => {
       state.user = null;
       state.token = null;
+      state.refreshToken = null;
       state.isAuthenticated = false;
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
     },
   },
 });
 
-export const { setCredentials, logout } = authSlice.actions;
+export const { setCredentials, updateUser, setTokens, logout } = authSlice.actions;
 export default authSlice.reducer; 
\ No newline at end of file
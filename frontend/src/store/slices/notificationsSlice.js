@@ -1,29 +1,37 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import axios from 'axios';
 
+const API_URL = 'http://localhost:5000/api/notifications';
+
+// The store can't use services/api (it imports the store), so send the token here
+const authConfig = (getState, config = {}) => ({
+    ...config,
+    headers: { Authorization: `Bearer ${getState().auth.token}` }
+});
+
 // Async thunks
 export const getNotifications = createAsyncThunk(
     'notifications/getNotifications',
-    async ({ page = 1, limit = 10, unreadOnly = false }) => {
-        const response = await axios.get(`/api/notifications`, {
+    async ({ page = 1, limit = 10, unreadOnly = false }, { getState }) => {
+        const response = await axios.get(API_URL, authConfig(getState, {
             params: { page, limit, unreadOnly }
-        });
+        }));
         return response.data;
     }
 );
 
 export const markNotificationsRead = createAsyncThunk(
     'notifications/markRead',
-    async ({ notificationIds }) => {
-        await axios.patch('/api/notifications/read', { notificationIds });
+    async ({ notificationIds }, { getState }) => {
+        await axios.patch(`${API_URL}/read`, { notificationIds }, authConfig(getState));
         return notificationIds;
     }
 );
 
 export const deleteNotifications = createAsyncThunk(
     'notifications/delete',
-    async ({ notificationIds }) => {
-        await axios.delete('/api/notifications', { data: { notificationIds } });
+    async ({ notificationIds }, { getState }) => {
+        await axios.delete(API_URL, authConfig(getState, { data: { notificationIds } }));
         return notificationIds;
     }
 );
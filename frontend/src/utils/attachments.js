@@ -0,0 +1,20 @@
+// Files attached to a note are referenced from its Markdown by the path the
+// API serves them at: /api/notes/<noteId>/attachments/<attachmentId>
+
+const ATTACHMENT_PATH = /^\/api\/notes\/[0-9a-f]{24}\/attachments\/[0-9a-f]{24}$/i;
+
+export const isAttachmentUrl = (url) => ATTACHMENT_PATH.test(url || '');
+
+export const isImage = (attachment) => /^image\//.test(attachment.mimeType);
+
+// Markdown that shows an image inline, or links to any other file
+export const attachmentMarkdown = (attachment) => {
+  const label = attachment.filename.replace(/[[\]\\]/g, '\\$&');
+  return `${isImage(attachment) ? '!' : ''}[${label}](${attachment.url})`;
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
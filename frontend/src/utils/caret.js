@@ -0,0 +1,29 @@
+// Pixel position of a character in a textarea or input, relative to the
+// field's content box, measured on a hidden copy with the same styles.
+// Used to place suggestion lists next to what is being typed.
+export const caretCoordinates = (input, index) => {
+  const style = window.getComputedStyle(input);
+  const mirror = document.createElement('div');
+  [
+    'boxSizing', 'width', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+    'fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing'
+  ].forEach(prop => { mirror.style[prop] = style[prop]; });
+  mirror.style.position = 'absolute';
+  mirror.style.visibility = 'hidden';
+  mirror.style.whiteSpace = input.tagName === 'TEXTAREA' ? 'pre-wrap' : 'pre';
+  mirror.style.overflowWrap = 'break-word';
+
+  mirror.textContent = input.value.slice(0, index);
+  const marker = document.createElement('span');
+  marker.textContent = '\u200b';
+  mirror.appendChild(marker);
+  document.body.appendChild(mirror);
+
+  const coordinates = {
+    top: marker.offsetTop + marker.offsetHeight - input.scrollTop,
+    left: Math.min(marker.offsetLeft - input.scrollLeft, input.clientWidth - 200)
+  };
+  document.body.removeChild(mirror);
+  return coordinates;
+};
@@ -0,0 +1,62 @@
+// Task list items ("- [ ] todo" / "- [x] done") in a note's Markdown.
+//
+// The same module lives in backend/src/utils/checklist.js and
+// frontend/src/utils/checklist.js, keep them in sync.
+
+// A list item (optionally inside blockquotes) starting with a checkbox
+const ITEM = /^((?:\s*>)*\s*(?:[-*+]|\d+[.)])\s+\[)([ xX])(\]\s)(.*)$/;
+const FENCE = /^\s*(```|~~~)/;
+
+// Every task item in order: { index, offset, checked, text }, where `offset`
+// is the position of the character between the brackets. Items inside fenced
+// code blocks don't count, just like when the Markdown is rendered.
+export const findChecklistItems = (content) => {
+  const items = [];
+  let offset = 0;
+  let fence = null;
+
+  (content || '').split('\n').forEach((line) => {
+    const fenceMatch = line.match(FENCE);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1] === fence) fence = null;
+    } else if (!fence) {
+      const match = line.match(ITEM);
+      if (match) {
+        items.push({
+          index: items.length,
+          offset: offset + match[1].length,
+          checked: match[2] !== ' ',
+          text: match[4].trim()
+        });
+      }
+    }
+    offset += line.length + 1;
+  });
+
+  return items;
+};
+
+// The item a client meant: the one at `index` if its text still matches,
+// otherwise the closest item with that text (others may have been added or
+// removed meanwhile). Null if there is none.
+export const findChecklistItem = (content, index, text) => {
+  const items = findChecklistItems(content);
+  if (items[index] && (text === undefined || items[index].text === text)) {
+    return items[index];
+  }
+
+  return items
+    .filter(item => item.text === text)
+    .sort((a, b) => Math.abs(a.index - index) - Math.abs(b.index - index))[0] || null;
+};
+
+export const setChecklistItem = (content, item, checked) => {
+  return content.slice(0, item.offset) + (checked ? 'x' : ' ') + content.slice(item.offset + 1);
+};
+
+// { done, total } for progress indicators
+export const checklistProgress = (content) => {
+  const items = findChecklistItems(content);
+  return { done: items.filter(item => item.checked).length, total: items.length };
+};
@@ -0,0 +1,53 @@
+// Helpers for the list of comment threads shown next to a note. A thread is
+// its root comment with a `replies` array. Updates may arrive both as our own
+// API responses and as socket broadcasts, so every helper is idempotent.
+
+import { transformRange } from './textOperation';
+
+const sameId = (a, b) => String(a) === String(b);
+
+// Add a new thread or reply
+export const addComment = (threads, comment) => {
+  if (!comment.parent) {
+    if (threads.some(t => sameId(t._id, comment._id))) return threads;
+    return [...threads, { replies: [], ...comment }];
+  }
+
+  return threads.map(thread => {
+    if (!sameId(thread._id, comment.parent)) return thread;
+    if (thread.replies.some(r => sameId(r._id, comment._id))) return thread;
+    return { ...thread, replies: [...thread.replies, comment] };
+  });
+};
+
+// Replace an edited, resolved or reopened comment, keeping a thread's replies
+// and its locally shifted anchor
+export const updateComment = (threads, comment) => threads.map(thread => {
+  if (sameId(thread._id, comment._id)) {
+    return { ...thread, ...comment, anchor: thread.anchor, replies: thread.replies };
+  }
+  if (comment.parent && sameId(thread._id, comment.parent)) {
+    return {
+      ...thread,
+      replies: thread.replies.map(r => (sameId(r._id, comment._id) ? comment : r))
+    };
+  }
+  return thread;
+});
+
+export const removeComment = (threads, commentId, parent) => {
+  if (!parent) {
+    return threads.filter(t => !sameId(t._id, commentId));
+  }
+  return threads.map(thread => (
+    sameId(thread._id, parent)
+      ? { ...thread, replies: thread.replies.filter(r => !sameId(r._id, commentId)) }
+      : thread
+  ));
+};
+
+// Move every anchor through an edit, the same way the server does
+export const shiftThreads = (threads, operation) => threads.map(thread => ({
+  ...thread,
+  anchor: { ...thread.anchor, ...transformRange(thread.anchor, operation) }
+}));
@@ -0,0 +1,17 @@
+// Save a file to the user's computer from a URL the page can already read
+// (an object URL or a data URL)
+export const downloadUrl = (url, filename) => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  downloadUrl(url, filename);
+  // The click starts the download synchronously, the URL isn't needed after
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,89 @@
+// Markdown rendering for notes. Content is written by collaborators, so the
+// HTML always goes through DOMPurify before it reaches the page.
+
+import { Marked } from 'marked';
+import { markedHighlight } from 'marked-highlight';
+import hljs from 'highlight.js/lib/common';
+import DOMPurify from 'dompurify';
+import { isAttachmentUrl } from './attachments';
+import { normalizeLinkTitle } from './wikiLinks';
+
+const marked = new Marked(
+  { gfm: true, breaks: true },
+  markedHighlight({
+    langPrefix: 'hljs language-',
+    highlight: (code, lang) => {
+      const language = hljs.getLanguage(lang) ? lang : 'plaintext';
+      return hljs.highlight(code, { language }).value;
+    }
+  })
+);
+
+// Mark task list checkboxes so components/MarkdownPreview.jsx can find them
+marked.use({
+  renderer: {
+    checkbox(checked) {
+      return `<input type="checkbox" data-task=""${checked ? ' checked=""' : ''} disabled="">`;
+    }
+  }
+});
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// [[Note Title]] links become anchors without an href, marked with the
+// normalized title; components/MarkdownPreview.jsx points them at the notes
+// the server resolved them to
+marked.use({
+  extensions: [{
+    name: 'wikiLink',
+    level: 'inline',
+    start: (src) => {
+      const index = src.indexOf('[[');
+      return index === -1 ? undefined : index;
+    },
+    tokenizer: (src) => {
+      const match = /^\[\[([^[\]\n]+)\]\]/.exec(src);
+      if (match && match[1].trim()) {
+        return { type: 'wikiLink', raw: match[0], title: match[1].trim() };
+      }
+      return undefined;
+    },
+    renderer: (token) => (
+      `<a data-wiki-link="${escapeHtml(normalizeLinkTitle(token.title))}">${escapeHtml(token.title)}</a>`
+    )
+  }]
+});
+
+// Links in notes open in a new tab without giving it access to this one.
+// Attachments need the auth header, so their URLs move to data-attachment
+// for components/MarkdownPreview.jsx to load; an <img> keeps no src that the
+// browser would request without it.
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && node.getAttribute('href')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+    if (isAttachmentUrl(node.getAttribute('href'))) {
+      node.setAttribute('data-attachment', node.getAttribute('href'));
+    }
+  }
+  if (node.tagName === 'IMG' && isAttachmentUrl(node.getAttribute('src'))) {
+    node.setAttribute('data-attachment', node.getAttribute('src'));
+    node.removeAttribute('src');
+  }
+});
+
+export const renderMarkdown = (text) => {
+  return DOMPurify.sanitize(marked.parse(text || ''));
+};
+
+// The start of a note for previews: whole lines up to roughly `length`
+// characters, so the Markdown around the cut still renders sensibly
+export const markdownExcerpt = (text, length = 300) => {
+  if (!text || text.length <= length) return text || '';
+  const cut = text.lastIndexOf('\n', length);
+  return `${text.slice(0, cut > 0 ? cut : length).trimEnd()}\n\n…`;
+};
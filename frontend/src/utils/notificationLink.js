@@ -0,0 +1,17 @@
+// Where a notification leads. Mentions point at the mentioned text or the
+// comment thread they were made in.
+export const notificationLink = (notification) => {
+  const noteId = notification.noteId?._id || notification.noteId;
+  if (!noteId) return null;
+
+  if (notification.type === 'mention') {
+    if (notification.commentId) {
+      return `/notes/${noteId}?comment=${notification.commentId}`;
+    }
+    if (notification.range) {
+      return `/notes/${noteId}?from=${notification.range.start}&to=${notification.range.end}`;
+    }
+  }
+
+  return `/notes/${noteId}`;
+};